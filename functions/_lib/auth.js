@@ -0,0 +1,69 @@
+// Bearer token authentication shared by the API routes
+
+import { createClient } from '@supabase/supabase-js';
+
+// Verify the bearer token and return a Supabase client acting as that user,
+// so generation log reads go through RLS, and a service role client
+// (SUPABASE_API_KEY) for the functions that reserve generation slots, which
+// the browser may not call
+// Returns { user, supabase, admin } or { response } with a 401 (500 when the
+// service role key is missing)
+export async function authenticate(request, env) {
+  const authHeader = request.headers.get('Authorization');
+  if (!authHeader) {
+    return {
+      response: new Response(
+        JSON.stringify({ error: 'Unauthorized: Missing Authorization header' }),
+        {
+          status: 401,
+          headers: { 'Content-Type': 'application/json' },
+        }
+      ),
+    };
+  }
+
+  const token = authHeader.replace('Bearer ', '');
+  const supabase = createClient(
+    env.VITE_SUPABASE_URL,
+    env.VITE_SUPABASE_ANON_KEY,
+    {
+      global: { headers: { Authorization: `Bearer ${token}` } },
+      auth: { persistSession: false },
+    }
+  );
+  const {
+    data: { user },
+    error,
+  } = await supabase.auth.getUser(token);
+
+  if (error || !user) {
+    console.error('Auth error:', error);
+    return {
+      response: new Response(
+        JSON.stringify({ error: 'Unauthorized: Invalid token' }),
+        {
+          status: 401,
+          headers: { 'Content-Type': 'application/json' },
+        }
+      ),
+    };
+  }
+
+  if (!env.SUPABASE_API_KEY) {
+    console.error('SUPABASE_API_KEY is not set');
+    return {
+      response: new Response(
+        JSON.stringify({ error: 'Server misconfiguration' }),
+        {
+          status: 500,
+          headers: { 'Content-Type': 'application/json' },
+        }
+      ),
+    };
+  }
+  const admin = createClient(env.VITE_SUPABASE_URL, env.SUPABASE_API_KEY, {
+    auth: { persistSession: false },
+  });
+
+  return { user, supabase, admin };
+}
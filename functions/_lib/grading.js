@@ -0,0 +1,114 @@
+// Recall test grading for /api/grade
+//
+// The model judges each expected point and lists grammar issues; the SRS
+// quality suggestion is derived here from that judgement so the mapping
+// stays predictable and testable.
+
+export const POINT_STATUSES = {
+  covered: 1,
+  partial: 0.5,
+  missed: 0,
+};
+
+// Same values as REVIEW_QUALITY in src/srs.js
+const QUALITY = { FORGOT: 0, HARD: 1, GOOD: 2, EASY: 3 };
+
+/**
+ * Validate the model's grading output
+ * @param {Object} data - { points, grammar_issues, feedback_ja }
+ * @param {number} expectedCount - Number of expected points
+ * @returns {{ isValid: boolean, errors: Array<string> }}
+ */
+export function validateGrade(data, expectedCount) {
+  if (!data || typeof data !== 'object') {
+    return { isValid: false, errors: ['root: Must be an object'] };
+  }
+
+  const errors = [];
+  if (!Array.isArray(data.points)) {
+    errors.push('/points: Must be an array');
+  } else {
+    if (data.points.length !== expectedCount) {
+      errors.push(
+        `Expected ${expectedCount} points but got ${data.points.length}`
+      );
+    }
+    data.points.forEach((point, i) => {
+      if (point?.index !== i + 1) {
+        errors.push(`points[${i}].index must be ${i + 1}`);
+      }
+      if (!Object.hasOwn(POINT_STATUSES, point?.status)) {
+        errors.push(
+          `points[${i}].status must be one of ${Object.keys(POINT_STATUSES).join(', ')}`
+        );
+      }
+    });
+  }
+
+  if (!Array.isArray(data.grammar_issues)) {
+    errors.push('/grammar_issues: Must be an array');
+  } else {
+    data.grammar_issues.forEach((issue, i) => {
+      ['excerpt', 'correction', 'explanation_ja'].forEach((field) => {
+        if (!String(issue?.[field] ?? '').trim()) {
+          errors.push(`grammar_issues[${i}]: ${field} is empty`);
+        }
+      });
+    });
+  }
+
+  if (!String(data.feedback_ja ?? '').trim()) {
+    errors.push('feedback_ja is empty');
+  }
+
+  return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Suggest an SRS quality (0-3) from point coverage and grammar issues
+ * - Easy: every point covered without grammar issues
+ * - Good: at least 80% coverage
+ * - Hard: at least half covered
+ * - Forgot: less than that
+ * @param {number} coverage - 0..1
+ * @param {number} grammarIssueCount
+ * @returns {number}
+ */
+export function suggestQuality(coverage, grammarIssueCount) {
+  if (coverage >= 1 && grammarIssueCount === 0) return QUALITY.EASY;
+  if (coverage >= 0.8) return QUALITY.GOOD;
+  if (coverage >= 0.5) return QUALITY.HARD;
+  return QUALITY.FORGOT;
+}
+
+/**
+ * Combine validated model output with the expected points
+ * @param {Object} data - Validated grading output
+ * @param {Array<string>} expectedPoints
+ * @returns {Object} { points, coverage, grammar_issues, feedback_ja, suggested_quality }
+ */
+export function summarizeGrade(data, expectedPoints) {
+  const points = expectedPoints.map((point, i) => ({
+    point,
+    status: data.points[i].status,
+    comment_ja: data.points[i].comment_ja || '',
+  }));
+  const coverage =
+    points.reduce((sum, p) => sum + POINT_STATUSES[p.status], 0) /
+    points.length;
+  const grammarIssues = data.grammar_issues.map(
+    ({ excerpt, correction, explanation_ja }) => ({
+      excerpt,
+      correction,
+      explanation_ja,
+    })
+  );
+
+  return {
+    points,
+    coverage: Math.round(coverage * 100) / 100,
+    grammar_issues: grammarIssues,
+    feedback_ja: data.feedback_ja,
+    suggested_quality: suggestQuality(coverage, grammarIssues.length),
+  };
+}
@@ -0,0 +1,304 @@
+// Offline mock provider for local development and tests
+//
+// Enabled with MOCK_LLM=true. It never touches the network: its fetch()
+// answers with a chat/completions shaped Response built from the request's
+// category, answers and settings, so the normal parse/validate path runs.
+//
+// MOCK_LLM_FAILURES (comma separated) prepends one failing attempt per entry
+// before the succeeding one, e.g. "http_500,invalid_json" exercises two
+// fallbacks. Supported failure modes are listed in MOCK_FAILURE_MODES.
+// Repair prompts (see buildRepairPrompt) are always answered with valid
+// output, so set LLM_MAX_REPAIR_ATTEMPTS=0 to force a fallback instead.
+// Section regeneration requests (input.mode === 'section') get only the
+// requested section back; any failure mode other than invalid_json returns
+// an empty section. Drafts requests (input.mode === 'drafts') get one draft
+// per input.styles entry, and complete requests (input.mode === 'complete')
+// get every section; other failure modes break one draft or drop the
+// sections respectively. Grading requests (input.mode === 'grade') mark each
+// expected point by word overlap with the answer; failure modes other than
+// invalid_json return no points.
+
+import { resolvePresets } from '../../src/presets.js';
+
+export const MOCK_FAILURE_MODES = [
+  'invalid_json',
+  'sentence_count',
+  'japanese',
+  'http_500',
+];
+
+/**
+ * Build a schema-valid narrative from the generation input
+ * @param {Object} input - { category, answers, settings }
+ * @returns {Object}
+ */
+export function buildMockNarrative(input = {}) {
+  const category = input.category || 'omakase';
+  const answers = (input.answers || []).filter((a) => a && a.trim());
+  const presets = resolvePresets(input.settings);
+  const tone = presets.tone.label;
+  const difficulty = presets.difficulty.label;
+
+  const pool = [
+    `This is a mock journal entry for the ${category} category.`,
+    `I answered ${answers.length} question${answers.length === 1 ? '' : 's'} before writing it.`,
+    `The tone of this entry is ${tone.toLowerCase()}.`,
+    `It was written at the ${difficulty.toLowerCase()} difficulty level.`,
+    'Writing a little every day helps me remember new expressions.',
+    'I want to keep this habit going tomorrow.',
+    'Small steps really do lead to big changes.',
+    'Looking back, today felt meaningful in its own way.',
+    'I am slowly getting used to thinking in English.',
+    'Tomorrow is another page worth filling.',
+  ];
+  // Aim inside the length preset's range; open-ended ranges use the minimum
+  const [min, max] = presets.length.validation.sentences;
+  const count = Number.isFinite(max) ? Math.ceil((min + max) / 2) : min;
+  const sentences = [];
+  for (let i = 0; i < count; i++) {
+    sentences.push(pool[i % pool.length]);
+  }
+
+  const memo = answers.length > 0 ? answers.join(' / ') : '（回答なし）';
+
+  return {
+    narrative_en: sentences.join(' '),
+    key_phrases: [
+      {
+        phrase_en: 'keep this habit going',
+        meaning_ja: 'この習慣を続ける',
+        usage_hint_ja: `続けたいことを言うときに。メモ: ${memo}`,
+      },
+      {
+        phrase_en: 'in its own way',
+        meaning_ja: 'それなりに',
+        usage_hint_ja: '完璧ではないが価値があると伝えるときに。',
+      },
+      {
+        phrase_en: 'get used to',
+        meaning_ja: '〜に慣れる',
+        usage_hint_ja: '後ろは名詞か動名詞。',
+      },
+    ],
+    alternatives: [
+      {
+        original_en: 'helps me remember',
+        alternative_en: 'makes it easier for me to remember',
+        nuance_ja: 'より説明的で柔らかい言い方。',
+      },
+    ],
+    recall_test: {
+      prompt_ja: `次のメモを英語で話してみましょう: ${memo}`,
+      expected_points_en: [
+        `a ${category} journal entry`,
+        'keep this habit going',
+      ],
+    },
+    pronunciation: {
+      word: 'habit',
+      ipa: '/ˈhæbɪt/',
+      tip_ja: '最初の a は「ア」と「エ」の中間。',
+    },
+  };
+}
+
+// Words of 3+ letters, lowercased
+function contentWords(text) {
+  return (
+    String(text)
+      .toLowerCase()
+      .match(/[a-z']{3,}/g) || []
+  ).filter((word) => !['the', 'and', 'this', 'that'].includes(word));
+}
+
+/**
+ * Grade an answer against expected points by word overlap
+ * @param {Object} input - { expected_points, answer }
+ * @returns {Object} Grading output in the /api/grade model schema
+ */
+export function buildMockGrade(input = {}) {
+  const answerWords = new Set(contentWords(input.answer));
+  const points = (input.expected_points || []).map((point, i) => {
+    const words = contentWords(point);
+    const hits = words.filter((word) => answerWords.has(word)).length;
+    const ratio = words.length > 0 ? hits / words.length : 0;
+    const status =
+      ratio >= 0.6 ? 'covered' : ratio >= 0.3 ? 'partial' : 'missed';
+    return {
+      index: i + 1,
+      status,
+      comment_ja: `一致率 ${Math.round(ratio * 100)}%`,
+    };
+  });
+
+  return {
+    points,
+    grammar_issues: /\bi\b/.test(String(input.answer))
+      ? [
+          {
+            excerpt: 'i',
+            correction: 'I',
+            explanation_ja: '一人称の I は常に大文字です。',
+          },
+        ]
+      : [],
+    feedback_ja: 'よく思い出せています。この調子で続けましょう。',
+  };
+}
+
+/**
+ * Produce the model text for a given failure mode (or a valid narrative)
+ * @param {string|null} failure
+ * @param {Object} input
+ * @returns {string}
+ */
+function buildMockContent(failure, input) {
+  const narrative = buildMockNarrative(input);
+
+  // Section regeneration: answer with just the requested section
+  if (input.mode === 'section') {
+    if (failure === 'invalid_json') return `{"${input.section}": [`;
+    if (failure) return JSON.stringify({ [input.section]: null });
+    return JSON.stringify({ [input.section]: narrative[input.section] });
+  }
+
+  // Grading: a point counts as covered when most of its words are in the answer
+  if (input.mode === 'grade') {
+    if (failure === 'invalid_json') return '{"points": [';
+    if (failure) {
+      return JSON.stringify({
+        points: [],
+        grammar_issues: [],
+        feedback_ja: '',
+      });
+    }
+    return JSON.stringify(buildMockGrade(input));
+  }
+
+  // Drafts: one narrative_en per requested style, differing in the opening
+  if (input.mode === 'drafts') {
+    if (failure === 'invalid_json') return '{"drafts": [';
+    const [, ...rest] = narrative.narrative_en.split(/(?<=\.)\s+/);
+    const drafts = (input.styles || []).map((style) => ({
+      style,
+      narrative_en: [`This is the ${style} draft of my entry.`, ...rest].join(
+        ' '
+      ),
+    }));
+    if (failure && drafts.length > 0) {
+      drafts[0].narrative_en = 'This draft is far too short.';
+    }
+    return JSON.stringify({ drafts });
+  }
+
+  // Complete: learning materials for the chosen draft
+  if (input.mode === 'complete') {
+    if (failure === 'invalid_json') return '{"key_phrases": [';
+    if (failure) return JSON.stringify({});
+    const { narrative_en: _narrative, ...sections } = narrative;
+    return JSON.stringify(sections);
+  }
+
+  switch (failure) {
+    case 'invalid_json':
+      return '{"narrative_en": "This response was cut off';
+    case 'sentence_count':
+      return JSON.stringify({
+        ...narrative,
+        narrative_en: 'This entry is far too short.',
+      });
+    case 'japanese':
+      return JSON.stringify({
+        ...narrative,
+        narrative_en: narrative.narrative_en
+          .split(' ')
+          .map((word) => `${word} 日本語`)
+          .join(' '),
+      });
+    default:
+      return JSON.stringify(narrative);
+  }
+}
+
+// Split the content into chat/completions style SSE deltas
+function buildMockStream(content, chunkSize = 24) {
+  let frames = '';
+  for (let i = 0; i < content.length; i += chunkSize) {
+    const delta = {
+      choices: [{ delta: { content: content.slice(i, i + chunkSize) } }],
+    };
+    frames += `data: ${JSON.stringify(delta)}\n\n`;
+  }
+  frames += 'data: [DONE]\n\n';
+  return frames;
+}
+
+function mockProvider(failure, attempt) {
+  const label = failure ? `fails with ${failure}` : 'succeeds';
+
+  return {
+    id: `mock-${attempt}`,
+    name: `Mock LLM #${attempt} (${label})`,
+    model: 'mock',
+    envKeys: ['MOCK_LLM'],
+    buildRequest: (prompt, env, input, { stream = false } = {}) => ({
+      url: 'mock://llm',
+      init: { method: 'POST', body: JSON.stringify({ prompt, input, stream }) },
+    }),
+    fetch: async (url, init) => {
+      if (failure === 'http_500') {
+        return new Response('Mock upstream failure', { status: 500 });
+      }
+      const { prompt, input, stream } = JSON.parse(init.body);
+      const isRepair = prompt.includes('<previous_output>');
+      const content = buildMockContent(isRepair ? null : failure, input);
+
+      if (stream) {
+        return new Response(buildMockStream(content), {
+          status: 200,
+          headers: { 'Content-Type': 'text/event-stream' },
+        });
+      }
+      return new Response(
+        JSON.stringify({ choices: [{ message: { content } }] }),
+        { status: 200, headers: { 'Content-Type': 'application/json' } }
+      );
+    },
+    parseResponse: (data) => data.choices[0].message.content,
+    parseStreamChunk: (data) => data.choices?.[0]?.delta?.content || '',
+  };
+}
+
+/**
+ * Check whether the mock provider is switched on
+ * @param {Object} env
+ * @returns {boolean}
+ */
+export function isMockEnabled(env) {
+  return ['1', 'true', 'yes'].includes(
+    String(env.MOCK_LLM || '').toLowerCase()
+  );
+}
+
+/**
+ * Build the mock fallback chain: one failing attempt per MOCK_LLM_FAILURES
+ * entry, followed by a succeeding attempt
+ * @param {Object} env
+ * @returns {Array<Object>}
+ */
+export function buildMockChain(env) {
+  const failures = (env.MOCK_LLM_FAILURES || '')
+    .split(',')
+    .map((f) => f.trim())
+    .filter(Boolean);
+
+  failures.forEach((f) => {
+    if (!MOCK_FAILURE_MODES.includes(f)) {
+      console.warn(`[MOCK] Unknown failure mode "${f}" treated as success`);
+    }
+  });
+
+  return [...failures, null].map((failure, i) =>
+    mockProvider(MOCK_FAILURE_MODES.includes(failure) ? failure : null, i + 1)
+  );
+}
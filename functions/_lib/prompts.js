@@ -0,0 +1,80 @@
+// Versioned prompt templates (source: prompts/*.md, see scripts/build-prompts.js)
+//
+// <NAME>_PROMPT_VERSIONS selects which versions are served, e.g.
+// NARRATIVE_PROMPT_VERSIONS=narrative-v1,narrative-v2 splits users between the
+// two by a stable hash of their id, so each user always sees the same version. When unset the
+// default version (prompts/<name>.md) is used.
+
+import { PROMPT_TEMPLATES } from './prompt-templates.js';
+
+// FNV-1a, 32 bit
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Pick the template version for a user
+ * @param {string} name - Template name (file name in prompts/)
+ * @param {Object} env
+ * @param {string} userId
+ * @param {Object} [templates]
+ * @returns {string} Version id
+ */
+export function selectPromptVersion(
+  name,
+  env,
+  userId,
+  templates = PROMPT_TEMPLATES
+) {
+  const entry = templates[name];
+  if (!entry) throw new Error(`Unknown prompt template: ${name}`);
+
+  const configured = (env[`${name.toUpperCase()}_PROMPT_VERSIONS`] || '')
+    .split(',')
+    .map((v) => v.trim())
+    .filter(Boolean);
+  const versions = configured.filter((v) => {
+    if (entry.versions[v] !== undefined) return true;
+    console.warn(`[PROMPT] Unknown ${name} version "${v}" ignored`);
+    return false;
+  });
+
+  if (versions.length === 0) return entry.default;
+  return versions[hashString(`${name}:${userId}`) % versions.length];
+}
+
+/**
+ * Fill {{placeholders}} in a template
+ * Every placeholder must have a value so template and code cannot drift apart
+ * silently.
+ * @param {string} template
+ * @param {Object} values
+ * @returns {string}
+ */
+export function renderTemplate(template, values) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, key) => {
+    if (values[key] === undefined || values[key] === null) {
+      throw new Error(`Missing value for prompt placeholder {{${key}}}`);
+    }
+    return String(values[key]);
+  });
+}
+
+/**
+ * Render a template for a user
+ * @param {string} name
+ * @param {Object} env
+ * @param {string} userId
+ * @param {Object} values - Placeholder values
+ * @returns {{ prompt: string, version: string }}
+ */
+export function buildPrompt(name, env, userId, values) {
+  const version = selectPromptVersion(name, env, userId);
+  const template = PROMPT_TEMPLATES[name].versions[version];
+  return { prompt: renderTemplate(template, values), version };
+}
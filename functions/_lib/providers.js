@@ -0,0 +1,180 @@
+// Provider registry for /api/generate
+//
+// Every provider declares:
+// - envKeys:       env variables that must be set for the provider to be used
+// - model:         the model id sent to the upstream API
+// - buildRequest:  (prompt, env, input, { stream }) => { url, init } for fetch()
+// - parseResponse: (json) => the raw text returned by the model
+// - parseStreamChunk: (json) => text delta of one streamed SSE event
+// - fetch:         optional fetch() replacement (used by the mock provider)
+//
+// The fallback chain is built from the providers that are configured, in the
+// order given by LLM_PROVIDER_ORDER (comma separated ids). MOCK_LLM=true
+// replaces the whole chain with the offline mock provider.
+
+import { buildMockChain, isMockEnabled } from './mock-provider.js';
+import { readSSE } from './stream.js';
+
+// Gemini generateContent adapter
+function geminiProvider(name, model) {
+  return {
+    name,
+    model,
+    envKeys: ['GEMINI_API_KEY'],
+    buildRequest: (prompt, env, input, { stream = false } = {}) => ({
+      url: stream
+        ? `https://generativelanguage.googleapis.com/v1beta/models/${model}:streamGenerateContent?alt=sse&key=${env.GEMINI_API_KEY}`
+        : `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${env.GEMINI_API_KEY}`,
+      init: {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          contents: [{ parts: [{ text: prompt }] }],
+          generationConfig: { response_mime_type: 'application/json' },
+        }),
+      },
+    }),
+    parseResponse: (data) => data.candidates[0].content.parts[0].text,
+    parseStreamChunk: (data) =>
+      data.candidates?.[0]?.content?.parts?.[0]?.text || '',
+  };
+}
+
+// OpenAI-compatible chat/completions adapter (DeepSeek, Grok)
+function chatCompletionsProvider(name, model, envKey, url) {
+  return {
+    name,
+    model,
+    envKeys: [envKey],
+    buildRequest: (prompt, env, input, { stream = false } = {}) => ({
+      url,
+      init: {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bearer ${env[envKey]}`,
+        },
+        body: JSON.stringify({
+          model,
+          messages: [{ role: 'user', content: prompt }],
+          response_format: { type: 'json_object' },
+          stream,
+        }),
+      },
+    }),
+    parseResponse: (data) => data.choices[0].message.content,
+    parseStreamChunk: (data) => data.choices?.[0]?.delta?.content || '',
+  };
+}
+
+export const PROVIDERS = {
+  'gemini-flash-lite': geminiProvider(
+    'Gemini Flash Lite',
+    'gemini-flash-lite-latest'
+  ),
+  'gemini-2.5-flash': geminiProvider(
+    'Gemini 2.5 Flash',
+    'gemini-2.5-flash-latest'
+  ),
+  'gemini-3-flash': geminiProvider('Gemini 3 Flash', 'gemini-3-flash-preview'),
+  deepseek: chatCompletionsProvider(
+    'DeepSeek',
+    'deepseek-chat',
+    'DEEPSEEK_API_KEY',
+    'https://api.deepseek.com/chat/completions'
+  ),
+  grok: chatCompletionsProvider(
+    'Grok',
+    'grok-4-fast',
+    'GROK_API_KEY',
+    'https://api.x.ai/v1/chat/completions'
+  ),
+};
+
+export const DEFAULT_PROVIDER_ORDER = [
+  'gemini-flash-lite',
+  'gemini-2.5-flash',
+  'gemini-3-flash',
+  'deepseek',
+  'grok',
+];
+
+/**
+ * Check whether every env key a provider needs is set
+ * @param {Object} provider
+ * @param {Object} env
+ * @returns {boolean}
+ */
+export function isProviderConfigured(provider, env) {
+  return provider.envKeys.every((key) => Boolean(env[key]));
+}
+
+/**
+ * Build the ordered fallback chain from the configured providers
+ * @param {Object} env - Pages Function env
+ * @returns {Array<Object>} Providers with their registry id attached
+ */
+export function buildProviderChain(env) {
+  if (isMockEnabled(env)) {
+    return buildMockChain(env);
+  }
+
+  const order = env.LLM_PROVIDER_ORDER
+    ? env.LLM_PROVIDER_ORDER.split(',')
+        .map((id) => id.trim())
+        .filter(Boolean)
+    : DEFAULT_PROVIDER_ORDER;
+
+  return order
+    .filter((id) => {
+      if (!PROVIDERS[id]) {
+        console.warn(`[PROVIDERS] Unknown provider "${id}" ignored`);
+        return false;
+      }
+      return isProviderConfigured(PROVIDERS[id], env);
+    })
+    .map((id) => ({ id, ...PROVIDERS[id] }));
+}
+
+/**
+ * Send a prompt to a provider and return the raw model text
+ * When onDelta is given and the provider can stream, the response is read as
+ * SSE and onDelta receives the accumulated text after every chunk.
+ * @param {Object} provider - Entry from buildProviderChain()
+ * @param {string} prompt
+ * @param {Object} env
+ * @param {Object} input - Original request payload { category, answers, settings }
+ * @param {(text: string) => void} [onDelta]
+ * @returns {Promise<string>}
+ */
+export async function callProvider(provider, prompt, env, input = {}, onDelta) {
+  const stream = Boolean(onDelta && provider.parseStreamChunk);
+  console.log(
+    `Calling ${provider.name} API (${provider.model})${stream ? ' [stream]' : ''}...`
+  );
+
+  const { url, init } = provider.buildRequest(prompt, env, input, { stream });
+  const response = await (provider.fetch || fetch)(url, init);
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(
+      `${provider.name} API error: ${response.status} - ${errorText}`
+    );
+  }
+
+  if (!stream) {
+    const data = await response.json();
+    return provider.parseResponse(data);
+  }
+
+  let text = '';
+  await readSSE(response.body, (data) => {
+    if (data === '[DONE]') return;
+    const delta = provider.parseStreamChunk(JSON.parse(data));
+    if (!delta) return;
+    text += delta;
+    onDelta(text);
+  });
+  return text;
+}
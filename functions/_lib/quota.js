@@ -0,0 +1,351 @@
+// Per-user generation quotas for /api/generate
+//
+// Every generation is logged in en_journal_generations. Two independent
+// limits are checked against that log:
+// - GENERATION_DAILY_LIMIT: per day in the timezone of the user's profile,
+//   starting at their day start hour like the rest of the app (default 1)
+// - GENERATION_WINDOW_LIMIT per GENERATION_WINDOW_HOURS: rolling window
+//   (default off, window defaults to 24 hours)
+// A limit of 0 disables that check.
+//
+// A slot is reserved before the provider is called and given back if the
+// generation fails (reserveGeneration, completeGeneration,
+// releaseGeneration). A request that dies in between keeps its slot.
+// Reserving, completing and releasing go through the service role client:
+// the database functions trust the limits and draft hashes they are given,
+// so the browser may not call them.
+//
+// Each kind of generation has its own budget. Section regenerations use the
+// SECTION_GENERATION_* variables (default 10 per day), recall grading
+// (/api/grade) the GRADE_* variables (default 30 per day).
+
+import {
+  DEFAULT_DAY_START_HOUR,
+  addDays,
+  dayOf,
+  isValidTimeZone,
+  startOfDay,
+} from '../../src/dates.js';
+
+const TABLE = 'en_journal_generations';
+const DEFAULT_WINDOW_HOURS = 24;
+const QUOTA_KINDS = {
+  narrative: { prefix: 'GENERATION', dailyLimit: 1 },
+  section: { prefix: 'SECTION_GENERATION', dailyLimit: 10 },
+  grade: { prefix: 'GRADE', dailyLimit: 30 },
+};
+const HOUR_MS = 60 * 60 * 1000;
+const UTC_DAY = { timeZone: 'UTC', dayStartHour: DEFAULT_DAY_START_HOUR };
+
+function parseLimit(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+/**
+ * Read quota limits from the environment
+ * @param {Object} env
+ * @param {'narrative'|'section'|'grade'} [kind]
+ * @returns {{ kind: string, dailyLimit: number, windowLimit: number, windowHours: number }}
+ */
+export function getQuotaConfig(env, kind = 'narrative') {
+  const defaults = QUOTA_KINDS[kind];
+  if (!defaults) throw new Error(`Unknown quota kind: ${kind}`);
+  const { prefix } = defaults;
+
+  return {
+    kind,
+    dailyLimit: parseLimit(env[`${prefix}_DAILY_LIMIT`], defaults.dailyLimit),
+    windowLimit: parseLimit(env[`${prefix}_WINDOW_LIMIT`], 0),
+    windowHours:
+      parseLimit(env[`${prefix}_WINDOW_HOURS`], DEFAULT_WINDOW_HOURS) ||
+      DEFAULT_WINDOW_HOURS,
+  };
+}
+
+/**
+ * Day settings of the verified user, from their profile
+ * The client's own idea of "today" is never used: a caller could pick a
+ * timezone whose day started after their last generation. A missing or
+ * invalid timezone (NULL means "the device's" in the app) counts in UTC, and
+ * a missing day start hour is the app's default.
+ * @param {Object} supabase - Client authenticated as the user
+ * @param {string} userId
+ * @returns {Promise<{ timeZone: string, dayStartHour: number }>}
+ */
+export async function getDaySettings(supabase, userId) {
+  const { data, error } = await supabase
+    .from('en_journal_profiles')
+    .select('timezone, day_start_hour')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to read profile: ${error.message}`);
+  }
+
+  const hour = data?.day_start_hour;
+  return {
+    timeZone: isValidTimeZone(data?.timezone) ? data.timezone : 'UTC',
+    dayStartHour:
+      Number.isInteger(hour) && hour >= 0 && hour <= 23
+        ? hour
+        : DEFAULT_DAY_START_HOUR,
+  };
+}
+
+/**
+ * Start of the user's current day and of the next one, as UTC Dates
+ * @param {Date} now
+ * @param {Object} daySettings - { timeZone, dayStartHour }
+ * @returns {{ start: Date, end: Date }}
+ */
+export function localDayBounds(now, daySettings = UTC_DAY) {
+  const day = dayOf(now, daySettings);
+  return {
+    start: startOfDay(day, daySettings),
+    end: startOfDay(addDays(day, 1), daySettings),
+  };
+}
+
+/**
+ * Compute quota status from the timestamps of previous generations
+ * @param {Array<Date>} timestamps - Generation times, oldest first
+ * @param {Object} config - From getQuotaConfig
+ * @param {Date} now
+ * @param {Object} daySettings - From getDaySettings
+ * @returns {Object} { allowed, reset_at, daily, window }
+ */
+export function computeQuota(
+  timestamps,
+  config,
+  now = new Date(),
+  daySettings = UTC_DAY
+) {
+  let daily = null;
+  if (config.dailyLimit > 0) {
+    const { start, end } = localDayBounds(now, daySettings);
+    const used = timestamps.filter((t) => t >= start).length;
+    daily = {
+      used,
+      limit: config.dailyLimit,
+      remaining: Math.max(0, config.dailyLimit - used),
+      reset_at: end.toISOString(),
+    };
+  }
+
+  let window = null;
+  if (config.windowLimit > 0) {
+    const windowMs = config.windowHours * HOUR_MS;
+    const inWindow = timestamps.filter((t) => t > now.getTime() - windowMs);
+    const excess = inWindow.length - config.windowLimit;
+    // When full, a slot frees up once enough of the oldest entries age out
+    const resetAt =
+      excess >= 0 ? new Date(inWindow[excess].getTime() + windowMs) : null;
+    window = {
+      used: inWindow.length,
+      limit: config.windowLimit,
+      hours: config.windowHours,
+      remaining: Math.max(0, -excess),
+      reset_at: resetAt ? resetAt.toISOString() : null,
+    };
+  }
+
+  const blocking = [daily, window].filter((q) => q && q.remaining === 0);
+  const resetAt = blocking
+    .map((q) => q.reset_at)
+    .sort()
+    .at(-1);
+
+  return {
+    allowed: blocking.length === 0,
+    reset_at: resetAt || null,
+    daily,
+    window,
+  };
+}
+
+// Where each limit starts counting (null when the limit is off)
+function limitStarts(config, now, daySettings) {
+  return {
+    dayStart:
+      config.dailyLimit > 0 ? localDayBounds(now, daySettings).start : null,
+    windowStart:
+      config.windowLimit > 0
+        ? new Date(now.getTime() - config.windowHours * HOUR_MS)
+        : null,
+  };
+}
+
+/**
+ * Load the user's recent generations and compute their quota
+ * @param {Object} supabase - Client authenticated as the user
+ * @param {string} userId
+ * @param {Object} config - From getQuotaConfig
+ * @param {Object} [options] - { now, daySettings }
+ * @returns {Promise<Object>} See computeQuota
+ */
+export async function getQuotaStatus(
+  supabase,
+  userId,
+  config,
+  { now = new Date(), daySettings = UTC_DAY } = {}
+) {
+  const starts = Object.values(limitStarts(config, now, daySettings)).filter(
+    Boolean
+  );
+  if (starts.length === 0) {
+    return computeQuota([], config, now, daySettings);
+  }
+
+  const since = new Date(Math.min(...starts));
+  const { data, error } = await supabase
+    .from(TABLE)
+    .select('created_at')
+    .eq('user_id', userId)
+    .eq('kind', config.kind || 'narrative')
+    .gte('created_at', since.toISOString())
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to read generation log: ${error.message}`);
+  }
+
+  const timestamps = (data || []).map((row) => new Date(row.created_at));
+  return computeQuota(timestamps, config, now, daySettings);
+}
+
+/**
+ * Check the quota and take a slot in one database call
+ * en_journal_reserve_generation counts and inserts under a per-user lock, so
+ * parallel requests cannot all pass the check. The slot is held by a
+ * random token that only this request knows; completeGeneration or
+ * releaseGeneration must follow.
+ * @param {Object} admin - Service role client (see authenticate)
+ * @param {string} userId - Verified user
+ * @param {Object} config - From getQuotaConfig
+ * @param {Object} [options] - { now, daySettings }
+ * @returns {Promise<{ quota: Object, reservation: Object|null }>}
+ *   reservation is { id, token, userId }, or null when the quota is used up
+ */
+export async function reserveGeneration(
+  admin,
+  userId,
+  config,
+  { now = new Date(), daySettings = UTC_DAY } = {}
+) {
+  const { dayStart, windowStart } = limitStarts(config, now, daySettings);
+  const token = crypto.randomUUID();
+  const { data, error } = await admin.rpc('en_journal_reserve_generation', {
+    p_user_id: userId,
+    p_kind: config.kind || 'narrative',
+    p_token: token,
+    p_daily_limit: config.dailyLimit,
+    p_day_start: dayStart?.toISOString() ?? null,
+    p_window_limit: config.windowLimit,
+    p_window_start: windowStart?.toISOString() ?? null,
+  });
+
+  if (error) {
+    throw new Error(`Failed to reserve a generation: ${error.message}`);
+  }
+
+  // Generations counted against the limits, without the new reservation
+  const timestamps = (data?.created_at || []).map((t) => new Date(t));
+  return {
+    quota: computeQuota(timestamps, config, now, daySettings),
+    reservation: data?.id ? { id: data.id, token, userId } : null,
+  };
+}
+
+/**
+ * Keep a reserved slot after a successful generation and log its metadata
+ * A failed update is logged rather than thrown so the user still gets the
+ * result they are waiting for; the slot stays used either way.
+ * @param {Object} admin - Service role client (see authenticate)
+ * @param {Object} reservation - From reserveGeneration
+ * @param {Object} [meta] - generation_meta ({ provider, model, prompt_version })
+ * @param {Array<string>} [draftHashes] - Drafts returned by a drafts generation
+ */
+export async function completeGeneration(
+  admin,
+  reservation,
+  meta = {},
+  draftHashes = null
+) {
+  const { error } = await admin.rpc('en_journal_complete_generation', {
+    p_user_id: reservation.userId,
+    p_id: reservation.id,
+    p_token: reservation.token,
+    p_provider: meta.provider || null,
+    p_model: meta.model || null,
+    p_prompt_version: meta.prompt_version || null,
+    p_draft_hashes: draftHashes,
+  });
+
+  if (error) {
+    console.error('Failed to record generation:', error.message);
+  }
+}
+
+/**
+ * Give a reserved slot back after a failed generation
+ * @param {Object} admin - Service role client (see authenticate)
+ * @param {Object} reservation - From reserveGeneration
+ */
+export async function releaseGeneration(admin, reservation) {
+  const { error } = await admin.rpc('en_journal_release_generation', {
+    p_user_id: reservation.userId,
+    p_id: reservation.id,
+    p_token: reservation.token,
+  });
+
+  if (error) {
+    console.error('Failed to release generation:', error.message);
+  }
+}
+
+/**
+ * Reserve a slot of one quota kind for the authenticated user
+ * @param {Object} env
+ * @param {Object} auth - { user, supabase, admin } from authenticate
+ * @param {'narrative'|'section'|'grade'} kind
+ * @returns {Promise<Object>} { reservation } or { response } with a 429
+ */
+export async function reserveQuota(env, { user, supabase, admin }, kind) {
+  const { quota, reservation } = await reserveGeneration(
+    admin,
+    user.id,
+    getQuotaConfig(env, kind),
+    { daySettings: await getDaySettings(supabase, user.id) }
+  );
+  return reservation
+    ? { reservation }
+    : { response: quotaExceededResponse(quota) };
+}
+
+/**
+ * 429 response with the quota snapshot and a Retry-After header
+ * @param {Object} quota - From getQuotaStatus
+ * @returns {Response}
+ */
+export function quotaExceededResponse(quota) {
+  const retryAfter = Math.max(
+    1,
+    Math.ceil((new Date(quota.reset_at).getTime() - Date.now()) / 1000)
+  );
+  return new Response(
+    JSON.stringify({
+      error: 'Generation limit reached',
+      reset_at: quota.reset_at,
+      quota,
+    }),
+    {
+      status: 429,
+      headers: {
+        'Content-Type': 'application/json',
+        'Retry-After': String(retryAfter),
+      },
+    }
+  );
+}
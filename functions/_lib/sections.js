@@ -0,0 +1,184 @@
+// Narrative sections that can be validated and regenerated on their own
+//
+// The schema checks here are shared by full-narrative validation
+// (validateOutput in api/generate.js) and section regeneration, so both
+// paths accept exactly the same shapes.
+
+export const SECTIONS = [
+  'key_phrases',
+  'alternatives',
+  'recall_test',
+  'pronunciation',
+];
+
+// Schema and rules inserted into prompts/section.md
+export const SECTION_PROMPTS = {
+  key_phrases: {
+    schema: `"key_phrases": [
+  { "phrase_en": "string", "meaning_ja": "string", "usage_hint_ja": "string (Brief tip)" }
+]`,
+    rules:
+      '3-5 items. Pick practical expressions that actually appear in the journal entry.',
+  },
+  alternatives: {
+    schema: `"alternatives": [
+  { "original_en": "string", "alternative_en": "string", "nuance_ja": "string (Brief explanation of the difference)" }
+]`,
+    rules:
+      'Max 2 items. original_en must be quoted from the journal entry. Explain subtle nuance differences.',
+  },
+  recall_test: {
+    schema: `"recall_test": {
+  "prompt_ja": "string (3 key points in Japanese for reproduction)",
+  "expected_points_en": ["string", "string"]
+}`,
+    rules:
+      'prompt_ja should NOT be a word-for-word translation, but rather the essence of what needs to be said.',
+  },
+  pronunciation: {
+    schema: `"pronunciation": { "word": "string", "ipa": "string", "tip_ja": "string" }`,
+    rules:
+      'Pick one word from the journal entry that Japanese learners often mispronounce.',
+  },
+};
+
+function checkItems(value, path, fields) {
+  if (!Array.isArray(value)) {
+    return [{ instancePath: path, message: 'Must be an array' }];
+  }
+
+  const errors = [];
+  value.forEach((item, i) => {
+    if (!item || typeof item !== 'object') {
+      errors.push({
+        instancePath: `${path}/${i}`,
+        message: 'Must be an object',
+      });
+      return;
+    }
+    fields.forEach((field) => {
+      if (!item[field]) {
+        errors.push({
+          instancePath: `${path}/${i}/${field}`,
+          message: `Missing ${field}`,
+        });
+      }
+    });
+  });
+  return errors;
+}
+
+function checkObject(value, path, fields) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return [{ instancePath: path, message: 'Must be an object' }];
+  }
+  return fields
+    .filter((field) => !value[field])
+    .map((field) => ({
+      instancePath: `${path}/${field}`,
+      message: `Missing ${field}`,
+    }));
+}
+
+/**
+ * Schema errors for one section
+ * @param {string} section - One of SECTIONS
+ * @param {*} value
+ * @returns {Array<{instancePath: string, message: string}>}
+ */
+export function validateSectionSchema(section, value) {
+  const path = `/${section}`;
+
+  switch (section) {
+    case 'key_phrases':
+      return checkItems(value, path, [
+        'phrase_en',
+        'meaning_ja',
+        'usage_hint_ja',
+      ]);
+    case 'alternatives':
+      return checkItems(value, path, [
+        'original_en',
+        'alternative_en',
+        'nuance_ja',
+      ]);
+    case 'recall_test': {
+      const errors = checkObject(value, path, ['prompt_ja']);
+      if (value && typeof value === 'object') {
+        if (!Array.isArray(value.expected_points_en)) {
+          errors.push({
+            instancePath: `${path}/expected_points_en`,
+            message: 'Must be an array',
+          });
+        }
+      }
+      return errors;
+    }
+    case 'pronunciation':
+      return checkObject(value, path, ['word', 'ipa', 'tip_ja']);
+    default:
+      return [{ instancePath: path, message: 'Unknown section' }];
+  }
+}
+
+/**
+ * Content errors (blank fields) for a section that passed the schema check
+ * @param {string} section
+ * @param {*} value
+ * @returns {Array<string>}
+ */
+export function validateSectionFields(section, value) {
+  const errors = [];
+  const requireText = (item, field, label) => {
+    if (!String(item[field] ?? '').trim()) {
+      errors.push(`${label}: ${field} is empty`);
+    }
+  };
+
+  switch (section) {
+    case 'key_phrases':
+      value.forEach((phrase, i) => {
+        ['phrase_en', 'meaning_ja', 'usage_hint_ja'].forEach((field) =>
+          requireText(phrase, field, `key_phrases[${i}]`)
+        );
+      });
+      break;
+    case 'alternatives':
+      value.forEach((alt, i) => {
+        ['original_en', 'alternative_en', 'nuance_ja'].forEach((field) =>
+          requireText(alt, field, `alternatives[${i}]`)
+        );
+      });
+      break;
+    case 'recall_test':
+      if (!value.prompt_ja?.trim()) {
+        errors.push('recall_test.prompt_ja is empty');
+      }
+      if (!value.expected_points_en?.every((point) => point?.trim())) {
+        errors.push('recall_test.expected_points_en contains empty values');
+      }
+      break;
+    case 'pronunciation':
+      ['word', 'ipa', 'tip_ja'].forEach((field) =>
+        requireText(value, field, 'pronunciation')
+      );
+      break;
+  }
+  return errors;
+}
+
+/**
+ * Validate a regenerated section
+ * @param {string} section
+ * @param {*} value
+ * @returns {{ isValid: boolean, errors: Array<string> }}
+ */
+export function validateSection(section, value) {
+  const schemaErrors = validateSectionSchema(section, value);
+  const errors =
+    schemaErrors.length > 0
+      ? schemaErrors.map((err) => `${err.instancePath}: ${err.message}`)
+      : validateSectionFields(section, value);
+
+  return { isValid: errors.length === 0, errors };
+}
@@ -0,0 +1,81 @@
+// Server-Sent Events helpers shared by the providers and /api/generate
+
+const encoder = new TextEncoder();
+
+/**
+ * Encode one SSE frame
+ * @param {string} event - Event name
+ * @param {Object} data - JSON payload
+ * @returns {Uint8Array}
+ */
+export function encodeSSE(event, data) {
+  return encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Read an SSE body and call onData with each `data:` payload
+ * Only the data lines matter for upstream LLM streams, so event names are ignored.
+ * @param {ReadableStream} body
+ * @param {(data: string) => void} onData
+ */
+export async function readSSE(body, onData) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const flush = (frame) => {
+    const data = frame
+      .split(/\r?\n/)
+      .filter((line) => line.startsWith('data:'))
+      .map((line) => line.slice(5).trimStart())
+      .join('\n');
+    if (data) onData(data);
+  };
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+      flush(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+    }
+  }
+
+  if (buffer.trim()) flush(buffer);
+}
+
+/**
+ * Pull the (possibly unfinished) narrative_en string out of partial model JSON
+ * @param {string} text - JSON text received so far
+ * @returns {string|null} Decoded narrative text, or null if not started yet
+ */
+export function extractPartialNarrative(text) {
+  const match = /"narrative_en"\s*:\s*"/.exec(text);
+  if (!match) return null;
+
+  let result = '';
+  for (let i = match.index + match[0].length; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"') break;
+    if (ch !== '\\') {
+      result += ch;
+      continue;
+    }
+
+    const next = text[i + 1];
+    if (next === undefined) break; // escape split across chunks
+    if (next === 'u') {
+      const hex = text.slice(i + 2, i + 6);
+      if (hex.length < 4) break;
+      result += String.fromCharCode(parseInt(hex, 16));
+      i += 5;
+    } else {
+      result += { n: '\n', t: '\t', r: '' }[next] ?? next;
+      i += 1;
+    }
+  }
+  return result;
+}
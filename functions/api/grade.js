@@ -0,0 +1,117 @@
+import { buildProviderChain } from '../_lib/providers.js';
+import { authenticate } from '../_lib/auth.js';
+import {
+  completeGeneration,
+  releaseGeneration,
+  reserveQuota,
+} from '../_lib/quota.js';
+import { buildPrompt } from '../_lib/prompts.js';
+import { summarizeGrade, validateGrade } from '../_lib/grading.js';
+import { generateWithFallback } from './generate.js';
+
+const MAX_ANSWER_LENGTH = 2000;
+
+const escape = (text) => text.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+function badRequest(message) {
+  return new Response(JSON.stringify({ error: message }), {
+    status: 400,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+// Grade a typed or dictated recall test answer
+// Body: { narrative: { narrative_en, recall_test }, answer }
+// Returns { points, coverage, grammar_issues, feedback_ja, suggested_quality,
+//           generation_meta }
+export async function onRequestPost(context) {
+  const { request, env } = context;
+
+  if (buildProviderChain(env).length === 0) {
+    console.error(
+      'No LLM provider configured (check API keys and LLM_PROVIDER_ORDER)'
+    );
+    return new Response(
+      JSON.stringify({ error: 'Server Configuration Error: Missing API Keys' }),
+      { status: 500, headers: { 'Content-Type': 'application/json' } }
+    );
+  }
+
+  const auth = await authenticate(request, env);
+  if (auth.response) return auth.response;
+  const { user, supabase, admin } = auth;
+
+  try {
+    const { narrative, answer } = await request.json();
+
+    const expectedPoints = (narrative?.recall_test?.expected_points_en || [])
+      .map((point) => String(point ?? '').trim())
+      .filter(Boolean);
+    if (
+      typeof narrative?.narrative_en !== 'string' ||
+      !narrative.narrative_en
+    ) {
+      return badRequest('narrative.narrative_en is required');
+    }
+    if (expectedPoints.length === 0) {
+      return badRequest('narrative.recall_test.expected_points_en is empty');
+    }
+    if (typeof answer !== 'string' || !answer.trim()) {
+      return badRequest('answer is required');
+    }
+    if (answer.length > MAX_ANSWER_LENGTH) {
+      return badRequest(
+        `answer must be at most ${MAX_ANSWER_LENGTH} characters`
+      );
+    }
+
+    const { reservation, response } = await reserveQuota(env, auth, 'grade');
+    if (response) return response;
+
+    const { prompt, version } = buildPrompt('grade', env, user.id, {
+      narrative_en: escape(narrative.narrative_en),
+      prompt_ja: escape(narrative.recall_test.prompt_ja || ''),
+      expected_points: expectedPoints
+        .map((point, i) => `${i + 1}. ${escape(point)}`)
+        .join('\n'),
+      answer: escape(answer.trim()),
+    });
+    console.log(`Grading recall answer with prompt ${version}`);
+
+    let result;
+    try {
+      result = await generateWithFallback(
+        prompt,
+        env,
+        {},
+        { mode: 'grade', expected_points: expectedPoints, answer },
+        null,
+        { validate: (data) => validateGrade(data, expectedPoints.length) }
+      );
+    } catch (error) {
+      await releaseGeneration(admin, reservation);
+      throw error;
+    }
+    const meta = { ...result.meta, prompt_version: version };
+    await completeGeneration(admin, reservation, meta);
+
+    return new Response(
+      JSON.stringify({
+        ...summarizeGrade(result.data, expectedPoints),
+        generation_meta: meta,
+      }),
+      {
+        headers: {
+          'Content-Type': 'application/json',
+          'Cache-Control': 'no-cache',
+        },
+      }
+    );
+  } catch (error) {
+    console.error('Error in grade:', error);
+    return new Response(JSON.stringify({ error: error.message }), {
+      status: 500,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+}
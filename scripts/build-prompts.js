@@ -0,0 +1,113 @@
+// Compile prompts/*.md into functions/_lib/prompt-templates.js
+//
+// Pages Functions cannot read files at runtime, so templates are bundled as a
+// generated module. The module is not committed: `npm run build`, `npm test`
+// and the wrangler dev scripts generate it first, or run
+// `npm run build:prompts`.
+//
+// File naming:
+//   prompts/<name>.md        - the default version of <name>
+//   prompts/<name>.<tag>.md  - additional versions (e.g. for A/B tests)
+// Each file starts with a front matter block declaring its version, named
+// <name>-v<n> so versions stay unique across templates in generation_meta:
+//   ---
+//   version: narrative-v1
+//   ---
+
+import { readdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { basename, dirname, join } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+export const PROMPTS_DIR = join(ROOT, 'prompts');
+export const OUTPUT_FILE = join(ROOT, 'functions/_lib/prompt-templates.js');
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---\r?\n/;
+
+/**
+ * Split a template file into its front matter fields and body
+ * @param {string} source
+ * @param {string} file - For error messages
+ * @returns {{ meta: Object, body: string }}
+ */
+export function parseTemplateFile(source, file) {
+  const match = FRONT_MATTER.exec(source);
+  if (!match) {
+    throw new Error(`${file}: missing front matter with a version`);
+  }
+
+  const meta = {};
+  match[1].split(/\r?\n/).forEach((line) => {
+    const [key, ...rest] = line.split(':');
+    if (key.trim()) meta[key.trim()] = rest.join(':').trim();
+  });
+  if (!meta.version) {
+    throw new Error(`${file}: front matter has no version`);
+  }
+
+  return { meta, body: source.slice(match[0].length).trimEnd() };
+}
+
+/**
+ * Read every template in the prompts directory
+ * @param {string} [dir]
+ * @returns {Object} { [name]: { default, versions: { [version]: template } } }
+ */
+export function collectPromptTemplates(dir = PROMPTS_DIR) {
+  const templates = {};
+  const files = readdirSync(dir)
+    .filter((file) => file.endsWith('.md'))
+    .sort();
+
+  for (const file of files) {
+    const [name, ...tags] = basename(file, '.md').split('.');
+    const { meta, body } = parseTemplateFile(
+      readFileSync(join(dir, file), 'utf8'),
+      file
+    );
+
+    if (!meta.version.startsWith(`${name}-`)) {
+      throw new Error(`${file}: version must start with "${name}-"`);
+    }
+
+    const entry = (templates[name] ||= { default: null, versions: {} });
+    if (entry.versions[meta.version] !== undefined) {
+      throw new Error(`${file}: duplicate version "${meta.version}"`);
+    }
+    entry.versions[meta.version] = body;
+    if (tags.length === 0) entry.default = meta.version;
+  }
+
+  for (const [name, entry] of Object.entries(templates)) {
+    if (!entry.default) {
+      throw new Error(`prompts/${name}.md is required as the default version`);
+    }
+  }
+  return templates;
+}
+
+/**
+ * Render the generated module source
+ * @param {Object} templates - From collectPromptTemplates
+ * @returns {string}
+ */
+export function renderTemplatesModule(templates) {
+  return `// Generated by scripts/build-prompts.js from prompts/*.md. Do not edit.
+// Run \`npm run build:prompts\` after changing a template.
+
+export const PROMPT_TEMPLATES = ${JSON.stringify(templates, null, 2)};
+`;
+}
+
+// Run as a script (process.argv[1] is unset under `node -e` or a REPL)
+if (
+  process.argv[1] &&
+  import.meta.url === pathToFileURL(process.argv[1]).href
+) {
+  const templates = collectPromptTemplates();
+  writeFileSync(OUTPUT_FILE, renderTemplatesModule(templates));
+  const summary = Object.entries(templates)
+    .map(([name, { versions }]) => `${name}@${Object.keys(versions).join(',')}`)
+    .join(' ');
+  console.log(`Wrote ${OUTPUT_FILE} (${summary})`);
+}
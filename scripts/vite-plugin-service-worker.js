@@ -0,0 +1,85 @@
+// Vite plugin that emits dist/sw.js from src/sw.js with its precache list
+//
+// The list is the build output (pages, hashed JS/CSS, images) plus the public
+// files in PUBLIC_PRECACHE. The version is a hash of all of their contents,
+// so every build that changes a file ships a new service worker, which
+// replaces the previous cache when it activates.
+
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const SW_SOURCE = join(ROOT, 'src/sw.js');
+const PUBLIC_DIR = join(ROOT, 'public');
+
+// Public files the shell needs offline (copied to dist as-is by Vite)
+export const PUBLIC_PRECACHE = [
+  'favicon.png',
+  'icons/icon-192.png',
+  'icons/icon-512.png',
+  'manifest.webmanifest',
+  'offline.html',
+];
+
+/**
+ * URL a build file is served at
+ * Pages are precached under their clean URL (/terms, not /terms.html):
+ * Cloudflare Pages redirects the .html form, and a redirected response
+ * cannot answer a navigation.
+ * @param {string} fileName - Path relative to dist
+ * @returns {string}
+ */
+export function toPrecacheUrl(fileName) {
+  return (
+    '/' + fileName.replace(/(^|\/)index\.html$/, '$1').replace(/\.html$/, '')
+  );
+}
+
+/**
+ * Precache list and cache version for a build
+ * @param {Object} bundle - Rollup output bundle (file name -> chunk or asset)
+ * @param {Object<string, string|Uint8Array>} publicFiles - File name -> contents
+ * @returns {{ version: string, urls: string[] }}
+ */
+export function buildPrecacheManifest(bundle, publicFiles = {}) {
+  const files = { ...publicFiles };
+  Object.values(bundle).forEach((item) => {
+    if (item.fileName.endsWith('.map')) return;
+    files[item.fileName] = item.type === 'chunk' ? item.code : item.source;
+  });
+
+  const names = Object.keys(files).sort();
+  const hash = createHash('sha256');
+  names.forEach((name) => hash.update(name).update(files[name]));
+
+  return {
+    version: hash.digest('hex').slice(0, 12),
+    urls: names.map(toPrecacheUrl),
+  };
+}
+
+export default function serviceWorker() {
+  return {
+    name: 'kaku-service-worker',
+    apply: 'build',
+    // After Vite has added the HTML pages to the bundle
+    enforce: 'post',
+    generateBundle(_, bundle) {
+      const publicFiles = Object.fromEntries(
+        PUBLIC_PRECACHE.map((name) => [
+          name,
+          readFileSync(join(PUBLIC_DIR, name)),
+        ])
+      );
+      const manifest = buildPrecacheManifest(bundle, publicFiles);
+
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: `self.__PRECACHE_MANIFEST = ${JSON.stringify(manifest)};\n\n${readFileSync(SW_SOURCE, 'utf8')}`,
+      });
+    },
+  };
+}
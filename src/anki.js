@@ -0,0 +1,182 @@
+/**
+ * Anki Export
+ * Narratives and their key phrases as notes in Anki's text import format
+ * (File > Import, Anki 2.1.55+). The header lines tell Anki the separator,
+ * the note type and deck of each row, and which columns hold the guid and
+ * tags, so no import settings need to be chosen by hand.
+ *
+ * Note types:
+ * - Basic (built in): Japanese memory (the user's answers) -> English narrative
+ * - kaku Phrase: a cloze note type the user creates once (a copy of Cloze
+ *   with the fields of ANKI_PHRASE_FIELDS), so the phrase, its meaning and
+ *   usage hint stay separate fields. Text is the source sentence with the
+ *   key phrase as {{c1::...}}.
+ * - Basic again for a key phrase that is not in the narrative (a cloze note
+ *   without a deletion cannot be imported): meaning and hint -> phrase
+ *
+ * Guids are derived from the narrative id and the phrase text, so importing a
+ * newer export updates the notes instead of adding duplicates, even when the
+ * key phrases were regenerated in another order. Anki cannot import review
+ * scheduling from text, so SRS due dates are optional tags.
+ */
+
+import { findSentence, makeCloze } from './cards.js';
+import { dayOf } from './dates.js';
+import { textHash } from './importer.js';
+
+export const ANKI_DECKS = {
+  narratives: 'kaku::Narratives',
+  phrases: 'kaku::Key Phrases',
+};
+
+export const ANKI_NOTE_TYPES = {
+  narrative: 'Basic',
+  phrase: 'kaku Phrase',
+  phraseWithoutSentence: 'Basic',
+};
+
+// Fields of the kaku Phrase note type, in order
+export const ANKI_PHRASE_FIELDS = ['Text', 'Phrase', 'Meaning', 'Hint'];
+
+// guid, note type, deck, up to four fields (Anki ignores the unused ones of
+// Basic), tags
+const FIELD_COLUMNS = ANKI_PHRASE_FIELDS.length;
+const HEADER = [
+  '#separator:tab',
+  '#html:true',
+  '#guid column:1',
+  '#notetype column:2',
+  '#deck column:3',
+  `#tags column:${4 + FIELD_COLUMNS}`,
+];
+
+// Fields are HTML; tabs and line breaks would end the field or the row
+function toField(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/\t/g, ' ')
+    .replace(/\r?\n/g, '<br>');
+}
+
+// Anki tags cannot contain spaces
+function toTag(text) {
+  return String(text).trim().replace(/\s+/g, '_');
+}
+
+function narrativeTags(narrative, { includeDue }) {
+  const tags = ['kaku'];
+  if (narrative.category) {
+    tags.push(`kaku::category::${toTag(narrative.category)}`);
+  }
+  if (narrative.created_at) {
+    tags.push(`kaku::date::${dayOf(narrative.created_at)}`);
+  }
+  if (includeDue && narrative.srs?.next_review_date) {
+    tags.push(`kaku::due::${narrative.srs.next_review_date}`);
+  }
+  return tags;
+}
+
+// What the user remembered in Japanese, as in the review session
+function memoryText(narrative) {
+  const answers = (narrative.user_answers || []).filter(
+    (answer) => typeof answer === 'string' && answer.trim()
+  );
+  return answers.length > 0
+    ? answers.join('\n')
+    : narrative.recall_test?.prompt_ja || '';
+}
+
+// The source sentence with the phrase as {{c1::...}}, or null if the
+// narrative does not contain it
+function phraseCloze(narrative, phraseEn) {
+  const sentence = findSentence(narrative.narrative_en, phraseEn);
+  if (!sentence) return null;
+  const cloze = makeCloze(
+    toField(sentence),
+    toField(phraseEn),
+    (match) => `{{c1::${match}}}`
+  );
+  return cloze.includes('{{c1::') ? cloze : null;
+}
+
+function phraseNote(narrative, phrase, phraseEn, tags) {
+  const meaning = toField(String(phrase.meaning_ja ?? '').trim());
+  const hint = toField(String(phrase.usage_hint_ja ?? '').trim());
+  const note = {
+    guid: `kaku-${narrative.id}-${textHash(phraseEn.toLowerCase())}`,
+    deck: ANKI_DECKS.phrases,
+    tags,
+  };
+
+  const cloze = phraseCloze(narrative, phraseEn);
+  if (!cloze) {
+    return {
+      ...note,
+      noteType: ANKI_NOTE_TYPES.phraseWithoutSentence,
+      fields: [[meaning, hint].filter(Boolean).join('<br>'), toField(phraseEn)],
+    };
+  }
+  return {
+    ...note,
+    noteType: ANKI_NOTE_TYPES.phrase,
+    fields: [cloze, toField(phraseEn), meaning, hint],
+  };
+}
+
+/**
+ * Notes for one narrative: the narrative itself and a note per key phrase
+ * @param {Object} narrative
+ * @param {Object} options - {includeDue: add the SRS due date as a tag}
+ * @returns {Array<{guid: string, noteType: string, deck: string, fields: string[], tags: string[]}>}
+ */
+export function buildAnkiNotes(narrative, { includeDue = false } = {}) {
+  const tags = narrativeTags(narrative, { includeDue });
+  const notes = [
+    {
+      guid: `kaku-${narrative.id}`,
+      noteType: ANKI_NOTE_TYPES.narrative,
+      deck: ANKI_DECKS.narratives,
+      fields: [toField(memoryText(narrative)), toField(narrative.narrative_en)],
+      tags,
+    },
+  ];
+
+  const guids = new Set();
+  for (const phrase of narrative.key_phrases || []) {
+    const phraseEn = String(phrase?.phrase_en ?? '').trim();
+    if (!phraseEn) continue;
+
+    // The same phrase twice would be the same note
+    const note = phraseNote(narrative, phrase, phraseEn, tags);
+    if (guids.has(note.guid)) continue;
+    guids.add(note.guid);
+    notes.push(note);
+  }
+  return notes;
+}
+
+/**
+ * Anki import file for narratives
+ * @param {Array} narratives
+ * @param {Object} options - {includeDue}
+ * @returns {string} Tab-separated text with Anki's header lines
+ */
+export function buildAnkiExport(narratives, options = {}) {
+  const rows = narratives
+    .flatMap((narrative) => buildAnkiNotes(narrative, options))
+    .map((note) =>
+      [
+        note.guid,
+        note.noteType,
+        note.deck,
+        ...note.fields,
+        ...Array(FIELD_COLUMNS - note.fields.length).fill(''),
+        note.tags.join(' '),
+      ].join('\t')
+    );
+  return [...HEADER, ...rows].join('\n') + '\n';
+}
@@ -0,0 +1,129 @@
+/**
+ * Backup Format
+ * JSON backups (storage.exportNarrativesJSON) carry a format_version so that
+ * older files keep importing:
+ * - 1: a bare array of narratives (before format_version existed)
+ * - 2: {format, format_version, exported_at, narratives, cards, review_logs,
+ *   stats, profile}
+ *
+ * Rows are kept as the app reads them (srs, not srs_data) with every column
+ * except user_id, which comes from the account that imports them. stats is
+ * the en_journal_stats row (totals from before review logs existed); the
+ * rest of the stats is derived from review_logs. profile holds the settings
+ * in PROFILE_SETTINGS.
+ */
+
+export const BACKUP_FORMAT = 'kaku-backup';
+export const BACKUP_FORMAT_VERSION = 2;
+
+// Profile fields restored from a backup
+export const PROFILE_SETTINGS = [
+  'scheduler',
+  'edit_srs_reset',
+  'timezone',
+  'day_start_hour',
+];
+
+// Columns filled in by the importing account or the database
+const OMITTED_COLUMNS = [
+  'user_id',
+  'srs_data',
+  'search_en',
+  'search_text',
+  'deleted_at',
+];
+
+function stripRow(row) {
+  const copy = { ...row };
+  OMITTED_COLUMNS.forEach((column) => delete copy[column]);
+  return copy;
+}
+
+function pickSettings(profile) {
+  if (!profile) return null;
+  return Object.fromEntries(
+    PROFILE_SETTINGS.filter((field) => field in profile).map((field) => [
+      field,
+      profile[field],
+    ])
+  );
+}
+
+/**
+ * Build a backup of the current format
+ * Review logs and cards of narratives not in the backup (e.g. in the trash)
+ * are left out.
+ * @param {Object} data - {narratives, cards, reviewLogs, stats, profile}
+ * @param {Date} exportedAt
+ * @returns {Object} Backup, ready for JSON.stringify
+ */
+export function createBackup(
+  {
+    narratives = [],
+    cards = [],
+    reviewLogs = [],
+    stats = null,
+    profile = null,
+  },
+  exportedAt = new Date()
+) {
+  const ids = new Set(narratives.map((n) => n.id));
+  const legacyStats = stats ? stripRow(stats) : null;
+  if (legacyStats) delete legacyStats.updated_at;
+
+  return {
+    format: BACKUP_FORMAT,
+    format_version: BACKUP_FORMAT_VERSION,
+    exported_at: exportedAt.toISOString(),
+    narratives: narratives.map(stripRow),
+    cards: cards.filter((c) => ids.has(c.narrative_id)).map(stripRow),
+    review_logs: reviewLogs
+      .filter((log) => ids.has(log.narrative_id))
+      .map(stripRow),
+    stats: legacyStats,
+    profile: pickSettings(profile),
+  };
+}
+
+/**
+ * Read a parsed backup of any supported version
+ * @param {*} data - Parsed JSON
+ * @returns {{formatVersion: number, narratives: Array, cards: Array, reviewLogs: Array, stats: Object|null, profile: Object|null}}
+ */
+export function readBackup(data) {
+  if (Array.isArray(data)) {
+    return {
+      formatVersion: 1,
+      narratives: data,
+      cards: [],
+      reviewLogs: [],
+      stats: null,
+      profile: null,
+    };
+  }
+
+  if (!data || typeof data !== 'object' || data.format !== BACKUP_FORMAT) {
+    throw new Error('Invalid format: not a kaku backup');
+  }
+  const version = data.format_version;
+  if (!Number.isInteger(version) || version < 2) {
+    throw new Error(`Invalid format_version: ${version}`);
+  }
+  if (version > BACKUP_FORMAT_VERSION) {
+    throw new Error(
+      `Unsupported format_version ${version} (this app reads up to ${BACKUP_FORMAT_VERSION})`
+    );
+  }
+
+  const list = (value) => (Array.isArray(value) ? value : []);
+  const object = (value) =>
+    value && typeof value === 'object' && !Array.isArray(value) ? value : null;
+  return {
+    formatVersion: version,
+    narratives: list(data.narratives),
+    cards: list(data.cards),
+    reviewLogs: list(data.review_logs),
+    stats: object(data.stats),
+    profile: pickSettings(object(data.profile)),
+  };
+}
@@ -0,0 +1,179 @@
+/**
+ * Phrase Cards
+ * Turns a narrative's key_phrases and alternatives into flashcards, each with
+ * its own SRS state (en_journal_cards). storage.syncCards compares the cards
+ * built here with the stored ones, so regenerating a section replaces only
+ * the cards whose content changed.
+ *
+ * Card types:
+ * - meaning: English phrase -> Japanese meaning
+ * - production: Japanese meaning -> English phrase
+ * - cloze: the original sentence with the phrase blanked out (only when the
+ *   phrase appears verbatim in the narrative)
+ */
+
+export const CARD_SOURCES = ['key_phrase', 'alternative'];
+
+export const CARD_TYPES = ['meaning', 'production', 'cloze'];
+
+// Fields compared when syncing; a change gives the card a fresh SRS state
+export const CARD_CONTENT_FIELDS = ['front', 'back', 'hint', 'context'];
+
+const CLOZE_BLANK = '_____';
+
+const PROMPTS = {
+  key_phrase: {
+    meaning: 'この表現の意味は？',
+    production: '英語でどう言う？',
+    cloze: '空欄に入る表現は？',
+  },
+  alternative: {
+    meaning: 'この言い方のニュアンスは？',
+    production: '別の言い方にすると？',
+  },
+};
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function splitSentences(text) {
+  return (text || '').split(/(?<=[.!?])\s+/).filter((s) => s.trim());
+}
+
+/**
+ * First sentence of the narrative containing the phrase (case-insensitive)
+ * @param {string} narrativeEn
+ * @param {string} phrase
+ * @returns {string|null}
+ */
+export function findSentence(narrativeEn, phrase) {
+  const needle = (phrase || '').trim().replace(/[.!?]+$/, '');
+  if (!needle) return null;
+
+  const pattern = new RegExp(escapeRegExp(needle), 'i');
+  return splitSentences(narrativeEn).find((s) => pattern.test(s)) || null;
+}
+
+/**
+ * Blank out the phrase in a sentence
+ * @param {string} sentence
+ * @param {string} phrase
+ * @param {string|Function} blank - Replacement, or a function of the matched text
+ * @returns {string}
+ */
+export function makeCloze(sentence, phrase, blank = CLOZE_BLANK) {
+  const needle = phrase.trim().replace(/[.!?]+$/, '');
+  return sentence.replace(new RegExp(escapeRegExp(needle), 'i'), blank);
+}
+
+function keyPhraseCards(narrative, phrase, index) {
+  const phraseEn = String(phrase?.phrase_en ?? '').trim();
+  const meaningJa = String(phrase?.meaning_ja ?? '').trim();
+  if (!phraseEn || !meaningJa) return [];
+
+  const hint = String(phrase.usage_hint_ja ?? '').trim();
+  const sentence = findSentence(narrative.narrative_en, phraseEn);
+  const base = { source: 'key_phrase', source_index: index, context: sentence };
+
+  const cards = [
+    {
+      ...base,
+      card_type: 'meaning',
+      front: phraseEn,
+      back: meaningJa,
+      hint,
+    },
+    {
+      ...base,
+      card_type: 'production',
+      front: meaningJa,
+      back: phraseEn,
+      hint,
+    },
+  ];
+  if (sentence) {
+    cards.push({
+      ...base,
+      card_type: 'cloze',
+      front: makeCloze(sentence, phraseEn),
+      back: phraseEn,
+      hint: meaningJa,
+    });
+  }
+  return cards;
+}
+
+function alternativeCards(narrative, alt, index) {
+  const originalEn = String(alt?.original_en ?? '').trim();
+  const alternativeEn = String(alt?.alternative_en ?? '').trim();
+  const nuanceJa = String(alt?.nuance_ja ?? '').trim();
+  if (!originalEn || !alternativeEn) return [];
+
+  const base = {
+    source: 'alternative',
+    source_index: index,
+    context: findSentence(narrative.narrative_en, originalEn),
+  };
+
+  const cards = [
+    {
+      ...base,
+      card_type: 'production',
+      front: originalEn,
+      back: alternativeEn,
+      hint: nuanceJa,
+    },
+  ];
+  if (nuanceJa) {
+    cards.push({
+      ...base,
+      card_type: 'meaning',
+      front: alternativeEn,
+      back: nuanceJa,
+      hint: originalEn,
+    });
+  }
+  return cards;
+}
+
+/**
+ * Build the cards for one narrative
+ * @param {Object} narrative - Needs narrative_en, key_phrases, alternatives
+ * @returns {Array<{source, source_index, card_type, front, back, hint, context}>}
+ */
+export function buildCards(narrative) {
+  if (!narrative) return [];
+
+  return [
+    ...(narrative.key_phrases || []).flatMap((phrase, i) =>
+      keyPhraseCards(narrative, phrase, i)
+    ),
+    ...(narrative.alternatives || []).flatMap((alt, i) =>
+      alternativeCards(narrative, alt, i)
+    ),
+  ];
+}
+
+/**
+ * Identity of a card within its narrative (matches the table's unique key)
+ * @param {Object} card
+ * @returns {string}
+ */
+export function cardKey(card) {
+  return [
+    card.narrative_id,
+    card.source,
+    card.source_index,
+    card.card_type,
+  ].join(':');
+}
+
+/**
+ * Question shown above the card front
+ * @param {Object} card
+ * @returns {string}
+ */
+export function getCardPrompt(card) {
+  return PROMPTS[card?.source]?.[card?.card_type] || '';
+}
@@ -3,6 +3,8 @@
  * defined to avoid magic numbers and strings throughout the application
  */
 
+import { PRESET_DEFAULTS } from './presets.js';
+
 export const VIEW = {
   GENERATE: 'generate',
   REVIEW: 'review',
@@ -10,9 +12,10 @@ export const VIEW = {
 };
 
 export const SETTINGS_DEFAULTS = {
-  LENGTH: 'Normal',
-  TONE: 'Business',
-  DIFFICULTY: 'Normal',
+  LENGTH: PRESET_DEFAULTS.length,
+  TONE: PRESET_DEFAULTS.tone,
+  DIFFICULTY: PRESET_DEFAULTS.difficulty,
+  DRAFTS: '1',
   VOICE: null,
   RATE: 1.0,
 };
@@ -47,8 +50,6 @@ export const QUESTIONS = {
   omakase: ['今日、記録したいことを自由に書いてください'],
 };
 
-export const DAILY_LIMIT = 1;
-
 export const DATE_OPTIONS_EN = {
   weekday: 'long',
   year: 'numeric',
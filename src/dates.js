@@ -0,0 +1,199 @@
+/**
+ * Dates
+ * Every "day" in the app (review due dates, streaks, the calendar, the daily
+ * generation limit) is a day in the user's timezone that starts at
+ * dayStartHour, like Anki's 4am rollover: a review at 1am still counts for
+ * the day before. Both come from the profile (timezone, day_start_hour);
+ * until it is loaded, the browser's timezone and the default hour are used.
+ *
+ * Days are passed around as YYYY-MM-DD strings.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+export const DEFAULT_DAY_START_HOUR = 4;
+
+/**
+ * The browser's IANA timezone
+ * @returns {string} e.g. "Asia/Tokyo"
+ */
+export function detectTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch {
+    return 'UTC';
+  }
+}
+
+/**
+ * Whether Intl knows the timezone
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function isValidHour(hour) {
+  return Number.isInteger(hour) && hour >= 0 && hour <= 23;
+}
+
+let settings = {
+  timeZone: detectTimeZone(),
+  dayStartHour: DEFAULT_DAY_START_HOUR,
+};
+
+/**
+ * Use the date settings of a profile (invalid or missing values fall back
+ * to the browser's timezone and DEFAULT_DAY_START_HOUR)
+ * @param {Object|null} profile - Row with timezone, day_start_hour
+ * @returns {{timeZone: string, dayStartHour: number}}
+ */
+export function configureDates(profile) {
+  settings = {
+    timeZone: isValidTimeZone(profile?.timezone)
+      ? profile.timezone
+      : detectTimeZone(),
+    dayStartHour: isValidHour(profile?.day_start_hour)
+      ? profile.day_start_hour
+      : DEFAULT_DAY_START_HOUR,
+  };
+  return getDateSettings();
+}
+
+/**
+ * Settings currently in use
+ * @returns {{timeZone: string, dayStartHour: number}}
+ */
+export function getDateSettings() {
+  return { ...settings };
+}
+
+const formatters = new Map();
+
+// Wall-clock time of an instant in a timezone
+function wallClock(date, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+      })
+    );
+  }
+  const parts = {};
+  formatters
+    .get(timeZone)
+    .formatToParts(date)
+    .forEach(({ type, value }) => {
+      parts[type] = Number(value);
+    });
+  return parts;
+}
+
+function parseDay(day) {
+  const [year, month, date] = day.split('-').map(Number);
+  return Date.UTC(year, month - 1, date);
+}
+
+function formatDay(utcMs) {
+  return new Date(utcMs).toISOString().slice(0, 10);
+}
+
+/**
+ * Offset of a timezone at an instant
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {number} Minutes as returned by Date#getTimezoneOffset (UTC - local)
+ */
+export function timeZoneOffset(
+  date = new Date(),
+  timeZone = settings.timeZone
+) {
+  const wall = wallClock(date, timeZone);
+  const wallMs = Date.UTC(
+    wall.year,
+    wall.month - 1,
+    wall.day,
+    wall.hour,
+    wall.minute,
+    wall.second
+  );
+  const instantMs = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((instantMs - wallMs) / MINUTE_MS);
+}
+
+/**
+ * The user's day an instant belongs to
+ * @param {Date|string} date - Date or ISO timestamp (e.g. created_at)
+ * @param {Object} [options] - {timeZone, dayStartHour}, default: configured
+ * @returns {string} YYYY-MM-DD
+ */
+export function dayOf(date = new Date(), options = settings) {
+  const { timeZone, dayStartHour } = { ...settings, ...options };
+  const wall = wallClock(new Date(date), timeZone);
+  const calendarDay = Date.UTC(wall.year, wall.month - 1, wall.day);
+  return formatDay(
+    wall.hour < dayStartHour ? calendarDay - DAY_MS : calendarDay
+  );
+}
+
+/**
+ * The user's current day
+ * @param {Object} [options] - {timeZone, dayStartHour}
+ * @returns {string} YYYY-MM-DD
+ */
+export function today(options) {
+  return dayOf(new Date(), options);
+}
+
+/**
+ * @param {string} day - YYYY-MM-DD
+ * @param {number} days - May be negative
+ * @returns {string} YYYY-MM-DD
+ */
+export function addDays(day, days) {
+  return formatDay(parseDay(day) + days * DAY_MS);
+}
+
+/**
+ * Number of days from one day to another (negative if `to` is earlier)
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {number}
+ */
+export function daysBetween(from, to) {
+  return Math.round((parseDay(to) - parseDay(from)) / DAY_MS);
+}
+
+/**
+ * The instant a day begins (dayStartHour in the user's timezone), for
+ * querying timestamps by day
+ * @param {string} day - YYYY-MM-DD
+ * @param {Object} [options] - {timeZone, dayStartHour}
+ * @returns {Date}
+ */
+export function startOfDay(day, options = settings) {
+  const { timeZone, dayStartHour } = { ...settings, ...options };
+  const wallMs = parseDay(day) + dayStartHour * 60 * MINUTE_MS;
+  // The offset at the wall time itself, which differs from a first guess
+  // only around daylight saving changes
+  const guess = wallMs + timeZoneOffset(new Date(wallMs), timeZone) * MINUTE_MS;
+  return new Date(
+    wallMs + timeZoneOffset(new Date(guess), timeZone) * MINUTE_MS
+  );
+}
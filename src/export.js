@@ -3,6 +3,11 @@
  * Supports JSON, CSV, and Markdown formats
  */
 
+import { today } from './dates.js';
+import { DEFAULT_IMPORT_STRATEGY, IMPORT_STRATEGIES } from './importer.js';
+import { buildAnkiExport } from './anki.js';
+import { escapeHtml } from './html.js';
+
 /**
  * Download file from string content
  */
@@ -27,7 +32,7 @@ async function exportAsJSON() {
       return;
     }
 
-    const filename = `narratives_backup_${new Date().toISOString().split('T')[0]}.json`;
+    const filename = `narratives_backup_${today()}.json`;
     downloadFile(json, filename, 'application/json');
   } catch (error) {
     console.error('Export error:', error);
@@ -46,7 +51,7 @@ async function exportAsCSV() {
       return;
     }
 
-    const filename = `narratives_${new Date().toISOString().split('T')[0]}.csv`;
+    const filename = `narratives_${today()}.csv`;
     downloadFile(csv, filename, 'text/csv;charset=utf-8;');
   } catch (error) {
     console.error('Export error:', error);
@@ -54,6 +59,26 @@ async function exportAsCSV() {
   }
 }
 
+/**
+ * Export narratives and key phrases as Anki notes (tab-separated text)
+ */
+async function exportAsAnki() {
+  try {
+    const narratives = (await window.storage?.getAllNarratives()) || [];
+    if (narratives.length === 0) {
+      alert('エクスポートする日記がありません');
+      return;
+    }
+
+    const includeDue = !!document.getElementById('anki-include-due')?.checked;
+    const text = buildAnkiExport(narratives, { includeDue });
+    downloadFile(text, `kaku_anki_${today()}.txt`, 'text/plain;charset=utf-8;');
+  } catch (error) {
+    console.error('Export error:', error);
+    alert('エクスポート中にエラーが発生しました');
+  }
+}
+
 /**
  * Export narratives as Markdown for Notion
  */
@@ -105,14 +130,15 @@ async function exportAsMarkdown() {
         md += `### Review Info\n\n`;
         md += `- **Next Review:** ${n.srs.next_review_date}\n`;
         md += `- **Last Reviewed:** ${n.srs.last_reviewed ? new Date(n.srs.last_reviewed).toLocaleDateString('ja-JP') : 'Never'}\n`;
-        md += `- **Interval:** ${window.srs?.getIntervalName(n.srs.interval_index) || 'Unknown'}\n`;
+        const interval = window.srs?.getIntervalName(n.srs);
+        md += `- **Interval:** ${interval || 'Unknown'}\n`;
         md += '\n';
       }
 
       md += '---\n\n';
     });
 
-    const filename = `narratives_${new Date().toISOString().split('T')[0]}.md`;
+    const filename = `narratives_${today()}.md`;
     downloadFile(md, filename, 'text/markdown;charset=utf-8;');
   } catch (error) {
     console.error('Export error:', error);
@@ -121,40 +147,194 @@ async function exportAsMarkdown() {
 }
 
 /**
- * Import narratives from JSON file
+ * Read a file as text
  */
-function importFromJSON(file) {
+function readFile(file) {
   return new Promise((resolve, reject) => {
     const reader = new FileReader();
-
-    reader.onload = async (e) => {
-      try {
-        const jsonString = e.target.result;
-        // await inside callback wrapper
-        const imported = await window.storage?.importNarrativesJSON(jsonString);
-
-        if (imported && imported.length > 0) {
-          resolve({
-            success: true,
-            count: imported.length,
-            message: `${imported.length}件の日記（ジャーナル）をインポートしました`,
-          });
-        } else {
-          reject(new Error('インポートできるナラティブが見つかりません'));
-        }
-      } catch (error) {
-        reject(error);
-      }
-    };
-
+    reader.onload = (e) => resolve(e.target.result);
     reader.onerror = () => {
       reject(new Error('ファイルの読み込みに失敗しました'));
     };
-
     reader.readAsText(file);
   });
 }
 
+// Backup read but not imported yet: {name, json, strategy}
+let pendingImport = null;
+
+const ACTION_LABELS = {
+  insert: { label: '追加', color: 'var(--text-primary)' },
+  restore: { label: 'ゴミ箱から復元', color: 'var(--accent-color)' },
+  overwrite: { label: '上書き', color: 'var(--accent-color)' },
+  skip: { label: 'スキップ', color: 'var(--text-tertiary)' },
+  invalid: { label: 'エラー', color: '#f59e0b' },
+};
+
+function describeImportItem(item) {
+  if (item.action === 'invalid') return item.errors.join(', ');
+  if (!item.duplicateOf) return '';
+  const match = item.matchedBy === 'id' ? 'ID が一致' : '英文と作成日時が一致';
+  return item.inTrash ? `ゴミ箱の日記（${match}）` : `同じ日記（${match}）`;
+}
+
+/**
+ * Render the dry-run report of the pending import
+ */
+async function renderImportReport() {
+  const container = document.getElementById('result-container');
+  if (!container || !pendingImport) return;
+
+  const report = await window.storage?.importNarrativesJSON(
+    pendingImport.json,
+    { strategy: pendingImport.strategy, dryRun: true }
+  );
+  const { counts } = report;
+
+  const strategies = Object.values(IMPORT_STRATEGIES)
+    .map(
+      (s) => `
+        <label style="display: block; margin-bottom: 0.5rem; cursor: pointer;">
+          <input type="radio" name="import-strategy" value="${s.id}"
+            ${s.id === report.strategy ? 'checked' : ''}
+            onchange="window.changeImportStrategy('${s.id}')">
+          <strong>${s.label}</strong>
+          <span style="font-size: 0.85rem; color: var(--text-secondary);">${s.description}</span>
+        </label>`
+    )
+    .join('');
+
+  const rows = report.items
+    .map((item) => {
+      const action = ACTION_LABELS[item.action];
+      const n = item.narrative || {};
+      const text = typeof n.narrative_en === 'string' ? n.narrative_en : '';
+      return `
+        <tr>
+          <td style="color: var(--text-tertiary);">${item.index + 1}</td>
+          <td style="white-space: nowrap;">${escapeHtml(String(n.created_at || '').slice(0, 10))}</td>
+          <td>${escapeHtml(text.slice(0, 60))}${text.length > 60 ? '…' : ''}</td>
+          <td style="white-space: nowrap; color: ${action.color}; font-weight: 600;">${action.label}</td>
+          <td style="font-size: 0.85rem; color: var(--text-secondary);">${escapeHtml(describeImportItem(item))}</td>
+        </tr>`;
+    })
+    .join('');
+
+  const changes = counts.insert + counts.restore + counts.overwrite;
+
+  // Everything besides the narratives (format_version 2 backups)
+  const extras = [];
+  if (report.backup.review_logs > 0 || report.backup.cards > 0) {
+    extras.push(
+      `復習履歴 ${report.backup.review_logs}件・フレーズカード ${report.backup.cards}件（新しく追加する日記の分を復元）`
+    );
+  }
+  if (report.backup.stats) {
+    extras.push('復習履歴の導入前の累計（まだ累計がない場合のみ）');
+  }
+  const settings = report.backup.settings
+    ? `
+      <label style="display: block; margin-top: 0.5rem; cursor: pointer;">
+        <input type="checkbox" ${pendingImport.restoreSettings ? 'checked' : ''}
+          onchange="window.toggleImportSettings(this.checked)">
+        学習設定（復習方式・編集時のリセット・タイムゾーン・日付の切り替え時刻）も復元する
+      </label>`
+    : '';
+
+  container.innerHTML = `
+    <h2>📥 インポートの確認</h2>
+    <p style="color: var(--text-secondary);">${escapeHtml(pendingImport.name)}（形式 v${report.formatVersion}・${report.items.length}件）。まだ保存されていません。</p>
+
+    <div style="display: flex; gap: 1.5rem; flex-wrap: wrap; background: #0f172a; padding: 1rem 1.5rem; border-radius: 1rem; margin-bottom: 1.5rem;">
+      ${Object.entries(ACTION_LABELS)
+        .map(
+          ([key, { label, color }]) => `
+        <div>
+          <div style="font-size: 0.85rem; color: var(--text-secondary);">${label}</div>
+          <div style="font-size: 1.5rem; color: ${color};">${counts[key]}</div>
+        </div>`
+        )
+        .join('')}
+    </div>
+
+    ${
+      extras.length > 0 || settings
+        ? `<div style="margin-bottom: 1.5rem; color: var(--text-secondary); font-size: 0.9rem;">
+            ${extras.map((text) => `<div>・${text}</div>`).join('')}
+            ${settings}
+          </div>`
+        : ''
+    }
+
+    <h3>同じ日記がすでにある場合</h3>
+    <div style="margin-bottom: 1.5rem;">${strategies}</div>
+
+    <div style="max-height: 24rem; overflow: auto; margin-bottom: 1.5rem;">
+      <table style="width: 100%; border-collapse: collapse; font-size: 0.9rem;">
+        <tbody>${rows}</tbody>
+      </table>
+    </div>
+
+    <div style="display: flex; gap: 1rem;">
+      <button onclick="window.confirmImport()" ${changes === 0 ? 'disabled' : ''}>
+        ${changes}件をインポート
+      </button>
+      <button class="secondary" onclick="window.cancelImport()">キャンセル</button>
+    </div>
+  `;
+}
+
+/**
+ * Read a backup and show what importing it would change
+ */
+async function previewImport(file) {
+  const json = await readFile(file);
+  pendingImport = {
+    name: file.name,
+    json,
+    strategy: DEFAULT_IMPORT_STRATEGY,
+    restoreSettings: true,
+  };
+  await renderImportReport();
+}
+
+/**
+ * Import the pending backup with the chosen strategy
+ */
+async function confirmImport() {
+  if (!pendingImport) return;
+
+  const report = await window.storage?.importNarrativesJSON(
+    pendingImport.json,
+    {
+      strategy: pendingImport.strategy,
+      restoreSettings: pendingImport.restoreSettings,
+    }
+  );
+  pendingImport = null;
+
+  const lines = [
+    `${report.imported.length}件を追加、${report.overwritten.length}件を上書きしました`,
+  ];
+  if (report.untrashed.length > 0) {
+    lines.push(`${report.untrashed.length}件をゴミ箱から復元しました`);
+  }
+  if (report.restored.review_logs > 0) {
+    lines.push(`復習履歴 ${report.restored.review_logs}件を復元しました`);
+  }
+  if (report.restored.settings) lines.push('学習設定を復元しました');
+  if (report.counts.skip > 0) {
+    lines.push(`${report.counts.skip}件はすでにあるためスキップしました`);
+  }
+  const failedNarratives = report.failed.filter((f) => f.index != null);
+  const errors = report.counts.invalid + failedNarratives.length;
+  if (errors > 0) lines.push(`${errors}件は取り込めませんでした`);
+  if (failedNarratives.length < report.failed.length) {
+    lines.push('復習履歴・設定の一部は復元できませんでした');
+  }
+  return lines.join('\n');
+}
+
 /**
  * Render export options UI
  */
@@ -182,7 +362,7 @@ async function renderExportUI() {
       <button class="secondary" onclick="window.exportAsJSON()" style="padding: 1.5rem; text-align: left; border-radius: 0.75rem;">
         <div style="font-weight: 600; margin-bottom: 0.5rem;">📋 JSON</div>
         <div style="font-size: 0.85rem; color: var(--text-secondary);">
-          バックアップと復元用。すべての情報を含みます
+          バックアップと復元用。日記・フレーズカード・復習履歴・学習設定を含みます
         </div>
       </button>
 
@@ -199,6 +379,18 @@ async function renderExportUI() {
           Notion 用。フォーマット済みのドキュメント
         </div>
       </button>
+
+      <div>
+        <button class="secondary" onclick="window.exportAsAnki()" style="width: 100%; padding: 1.5rem; text-align: left; border-radius: 0.75rem;">
+          <div style="font-weight: 600; margin-bottom: 0.5rem;">🗂 Anki</div>
+          <div style="font-size: 0.85rem; color: var(--text-secondary);">
+            Anki の「読み込む」用テキスト。日記（日本語の記憶 → 英文）とキーフレーズ（穴埋め）のノート。キーフレーズ用に Cloze を複製したノートタイプ「kaku Phrase」（フィールド: Text / Phrase / Meaning / Hint）を先に作成してください
+          </div>
+        </button>
+        <label style="display: block; margin-top: 0.5rem; font-size: 0.85rem; color: var(--text-secondary); cursor: pointer;">
+          <input type="checkbox" id="anki-include-due"> 復習予定日をタグに含める（Anki の復習予定には反映されません）
+        </label>
+      </div>
     </div>
 
     <h3>バックアップからインポート</h3>
@@ -225,33 +417,44 @@ async function renderExportUI() {
 window.exportAsJSON = exportAsJSON;
 window.exportAsCSV = exportAsCSV;
 window.exportAsMarkdown = exportAsMarkdown;
+window.exportAsAnki = exportAsAnki;
 window.renderExportUI = renderExportUI;
 
-window.handleImportFile = async function (event) {
-  const file = event.target.files[0];
+async function startImport(file) {
   if (!file) return;
 
-  window.showLoading('Importing...');
+  window.showLoading('Reading...');
   try {
-    const result = await importFromJSON(file);
-    alert(result.message);
-    window.goToHistory();
+    await previewImport(file);
   } catch (error) {
+    pendingImport = null;
     alert('インポート失敗: ' + error.message);
   } finally {
     window.hideLoading();
   }
-};
+}
+
+window.handleImportFile = (event) => startImport(event.target.files[0]);
 
-window.handleImportDrop = async function (event) {
+window.handleImportDrop = (event) => {
   event.preventDefault();
-  const file = event.dataTransfer.files[0];
-  if (!file) return;
+  return startImport(event.dataTransfer.files[0]);
+};
+
+window.changeImportStrategy = async (strategy) => {
+  if (!pendingImport) return;
+  pendingImport.strategy = strategy;
+  await renderImportReport();
+};
 
+window.toggleImportSettings = (checked) => {
+  if (pendingImport) pendingImport.restoreSettings = checked;
+};
+
+window.confirmImport = async () => {
   window.showLoading('Importing...');
   try {
-    const result = await importFromJSON(file);
-    alert(result.message);
+    alert(await confirmImport());
     window.goToHistory();
   } catch (error) {
     alert('インポート失敗: ' + error.message);
@@ -259,3 +462,8 @@ window.handleImportDrop = async function (event) {
     window.hideLoading();
   }
 };
+
+window.cancelImport = () => {
+  pendingImport = null;
+  return renderExportUI();
+};
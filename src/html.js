@@ -0,0 +1,19 @@
+/**
+ * HTML helpers
+ * Views are built as template strings, so every value that is not our own
+ * markup (user input, model output, imported files) goes through escapeHtml.
+ */
+
+/**
+ * Escape text for use in HTML content and quoted attribute values
+ * @param {*} text - null and undefined become ''
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
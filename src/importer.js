@@ -0,0 +1,236 @@
+/**
+ * Narrative Import
+ * Plans the import of a JSON backup (storage.importNarrativesJSON). Each row
+ * is validated on its own, so one bad row only skips that row, and rows that
+ * are already in the journal are found by their original id or by content
+ * (a hash of narrative_en plus created_at). The plan doubles as the dry-run
+ * report shown before anything is written.
+ *
+ * Rows that match a narrative in the trash take it out of the trash (it keeps
+ * its id, so inserting it again would fail); keep_both imports them as a new
+ * narrative instead.
+ *
+ * Strategies for duplicates:
+ * - skip: keep the stored narrative
+ * - overwrite: replace the stored narrative's content and SRS state (stored
+ *   as a revision, so the previous version can be restored)
+ * - keep_both: import it as a new narrative
+ */
+
+export const IMPORT_STRATEGIES = {
+  skip: {
+    id: 'skip',
+    label: 'スキップ',
+    description: '同じ日記がすでにあれば取り込みません。',
+  },
+  overwrite: {
+    id: 'overwrite',
+    label: '上書き',
+    description:
+      '同じ日記を取り込んだ内容で置き換えます（変更履歴から戻せます）。',
+  },
+  keep_both: {
+    id: 'keep_both',
+    label: '両方残す',
+    description: '同じ日記があっても、別の日記として追加します。',
+  },
+};
+
+export const DEFAULT_IMPORT_STRATEGY = 'skip';
+
+// Plan actions: insert a new row, restore a trashed one, overwrite a stored
+// one, skip, or invalid
+export const IMPORT_ACTIONS = [
+  'insert',
+  'restore',
+  'overwrite',
+  'skip',
+  'invalid',
+];
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const isObject = (value) =>
+  !!value && typeof value === 'object' && !Array.isArray(value);
+
+function checkList(row, field, required, errors) {
+  if (row[field] == null) return;
+  if (!Array.isArray(row[field])) {
+    errors.push(`${field}: must be an array`);
+    return;
+  }
+  row[field].forEach((item, i) => {
+    if (!isObject(item)) {
+      errors.push(`${field}[${i}]: must be an object`);
+    } else if (typeof item[required] !== 'string' || !item[required].trim()) {
+      errors.push(`${field}[${i}].${required}: missing`);
+    }
+  });
+}
+
+/**
+ * Problems with one imported row (empty when it can be imported)
+ * Optional sections may be missing, as in older backups, but must have the
+ * right shape when present.
+ * @param {*} row - One element of the backup
+ * @returns {string[]}
+ */
+export function validateImportRow(row) {
+  if (!isObject(row)) return ['must be an object'];
+
+  const errors = [];
+  if (typeof row.narrative_en !== 'string' || !row.narrative_en.trim()) {
+    errors.push('narrative_en: missing');
+  }
+  if (row.id != null && !UUID_PATTERN.test(String(row.id))) {
+    errors.push('id: not a UUID');
+  }
+  if (row.created_at != null && Number.isNaN(Date.parse(row.created_at))) {
+    errors.push('created_at: not a date');
+  }
+  checkList(row, 'key_phrases', 'phrase_en', errors);
+  checkList(row, 'alternatives', 'alternative_en', errors);
+  if (row.recall_test != null && !isObject(row.recall_test)) {
+    errors.push('recall_test: must be an object');
+  }
+  if (row.pronunciation != null && !isObject(row.pronunciation)) {
+    errors.push('pronunciation: must be an object');
+  }
+  if (row.category != null && typeof row.category !== 'string') {
+    errors.push('category: must be a string');
+  }
+  if (row.user_answers != null && !Array.isArray(row.user_answers)) {
+    errors.push('user_answers: must be an array');
+  }
+  ['settings', 'srs'].forEach((field) => {
+    if (row[field] != null && !isObject(row[field])) {
+      errors.push(`${field}: must be an object`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * Hash of a text, ignoring spacing differences
+ * (32-bit FNV-1a, enough to tell entries of one journal apart)
+ * @param {string} text
+ * @returns {string} 8 hex digits
+ */
+export function textHash(text) {
+  text = String(text ?? '')
+    .trim()
+    .replace(/\s+/g, ' ');
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+}
+
+/**
+ * Hash of a narrative's English text (see textHash)
+ * @param {Object} narrative
+ * @returns {string} 8 hex digits
+ */
+export function contentHash(narrative) {
+  return textHash(narrative?.narrative_en);
+}
+
+function contentKey(narrative) {
+  const time = Date.parse(narrative?.created_at);
+  if (Number.isNaN(time)) return null;
+  return `${contentHash(narrative)}|${new Date(time).toISOString()}`;
+}
+
+function indexNarratives(narratives) {
+  const byId = new Map();
+  const byContent = new Map();
+  const add = (narrative) => {
+    if (narrative.id) byId.set(narrative.id, narrative);
+    const key = contentKey(narrative);
+    if (key && !byContent.has(key)) byContent.set(key, narrative);
+  };
+  narratives.forEach(add);
+  return { byId, byContent, add };
+}
+
+/**
+ * Plan an import: what happens to each row under a strategy
+ * Rows repeated within the file are duplicates of their first occurrence.
+ * @param {Array} rows - Parsed backup
+ * @param {Array} existing - Stored narratives (storage.getAllNarratives)
+ * @param {string} strategy - Key of IMPORT_STRATEGIES
+ * @param {Array} trashed - Narratives in the trash (storage.getTrashedNarratives)
+ * @returns {{strategy: string, items: Array<Object>, counts: Object}}
+ *   items: {index, action, narrative, duplicateOf, matchedBy: 'id' | 'content' | null,
+ *   inTrash, errors}; with overwrite, a restored narrative is then overwritten
+ */
+export function planImport(
+  rows,
+  existing = [],
+  strategy = DEFAULT_IMPORT_STRATEGY,
+  trashed = []
+) {
+  if (!IMPORT_STRATEGIES[strategy]) {
+    throw new Error(`Unknown import strategy: ${strategy}`);
+  }
+
+  const stored = indexNarratives(existing);
+  const trash = indexNarratives(trashed);
+  const planned = indexNarratives([]);
+  const counts = Object.fromEntries(
+    IMPORT_ACTIONS.map((action) => [action, 0])
+  );
+
+  const items = rows.map((narrative, index) => {
+    const item = {
+      index,
+      action: 'insert',
+      narrative,
+      duplicateOf: null,
+      matchedBy: null,
+      inTrash: false,
+      errors: validateImportRow(narrative),
+    };
+
+    if (item.errors.length > 0) {
+      item.action = 'invalid';
+    } else {
+      const key = contentKey(narrative);
+      // Earlier rows of the file first, so a stored narrative is only
+      // overwritten once
+      for (const lookup of [planned, stored, trash]) {
+        const match =
+          (narrative.id && lookup.byId.get(narrative.id)) ||
+          (key && lookup.byContent.get(key));
+        if (match) {
+          item.duplicateOf = match;
+          item.matchedBy =
+            narrative.id && match.id === narrative.id ? 'id' : 'content';
+          item.inTrash = lookup === trash;
+          break;
+        }
+      }
+
+      if (item.duplicateOf && strategy !== 'keep_both') {
+        if (item.inTrash) {
+          item.action = 'restore';
+        } else {
+          // Only stored narratives can be overwritten
+          const isStored =
+            stored.byId.get(item.duplicateOf.id) === item.duplicateOf;
+          item.action =
+            strategy === 'overwrite' && isStored ? 'overwrite' : 'skip';
+        }
+      }
+      if (item.action !== 'skip') planned.add(narrative);
+    }
+
+    counts[item.action] += 1;
+    return item;
+  });
+
+  return { strategy, items, counts };
+}
@@ -0,0 +1,143 @@
+/**
+ * Local Database
+ * IndexedDB cache behind window.storage, one database per user. Holds the
+ * Supabase rows the app reads (narratives, cards, review logs), a few single
+ * values (meta) and the outbox of writes waiting to be sent (see sync.js).
+ *
+ * Falls back to an in-memory store when IndexedDB is unavailable (some
+ * private browsing modes, tests); the app then works online as before and
+ * offline only until the page is closed.
+ */
+
+const DB_VERSION = 1;
+
+// Object stores and their key paths (outbox keys are generated)
+export const STORES = {
+  narratives: 'id',
+  cards: 'id',
+  review_logs: 'id',
+  meta: 'key',
+  outbox: 'seq',
+};
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openIndexedDB(name) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      Object.entries(STORES).forEach(([store, keyPath]) => {
+        if (db.objectStoreNames.contains(store)) return;
+        db.createObjectStore(store, {
+          keyPath,
+          autoIncrement: store === 'outbox',
+        });
+      });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function indexedDBStore(db) {
+  // Runs fn on the store inside one transaction; resolves once it commits
+  const run = (store, mode, fn) =>
+    new Promise((resolve, reject) => {
+      const tx = db.transaction(store, mode);
+      let result;
+      Promise.resolve(fn(tx.objectStore(store)))
+        .then((value) => {
+          result = value;
+        })
+        .catch(reject);
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+
+  return {
+    getAll: (store) => run(store, 'readonly', (os) => promisify(os.getAll())),
+    get: (store, key) =>
+      run(store, 'readonly', (os) => promisify(os.get(key))).then(
+        (value) => value ?? null
+      ),
+    count: (store) => run(store, 'readonly', (os) => promisify(os.count())),
+    put: (store, values) =>
+      run(store, 'readwrite', (os) => {
+        values.forEach((value) => os.put(value));
+      }),
+    add: (store, value) =>
+      run(store, 'readwrite', (os) => promisify(os.add(value))),
+    delete: (store, keys) =>
+      run(store, 'readwrite', (os) => {
+        keys.forEach((key) => os.delete(key));
+      }),
+    replaceAll: (store, values) =>
+      run(store, 'readwrite', (os) => {
+        os.clear();
+        values.forEach((value) => os.put(value));
+      }),
+    clear: (store) => run(store, 'readwrite', (os) => promisify(os.clear())),
+  };
+}
+
+function memoryStore() {
+  const data = Object.fromEntries(
+    Object.keys(STORES).map((store) => [store, new Map()])
+  );
+  let nextSeq = 1;
+  const copy = (value) => structuredClone(value);
+  const keyOf = (store, value) => value[STORES[store]];
+
+  return {
+    getAll: async (store) => [...data[store].values()].map(copy),
+    get: async (store, key) =>
+      data[store].has(key) ? copy(data[store].get(key)) : null,
+    count: async (store) => data[store].size,
+    put: async (store, values) => {
+      values.forEach((value) =>
+        data[store].set(keyOf(store, value), copy(value))
+      );
+    },
+    add: async (store, value) => {
+      const seq = nextSeq++;
+      data[store].set(seq, copy({ ...value, seq }));
+      return seq;
+    },
+    delete: async (store, keys) => {
+      keys.forEach((key) => data[store].delete(key));
+    },
+    replaceAll: async (store, values) => {
+      data[store].clear();
+      values.forEach((value) =>
+        data[store].set(keyOf(store, value), copy(value))
+      );
+    },
+    clear: async (store) => {
+      data[store].clear();
+    },
+  };
+}
+
+/**
+ * Open (or create) a local database
+ * Every method is async; put / delete / replaceAll take arrays.
+ * @param {string} name - Database name, e.g. kaku-<user id>
+ * @returns {Promise<{getAll, get, count, put, add, delete, replaceAll, clear}>}
+ */
+export async function openLocalDB(name) {
+  if (typeof indexedDB === 'undefined') return memoryStore();
+
+  try {
+    return indexedDBStore(await openIndexedDB(name));
+  } catch (error) {
+    console.warn('IndexedDB unavailable, caching in memory:', error);
+    return memoryStore();
+  }
+}
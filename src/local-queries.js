@@ -0,0 +1,148 @@
+/**
+ * Local Queries
+ * The narrative queries of migration add_narrative_queries and the search of
+ * add_narrative_search, run on cached rows for when storage reads from the
+ * local cache (offline, or writes still queued). Inputs are app objects
+ * (srs, not srs_data).
+ */
+
+import { isReviewable } from './schedulers.js';
+
+const byDueDate = (a, b) =>
+  a.srs.next_review_date.localeCompare(b.srs.next_review_date) ||
+  (a.created_at || '').localeCompare(b.created_at || '');
+
+// Newest first, ties by id (the keyset order of en_journal_narratives_filter)
+export const newestFirst = (a, b) =>
+  (b.created_at || '').localeCompare(a.created_at || '') ||
+  String(b.id).localeCompare(String(a.id));
+
+function isDue(item, today) {
+  return isReviewable(item.srs) && item.srs.next_review_date <= today;
+}
+
+/**
+ * Reviewable items due on or before today, soonest first
+ * @param {Array} items - Narratives or cards
+ * @param {string} today - YYYY-MM-DD
+ * @returns {Array}
+ */
+export function filterDue(items, today) {
+  return items.filter((item) => isDue(item, today)).sort(byDueDate);
+}
+
+/**
+ * Reviewable items due after `after`, up to and including `until`
+ * @param {Array} items
+ * @param {string} after - YYYY-MM-DD
+ * @param {string} until - YYYY-MM-DD
+ * @returns {Array}
+ */
+export function filterUpcoming(items, after, until) {
+  return items
+    .filter(
+      (item) =>
+        isReviewable(item.srs) &&
+        item.srs.next_review_date > after &&
+        item.srs.next_review_date <= until
+    )
+    .sort(byDueDate);
+}
+
+// Same fields as search_text (see en_journal_search_text)
+function searchableText(narrative) {
+  const pick = (list, field) => (list || []).map((item) => item?.[field]);
+  return [
+    narrative.narrative_en,
+    narrative.category,
+    ...(narrative.user_answers || []),
+    narrative.recall_test?.prompt_ja,
+    ...pick(narrative.key_phrases, 'phrase_en'),
+    ...pick(narrative.key_phrases, 'meaning_ja'),
+    ...pick(narrative.key_phrases, 'usage_hint_ja'),
+    ...pick(narrative.alternatives, 'original_en'),
+    ...pick(narrative.alternatives, 'alternative_en'),
+    ...pick(narrative.alternatives, 'nuance_ja'),
+  ]
+    .filter((value) => typeof value === 'string')
+    .join(' ')
+    .toLowerCase();
+}
+
+/**
+ * Filter narratives like en_journal_narratives_filter / _search_narratives
+ * The query is a plain substring match (no stemming or ranking offline).
+ * @param {Array} narratives
+ * @param {Object} filters - {searchQuery, category, status, from, to}
+ * @returns {Array} Newest first
+ */
+export function filterNarrativeList(narratives, filters = {}) {
+  const query = (filters.searchQuery || '').trim().toLowerCase();
+  const from = filters.from ? new Date(filters.from).toISOString() : null;
+  const to = filters.to ? new Date(filters.to).toISOString() : null;
+  const created = (n) => new Date(n.created_at).toISOString();
+
+  return narratives
+    .filter(
+      (n) =>
+        (!query || searchableText(n).includes(query)) &&
+        (!filters.category ||
+          filters.category === 'all' ||
+          n.category === filters.category) &&
+        (!filters.status ||
+          filters.status === 'all' ||
+          n.srs?.status === filters.status) &&
+        (!from || created(n) >= from) &&
+        (!to || created(n) < to)
+    )
+    .sort(newestFirst);
+}
+
+/**
+ * One keyset page of a newest-first list
+ * @param {Array} narratives - Sorted with newestFirst
+ * @param {Object} cursor - {created_at, id} of the previous page's last row
+ * @param {number} limit
+ * @returns {Array}
+ */
+export function pageAfter(narratives, cursor, limit) {
+  const start = cursor
+    ? narratives.findIndex((n) => newestFirst(cursor, n) < 0)
+    : 0;
+  return start === -1 ? [] : narratives.slice(start, start + limit);
+}
+
+/**
+ * Review logs in a period, oldest first
+ * @param {Array} logs
+ * @param {Object} filters - {since, until (until exclusive), narrativeId}
+ * @returns {Array}
+ */
+export function filterReviewLogs(logs, filters = {}) {
+  const at = (log) => new Date(log.reviewed_at).getTime();
+  return logs
+    .filter(
+      (log) =>
+        (!filters.since || at(log) >= new Date(filters.since).getTime()) &&
+        (!filters.until || at(log) < new Date(filters.until).getTime()) &&
+        (!filters.narrativeId || log.narrative_id === filters.narrativeId)
+    )
+    .sort((a, b) => at(a) - at(b));
+}
+
+/**
+ * Counts like en_journal_storage_stats (size is the JSON length)
+ * @param {Array} narratives
+ * @returns {Object}
+ */
+export function summarizeNarratives(narratives) {
+  const count = (status) =>
+    narratives.filter((n) => n.srs?.status === status).length;
+  return {
+    total_narratives: narratives.length,
+    total_storage_bytes: JSON.stringify(narratives).length,
+    new_count: count('new'),
+    learning_count: count('learning'),
+    mastered_count: count('mastered'),
+  };
+}
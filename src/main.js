@@ -4,9 +4,17 @@ import {
   CATEGORIES,
   CATEGORY_LABELS,
   QUESTIONS,
-  DAILY_LIMIT,
   DATE_OPTIONS_EN,
 } from './constants.js';
+import {
+  LENGTH_PRESETS,
+  DIFFICULTY_PRESETS,
+  TONE_PRESETS,
+  DRAFT_COUNT_PRESETS,
+  DRAFT_STYLES,
+} from './presets.js';
+import { today } from './dates.js';
+import { escapeHtml } from './html.js';
 
 // Global State
 window.state = {
@@ -17,10 +25,12 @@ window.state = {
     length: SETTINGS_DEFAULTS.LENGTH,
     tone: SETTINGS_DEFAULTS.TONE,
     difficulty: SETTINGS_DEFAULTS.DIFFICULTY,
+    drafts: SETTINGS_DEFAULTS.DRAFTS,
     voice: SETTINGS_DEFAULTS.VOICE,
     rate: SETTINGS_DEFAULTS.RATE,
   },
   narrative: null,
+  drafts: null, // { items: [{ style, narrative_en }], generation_meta }
   voices: [],
   currentView: VIEW.GENERATE,
 };
@@ -38,6 +48,9 @@ const SUBTITLES = [
   'Every day is Day One.',
 ];
 
+const OFFLINE_GENERATION_MESSAGE =
+  'オフラインのため生成できません。接続が戻ってからお試しください。';
+
 function setRandomSubtitle() {
   const subtitleEl = document.getElementById('daily-subtitle');
   if (subtitleEl) {
@@ -51,9 +64,15 @@ function setRandomSubtitle() {
  */
 async function init() {
   setRandomSubtitle();
+  registerServiceWorker();
   await window.auth.initAuth();
 
   window.addEventListener('authStateChanged', handleAuthStateChange);
+  window.addEventListener('online', () => {
+    if (window.auth.isAuthenticated()) syncOfflineChanges();
+    refreshWizardForConnection();
+  });
+  window.addEventListener('offline', refreshWizardForConnection);
 
   if (window.auth.isAuthenticated()) {
     showApp();
@@ -62,6 +81,27 @@ async function init() {
   }
 }
 
+/**
+ * Register the service worker that caches the app shell
+ * Only production builds have a /sw.js (see scripts/vite-plugin-service-worker.js).
+ */
+function registerServiceWorker() {
+  if (!import.meta.env?.PROD || !('serviceWorker' in navigator)) return;
+
+  navigator.serviceWorker.register('/sw.js').catch((error) => {
+    console.warn('Service worker registration failed:', error);
+  });
+}
+
+/**
+ * Re-render the wizard's first step when the connection changes
+ * so the offline notice appears or goes away.
+ */
+function refreshWizardForConnection() {
+  if (!window.appInitialized || state.currentView !== VIEW.GENERATE) return;
+  if (state.step === 0) renderStep();
+}
+
 /**
  * Handle authentication state changes
  * @param {CustomEvent} event
@@ -90,6 +130,16 @@ function showApp() {
   if (window.refreshCurrentView) {
     window.refreshCurrentView();
   }
+
+  syncOfflineChanges();
+}
+
+/**
+ * Send reviews queued while offline and refresh the local cache
+ */
+async function syncOfflineChanges() {
+  const status = await window.storage?.syncNow();
+  if (status?.pending === 0) updateDueBadge();
 }
 
 /**
@@ -114,19 +164,24 @@ function initializeApp() {
 }
 
 /**
- * Get the number of narratives created today
- * @returns {Promise<number>}
+ * Fetch the server-side generation quota for the current user
+ * The server enforces the limit; this only decides what the wizard shows.
+ * @returns {Promise<Object|null>} Quota status, or null if unavailable
  */
-async function getTodayCount() {
-  const narratives = (await window.storage?.getAllNarratives()) || [];
-  const now = new Date();
-  // YYYY-MM-DD format for local time comparison
-  const y = now.getFullYear();
-  const m = String(now.getMonth() + 1).padStart(2, '0');
-  const d = String(now.getDate()).padStart(2, '0');
-  const prefix = `${y}-${m}-${d}`;
+async function fetchGenerationQuota() {
+  const session = window.auth?.getCurrentSession();
+  if (!session) return null;
 
-  return narratives.filter((n) => n.created_at.startsWith(prefix)).length;
+  try {
+    const response = await fetch('/api/generate', {
+      headers: { Authorization: `Bearer ${session.access_token}` },
+    });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return await response.json();
+  } catch (error) {
+    console.warn('Failed to load generation quota:', error);
+    return null;
+  }
 }
 
 /**
@@ -148,11 +203,18 @@ async function renderStep() {
 
   container.innerHTML = '';
 
-  // Step 0: Daily Limit Check
+  // Step 0: Connection and Generation Quota Check
   if (state.step === 0) {
-    const count = await getTodayCount();
-    if (count >= DAILY_LIMIT) {
-      renderDailyLimitReached(container);
+    if (!navigator.onLine) {
+      renderGenerationOffline(container);
+      prevBtn.style.display = 'none';
+      nextBtn.style.display = 'none';
+      return;
+    }
+
+    const quota = await fetchGenerationQuota();
+    if (quota && !quota.allowed) {
+      renderDailyLimitReached(container, quota);
       prevBtn.style.display = 'none';
       nextBtn.style.display = 'none';
       return;
@@ -203,23 +265,64 @@ function applyAnimation(container) {
 }
 
 /**
- * Render the daily limit reached message
+ * Format a quota reset time for display
+ * @param {string} isoString
+ * @returns {string}
+ */
+function formatResetTime(isoString) {
+  return new Date(isoString).toLocaleString('ja-JP', {
+    month: 'numeric',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+}
+
+/**
+ * Render the generation limit reached message
  * @param {HTMLElement} container
+ * @param {Object} quota - Quota status from /api/generate
  */
-function renderDailyLimitReached(container) {
+function renderDailyLimitReached(container, quota) {
+  const dailyBlocked = quota.daily && quota.daily.remaining === 0;
+  const resetAt = quota.reset_at ? formatResetTime(quota.reset_at) : null;
+  const message = dailyBlocked
+    ? `日記は1日${quota.daily.limit}回までです。<br>また明日、新しい思い出を記録しましょう。`
+    : `短時間での生成回数の上限（${quota.window.hours}時間に${quota.window.limit}回）に達しました。`;
+
   applyAnimation(container);
   container.innerHTML = `
         <div style="text-align: center; padding: 2rem;">
             <div style="font-size: 3rem; margin-bottom: 1rem;">🎉</div>
-            <h2>今日の記録は完了しました</h2>
+            <h2>${dailyBlocked ? '今日の記録は完了しました' : '少し休憩しましょう'}</h2>
             <p style="color: var(--text-secondary); margin-bottom: 2rem;">
-                日記は1日1回までです。<br>また明日、新しい思い出を記録しましょう。
+                ${message}
+                ${resetAt ? `<br><small>次に記録できるのは ${resetAt} 以降です。</small>` : ''}
             </p>
             <button class="secondary" onclick="window.switchView('${VIEW.REVIEW}')">日記を振り返る</button>
         </div>
     `;
 }
 
+/**
+ * Render the notice shown instead of the wizard while offline
+ * @param {HTMLElement} container
+ */
+function renderGenerationOffline(container) {
+  applyAnimation(container);
+  container.innerHTML = `
+        <div style="text-align: center; padding: 2rem;">
+            <div style="font-size: 3rem; margin-bottom: 1rem;">📡</div>
+            <h2>オフラインです</h2>
+            <p style="color: var(--text-secondary); margin-bottom: 2rem;">
+                日記の生成にはインターネット接続が必要です。<br>
+                復習と履歴はオフラインでも使えます（記録は接続が戻ると同期されます）。
+            </p>
+            <button class="secondary" onclick="window.switchView('${VIEW.REVIEW}')">復習する</button>
+        </div>
+    `;
+}
+
 /**
  * Render Category Selection (Step 0)
  * @param {HTMLElement} container
@@ -305,17 +408,10 @@ function renderQuestionForm(container) {
  */
 function renderOutputSettings(container) {
   container.innerHTML = '<h2>出力設定</h2>';
-  renderSettingOption(container, '長さ', 'length', ['Short', 'Normal', 'Long']);
-  renderSettingOption(container, '難易度', 'difficulty', [
-    'Easy',
-    'Normal',
-    'Hard',
-  ]);
-  renderSettingOption(container, 'トーン', 'tone', [
-    'Casual',
-    'Business',
-    'Academic',
-  ]);
+  renderSettingOption(container, '長さ', 'length', LENGTH_PRESETS);
+  renderSettingOption(container, '難易度', 'difficulty', DIFFICULTY_PRESETS);
+  renderSettingOption(container, 'トーン', 'tone', TONE_PRESETS);
+  renderSettingOption(container, '下書き', 'drafts', DRAFT_COUNT_PRESETS);
 }
 
 /**
@@ -323,19 +419,21 @@ function renderOutputSettings(container) {
  * @param {HTMLElement} container
  * @param {string} labelText
  * @param {string} settingKey
- * @param {string[]} options
+ * @param {Array<Object>} presets - Presets from presets.js
  */
-function renderSettingOption(container, labelText, settingKey, options) {
+function renderSettingOption(container, labelText, settingKey, presets) {
   const group = document.createElement('div');
   group.style.marginBottom = '1.5rem';
 
-  const optionsHtml = options
+  const optionsHtml = presets
     .map(
-      (opt) => `
-        <div class="option-item ${state.settings[settingKey] === opt ? 'selected' : ''}" 
-             onclick="selectSetting(this, '${settingKey}', '${opt}')"
+      (preset) => `
+        <div class="option-item ${state.settings[settingKey] === preset.id ? 'selected' : ''}" 
+             onclick="selectSetting(this, '${settingKey}', '${preset.id}')"
+             title="${preset.description}"
              style="text-align:center; padding: 0.75rem;">
-            ${opt}
+            ${preset.label}
+            <small style="display:block; color: var(--text-secondary); font-size: 0.7rem;">${preset.description}</small>
         </div>
     `
     )
@@ -408,11 +506,35 @@ window.hideLoading = () => {
   if (loader) loader.style.display = 'none';
 };
 
+/**
+ * Show the quota screen in the wizard after a 429 from /api/generate
+ * @param {Object} quota - Quota status from the 429 response
+ */
+function showQuotaReached(quota) {
+  showWizard();
+  const container = document.getElementById('step-content');
+  renderDailyLimitReached(container, quota);
+  document.getElementById('prev-btn').style.display = 'none';
+  document.getElementById('next-btn').style.display = 'none';
+}
+
 /**
  * Generate Narrative via API
+ * Uses the streaming (SSE) variant so the result renders progressively.
+ * With more than one draft selected, drafts are generated instead.
  */
 async function generateNarrative() {
+  if (!navigator.onLine) {
+    alert(OFFLINE_GENERATION_MESSAGE);
+    return;
+  }
+  if (Number(state.settings.drafts) > 1) {
+    await generateDrafts();
+    return;
+  }
+
   window.showLoading('Writing your journal entry...');
+  state.drafts = null;
 
   try {
     const session = window.auth.getCurrentSession();
@@ -422,34 +544,234 @@ async function generateNarrative() {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
+        Accept: 'text/event-stream',
         Authorization: `Bearer ${session.access_token}`,
       },
       body: JSON.stringify({
         category: state.category,
         answers: state.answers,
         settings: state.settings,
+        stream: true,
       }),
     });
 
+    if (response.status === 429) {
+      const { quota } = await response.json();
+      showQuotaReached(quota);
+      return;
+    }
     if (!response.ok) throw new Error('Generation failed');
 
-    state.narrative = await response.json();
+    const contentType = response.headers.get('Content-Type') || '';
+    state.narrative = contentType.includes('text/event-stream')
+      ? await readGenerationStream(response)
+      : await response.json();
     renderResult();
   } catch (error) {
     alert('生成に失敗しました: ' + error.message);
+    if (state.currentView === VIEW.GENERATE) showWizard();
   } finally {
     window.hideLoading();
   }
 }
 
+/**
+ * Generate several narrative_en drafts to choose from
+ * Key phrases and the recall test are generated once a draft is chosen
+ * (see window.chooseDraft).
+ */
+async function generateDrafts() {
+  window.showLoading('Writing your drafts...');
+
+  try {
+    const session = window.auth.getCurrentSession();
+    if (!session) throw new Error('User not authenticated');
+
+    const response = await fetch('/api/generate', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${session.access_token}`,
+      },
+      body: JSON.stringify({
+        mode: 'drafts',
+        category: state.category,
+        answers: state.answers,
+        settings: state.settings,
+        draft_count: Number(state.settings.drafts),
+      }),
+    });
+
+    if (response.status === 429) {
+      const { quota } = await response.json();
+      showQuotaReached(quota);
+      return;
+    }
+    if (!response.ok) throw new Error('Generation failed');
+
+    const { drafts, generation_id, generation_meta } = await response.json();
+    state.drafts = { items: drafts, generation_id, generation_meta };
+    state.narrative = null;
+    renderResult();
+  } catch (error) {
+    alert('生成に失敗しました: ' + error.message);
+    if (state.currentView === VIEW.GENERATE) showWizard();
+  } finally {
+    window.hideLoading();
+  }
+}
+
+/**
+ * Read generation progress events and render them as they arrive
+ * @param {Response} response - text/event-stream response from /api/generate
+ * @returns {Promise<Object>} The final validated narrative
+ */
+async function readGenerationStream(response) {
+  let result = null;
+
+  await readEventStream(response, (event, data) => {
+    switch (event) {
+      case 'attempt':
+        updateStreamingStatus(
+          `Writing with ${data.provider}... (${data.attempt}/${data.total})`
+        );
+        break;
+      case 'partial':
+        renderStreamingNarrative(data.narrative_en);
+        break;
+      case 'validation_failed':
+        renderStreamingNarrative('');
+        break;
+      case 'repair':
+        updateStreamingStatus(
+          `${data.provider} の出力を修正しています... (${data.repair}/${data.max})`
+        );
+        break;
+      case 'provider_failed':
+        updateStreamingStatus(
+          `${data.provider} の出力を使えませんでした。別のモデルで書き直しています...`
+        );
+        renderStreamingNarrative('');
+        break;
+      case 'result':
+        result = data;
+        break;
+      case 'error':
+        throw new Error(data.error);
+    }
+  });
+
+  if (!result) throw new Error('Generation stream ended unexpectedly');
+  return result;
+}
+
+/**
+ * Minimal Server-Sent Events reader for fetch() responses
+ * @param {Response} response
+ * @param {(event: string, data: Object) => void} onEvent
+ */
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = (frame) => {
+    let event = 'message';
+    const dataLines = [];
+    frame.split(/\r?\n/).forEach((line) => {
+      if (line.startsWith('event:')) event = line.slice(6).trim();
+      if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart());
+    });
+    if (dataLines.length > 0) onEvent(event, JSON.parse(dataLines.join('\n')));
+  };
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    const frames = buffer.split(/\r?\n\r?\n/);
+    buffer = frames.pop();
+    frames.forEach(dispatch);
+  }
+  if (buffer.trim()) dispatch(buffer);
+}
+
+/**
+ * Show the status line of the streaming view (or the loader before it exists)
+ * @param {string} message
+ */
+function updateStreamingStatus(message) {
+  const status = document.getElementById('streaming-status');
+  if (status) {
+    status.textContent = message;
+  } else {
+    window.showLoading(message);
+  }
+}
+
+/**
+ * Render the partial narrative while generation is still running
+ * @param {string} text - narrative_en received so far
+ */
+function renderStreamingNarrative(text) {
+  let display = document.getElementById('streaming-narrative');
+
+  if (!display) {
+    if (!text) return;
+    const wizard = document.getElementById('wizard-container');
+    const result = document.getElementById('result-container');
+    const loadingText = document.getElementById('loading-text');
+
+    window.hideLoading();
+    wizard.style.display = 'none';
+    result.style.display = 'block';
+    applyAnimation(result);
+
+    const formattedDate = new Date().toLocaleDateString(
+      'en-US',
+      DATE_OPTIONS_EN
+    );
+    result.innerHTML = `
+        ${renderResultHeader(formatCategory(state.category), formattedDate)}
+        <section class="card" style="background: rgba(30, 41, 59, 0.5); padding: 2rem;">
+            <p id="streaming-status" style="font-size: 0.85rem; color: var(--text-secondary); margin-bottom: 1rem;"></p>
+            <div id="streaming-narrative" class="narrative-display" style="line-height: 2; font-size: 1.15rem; white-space: pre-wrap;"></div>
+        </section>
+    `;
+    document.getElementById('streaming-status').textContent =
+      loadingText?.textContent || '';
+    display = document.getElementById('streaming-narrative');
+  }
+
+  display.textContent = text;
+}
+
+/**
+ * Return from the result area to the wizard (e.g. after a failed generation)
+ */
+function showWizard() {
+  document.getElementById('wizard-container').style.display = 'block';
+  document.getElementById('result-container').style.display = 'none';
+}
+
 /**
  * Render the generation result
+ * Shows the draft chooser while drafts are waiting for a choice.
  */
 function renderResult() {
   const wizard = document.getElementById('wizard-container');
   const result = document.getElementById('result-container');
   const data = state.narrative;
 
+  if (!data && state.drafts) {
+    wizard.style.display = 'none';
+    result.style.display = 'block';
+    applyAnimation(result);
+    renderDraftChooser(result);
+    return;
+  }
+
   // Ensure category is preserved
   if (!data.category) data.category = state.category;
 
@@ -464,21 +786,49 @@ function renderResult() {
   result.innerHTML = `
         ${renderResultHeader(displayCategory, formattedDate)}
         <div class="result-grid" style="display: flex; flex-direction: column; gap: 2rem;">
-            ${renderNarrativeSection(sentences, data)}
+            ${renderNarrativeSection(sentences)}
             ${renderKeyPhrases(data.key_phrases)}
             ${renderAlternatives(data.alternatives)}
             ${renderRecallTest(data.recall_test)}
+            ${renderPronunciation(data.pronunciation)}
         </div>
         ${renderResultActions()}
     `;
+}
 
-  // Event listener for implicit editing if we ever enable it
-  const textarea = result.querySelector('.editable-narrative');
-  if (textarea) {
-    textarea.addEventListener('input', (e) => {
-      state.narrative.narrative_en = e.target.value;
-    });
-  }
+/**
+ * Side-by-side draft comparison with a "choose" button per draft
+ * @param {HTMLElement} result - Result container
+ */
+function renderDraftChooser(result) {
+  const formattedDate = new Date().toLocaleDateString('en-US', DATE_OPTIONS_EN);
+
+  const cardsHtml = state.drafts.items
+    .map((draft, i) => {
+      const style = DRAFT_STYLES.find((s) => s.id === draft.style);
+      return `
+            <section class="card" style="background: rgba(30, 41, 59, 0.5); padding: 1.5rem; display: flex; flex-direction: column; gap: 1rem;">
+                <div>
+                    <h3 style="margin: 0;">${style?.label || escapeHtml(draft.style)}</h3>
+                    <small style="color: var(--text-secondary);">${style?.description || ''}</small>
+                </div>
+                <p style="flex: 1; line-height: 1.8; margin: 0;">${escapeHtml(draft.narrative_en)}</p>
+                <button class="btn btn-primary" onclick="window.chooseDraft(${i})">この案にする</button>
+            </section>
+        `;
+    })
+    .join('');
+
+  result.innerHTML = `
+        ${renderResultHeader(formatCategory(state.category), formattedDate)}
+        <p style="color: var(--text-secondary); margin-bottom: 1.5rem;">気に入った案を選ぶと、キーフレーズと復習テストを作成します。</p>
+        <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(220px, 1fr)); gap: 1rem;">
+            ${cardsHtml}
+        </div>
+        <div style="display:flex; gap:1rem; margin-top: 2rem;">
+            <button class="btn btn-secondary" style="flex:1; opacity: 0.7;" onclick="window.newNarrative()">✨ New Entry</button>
+        </div>
+    `;
 }
 
 function renderResultHeader(category, date) {
@@ -493,7 +843,7 @@ function renderResultHeader(category, date) {
     `;
 }
 
-function renderNarrativeSection(sentences, data) {
+function renderNarrativeSection(sentences) {
   return `
         <section class="card" style="background: rgba(30, 41, 59, 0.5); padding: 2rem;">
             <div style="display:flex; justify-content:space-between; align-items:center; margin-bottom:1.5rem;">
@@ -512,14 +862,12 @@ function renderNarrativeSection(sentences, data) {
                     <span class="sentence-text" 
                             data-index="${i}" 
                             style="cursor: pointer; padding: 2px 4px; border-radius: 4px; transition: all 0.2s;"
-                            onclick="window.speak('${s.replace(/'/g, "\\'")}', ${i})">${s}</span> 
+                            onclick="window.speak('${escapeHtml(s.replace(/\\/g, '\\\\').replace(/'/g, "\\'"))}', ${i})">${escapeHtml(s)}</span> 
                 `
                   )
                   .join('')}
             </div>
 
-            <textarea class="editable-narrative" style="display:none;">${data.narrative_en}</textarea>
-            
             <p style="font-size: 0.85rem; color: var(--text-secondary); font-style: italic; border-top: 1px solid var(--border-color); padding-top: 1rem;">
                 Tips: Click each sentence to listen separately.
             </p>
@@ -527,20 +875,35 @@ function renderNarrativeSection(sentences, data) {
     `;
 }
 
+/**
+ * Section heading with a "regenerate this part" button
+ * @param {string} icon
+ * @param {string} title
+ * @param {string} section - Section key sent to /api/generate
+ * @returns {string}
+ */
+function renderSectionHeader(icon, title, section) {
+  return `
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 1rem; gap: 0.5rem;">
+                <h3 style="margin: 0; display: flex; align-items: center; gap: 0.5rem;">
+                    <span style="font-size: 1.2rem;">${icon}</span> ${title}
+                </h3>
+                <button class="btn btn-secondary" style="width: auto; padding: 0.35rem 0.75rem; font-size: 0.8rem;" onclick="window.regenerateResultSection('${section}')">🔄 作り直す</button>
+            </div>`;
+}
+
 function renderKeyPhrases(phrases) {
   return `
         <section>
-            <h3 style="margin-bottom: 1rem; display: flex; align-items: center; gap: 0.5rem;">
-                <span style="font-size: 1.2rem;">🔑</span> Key Phrases
-            </h3>
+            ${renderSectionHeader('🔑', 'Key Phrases', 'key_phrases')}
             <div style="display: grid; gap: 1rem;">
                 ${phrases
                   .map(
                     (p) => `
                     <div class="card" style="background: rgba(255, 255, 255, 0.03); padding: 1.25rem; border: 1px solid var(--border-color); border-left: 4px solid var(--accent-color);">
-                        <div style="font-weight:700; color:var(--text-primary); margin-bottom:0.25rem;">${p.phrase_en}</div>
-                        <div style="font-size:0.95rem; color: var(--accent-color); margin-bottom:0.5rem;">${p.meaning_ja}</div>
-                        <div style="font-size:0.85rem; color:var(--text-secondary); line-height: 1.4;">${p.usage_hint_ja}</div>
+                        <div style="font-weight:700; color:var(--text-primary); margin-bottom:0.25rem;">${escapeHtml(p.phrase_en)}</div>
+                        <div style="font-size:0.95rem; color: var(--accent-color); margin-bottom:0.5rem;">${escapeHtml(p.meaning_ja)}</div>
+                        <div style="font-size:0.85rem; color:var(--text-secondary); line-height: 1.4;">${escapeHtml(p.usage_hint_ja)}</div>
                     </div>
                 `
                   )
@@ -554,20 +917,18 @@ function renderAlternatives(alternatives) {
   if (!alternatives || alternatives.length === 0) return '';
   return `
         <section>
-            <h3 style="margin-bottom: 1rem; display: flex; align-items: center; gap: 0.5rem;">
-                <span style="font-size: 1.2rem;">🔄</span> Alternative Expressions
-            </h3>
+            ${renderSectionHeader('🔄', 'Alternative Expressions', 'alternatives')}
             <div style="display: grid; gap: 1rem;">
                 ${alternatives
                   .map(
                     (alt) => `
                     <div class="card" style="background: rgba(255, 255, 255, 0.03); padding: 1.25rem; border: 1px solid var(--border-color); border-left: 4px solid #f59e0b;">
                         <div style="display: flex; align-items: center; gap: 0.5rem; margin-bottom: 0.5rem;">
-                            <span style="color: var(--text-secondary); font-size: 0.9rem;">${alt.original_en}</span>
+                            <span style="color: var(--text-secondary); font-size: 0.9rem;">${escapeHtml(alt.original_en)}</span>
                             <span style="color: var(--text-tertiary);">→</span>
-                            <span style="color: #f59e0b; font-weight: 600;">${alt.alternative_en}</span>
+                            <span style="color: #f59e0b; font-weight: 600;">${escapeHtml(alt.alternative_en)}</span>
                         </div>
-                        <div style="font-size: 0.85rem; color: var(--text-secondary); line-height: 1.4;">${alt.nuance_ja}</div>
+                        <div style="font-size: 0.85rem; color: var(--text-secondary); line-height: 1.4;">${escapeHtml(alt.nuance_ja)}</div>
                     </div>
                 `
                   )
@@ -580,13 +941,35 @@ function renderAlternatives(alternatives) {
 function renderRecallTest(test) {
   return `
         <section class="card" style="background: linear-gradient(135deg, rgba(56, 189, 248, 0.05), rgba(129, 140, 248, 0.05)); border: 1px solid var(--border-color);">
-            <h3 style="margin-bottom: 1rem; display: flex; align-items: center; gap: 0.5rem;">
-                <span style="font-size: 1.2rem;">🧠</span> Recall Test
-            </h3>
+            ${renderSectionHeader('🧠', 'Recall Test', 'recall_test')}
             <p style="color:var(--text-secondary); margin-bottom: 1.25rem; font-size: 0.95rem;">ポイントを意識して英語で言ってみましょう：</p>
             <div style="background: rgba(15, 23, 42, 0.5); padding: 1.5rem; border-radius: 0.75rem; border: 1px dashed var(--border-color); line-height: 1.6;">
-                ${test.prompt_ja}
+                ${escapeHtml(test.prompt_ja)}
             </div>
+            ${
+              test.expected_points_en?.length
+                ? `<details style="margin-top: 1rem; color: var(--text-secondary); font-size: 0.9rem;">
+                <summary style="cursor: pointer;">答えのポイント</summary>
+                <ul style="margin: 0.5rem 0 0 1.25rem;">${test.expected_points_en.map((point) => `<li>${escapeHtml(point)}</li>`).join('')}</ul>
+            </details>`
+                : ''
+            }
+        </section>
+    `;
+}
+
+function renderPronunciation(pronunciation) {
+  return `
+        <section>
+            ${renderSectionHeader('🗣️', 'Pronunciation', 'pronunciation')}
+            ${
+              pronunciation
+                ? `<div class="card" style="background: rgba(255, 255, 255, 0.03); padding: 1.25rem; border: 1px solid var(--border-color);">
+                <div style="font-weight: 700; margin-bottom: 0.25rem;">${escapeHtml(pronunciation.word)} <span style="color: var(--text-secondary); font-weight: 400;">${escapeHtml(pronunciation.ipa)}</span></div>
+                <div style="font-size: 0.85rem; color: var(--text-secondary); line-height: 1.4;">${escapeHtml(pronunciation.tip_ja)}</div>
+            </div>`
+                : '<p style="color: var(--text-secondary); font-size: 0.9rem;">発音ポイントはありません。「作り直す」で作成できます。</p>'
+            }
         </section>
     `;
 }
@@ -599,12 +982,137 @@ function renderResultActions() {
         </div>
 
         <div style="display:flex; gap:1rem;">
+            ${state.drafts ? '<button class="btn btn-secondary" style="flex:1; opacity: 0.7;" onclick="window.showDrafts()">↩ 他の案を選ぶ</button>' : ''}
             <button class="btn btn-secondary" style="flex:1; opacity: 0.7;" onclick="window.newNarrative()">✨ New Entry</button>
             <button class="btn btn-secondary" style="flex:1; opacity: 0.7;" onclick="window.switchView('${VIEW.REVIEW}')">📚 Dashboard</button>
         </div>
     `;
 }
 
+/**
+ * Ask /api/generate to regenerate one section of a narrative
+ * The rest of the narrative (including narrative_en) is sent as context only.
+ * @param {Object} narrative - Narrative with narrative_en and current sections
+ * @param {string} section - key_phrases | alternatives | recall_test | pronunciation
+ * @param {Object} [settings] - Output settings the narrative was written with
+ * @returns {Promise<Object>} { section, value, generation_meta }
+ */
+async function fetchSectionRegeneration(narrative, section, settings = {}) {
+  if (!navigator.onLine) throw new Error(OFFLINE_GENERATION_MESSAGE);
+  const session = window.auth.getCurrentSession();
+  if (!session) throw new Error('User not authenticated');
+
+  const response = await fetch('/api/generate', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${session.access_token}`,
+    },
+    body: JSON.stringify({
+      mode: 'section',
+      section,
+      narrative: {
+        narrative_en: narrative.narrative_en,
+        key_phrases: narrative.key_phrases,
+        alternatives: narrative.alternatives,
+        recall_test: narrative.recall_test,
+        pronunciation: narrative.pronunciation,
+      },
+      settings,
+    }),
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (response.status === 429) {
+    throw new Error(
+      `作り直しの回数上限に達しました。${formatResetTime(data.reset_at)} 以降にお試しください。`
+    );
+  }
+  if (!response.ok) throw new Error(data.error || 'Regeneration failed');
+  return data;
+}
+window.fetchSectionRegeneration = fetchSectionRegeneration;
+
+// Regenerate one section on the (unsaved) result screen
+window.regenerateResultSection = async (section) => {
+  if (!state.narrative) return;
+  window.showLoading('Regenerating...');
+
+  try {
+    const { value } = await fetchSectionRegeneration(
+      state.narrative,
+      section,
+      state.settings
+    );
+    state.narrative[section] = value;
+    renderResult();
+  } catch (error) {
+    alert('作り直しに失敗しました: ' + error.message);
+  } finally {
+    window.hideLoading();
+  }
+};
+
+// Generate the learning materials for a chosen draft and show the full result
+window.chooseDraft = async (index) => {
+  const draft = state.drafts?.items[index];
+  if (!draft) return;
+  if (!navigator.onLine) {
+    alert(OFFLINE_GENERATION_MESSAGE);
+    return;
+  }
+  window.showLoading('Preparing key phrases...');
+
+  try {
+    const session = window.auth.getCurrentSession();
+    if (!session) throw new Error('User not authenticated');
+
+    const response = await fetch('/api/generate', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${session.access_token}`,
+      },
+      body: JSON.stringify({
+        mode: 'complete',
+        generation_id: state.drafts.generation_id,
+        narrative_en: draft.narrative_en,
+        settings: state.settings,
+      }),
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (response.status === 429) {
+      throw new Error(
+        `作り直しの回数上限に達しました。${formatResetTime(data.reset_at)} 以降にお試しください。`
+      );
+    }
+    if (!response.ok) throw new Error(data.error || 'Generation failed');
+
+    // narrative_en comes from the drafts prompt, so save its version
+    state.narrative = {
+      ...data,
+      generation_meta: {
+        ...data.generation_meta,
+        prompt_version: state.drafts.generation_meta?.prompt_version,
+        draft_style: draft.style,
+      },
+    };
+    renderResult();
+  } catch (error) {
+    alert('生成に失敗しました: ' + error.message);
+  } finally {
+    window.hideLoading();
+  }
+};
+
+// Go back from the result to the draft chooser
+window.showDrafts = () => {
+  if (!state.drafts) return;
+  state.narrative = null;
+  renderResult();
+};
+
 // Speech Synthesis Logic
 window.speak = (text, index, fullTextOverride) => {
   window.speechSynthesis.cancel();
@@ -709,7 +1217,7 @@ window.download = () => {
     'data:application/json;charset=utf-8,' + encodeURIComponent(jsonStr);
   const a = document.createElement('a');
   a.href = dataUri;
-  a.download = `journal_${new Date().toISOString().split('T')[0]}.json`;
+  a.download = `journal_${today()}.json`;
   a.target = '_blank';
   document.body.appendChild(a);
   a.click();
@@ -804,8 +1312,7 @@ function updateTabActiveState(selector) {
 }
 
 async function updateDueBadge() {
-  const dueNarratives = (await window.storage?.getNarrativesDueToday()) || [];
-  const count = dueNarratives.length;
+  const count = (await window.storage?.countNarrativesDueToday()) || 0;
 
   const badgeDesktop = document.getElementById('due-badge-desktop');
   if (badgeDesktop) {
@@ -837,6 +1344,7 @@ window.newNarrative = () => {
   state.category = null;
   state.answers = [];
   state.narrative = null;
+  state.drafts = null;
   state.currentView = VIEW.GENERATE;
   window.updateNavigation();
   window.renderStep();
@@ -0,0 +1,227 @@
+/**
+ * Output Presets
+ * Shared by the wizard (main.js) and the server prompt builder / validator
+ * (functions/api/generate.js). A preset added here shows up in the wizard,
+ * gets its guidance into the prompt, and its rules applied to the output.
+ *
+ * Validation rules (all optional):
+ * - sentences: [min, max] sentence count (length presets)
+ * - maxAvgWords: maximum average words per sentence
+ * - forbidContractions: reject contractions such as "don't" or "I'm"
+ */
+
+export const LENGTH_PRESETS = [
+  {
+    id: 'Short',
+    label: 'Short',
+    description: '3-4文',
+    guidance: '3-4 sentences.',
+    validation: { sentences: [3, 4] },
+  },
+  {
+    id: 'Normal',
+    label: 'Normal',
+    description: '5-8文',
+    guidance: '5-8 sentences.',
+    validation: { sentences: [5, 8] },
+  },
+  {
+    id: 'Long',
+    label: 'Long',
+    description: '10文以上',
+    guidance: '10 or more sentences.',
+    validation: { sentences: [10, Infinity] },
+  },
+];
+
+export const DIFFICULTY_PRESETS = [
+  {
+    id: 'Easy',
+    label: 'Easy',
+    description: 'TOEIC 300-500',
+    toeic: '300-500',
+    cefr: 'A1-A2',
+    guidance:
+      'Simple vocabulary, short and clear sentences. Avoid complex idioms.',
+    validation: { maxAvgWords: 15 },
+  },
+  {
+    id: 'Normal',
+    label: 'Normal',
+    description: 'TOEIC 600-800',
+    toeic: '600-800',
+    cefr: 'B1-B2',
+    guidance: 'Standard conversational. Natural expressions.',
+    validation: { maxAvgWords: 22 },
+  },
+  {
+    id: 'Hard',
+    label: 'Hard',
+    description: 'TOEIC 800-990',
+    toeic: '800-990',
+    cefr: 'C1',
+    guidance: 'Sophisticated vocabulary and varied sentence structures.',
+    validation: {},
+  },
+];
+
+export const TONE_PRESETS = [
+  {
+    id: 'Casual',
+    label: 'Casual',
+    description: '友人との会話のような気軽な文体',
+    guidance:
+      'Relaxed and friendly, like talking to a close friend. Contractions and everyday phrasal verbs are welcome.',
+    validation: {},
+  },
+  {
+    id: 'Business',
+    label: 'Business',
+    description: '同僚にも使える丁寧で明快な文体',
+    guidance:
+      'Polite and clear, suitable for sharing with colleagues. Avoid slang.',
+    validation: {},
+  },
+  {
+    id: 'Academic',
+    label: 'Academic',
+    aliases: ['Formal'],
+    description: '論理的でフォーマルな文体（短縮形なし）',
+    guidance:
+      'Formal and precise. Use complete sentences without contractions or slang, and connect ideas with clear logical transitions.',
+    validation: { forbidContractions: true },
+  },
+  {
+    id: 'Email',
+    label: 'Email',
+    description: '挨拶と結びのあるメール形式',
+    guidance:
+      'Write it as a short email to a friend or colleague about the experience, with a greeting line and a sign-off. Friendly but well organized.',
+    validation: {},
+  },
+  {
+    id: 'Presentation',
+    label: 'Presentation',
+    description: '人前で話すプレゼン調',
+    guidance:
+      'Write it as if speaking to an audience: clear, short sentences with signposting phrases such as "First," and "To sum up,".',
+    validation: { maxAvgWords: 18 },
+  },
+  {
+    id: 'SmallTalk',
+    label: 'Small talk',
+    description: '雑談で使える短く自然な表現',
+    guidance:
+      'Sound like natural small talk: short, easy sentences and common conversational expressions. Contractions are welcome.',
+    validation: { maxAvgWords: 14 },
+  },
+];
+
+export const PRESET_DEFAULTS = {
+  length: 'Normal',
+  tone: 'Business',
+  difficulty: 'Normal',
+};
+
+const PRESETS_BY_SETTING = {
+  length: LENGTH_PRESETS,
+  tone: TONE_PRESETS,
+  difficulty: DIFFICULTY_PRESETS,
+};
+
+/**
+ * Find a preset by id or alias (case-insensitive), falling back to the default
+ * @param {'length'|'tone'|'difficulty'} setting
+ * @param {string} [id]
+ * @returns {Object}
+ */
+export function getPreset(setting, id) {
+  const presets = PRESETS_BY_SETTING[setting];
+  if (!presets) throw new Error(`Unknown setting: ${setting}`);
+
+  const key = String(id || '').toLowerCase();
+  const match = presets.find(
+    (p) =>
+      p.id.toLowerCase() === key ||
+      (p.aliases || []).some((alias) => alias.toLowerCase() === key)
+  );
+  return match || presets.find((p) => p.id === PRESET_DEFAULTS[setting]);
+}
+
+/**
+ * Resolve all output settings to presets
+ * @param {Object} settings - { length, tone, difficulty }
+ * @returns {{ length: Object, tone: Object, difficulty: Object }}
+ */
+export function resolvePresets(settings = {}) {
+  return {
+    length: getPreset('length', settings.length),
+    tone: getPreset('tone', settings.tone),
+    difficulty: getPreset('difficulty', settings.difficulty),
+  };
+}
+
+/**
+ * Merge the validation rules of the selected presets
+ * The strictest value wins when several presets set the same rule.
+ * @param {Object} settings
+ * @returns {{ sentences: number[], maxAvgWords: number, forbidContractions: boolean }}
+ */
+export function getValidationRules(settings = {}) {
+  const { length, tone, difficulty } = resolvePresets(settings);
+  const rules = [length, tone, difficulty].map((p) => p.validation || {});
+
+  return {
+    sentences: rules.find((r) => r.sentences)?.sentences || [1, Infinity],
+    maxAvgWords: Math.min(...rules.map((r) => r.maxAvgWords ?? Infinity)),
+    forbidContractions: rules.some((r) => r.forbidContractions),
+  };
+}
+
+/**
+ * Draft styles for multi-draft generation (mode: 'drafts')
+ * When the learner asks for N drafts, the first N styles are used.
+ */
+export const DRAFT_STYLES = [
+  {
+    id: 'literal',
+    label: '直訳寄り',
+    description: '書いた内容に忠実',
+    guidance:
+      "Stay close to the literal meaning and order of the user's notes. Prefer straightforward wording the learner could have come up with.",
+  },
+  {
+    id: 'idiomatic',
+    label: '自然な英語',
+    description: 'ネイティブらしい言い回し',
+    guidance:
+      'Say it the way a native speaker naturally would, using common idioms and collocations even when the wording moves away from the notes.',
+  },
+  {
+    id: 'concise',
+    label: 'シンプル',
+    description: '覚えやすく短い文',
+    guidance:
+      'Keep only the essentials in plain, compact sentences that are easy to memorize and say out loud.',
+  },
+];
+
+// Wizard choices for the number of drafts ('1' = regular single generation)
+export const DRAFT_COUNT_PRESETS = [
+  { id: '1', label: '1案', description: 'そのまま完成' },
+  { id: '2', label: '2案', description: '直訳寄り・自然な英語' },
+  { id: '3', label: '3案', description: '+ シンプル' },
+];
+
+/**
+ * Draft styles for a requested draft count (clamped to 2..DRAFT_STYLES.length)
+ * @param {number|string} count
+ * @returns {Array<Object>}
+ */
+export function getDraftStyles(count) {
+  const n = Math.min(
+    Math.max(Math.trunc(Number(count)) || 2, 2),
+    DRAFT_STYLES.length
+  );
+  return DRAFT_STYLES.slice(0, n);
+}
@@ -3,11 +3,16 @@
  * Handles loading journal entries, tracking progress, and recording ratings
  */
 
+import { getCardPrompt } from './cards.js';
+
 const reviewSession = {
-  narratives: [],
+  narratives: [], // phrase cards in 'phrase' mode
   currentIndex: 0,
   showAnswer: false,
+  mode: 'read', // 'read' | 'recall' (answer in English before reading) | 'phrase' (card drill)
+  recall: { answer: '', grading: null },
   startTime: null,
+  itemStartedAt: null, // when the current narrative/card was shown (review log elapsed_ms)
   sessionStats: {
     started: 0,
     completed: 0,
@@ -17,15 +22,20 @@ const reviewSession = {
 
 /**
  * Initialize a review session with due narratives
- * @param {Object} options - Session options {order, limit}
+ * @param {Object} options - Session options {order, limit, all, mode}
  * @returns {Promise<boolean>} Success status
  */
 async function initReviewSession(options = {}) {
   try {
-    const { order = 'oldest_first', limit = null, all = false } = options;
+    const { order = 'oldest_first', limit = null, all = false, mode = 'read' } = options;
+
+    // Rate with the scheduler the user picked (profile may change on another device)
+    await window.srs?.loadSchedulerPreference?.();
 
     let targetNarratives = [];
-    if (all) {
+    if (mode === 'phrase') {
+      targetNarratives = await loadPhraseCards(all);
+    } else if (all) {
       targetNarratives = (await window.storage?.getAllNarratives()) || [];
     } else {
       targetNarratives = (await window.storage?.getNarrativesDueToday()) || [];
@@ -51,7 +61,10 @@ async function initReviewSession(options = {}) {
     reviewSession.narratives = ordered;
     reviewSession.currentIndex = 0;
     reviewSession.showAnswer = false;
+    reviewSession.mode = ['recall', 'phrase'].includes(mode) ? mode : 'read';
+    reviewSession.recall = { answer: '', grading: null };
     reviewSession.startTime = new Date();
+    reviewSession.itemStartedAt = Date.now();
     reviewSession.sessionStats = {
       started: ordered.length,
       completed: 0,
@@ -65,6 +78,25 @@ async function initReviewSession(options = {}) {
   }
 }
 
+/**
+ * Load phrase cards for a drill, creating cards for narratives saved before
+ * phrase cards existed
+ * @param {boolean} all - All cards instead of the ones due today
+ * @returns {Promise<Array>} Cards
+ */
+async function loadPhraseCards(all) {
+  try {
+    await window.storage?.syncAllCards();
+  } catch (error) {
+    console.warn('Could not sync phrase cards:', error);
+  }
+
+  const cards = all
+    ? await window.storage?.getAllCards()
+    : await window.storage?.getCardsDueToday();
+  return cards || [];
+}
+
 /**
  * Get current narrative in session
  * @returns {Object|null} Current narrative or null if session empty
@@ -89,7 +121,9 @@ function hasNextNarrative() {
 function moveToNextNarrative() {
   if (hasNextNarrative()) {
     reviewSession.currentIndex++;
+    reviewSession.itemStartedAt = Date.now();
     reviewSession.showAnswer = false;
+    reviewSession.recall = { answer: '', grading: null };
     return getCurrentNarrative();
   }
   return null;
@@ -104,6 +138,75 @@ function toggleAnswerVisibility() {
   return reviewSession.showAnswer;
 }
 
+/**
+ * Check whether the current narrative should be answered before it is shown
+ * Narratives without expected points cannot be graded and are shown as usual.
+ * @returns {boolean}
+ */
+function isRecallPending() {
+  const narrative = getCurrentNarrative();
+  return reviewSession.mode === 'recall' &&
+    !reviewSession.showAnswer &&
+    !reviewSession.recall.grading &&
+    (narrative?.recall_test?.expected_points_en || []).length > 0;
+}
+
+/**
+ * Grade the user's English answer for the current narrative via /api/grade
+ * @param {string} answer - Typed or dictated answer
+ * @returns {Promise<Object>} Grading {points, coverage, grammar_issues, feedback_ja, suggested_quality}
+ */
+async function gradeCurrentAnswer(answer) {
+  const narrative = getCurrentNarrative();
+  if (!narrative) throw new Error('No narrative in session');
+
+  const session = window.auth?.getCurrentSession();
+  if (!session) throw new Error('User not authenticated');
+
+  reviewSession.recall.answer = answer;
+  const response = await fetch('/api/grade', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${session.access_token}`
+    },
+    body: JSON.stringify({
+      narrative: {
+        narrative_en: narrative.narrative_en,
+        recall_test: narrative.recall_test
+      },
+      answer
+    })
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (response.status === 429) {
+    throw new Error('今日の採点回数の上限に達しました。答えを見て振り返りましょう。');
+  }
+  if (!response.ok) throw new Error(data.error || 'Grading failed');
+
+  reviewSession.recall.grading = data;
+  return data;
+}
+
+/**
+ * Grading result for the current narrative, if any
+ * @returns {Object|null}
+ */
+function getCurrentGrading() {
+  return reviewSession.recall.grading;
+}
+
+/**
+ * Quality to record for the current narrative
+ * The grader's suggestion when the answer was graded, otherwise Good.
+ * @returns {number}
+ */
+function getSuggestedQuality() {
+  const suggested = reviewSession.recall.grading?.suggested_quality;
+  return Number.isInteger(suggested) ? suggested : window.srs?.REVIEW_QUALITY?.GOOD ?? 2;
+}
+
 /**
  * Record review rating for current narrative
  * @param {number} quality - Quality rating (0-3)
@@ -115,13 +218,17 @@ async function recordCurrentReview(quality) {
     if (!narrative) throw new Error('No narrative in session');
 
     // Record review
-    const updated = await window.srs?.recordReview(narrative.id, quality);
+    const isCard = reviewSession.mode === 'phrase';
+    const options = { elapsedMs: Date.now() - reviewSession.itemStartedAt };
+    const updated = isCard
+      ? await window.srs?.recordCardReview(narrative.id, quality, options)
+      : await window.srs?.recordReview(narrative.id, quality, options);
     if (!updated) throw new Error('Failed to record review');
 
     // Update session stats
     reviewSession.sessionStats.completed++;
     reviewSession.sessionStats.ratings.push({
-      narrative_id: narrative.id,
+      [isCard ? 'card_id' : 'narrative_id']: narrative.id,
       quality,
       timestamp: new Date().toISOString()
     });
@@ -183,7 +290,10 @@ function endReviewSession() {
   reviewSession.narratives = [];
   reviewSession.currentIndex = 0;
   reviewSession.showAnswer = false;
+  reviewSession.mode = 'read';
+  reviewSession.recall = { answer: '', grading: null };
   reviewSession.startTime = null;
+  reviewSession.itemStartedAt = null;
   reviewSession.sessionStats = {
     started: 0,
     completed: 0,
@@ -227,6 +337,11 @@ function renderReviewSession() {
   const narrative = getCurrentNarrative();
   if (!narrative) return;
 
+  if (reviewSession.mode === 'phrase') {
+    renderCardReview(container, narrative);
+    return;
+  }
+
   const dateStr = new Date(narrative.created_at).toLocaleDateString('ja-JP', {
     year: 'numeric',
     month: 'long',
@@ -283,6 +398,26 @@ function renderReviewSession() {
   });
   card.appendChild(jpContext);
 
+  // Recall mode: answer in English before the narrative is shown
+  if (isRecallPending()) {
+    card.appendChild(renderRecallPanel(narrative));
+    container.appendChild(card);
+    return;
+  }
+
+  const grading = getCurrentGrading();
+
+  // Reveal-then-rate: only the memory is shown until the answer is revealed
+  if (!reviewSession.showAnswer && !grading) {
+    container.appendChild(card);
+    container.appendChild(renderRevealFooter());
+    return;
+  }
+
+  if (grading) {
+    card.appendChild(renderGradingPanel(grading));
+  }
+
   // 2. English Narrative (Middle/Main)
   const enContent = document.createElement('div');
   enContent.style.cssText = 'margin-bottom: 2rem;';
@@ -345,23 +480,268 @@ function renderReviewSession() {
 
   container.appendChild(card);
 
-  // Rating Buttons (Sticky Footer) - Single Action
-  const ratingDiv = document.createElement('div');
-  ratingDiv.className = 'review-footer';
+  // Rating Buttons (Sticky Footer)
+  container.appendChild(renderRatingFooter(narrative));
+}
+
+/**
+ * Phrase drill screen: card front, then the answer and rating buttons
+ * @param {HTMLElement} container
+ * @param {Object} card - Card from storage (see cards.js)
+ */
+function renderCardReview(container, card) {
+  const title = document.createElement('h2');
+  title.style.margin = '0 0 1.5rem 0';
+  title.style.fontSize = '1.25rem';
+  title.textContent = '🔤 フレーズ練習';
+  container.appendChild(title);
+
+  container.style.paddingBottom = '110px';
+
+  const cardEl = document.createElement('div');
+  cardEl.className = 'phrase-card';
+  cardEl.style.cssText = `
+    background: linear-gradient(135deg, #1e293b 0%, #0f172a 100%);
+    border: 1px solid var(--border-color);
+    border-radius: 1rem;
+    padding: 2rem;
+    margin-bottom: 2rem;
+    text-align: center;
+  `;
+
+  const prompt = document.createElement('p');
+  prompt.style.cssText = 'margin: 0 0 1rem 0; font-size: 0.85rem; color: var(--text-tertiary);';
+  prompt.textContent = getCardPrompt(card);
+
+  const front = document.createElement('div');
+  front.className = 'phrase-card-front';
+  front.style.cssText = 'font-size: 1.3rem; line-height: 1.6; font-family: "Outfit", sans-serif;';
+  front.textContent = card.front;
+
+  cardEl.append(prompt, front);
+
+  if (!reviewSession.showAnswer) {
+    container.appendChild(cardEl);
+    container.appendChild(renderRevealFooter('答えを見る'));
+    return;
+  }
+
+  const back = document.createElement('div');
+  back.className = 'phrase-card-back';
+  back.style.cssText = 'margin-top: 1.5rem; padding-top: 1.5rem; border-top: 1px dashed rgba(255,255,255,0.1); font-size: 1.2rem; color: var(--accent-color);';
+  back.textContent = card.back;
+  cardEl.appendChild(back);
+
+  [card.hint, card.context && card.context !== card.front ? `“${card.context}”` : '']
+    .filter(Boolean)
+    .forEach(text => {
+      const p = document.createElement('p');
+      p.style.cssText = 'margin: 0.75rem 0 0 0; font-size: 0.9rem; color: var(--text-secondary);';
+      p.textContent = text;
+      cardEl.appendChild(p);
+    });
+
+  if (card.context) {
+    const speakBtn = document.createElement('button');
+    speakBtn.className = 'secondary';
+    speakBtn.style.marginTop = '1rem';
+    speakBtn.textContent = '🔊';
+    speakBtn.onclick = () => window.speak(card.context);
+    cardEl.appendChild(speakBtn);
+  }
+
+  container.appendChild(cardEl);
+  container.appendChild(renderRatingFooter(card));
+}
+
+/**
+ * Sticky footer with the single "show answer" button
+ * @param {string} label - Button text
+ * @returns {HTMLElement}
+ */
+function renderRevealFooter(label = '英文を見る') {
+  const footer = document.createElement('div');
+  footer.className = 'review-footer';
+
+  const inner = document.createElement('div');
+  inner.style.cssText = 'max-width: 600px; margin: 0 auto;';
+
+  const revealBtn = document.createElement('button');
+  revealBtn.className = 'primary';
+  revealBtn.style.cssText = 'width: 100%; padding: 1rem; font-size: 1.1rem; font-weight: bold; border-radius: 0.75rem; background: var(--accent-color); color: white; border: none; box-shadow: 0 4px 10px rgba(56, 189, 248, 0.3);';
+  revealBtn.textContent = label;
+  revealBtn.onclick = () => window.toggleAnswer();
+
+  inner.appendChild(revealBtn);
+  footer.appendChild(inner);
+  return footer;
+}
+
+/**
+ * Sticky footer with the four rating buttons (Forgot / Hard / Good / Easy)
+ * Each button shows the interval it would schedule; the suggested rating
+ * (grader's suggestion, otherwise Good) is highlighted.
+ * @param {Object} narrative - Narrative or phrase card (uses its srs)
+ * @returns {HTMLElement}
+ */
+function renderRatingFooter(narrative) {
+  const footer = document.createElement('div');
+  footer.className = 'review-footer';
+
+  const inner = document.createElement('div');
+  inner.style.cssText = 'max-width: 600px; margin: 0 auto; display: grid; grid-template-columns: repeat(4, 1fr); gap: 0.5rem;';
+
+  const suggested = getSuggestedQuality();
+  const previews = window.srs?.previewNextReviews(narrative.srs) || [];
+  previews.forEach(preview => {
+    const btn = document.createElement('button');
+    btn.className = preview.quality === suggested ? 'primary' : 'secondary';
+    btn.dataset.quality = preview.quality;
+    btn.style.cssText = 'padding: 0.75rem 0.25rem; border-radius: 0.75rem; display: flex; flex-direction: column; align-items: center; gap: 0.2rem;';
+
+    const label = document.createElement('span');
+    label.style.fontWeight = 'bold';
+    label.textContent = preview.label;
+
+    const interval = document.createElement('small');
+    interval.style.cssText = 'font-size: 0.75rem; opacity: 0.8;';
+    interval.textContent = window.srs.formatIntervalShort(preview.daysUntilReview);
+
+    btn.append(label, interval);
+    btn.onclick = () => window.rateReview(preview.quality);
+    inner.appendChild(btn);
+  });
+
+  footer.appendChild(inner);
+  return footer;
+}
+
+/**
+ * Build the recall answer form (prompt, answer box, dictation, grade button)
+ * @param {Object} narrative
+ * @returns {HTMLElement}
+ */
+function renderRecallPanel(narrative) {
+  const panel = document.createElement('div');
+  panel.className = 'recall-panel';
+
+  const prompt = document.createElement('p');
+  prompt.style.cssText = 'margin-bottom: 1rem; line-height: 1.6;';
+  prompt.textContent = `✍️ ${narrative.recall_test.prompt_ja}`;
+  panel.appendChild(prompt);
 
-  const ratingInner = document.createElement('div');
-  ratingInner.style.cssText = 'max-width: 600px; margin: 0 auto; display: flex; flex-direction: column; gap: 1rem;';
+  const textarea = document.createElement('textarea');
+  textarea.rows = 5;
+  textarea.placeholder = 'Say it in English...';
+  textarea.style.cssText = 'width: 100%; margin-bottom: 1rem;';
+  textarea.value = reviewSession.recall.answer;
+  panel.appendChild(textarea);
+
+  const actions = document.createElement('div');
+  actions.style.cssText = 'display: flex; gap: 0.75rem; flex-wrap: wrap;';
+
+  const micBtn = createDictationButton(textarea);
+  if (micBtn) actions.appendChild(micBtn);
+
+  const gradeBtn = document.createElement('button');
+  gradeBtn.className = 'primary';
+  gradeBtn.style.flex = '1';
+  gradeBtn.textContent = '採点する';
+  gradeBtn.onclick = () => window.submitRecallAnswer(textarea.value);
+  actions.appendChild(gradeBtn);
+
+  const skipBtn = document.createElement('button');
+  skipBtn.className = 'secondary';
+  skipBtn.textContent = '答えを見る';
+  skipBtn.onclick = () => window.toggleAnswer();
+  actions.appendChild(skipBtn);
+
+  panel.appendChild(actions);
+  return panel;
+}
 
-  const finishBtn = document.createElement('button');
-  finishBtn.className = 'primary';
-  finishBtn.style.cssText = 'width: 100%; padding: 1rem; font-size: 1.1rem; font-weight: bold; border-radius: 0.75rem; background: var(--accent-color); color: white; border: none; box-shadow: 0 4px 10px rgba(56, 189, 248, 0.3);';
-  finishBtn.textContent = '読み終わった';
+/**
+ * Build a microphone button that dictates English into the textarea
+ * @param {HTMLTextAreaElement} textarea
+ * @returns {HTMLElement|null} null when speech recognition is unavailable
+ */
+function createDictationButton(textarea) {
+  const Recognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+  if (!Recognition) return null;
+
+  const button = document.createElement('button');
+  button.className = 'secondary';
+  button.textContent = '🎤';
+  button.title = '音声で入力';
+
+  let recognition = null;
+  button.onclick = () => {
+    if (recognition) {
+      recognition.stop();
+      return;
+    }
 
-  finishBtn.onclick = () => window.rateReview(2); // Record as "Good" (standard)
+    recognition = new Recognition();
+    recognition.lang = 'en-US';
+    recognition.interimResults = false;
+    recognition.onresult = (event) => {
+      const transcript = Array.from(event.results).map(r => r[0].transcript).join(' ');
+      textarea.value = [textarea.value.trim(), transcript].filter(Boolean).join(' ');
+    };
+    recognition.onend = () => {
+      recognition = null;
+      button.textContent = '🎤';
+    };
+    recognition.onerror = (event) => console.warn('Dictation error:', event.error);
 
-  ratingInner.appendChild(finishBtn);
-  ratingDiv.appendChild(ratingInner);
-  container.appendChild(ratingDiv);
+    button.textContent = '⏹';
+    recognition.start();
+  };
+  return button;
+}
+
+/**
+ * Build the grading result (points, grammar issues, feedback)
+ * @param {Object} grading - Response from /api/grade
+ * @returns {HTMLElement}
+ */
+function renderGradingPanel(grading) {
+  const STATUS_ICONS = { covered: '✅', partial: '🔶', missed: '❌' };
+
+  const panel = document.createElement('div');
+  panel.className = 'grading-panel';
+  panel.style.cssText = 'margin-bottom: 2rem; padding-bottom: 1.5rem; border-bottom: 1px dashed rgba(255,255,255,0.1);';
+
+  const answer = document.createElement('p');
+  answer.style.cssText = 'margin-bottom: 1rem; font-style: italic; color: var(--text-secondary);';
+  answer.textContent = `“${reviewSession.recall.answer}”`;
+  panel.appendChild(answer);
+
+  const list = document.createElement('ul');
+  list.style.cssText = 'list-style: none; padding: 0; margin: 0 0 1rem 0;';
+  grading.points.forEach(p => {
+    const li = document.createElement('li');
+    li.style.cssText = 'margin-bottom: 0.5rem; line-height: 1.5;';
+    li.textContent = `${STATUS_ICONS[p.status] || ''} ${p.point}${p.comment_ja ? ` — ${p.comment_ja}` : ''}`;
+    list.appendChild(li);
+  });
+  panel.appendChild(list);
+
+  grading.grammar_issues.forEach(issue => {
+    const row = document.createElement('div');
+    row.style.cssText = 'margin-bottom: 0.5rem; font-size: 0.9rem;';
+    row.textContent = `✏️ ${issue.excerpt} → ${issue.correction}（${issue.explanation_ja}）`;
+    panel.appendChild(row);
+  });
+
+  if (grading.feedback_ja) {
+    const feedback = document.createElement('p');
+    feedback.style.cssText = 'margin: 1rem 0 0 0; color: var(--accent-color);';
+    feedback.textContent = grading.feedback_ja;
+    panel.appendChild(feedback);
+  }
+
+  return panel;
 }
 
 /**
@@ -436,6 +816,24 @@ window.rateReview = async function (quality) {
   }
 };
 
+window.submitRecallAnswer = async function (answer) {
+  if (!answer || !answer.trim()) {
+    alert('英語で答えを入力してください');
+    return;
+  }
+
+  window.showLoading('Grading...');
+  try {
+    await window.gradeCurrentAnswer(answer.trim());
+    window.renderReviewSession();
+  } catch (error) {
+    console.error('Error grading answer:', error);
+    alert('採点に失敗しました: ' + error.message);
+  } finally {
+    window.hideLoading();
+  }
+};
+
 window.toggleAnswer = function () {
   window.toggleAnswerVisibility();
   window.renderReviewSession();
@@ -479,6 +877,10 @@ window.hasNextNarrative = hasNextNarrative;
 window.moveToNextNarrative = moveToNextNarrative;
 window.toggleAnswerVisibility = toggleAnswerVisibility;
 window.recordCurrentReview = recordCurrentReview;
+window.isRecallPending = isRecallPending;
+window.gradeCurrentAnswer = gradeCurrentAnswer;
+window.getCurrentGrading = getCurrentGrading;
+window.getSuggestedQuality = getSuggestedQuality;
 window.getSessionProgress = getSessionProgress;
 window.getSessionSummary = getSessionSummary;
 window.endReviewSession = endReviewSession;
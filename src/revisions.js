@@ -0,0 +1,184 @@
+/**
+ * Narrative Revisions
+ * Every change to a saved narrative is stored as a revision
+ * (en_journal_narrative_revisions, written by en_journal_edit_narrative).
+ * This module compares versions for the history view and decides whether an
+ * edit resets the narrative's SRS state (profile.edit_srs_reset).
+ */
+
+// Fields stored in revision.content (see en_journal_revision_content)
+export const REVISION_FIELDS = [
+  'narrative_en',
+  'key_phrases',
+  'alternatives',
+  'recall_test',
+  'pronunciation',
+];
+
+export const EDIT_SRS_RESET_POLICIES = {
+  substantial: {
+    id: 'substantial',
+    label: '大きく書き換えたとき',
+    description: '英文の3割以上を変えたら、復習を最初からやり直します。',
+  },
+  always: {
+    id: 'always',
+    label: '編集するたび',
+    description: '編集するたびに、復習を最初からやり直します。',
+  },
+  never: {
+    id: 'never',
+    label: 'リセットしない',
+    description: '編集しても復習の予定はそのままです。',
+  },
+};
+
+export const DEFAULT_EDIT_SRS_RESET = 'substantial';
+
+// Share of narrative_en words that must change for a substantial edit
+export const SUBSTANTIAL_CHANGE_RATIO = 0.3;
+
+function words(text) {
+  return String(text ?? '')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+// lcs[i][j] = longest common subsequence of a[i..] and b[j..]
+function lcsTable(a, b) {
+  const lcs = Array.from({ length: a.length + 1 }, () =>
+    new Array(b.length + 1).fill(0)
+  );
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] =
+        a[i] === b[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  return lcs;
+}
+
+/**
+ * Word-level diff of two texts
+ * @param {string} before
+ * @param {string} after
+ * @returns {Array<{type: 'same'|'added'|'removed', text: string}>} Runs of
+ *   words in reading order; words within a run are joined with spaces
+ */
+export function diffWords(before, after) {
+  const a = words(before);
+  const b = words(after);
+  const lcs = lcsTable(a, b);
+  const parts = [];
+  const push = (type, word) => {
+    const last = parts[parts.length - 1];
+    if (last?.type === type) last.text += ` ${word}`;
+    else parts.push({ type, text: word });
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('same', a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+  return parts;
+}
+
+/**
+ * Share of words changed between two texts (0 = same, 1 = nothing in common)
+ * @param {string} before
+ * @param {string} after
+ * @returns {number}
+ */
+export function changeRatio(before, after) {
+  const a = words(before);
+  const b = words(after);
+  const longest = Math.max(a.length, b.length);
+  if (longest === 0) return 0;
+  return 1 - lcsTable(a, b)[0][0] / longest;
+}
+
+/**
+ * Whether an edit resets SRS under the given policy
+ * @param {string} policy - never | substantial | always
+ * @param {Object} before - Narrative before the edit
+ * @param {Object} after - Narrative after the edit
+ * @returns {boolean}
+ */
+export function shouldResetSRS(policy, before, after) {
+  if (policy === 'never') return false;
+  if (policy === 'always') return true;
+  return (
+    changeRatio(before?.narrative_en, after?.narrative_en) >=
+    SUBSTANTIAL_CHANGE_RATIO
+  );
+}
+
+/**
+ * Revision fields of `changes` that differ from the narrative
+ * @param {Object} narrative
+ * @param {Object} changes - Some of REVISION_FIELDS
+ * @returns {string[]}
+ */
+export function changedFields(narrative, changes) {
+  const same = (a, b) =>
+    JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+  return REVISION_FIELDS.filter(
+    (field) => field in changes && !same(narrative?.[field], changes[field])
+  );
+}
+
+// List items are compared by their visible text
+function diffItems(before, after, label) {
+  const beforeLabels = (before || []).map(label);
+  const afterLabels = (after || []).map(label);
+  return [
+    ...afterLabels.map((text) => ({
+      type: beforeLabels.includes(text) ? 'same' : 'added',
+      text,
+    })),
+    ...beforeLabels
+      .filter((text) => !afterLabels.includes(text))
+      .map((text) => ({ type: 'removed', text })),
+  ];
+}
+
+/**
+ * Differences between two revision contents, for the history view
+ * Lists are diffed item by item; texts word by word.
+ * @param {Object} before - Older content ({} for none)
+ * @param {Object} after - Newer content
+ * @returns {Object} {narrative_en, key_phrases, alternatives, recall_test},
+ *   each an array of {type, text}
+ */
+export function diffRevisions(before = {}, after = {}) {
+  return {
+    narrative_en: diffWords(before.narrative_en, after.narrative_en),
+    key_phrases: diffItems(
+      before.key_phrases,
+      after.key_phrases,
+      (p) => `${p?.phrase_en ?? ''} — ${p?.meaning_ja ?? ''}`
+    ),
+    alternatives: diffItems(
+      before.alternatives,
+      after.alternatives,
+      (a) => `${a?.original_en ?? ''} → ${a?.alternative_en ?? ''}`
+    ),
+    recall_test: diffWords(
+      before.recall_test?.prompt_ja,
+      after.recall_test?.prompt_ja
+    ),
+  };
+}
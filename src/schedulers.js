@@ -0,0 +1,363 @@
+/**
+ * Review Schedulers
+ * Pluggable spaced-repetition algorithms used by srs.js. A scheduler takes the
+ * current srs_data and a rating (0-3, see REVIEW_QUALITY in srs.js) and returns
+ * its own state plus the next interval; scheduleReview adds the bookkeeping
+ * every scheduler shares (history, counters, next review date).
+ *
+ * Each scheduler derives whatever state it is missing from what is stored, so
+ * a user can switch schedulers at any time:
+ * - ladder: interval_index into LADDER_INTERVALS (the original 1/3/7/30 days)
+ * - sm2: ease_factor, repetitions, lapses
+ * - fsrs: stability, difficulty, lapses
+ */
+
+import { addDays, dayOf } from './dates.js';
+
+const FORGOT = 0;
+const HARD = 1;
+const EASY = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_INTERVAL_DAYS = 365;
+const HISTORY_LIMIT = 10;
+
+// SM-2 and FSRS items stay in review once mastered; only the label changes
+const MASTERED_INTERVAL_DAYS = 21;
+
+export const LADDER_INTERVALS = [1, 3, 7, 30];
+
+export const DEFAULT_SCHEDULER = 'sm2';
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function round(value, digits) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function countLapses(srs) {
+  if (Number.isInteger(srs.lapses)) return srs.lapses;
+  return (srs.quality_history || []).filter((q) => q === FORGOT).length;
+}
+
+/**
+ * Current interval in days, falling back to the ladder position for
+ * narratives last scheduled by the ladder
+ * @param {Object} srs
+ * @returns {number}
+ */
+export function getIntervalDays(srs) {
+  if (Number.isFinite(srs?.interval_days)) return srs.interval_days;
+  return LADDER_INTERVALS[srs?.interval_index || 0] ?? 1;
+}
+
+// ---------------------------------------------------------------------------
+// Ladder: fixed 1 / 3 / 7 / 30 days, mastered items retire from review
+// ---------------------------------------------------------------------------
+
+function scheduleLadder(srs, quality) {
+  const current = srs.interval_index || 0;
+  const last = LADDER_INTERVALS.length - 1;
+  const steps = { 0: -current, 1: 0, 2: 1, 3: 2 };
+  const index = clamp(current + steps[quality], 0, last);
+
+  return {
+    interval_index: index,
+    interval_days: LADDER_INTERVALS[index],
+    status: index === last && quality >= 2 ? 'mastered' : 'learning',
+  };
+}
+
+// ---------------------------------------------------------------------------
+// SM-2: interval grows by ease_factor, which adapts to every rating
+// ---------------------------------------------------------------------------
+
+const SM2_GRADES = [1, 3, 4, 5]; // rating -> SM-2 response grade (0-5)
+const SM2_MIN_EASE = 1.3;
+const SM2_DEFAULT_EASE = 2.5;
+
+// Successful reviews since the last lapse, for narratives without repetitions
+function countRepetitions(srs) {
+  if (Number.isInteger(srs.repetitions)) return srs.repetitions;
+  const history = srs.quality_history || [];
+  const lastLapse = history.lastIndexOf(FORGOT);
+  return history.length - lastLapse - 1;
+}
+
+function scheduleSM2(srs, quality) {
+  const ease = Number.isFinite(srs.ease_factor)
+    ? srs.ease_factor
+    : SM2_DEFAULT_EASE;
+  const grade = SM2_GRADES[quality];
+  const nextEase = Math.max(
+    SM2_MIN_EASE,
+    round(ease + 0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02), 2)
+  );
+  const lapses = countLapses(srs);
+
+  if (quality === FORGOT) {
+    return {
+      ease_factor: nextEase,
+      repetitions: 0,
+      lapses: lapses + 1,
+      interval_days: 1,
+    };
+  }
+
+  const previous = getIntervalDays(srs);
+  const repetitions = countRepetitions(srs) + 1;
+  let interval;
+  if (repetitions === 1) interval = 1;
+  else if (repetitions === 2) interval = 6;
+  else interval = Math.round(previous * nextEase);
+
+  if (quality === HARD) {
+    interval =
+      repetitions <= 2
+        ? Math.max(1, Math.round(interval / 2))
+        : Math.max(previous + 1, Math.round(previous * 1.2));
+  } else if (quality === EASY) {
+    interval =
+      repetitions === 1
+        ? 4
+        : Math.max(interval + 1, Math.round(interval * 1.3));
+  }
+
+  return {
+    ease_factor: nextEase,
+    repetitions,
+    lapses,
+    interval_days: Math.min(interval, MAX_INTERVAL_DAYS),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// FSRS (v4.5): models memory stability and item difficulty, and schedules the
+// next review for when recall probability drops to the target retention
+// ---------------------------------------------------------------------------
+
+const FSRS_WEIGHTS = [
+  0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474,
+  0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755,
+];
+const FSRS_RETENTION = 0.9;
+const FSRS_DECAY = -0.5;
+const FSRS_FACTOR = 19 / 81; // retrievability is 0.9 when elapsed = stability
+
+function fsrsRetrievability(elapsedDays, stability) {
+  return (1 + (FSRS_FACTOR * elapsedDays) / stability) ** FSRS_DECAY;
+}
+
+function fsrsInitialDifficulty(rating) {
+  const w = FSRS_WEIGHTS;
+  return clamp(w[4] - (rating - 3) * w[5], 1, 10);
+}
+
+function fsrsInterval(stability) {
+  const days =
+    (stability / FSRS_FACTOR) * (FSRS_RETENTION ** (1 / FSRS_DECAY) - 1);
+  return clamp(Math.round(days), 1, MAX_INTERVAL_DAYS);
+}
+
+// Starting point for narratives previously scheduled by SM-2 or the ladder:
+// the current interval was planned at roughly 90% recall, which is what
+// stability means, and a low ease maps to a high difficulty
+function fsrsStateFromHistory(srs) {
+  const ease = Number.isFinite(srs.ease_factor)
+    ? srs.ease_factor
+    : SM2_DEFAULT_EASE;
+  return {
+    stability: Math.max(getIntervalDays(srs), 0.1),
+    difficulty: clamp(5 + (SM2_DEFAULT_EASE - ease) * 4, 1, 10),
+  };
+}
+
+function scheduleFSRS(srs, quality, now) {
+  const w = FSRS_WEIGHTS;
+  const rating = quality + 1; // FSRS ratings are 1 (again) to 4 (easy)
+  const lapses = countLapses(srs) + (quality === FORGOT ? 1 : 0);
+
+  const hasState =
+    Number.isFinite(srs.stability) && Number.isFinite(srs.difficulty);
+  if (!hasState && !srs.last_reviewed) {
+    const stability = w[rating - 1];
+    return {
+      stability: round(stability, 4),
+      difficulty: round(fsrsInitialDifficulty(rating), 4),
+      lapses,
+      interval_days: fsrsInterval(stability),
+    };
+  }
+
+  const { stability, difficulty } = hasState ? srs : fsrsStateFromHistory(srs);
+  const elapsed = srs.last_reviewed
+    ? Math.max(0, (now - new Date(srs.last_reviewed)) / DAY_MS)
+    : getIntervalDays(srs);
+  const r = fsrsRetrievability(elapsed, stability);
+
+  const nextDifficulty = clamp(
+    w[7] * fsrsInitialDifficulty(4) +
+      (1 - w[7]) * (difficulty - w[6] * (rating - 3)),
+    1,
+    10
+  );
+
+  let nextStability;
+  if (quality === FORGOT) {
+    nextStability = Math.min(
+      stability,
+      w[11] *
+        nextDifficulty ** -w[12] *
+        ((stability + 1) ** w[13] - 1) *
+        Math.exp(w[14] * (1 - r))
+    );
+  } else {
+    const hardPenalty = quality === HARD ? w[15] : 1;
+    const easyBonus = quality === EASY ? w[16] : 1;
+    nextStability =
+      stability *
+      (Math.exp(w[8]) *
+        (11 - nextDifficulty) *
+        stability ** -w[9] *
+        (Math.exp(w[10] * (1 - r)) - 1) *
+        hardPenalty *
+        easyBonus +
+        1);
+  }
+
+  return {
+    stability: round(nextStability, 4),
+    difficulty: round(nextDifficulty, 4),
+    lapses,
+    interval_days: fsrsInterval(nextStability),
+  };
+}
+
+// version is stored with every review in en_journal_review_logs; bump it
+// when a scheduler's maths changes
+export const SCHEDULERS = {
+  ladder: {
+    id: 'ladder',
+    version: 'ladder-v1',
+    label: '固定間隔',
+    description: '1日 → 3日 → 1週間 → 1ヶ月。1ヶ月で卒業して復習から外れます',
+    schedule: scheduleLadder,
+  },
+  sm2: {
+    id: 'sm2',
+    version: 'sm2-v1',
+    label: 'SM-2',
+    description: '覚えやすさ (ease) に合わせて間隔を伸ばす定番の方式',
+    schedule: scheduleSM2,
+  },
+  fsrs: {
+    id: 'fsrs',
+    version: 'fsrs-4.5',
+    label: 'FSRS',
+    description: '記憶の安定度と難しさを推定し、忘れそうな頃に復習します',
+    schedule: scheduleFSRS,
+  },
+};
+
+/**
+ * Look up a scheduler, falling back to the default for unknown ids
+ * @param {string} id
+ * @returns {Object}
+ */
+export function getScheduler(id) {
+  return SCHEDULERS[id] || SCHEDULERS[DEFAULT_SCHEDULER];
+}
+
+/**
+ * Next SRS state after a review
+ * @param {Object} srs - Current srs_data (any scheduler, or empty for new)
+ * @param {number} quality - Rating (0-3)
+ * @param {string} schedulerId - ladder | sm2 | fsrs
+ * @param {Date} now
+ * @returns {Object} Full srs_data to store
+ */
+export function scheduleReview(srs, quality, schedulerId, now = new Date()) {
+  const current = srs || {};
+  const scheduler = getScheduler(schedulerId);
+  const { status, ...state } = scheduler.schedule(current, quality, now);
+
+  return {
+    ...current,
+    ...state,
+    scheduler: scheduler.id,
+    next_review_date: addDays(dayOf(now), state.interval_days),
+    last_reviewed: now.toISOString(),
+    review_count: (current.review_count || 0) + 1,
+    quality_history: [...(current.quality_history || []), quality].slice(
+      -HISTORY_LIMIT
+    ),
+    status:
+      status ||
+      (state.interval_days >= MASTERED_INTERVAL_DAYS ? 'mastered' : 'learning'),
+  };
+}
+
+/**
+ * Outcome of every rating, for labelling the rating buttons
+ * @param {Object} srs
+ * @param {string} schedulerId
+ * @param {Date} now
+ * @returns {Array<{quality: number, daysUntilReview: number, nextReviewDate: string, status: string}>}
+ */
+export function previewReviews(srs, schedulerId, now = new Date()) {
+  return [0, 1, 2, 3].map((quality) => {
+    const next = scheduleReview(srs, quality, schedulerId, now);
+    return {
+      quality,
+      daysUntilReview: next.interval_days,
+      nextReviewDate: next.next_review_date,
+      status: next.status,
+    };
+  });
+}
+
+/**
+ * Days until a narrative is mastered if every review from now on gets the
+ * same rating, i.e. the sum of the intervals the scheduler would give
+ * @param {Object} srs
+ * @param {string} schedulerId
+ * @param {Date} now
+ * @param {number} [quality] - Rating assumed for every review (default GOOD)
+ * @returns {number|null} 0 if already mastered, null if never within a year
+ */
+export function daysUntilMastered(
+  srs,
+  schedulerId,
+  now = new Date(),
+  quality = 2
+) {
+  if (srs?.status === 'mastered') return 0;
+
+  let current = srs || {};
+  let at = now;
+  let days = 0;
+  while (days <= MAX_INTERVAL_DAYS) {
+    current = scheduleReview(current, quality, schedulerId, at);
+    days += current.interval_days;
+    if (current.status === 'mastered') return days;
+    at = new Date(at.getTime() + current.interval_days * DAY_MS);
+  }
+  return null;
+}
+
+/**
+ * Whether a narrative still takes part in reviews. Only the ladder retires
+ * mastered narratives; narratives without a scheduler predate this module
+ * and were scheduled by the ladder.
+ * @param {Object} srs
+ * @returns {boolean}
+ */
+export function isReviewable(srs) {
+  if (!srs || srs.status === 'suspended') return false;
+  return !(
+    srs.status === 'mastered' && (srs.scheduler || 'ladder') === 'ladder'
+  );
+}
@@ -1,14 +1,29 @@
 /**
- * SRS Module - Spaced Repetition System algorithm
- * Implements SM-2 simplified algorithm with fixed intervals
- * Based on forgetting curve concept for optimal learning
+ * SRS Module - Spaced Repetition System
+ * Records reviews with the scheduler the user picked (see schedulers.js:
+ * SM-2, FSRS, or the original fixed ladder) and derives review statistics
  */
 
+import {
+  DEFAULT_SCHEDULER,
+  LADDER_INTERVALS,
+  SCHEDULERS,
+  daysUntilMastered,
+  getIntervalDays,
+  isReviewable,
+  previewReviews,
+  scheduleReview
+} from './schedulers.js';
+import { addDays, dayOf, daysBetween, today } from './dates.js';
+
 // Make SRS available globally via window.srs namespace
 window.srs = window.srs || {};
 
-// SRS intervals in days: 1 / 3 / 7 / 30 (simplified for diary reflection)
-const SRS_INTERVALS = [1, 3, 7, 30];
+// Fixed ladder intervals in days: 1 / 3 / 7 / 30 (ladder scheduler only)
+const SRS_INTERVALS = LADDER_INTERVALS;
+
+// Scheduler used for new reviews; replaced by the user's profile setting
+let activeScheduler = DEFAULT_SCHEDULER;
 
 // Quality ratings for user feedback
 const REVIEW_QUALITY = {
@@ -26,67 +41,105 @@ const REVIEW_QUALITY_LABELS = {
 };
 
 /**
- * Calculate next review date based on current interval and quality
- * @param {number} currentIntervalIndex - Current position in SRS_INTERVALS array
- * @param {number} quality - Quality rating (0-3)
- * @returns {Object} {nextIntervalIndex, nextReviewDate, status}
+ * Scheduler used for new reviews
+ * @returns {string} ladder | sm2 | fsrs
  */
-function calculateNextReview(currentIntervalIndex, quality) {
-  let nextIntervalIndex = currentIntervalIndex;
-  let status = 'learning';
-
-  // Determine next interval based on quality
-  switch (quality) {
-    case REVIEW_QUALITY.FORGOT:
-      // Reset to beginning
-      nextIntervalIndex = 0;
-      break;
-    case REVIEW_QUALITY.HARD:
-      // Stay at current interval (retry)
-      nextIntervalIndex = currentIntervalIndex;
-      break;
-    case REVIEW_QUALITY.GOOD:
-      // Advance one level
-      nextIntervalIndex = Math.min(currentIntervalIndex + 1, SRS_INTERVALS.length - 1);
-      break;
-    case REVIEW_QUALITY.EASY:
-      // Advance two levels
-      nextIntervalIndex = Math.min(currentIntervalIndex + 2, SRS_INTERVALS.length - 1);
-      break;
-  }
+function getActiveScheduler() {
+  return activeScheduler;
+}
 
-  // Determine if mastered (reached final interval)
-  if (nextIntervalIndex === SRS_INTERVALS.length - 1 && quality >= REVIEW_QUALITY.GOOD) {
-    status = 'mastered';
+/**
+ * Switch the scheduler used for new reviews (does not persist it)
+ * @param {string} schedulerId - ladder | sm2 | fsrs
+ */
+function setActiveScheduler(schedulerId) {
+  if (!SCHEDULERS[schedulerId]) {
+    throw new Error(`Unknown scheduler: ${schedulerId}`);
   }
+  activeScheduler = schedulerId;
+}
 
-  // Calculate next review date
-  const nextDate = new Date();
-  const dayOffset = SRS_INTERVALS[nextIntervalIndex];
-  nextDate.setDate(nextDate.getDate() + dayOffset);
+/**
+ * Load the user's scheduler choice from their profile
+ * @returns {Promise<string>} Active scheduler id
+ */
+async function loadSchedulerPreference() {
+  const profile = await window.storage?.getProfile?.();
+  activeScheduler = SCHEDULERS[profile?.scheduler] ? profile.scheduler : DEFAULT_SCHEDULER;
+  return activeScheduler;
+}
 
+/**
+ * Calculate next ladder step based on current interval and quality
+ * Kept for the ladder scheduler and older callers; reviews go through recordReview.
+ * @param {number} currentIntervalIndex - Current position in SRS_INTERVALS array
+ * @param {number} quality - Quality rating (0-3)
+ * @returns {Object} {nextIntervalIndex, nextReviewDate, status, daysUntilReview}
+ */
+function calculateNextReview(currentIntervalIndex, quality) {
+  const next = scheduleReview({ interval_index: currentIntervalIndex }, quality, 'ladder');
   return {
-    nextIntervalIndex,
-    nextReviewDate: formatDate(nextDate),
-    status,
-    daysUntilReview: dayOffset
+    nextIntervalIndex: next.interval_index,
+    nextReviewDate: next.next_review_date,
+    status: next.status,
+    daysUntilReview: next.interval_days
   };
 }
 
 /**
- * Format date as YYYY-MM-DD
+ * Preview the outcome of every rating for a narrative
+ * Used to label the rating buttons with the interval each would produce.
+ * @param {Object} srsData - Current SRS data
+ * @param {string} schedulerId - Defaults to the active scheduler
+ * @returns {Array<Object>} [{quality, label, daysUntilReview, nextReviewDate, status}] in quality order
+ */
+function previewNextReviews(srsData, schedulerId = activeScheduler) {
+  return previewReviews(srsData, schedulerId).map(preview => ({
+    ...preview,
+    label: REVIEW_QUALITY_LABELS[preview.quality]
+  }));
+}
+
+/**
+ * Short interval label for a rating button
+ * @param {number} days
+ * @returns {string} e.g. "1日", "1週間", "1ヶ月"
  */
-function formatDate(date) {
-  return date.toISOString().split('T')[0];
+function formatIntervalShort(days) {
+  if (days >= 30 && days % 30 === 0) return `${days / 30}ヶ月`;
+  if (days >= 7 && days % 7 === 0) return `${days / 7}週間`;
+  return `${days}日`;
+}
+
+/**
+ * Build the en_journal_review_logs row for a review
+ * @param {Object} before - SRS data before the review
+ * @param {Object} after - SRS data after the review
+ * @param {number} quality - Quality rating (0-3)
+ * @param {Object} options - {elapsedMs}
+ * @returns {Object} Log entry (without narrative_id / card_id)
+ */
+function buildReviewLog(before, after, quality, options = {}) {
+  const scheduler = SCHEDULERS[after.scheduler];
+  return {
+    reviewed_at: after.last_reviewed,
+    quality,
+    elapsed_ms: Number.isFinite(options.elapsedMs) ? Math.max(0, Math.round(options.elapsedMs)) : null,
+    interval_before: before?.review_count ? getIntervalDays(before) : 0,
+    interval_after: after.interval_days,
+    scheduler: scheduler.id,
+    scheduler_version: scheduler.version
+  };
 }
 
 /**
  * Record a review and update narrative SRS data
  * @param {string} narrativeId - ID of narrative being reviewed
  * @param {number} quality - Quality rating (0-3)
+ * @param {Object} options - {elapsedMs: time spent on the review}
  * @returns {Promise<Object>} Updated narrative object
  */
-async function recordReview(narrativeId, quality) {
+async function recordReview(narrativeId, quality, options = {}) {
   if (quality < 0 || quality > 3) {
     throw new Error('Quality must be between 0 and 3');
   }
@@ -94,31 +147,59 @@ async function recordReview(narrativeId, quality) {
   const narrative = await getNarrativeById(narrativeId);
   if (!narrative) throw new Error('Narrative not found');
 
-  const { nextIntervalIndex, nextReviewDate, status } = calculateNextReview(
-    narrative.srs.interval_index,
-    quality
-  );
-
-  // Update quality history (keep last 10)
-  const qualityHistory = [...narrative.srs.quality_history, quality].slice(-10);
-
-  // Update SRS data
-  const updatedSRS = {
-    interval_index: nextIntervalIndex,
-    next_review_date: nextReviewDate,
-    last_reviewed: new Date().toISOString(),
-    review_count: (narrative.srs.review_count || 0) + 1,
-    quality_history: qualityHistory,
-    status: status,
-    ease_factor: narrative.srs.ease_factor // Preserved for future SM-2 enhancement
-  };
+  // Appends to quality_history (last 10) and keeps other schedulers' fields
+  const updatedSRS = scheduleReview(narrative.srs, quality, activeScheduler);
+
+  // Stored with its review log in one write (the full history lives in the
+  // log, and stats are derived from it)
+  return await saveReview('narratives', narrativeId, updatedSRS,
+    buildReviewLog(narrative.srs, updatedSRS, quality, options));
+}
+
+/**
+ * Record a review of a phrase card (see cards.js)
+ * @param {string} cardId - ID of card being reviewed
+ * @param {number} quality - Quality rating (0-3)
+ * @param {Object} options - {elapsedMs: time spent on the review}
+ * @returns {Promise<Object>} Updated card object
+ */
+async function recordCardReview(cardId, quality, options = {}) {
+  if (quality < 0 || quality > 3) {
+    throw new Error('Quality must be between 0 and 3');
+  }
+
+  const card = await window.storage?.getCardById(cardId);
+  if (!card) throw new Error('Card not found');
 
-  const updated = await updateNarrativeSRS(narrativeId, updatedSRS);
+  const updatedSRS = scheduleReview(card.srs, quality, activeScheduler);
+  return await saveReview('cards', cardId, updatedSRS,
+    buildReviewLog(card.srs, updatedSRS, quality, options));
+}
 
-  // Update stats
-  await updateSRSStats();
+/**
+ * Retention per month or quarter, from review logs
+ * A review counts as recalled unless it was rated FORGOT.
+ * @param {Array} logs - Rows from storage.getReviewLogs()
+ * @param {string} period - 'month' (YYYY-MM) | 'quarter' (YYYY-Qn)
+ * @returns {Array<Object>} [{period, reviews, recalled, retention}] oldest first, retention 0-1
+ */
+function getRetentionByPeriod(logs = [], period = 'month') {
+  const buckets = {};
+
+  logs.forEach(log => {
+    const day = dayOf(log.reviewed_at);
+    const key = period === 'quarter'
+      ? `${day.slice(0, 4)}-Q${Math.floor((Number(day.slice(5, 7)) - 1) / 3) + 1}`
+      : day.slice(0, 7);
+
+    buckets[key] = buckets[key] || { period: key, reviews: 0, recalled: 0 };
+    buckets[key].reviews++;
+    if (log.quality !== REVIEW_QUALITY.FORGOT) buckets[key].recalled++;
+  });
 
-  return updated;
+  return Object.values(buckets)
+    .sort((a, b) => a.period.localeCompare(b.period))
+    .map(b => ({ ...b, retention: Number((b.recalled / b.reviews).toFixed(2)) }));
 }
 
 /**
@@ -145,15 +226,9 @@ function getReviewStatistics(narratives = []) {
     average_ease: 0
   };
 
-  const today = new Date();
-  const tomorrow = new Date(today);
-  tomorrow.setDate(tomorrow.getDate() + 1);
-  const weekLater = new Date(today);
-  weekLater.setDate(weekLater.getDate() + 7);
-
-  const todayStr = formatDate(today);
-  const tomorrowStr = formatDate(tomorrow);
-  const weekLaterStr = formatDate(weekLater);
+  const todayStr = today();
+  const tomorrowStr = addDays(todayStr, 1);
+  const weekLaterStr = addDays(todayStr, 7);
 
   let totalEase = 0;
   let totalQuality = 0;
@@ -168,13 +243,13 @@ function getReviewStatistics(narratives = []) {
     if (n.srs.status === 'mastered') stats.mastered++;
 
     // Count due dates
-    if (n.srs.next_review_date <= todayStr && n.srs.status !== 'mastered') {
+    if (n.srs.next_review_date <= todayStr && isReviewable(n.srs)) {
       stats.due_today++;
     }
     if (n.srs.next_review_date === tomorrowStr) {
       stats.due_tomorrow++;
     }
-    if (n.srs.next_review_date <= weekLaterStr && n.srs.status !== 'mastered') {
+    if (n.srs.next_review_date <= weekLaterStr && isReviewable(n.srs)) {
       stats.due_this_week++;
     }
 
@@ -216,10 +291,10 @@ async function updateNarrativeSRS(id, srsData) {
 
 
 /**
- * Update SRS stats (Async wrapper)
+ * Store a review and its log in one write (Async wrapper)
  */
-async function updateSRSStats() {
-  return await window.storage?.updateSRSStats();
+async function saveReview(store, id, srsData, entry) {
+  return await window.storage?.saveReview(store, id, srsData, entry) || null;
 }
 
 /**
@@ -230,11 +305,17 @@ async function updateSRSStats() {
 async function resetNarrativeToNew(narrativeId) {
   return await updateNarrativeSRS(narrativeId, {
     interval_index: 0,
-    next_review_date: formatDate(new Date()),
+    interval_days: 0,
+    next_review_date: today(),
     last_reviewed: null,
     review_count: 0,
     quality_history: [],
-    status: 'new'
+    status: 'new',
+    ease_factor: 2.5,
+    repetitions: 0,
+    lapses: 0,
+    stability: null,
+    difficulty: null
   });
 }
 
@@ -270,9 +351,10 @@ async function resumeNarrative(narrativeId) {
  */
 function getOptimalReviewOrder(narratives) {
   return [...narratives].sort((a, b) => {
-    // Prioritize narratives with lower interval index (earlier in learning)
-    if (a.srs.interval_index !== b.srs.interval_index) {
-      return a.srs.interval_index - b.srs.interval_index;
+    // Prioritize narratives with shorter intervals (earlier in learning)
+    const intervalDiff = getIntervalDays(a.srs) - getIntervalDays(b.srs);
+    if (intervalDiff !== 0) {
+      return intervalDiff;
     }
     // Then by oldest review date
     return new Date(a.srs.last_reviewed || a.created_at) - new Date(b.srs.last_reviewed || b.created_at);
@@ -295,17 +377,13 @@ function getRandomReviewOrder(narratives) {
 
 /**
  * Get interval name for display
- * @param {number} intervalIndex - Index in SRS_INTERVALS
- * @returns {string} Human-readable interval name
+ * Works for every scheduler; narratives last scheduled by the ladder may
+ * only have interval_index.
+ * @param {Object} srsData - Narrative or card srs_data
+ * @returns {string} e.g. "3日", "1週間"
  */
-function getIntervalName(intervalIndex) {
-  const names = [
-    'Tomorrow (1日後)',
-    '3 days later (3日後)',
-    'Week later (1週間後)',
-    'Month later (1ヶ月後)'
-  ];
-  return names[intervalIndex] || 'Unknown';
+function getIntervalName(srsData) {
+  return formatIntervalShort(getIntervalDays(srsData));
 }
 
 /**
@@ -314,11 +392,7 @@ function getIntervalName(intervalIndex) {
  * @returns {number} Days until review (negative = overdue)
  */
 function daysUntilReview(nextReviewDate) {
-  const today = new Date();
-  const reviewDate = new Date(nextReviewDate);
-  const diffTime = reviewDate - today;
-  const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-  return diffDays;
+  return daysBetween(today(), nextReviewDate);
 }
 
 /**
@@ -351,25 +425,21 @@ function getQualityBreakdown(narrative) {
 
 /**
  * Estimate mastery date for a narrative
- * Based on current interval index and quality trend
+ * Simulates GOOD reviews with the scheduler that will schedule them, and
+ * adjusts for the quality trend
  * @param {Object} narrative - Narrative object (MODIFIED to accept object, not ID)
- * @returns {string} Estimated mastery date (YYYY-MM-DD)
+ * @param {string} schedulerId - ladder | sm2 | fsrs (default: the active one)
+ * @returns {string|null} Estimated mastery date (YYYY-MM-DD), null if the
+ *   scheduler would not master it within a year
  */
-function estimateMasteryDate(narrative) {
+function estimateMasteryDate(narrative, schedulerId = activeScheduler) {
   if (!narrative || !narrative.srs) return null;
 
-  const { interval_index, quality_history = [] } = narrative.srs;
-  if (interval_index >= SRS_INTERVALS.length - 1) {
-    return formatDate(new Date()); // Already mastered
-  }
-
-  // Estimate based on remaining intervals and average quality
-  let estimatedDays = 0;
-  // ... (Calculation logic remains same)
-
-  // Simple estimate: assume GOOD quality for remaining intervals
-  for (let i = interval_index; i < SRS_INTERVALS.length - 1; i++) {
-    estimatedDays += SRS_INTERVALS[i + 1];
+  const { quality_history = [] } = narrative.srs;
+  let estimatedDays = daysUntilMastered(narrative.srs, schedulerId);
+  if (estimatedDays === null) return null;
+  if (estimatedDays === 0) {
+    return today(); // Already mastered
   }
 
   // Adjust based on recent quality trend
@@ -383,10 +453,7 @@ function estimateMasteryDate(narrative) {
     estimatedDays *= 1.5;
   }
 
-  const masteryDate = new Date();
-  masteryDate.setDate(masteryDate.getDate() + Math.ceil(estimatedDays));
-
-  return formatDate(masteryDate);
+  return addDays(today(), Math.ceil(estimatedDays));
 }
 
 // Export all functions to window.srs namespace
@@ -394,8 +461,17 @@ Object.assign(window.srs, {
   SRS_INTERVALS,
   REVIEW_QUALITY,
   REVIEW_QUALITY_LABELS,
+  SCHEDULERS,
+  getActiveScheduler,
+  setActiveScheduler,
+  loadSchedulerPreference,
+  isReviewable,
   calculateNextReview,
+  previewNextReviews,
+  formatIntervalShort,
   recordReview,
+  recordCardReview,
+  getRetentionByPeriod,
   getReviewStatistics,
   resetNarrativeToNew,
   suspendNarrative,
@@ -406,6 +482,5 @@ Object.assign(window.srs, {
   daysUntilReview,
   isOverdue,
   getQualityBreakdown,
-  estimateMasteryDate,
-  formatDate
+  estimateMasteryDate
 });
@@ -4,6 +4,9 @@
  */
 
 import { CATEGORY_LABELS } from './constants.js';
+import { diffRevisions, EDIT_SRS_RESET_POLICIES, DEFAULT_EDIT_SRS_RESET } from './revisions.js';
+import { addDays, dayOf, detectTimeZone, getDateSettings, startOfDay, today } from './dates.js';
+import { escapeHtml } from './html.js';
 
 // Helper to format category for display
 function formatCategory(cat) {
@@ -25,6 +28,8 @@ async function renderReviewDashboard() {
   const dueToday = (await window.storage?.getNarrativesDueToday()) || [];
   (await window.storage?.getSRSStats()) || {};
   const narratives = (await window.storage?.getAllNarratives()) || [];
+  const schedulerId = await window.srs?.loadSchedulerPreference();
+  const profile = await window.storage?.getProfile();
 
   // Pick a "Featured Memory" with priority:
   // 1. "Years ago today" (same month/day from past years)
@@ -34,21 +39,19 @@ async function renderReviewDashboard() {
   let featuredNarrative = null;
 
   if (narratives.length > 0) {
-    const today = new Date();
-    const todayMonthDay = `${String(today.getMonth() + 1).padStart(2, '0')}-${String(today.getDate()).padStart(2, '0')}`;
+    const todayStr = today();
+    const yearOf = day => Number(day.slice(0, 4));
 
     // Look for "years ago today" entries
     const yearsAgoNarratives = narratives.filter(n => {
-      const createdDate = new Date(n.created_at);
-      const createdMonthDay = `${String(createdDate.getMonth() + 1).padStart(2, '0')}-${String(createdDate.getDate()).padStart(2, '0')}`;
-      const yearsDiff = today.getFullYear() - createdDate.getFullYear();
-      return createdMonthDay === todayMonthDay && yearsDiff > 0;
+      const createdDay = dayOf(n.created_at);
+      return createdDay.slice(5) === todayStr.slice(5) && yearOf(createdDay) < yearOf(todayStr);
     }).sort((a, b) => new Date(a.created_at) - new Date(b.created_at)); // Oldest first
 
     if (yearsAgoNarratives.length > 0) {
       // Prioritize "years ago today"
       featuredNarrative = yearsAgoNarratives[0];
-      const yearsAgo = today.getFullYear() - new Date(featuredNarrative.created_at).getFullYear();
+      const yearsAgo = yearOf(todayStr) - yearOf(dayOf(featuredNarrative.created_at));
       featuredTitle = `${yearsAgo}年前の今日`;
     } else if (dueToday.length > 0) {
       // If there are reviews due, pick the first one
@@ -104,6 +107,12 @@ async function renderReviewDashboard() {
           <button class="primary" onclick="window.startReview()" style="width: 100%; padding: 1.25rem; font-size: 1.1rem; margin-bottom: 1rem; border-radius: 1rem; box-shadow: 0 4px 12px rgba(99, 102, 241, 0.3);">
             ✨ この日記を読み返す (${dueToday.length}件)
           </button>
+          <button class="secondary" onclick="window.startReview({ mode: 'recall' })" style="width: 100%; padding: 1rem; margin-bottom: 1rem; border-radius: 1rem;">
+            ✍️ 英語で答えてから読み返す
+          </button>
+          <button class="secondary" onclick="window.startReview({ mode: 'phrase' })" style="width: 100%; padding: 1rem; margin-bottom: 1rem; border-radius: 1rem;">
+            🔤 フレーズ練習
+          </button>
           <p style="font-size: 0.9rem; color: var(--text-secondary); margin-bottom: 2rem;">
             当時の気持ちや表現を、もう一度味わってみましょう。
           </p>
@@ -116,6 +125,12 @@ async function renderReviewDashboard() {
             <button class="primary" onclick="window.startReview({ all: true })" style="width: 100%; padding: 1.25rem; font-size: 1.1rem; margin-bottom: 1rem; border-radius: 1rem; box-shadow: 0 4px 12px rgba(99, 102, 241, 0.3);">
               ✨ 自由に読み返す
             </button>
+            <button class="secondary" onclick="window.startReview({ all: true, mode: 'recall' })" style="width: 100%; padding: 1rem; margin-bottom: 1rem; border-radius: 1rem;">
+              ✍️ 英語で答えてから読み返す
+            </button>
+            <button class="secondary" onclick="window.startReview({ mode: 'phrase' })" style="width: 100%; padding: 1rem; margin-bottom: 1rem; border-radius: 1rem;">
+              🔤 フレーズ練習
+            </button>
             <p style="font-size: 0.9rem; color: var(--text-secondary); margin-bottom: 2rem;">
               過去の日記をランダムに振り返ります
             </p>
@@ -124,11 +139,89 @@ async function renderReviewDashboard() {
     }
   }
 
+  html += renderSchedulerPicker(schedulerId);
+  html += renderEditResetPicker(profile?.edit_srs_reset);
+  html += renderDayPicker(profile);
+
   html += '</div>'; // End Hero Section
 
   container.innerHTML = html;
 }
 
+/**
+ * Scheduler selector shown under the review buttons
+ * @param {string} schedulerId - Active scheduler
+ * @returns {string} HTML
+ */
+function renderSchedulerPicker(schedulerId) {
+  const schedulers = Object.values(window.srs?.SCHEDULERS || {});
+  if (schedulers.length === 0) return '';
+
+  const active = schedulers.find(s => s.id === schedulerId) || schedulers[0];
+  const options = schedulers.map(s =>
+    `<option value="${s.id}" ${s.id === active.id ? 'selected' : ''}>${s.label}</option>`
+  ).join('');
+
+  return `
+    <div style="display: flex; flex-wrap: wrap; align-items: center; gap: 0.75rem; padding: 1rem; border: 1px solid var(--border-color); border-radius: 1rem;">
+        <label for="scheduler-select" style="font-size: 0.9rem; color: var(--text-secondary);">復習の間隔</label>
+        <select id="scheduler-select" onchange="window.changeScheduler(this.value)">${options}</select>
+        <span id="scheduler-description" style="font-size: 0.85rem; color: var(--text-tertiary);">${active.description}</span>
+    </div>
+  `;
+}
+
+/**
+ * Selector for whether editing a saved narrative restarts its reviews
+ * @param {string} policyId - Active policy (profile.edit_srs_reset)
+ * @returns {string} HTML
+ */
+function renderEditResetPicker(policyId) {
+  const active = EDIT_SRS_RESET_POLICIES[policyId] || EDIT_SRS_RESET_POLICIES[DEFAULT_EDIT_SRS_RESET];
+  const options = Object.values(EDIT_SRS_RESET_POLICIES).map(p =>
+    `<option value="${p.id}" ${p.id === active.id ? 'selected' : ''}>${p.label}</option>`
+  ).join('');
+
+  return `
+    <div style="display: flex; flex-wrap: wrap; align-items: center; gap: 0.75rem; padding: 1rem; margin-top: 0.75rem; border: 1px solid var(--border-color); border-radius: 1rem;">
+        <label for="edit-reset-select" style="font-size: 0.9rem; color: var(--text-secondary);">編集後の復習</label>
+        <select id="edit-reset-select" onchange="window.changeEditSrsReset(this.value)">${options}</select>
+        <span id="edit-reset-description" style="font-size: 0.85rem; color: var(--text-tertiary);">${active.description}</span>
+    </div>
+  `;
+}
+
+/**
+ * Timezone and day start selectors (see dates.js)
+ * @param {Object|null} profile
+ * @returns {string} HTML
+ */
+function renderDayPicker(profile) {
+  const { timeZone, dayStartHour } = getDateSettings();
+  const zones = Intl.supportedValuesOf?.('timeZone') || [];
+  if (!zones.includes(timeZone)) zones.unshift(timeZone);
+
+  const zoneOptions = [
+    `<option value="" ${profile?.timezone ? '' : 'selected'}>この端末に合わせる（${detectTimeZone()}）</option>`,
+    ...zones.map(zone =>
+      `<option value="${zone}" ${zone === profile?.timezone ? 'selected' : ''}>${zone}</option>`
+    )
+  ].join('');
+  const hourOptions = Array.from({ length: 24 }, (_, hour) =>
+    `<option value="${hour}" ${hour === dayStartHour ? 'selected' : ''}>${hour}:00</option>`
+  ).join('');
+
+  return `
+    <div style="display: flex; flex-wrap: wrap; align-items: center; gap: 0.75rem; padding: 1rem; margin-top: 0.75rem; border: 1px solid var(--border-color); border-radius: 1rem;">
+        <label for="timezone-select" style="font-size: 0.9rem; color: var(--text-secondary);">タイムゾーン</label>
+        <select id="timezone-select" onchange="window.changeTimeZone(this.value)">${zoneOptions}</select>
+        <label for="day-start-select" style="font-size: 0.9rem; color: var(--text-secondary);">1日の始まり</label>
+        <select id="day-start-select" onchange="window.changeDayStartHour(this.value)">${hourOptions}</select>
+        <span style="font-size: 0.85rem; color: var(--text-tertiary);">この時刻より前の復習や日記は前日の分になります。</span>
+    </div>
+  `;
+}
+
 /**
  * Render detailed statistics screen
  */
@@ -141,8 +234,8 @@ async function renderReviewDashboard() {
  */
 // Calendar State
 window.calendarState = {
-  currentYear: new Date().getFullYear(),
-  currentMonth: new Date().getMonth(), // 0-indexed
+  currentYear: Number(today().slice(0, 4)),
+  currentMonth: Number(today().slice(5, 7)) - 1, // 0-indexed
   selectedDate: null
 };
 
@@ -163,6 +256,10 @@ async function renderHistoryPage() {
   window.allNarratives = narratives; // Cache for calendar rendering
 
   let html = `
+    ${renderHistorySearchForm()}
+    <div id="history-search-results"></div>
+
+    <div id="history-calendar">
     <!-- Calendar Controls -->
     <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 2rem; background: rgba(15, 23, 42, 0.4); padding: 0.75rem 1rem; border-radius: 1rem; border: 1px solid var(--border-color);">
         <button class="calendar-nav-btn" onclick="window.changeMonth(-1)" aria-label="Previous Month">
@@ -186,13 +283,124 @@ async function renderHistoryPage() {
         <h3 id="selected-date-label">Select a date</h3>
         <div id="selected-date-entries"></div>
     </div>
+    </div>
+
+    <div style="text-align: right; margin-top: 2rem;">
+        <button class="secondary" onclick="window.viewTrash()" style="font-size: 0.85rem; padding: 0.4rem 1rem;">🗑 ゴミ箱</button>
+    </div>
   `;
 
 
   container.innerHTML = html;
   window.renderCalendar();
+
+  if (historySearch.query) await runHistorySearch();
 }
 
+// Last history search, kept so "back" from the detail view shows the results again
+const historySearch = { query: '', category: 'all', status: 'all', from: '', to: '' };
+
+const STATUS_LABELS = {
+  new: '未復習',
+  learning: '学習中',
+  mastered: '習得済み',
+  suspended: '休止中'
+};
+
+/**
+ * Search bar shown above the calendar
+ * @returns {string} HTML
+ */
+function renderHistorySearchForm() {
+  const option = (value, label, selected) =>
+    `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`;
+  const categories = Object.entries(CATEGORY_LABELS).map(([id, label]) => option(id, label, historySearch.category)).join('');
+  const statuses = Object.entries(STATUS_LABELS).map(([id, label]) => option(id, label, historySearch.status)).join('');
+
+  return `
+    <form id="history-search" onsubmit="window.searchHistory(event)" style="display: flex; flex-direction: column; gap: 0.75rem; margin-bottom: 2rem; padding: 1rem; border: 1px solid var(--border-color); border-radius: 1rem;">
+        <div style="display: flex; gap: 0.5rem;">
+            <input type="search" id="history-search-query" placeholder="英文・回答・フレーズを検索" value="${escapeHtml(historySearch.query)}" style="flex: 1;">
+            <button type="submit" style="margin-top: 0;">検索</button>
+        </div>
+        <div style="display: flex; flex-wrap: wrap; align-items: center; gap: 0.5rem; font-size: 0.85rem; color: var(--text-secondary);">
+            <select id="history-search-category" aria-label="カテゴリー">${option('all', 'すべてのカテゴリー', historySearch.category)}${categories}</select>
+            <select id="history-search-status" aria-label="復習の状態">${option('all', 'すべての状態', historySearch.status)}${statuses}</select>
+            <input type="date" id="history-search-from" aria-label="開始日" value="${historySearch.from}" style="width: auto;">
+            〜
+            <input type="date" id="history-search-to" aria-label="終了日" value="${historySearch.to}" style="width: auto;">
+        </div>
+    </form>
+  `;
+}
+
+// Snippets are raw text with <mark> around matches
+function renderSnippet(snippet) {
+  return escapeHtml(snippet).replace(/&lt;(\/?)mark&gt;/g, '<$1mark>');
+}
+
+/**
+ * Run historySearch and show the results in place of the calendar
+ */
+async function runHistorySearch() {
+  const results = document.getElementById('history-search-results');
+  const calendar = document.getElementById('history-calendar');
+  if (!results) return;
+
+  if (!historySearch.query) {
+    results.innerHTML = '';
+    if (calendar) calendar.style.display = '';
+    return;
+  }
+
+  // Date inputs are the user's days (see dates.js); the range end is exclusive
+  const narratives = (await window.storage?.searchNarratives(historySearch.query, {
+    from: historySearch.from ? startOfDay(historySearch.from) : null,
+    to: historySearch.to ? startOfDay(addDays(historySearch.to, 1)) : null,
+    category: historySearch.category,
+    status: historySearch.status,
+    limit: 50
+  })) || [];
+
+  if (calendar) calendar.style.display = 'none';
+
+  const items = narratives.map(n => `
+    <div style="background: #1e293b; padding: 1rem; border-radius: 0.5rem; margin-bottom: 1rem; border-left: 3px solid var(--accent-color);">
+        <div style="display: flex; justify-content: space-between; gap: 0.5rem; margin-bottom: 0.5rem;">
+            <span style="font-weight: bold;">${formatCategory(n.category)}</span>
+            <span style="font-size: 0.85rem; color: var(--text-tertiary);">${new Date(n.created_at).toLocaleDateString('ja-JP')}</span>
+        </div>
+        <div style="margin-bottom: 0.5rem; line-height: 1.6;">${renderSnippet(n.search?.snippet || n.narrative_en)}</div>
+        <button class="secondary" style="font-size: 0.8rem; padding: 0.3rem 0.8rem;" onclick="window.viewNarrativeDetails('${n.id}')">Details</button>
+    </div>
+  `).join('');
+
+  results.innerHTML = `
+    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 1rem;">
+        <h3 style="margin: 0;">「${escapeHtml(historySearch.query)}」の検索結果 (${narratives.length})</h3>
+        <button class="secondary" onclick="window.clearHistorySearch()" style="margin-top: 0; font-size: 0.85rem; padding: 0.3rem 0.8rem;">カレンダーに戻る</button>
+    </div>
+    ${items || '<p style="color:var(--text-secondary)">見つかりませんでした。</p>'}
+  `;
+}
+
+window.searchHistory = async (event) => {
+  event?.preventDefault();
+  historySearch.query = document.getElementById('history-search-query')?.value.trim() || '';
+  historySearch.category = document.getElementById('history-search-category')?.value || 'all';
+  historySearch.status = document.getElementById('history-search-status')?.value || 'all';
+  historySearch.from = document.getElementById('history-search-from')?.value || '';
+  historySearch.to = document.getElementById('history-search-to')?.value || '';
+  await runHistorySearch();
+};
+
+window.clearHistorySearch = async () => {
+  historySearch.query = '';
+  const input = document.getElementById('history-search-query');
+  if (input) input.value = '';
+  await runHistorySearch();
+};
+
 /**
  * Render the Calendar Grid
  */
@@ -234,7 +442,7 @@ window.renderCalendar = () => {
 
     // Check for entries
     const dateStr = `${year}-${String(month + 1).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
-    const entries = window.allNarratives.filter(n => n.created_at.startsWith(dateStr));
+    const entries = window.allNarratives.filter(n => dayOf(n.created_at) === dateStr);
 
     if (entries.length > 0) {
       div.classList.add('has-entry');
@@ -284,7 +492,7 @@ window.selectDate = (dateStr) => {
   label.textContent = `Entries for ${dateStr}`;
   container.innerHTML = '';
 
-  const entries = window.allNarratives.filter(n => n.created_at.startsWith(dateStr));
+  const entries = window.allNarratives.filter(n => dayOf(n.created_at) === dateStr);
 
   if (entries.length === 0) {
     container.innerHTML = '<p style="color:var(--text-secondary)">No entries for this day.</p>';
@@ -303,6 +511,28 @@ window.selectDate = (dateStr) => {
   });
 };
 
+/**
+ * Render one collapsible learning section of the detail view
+ * @param {string} narrativeId
+ * @param {string} section - Section key (see storage.updateNarrativeSection)
+ * @param {string} title
+ * @param {string} bodyHtml - Section content, empty if the section has none
+ * @returns {string}
+ */
+function renderDetailSection(narrativeId, section, title, bodyHtml) {
+  return `
+    <details class="key-phrases-details" data-section="${section}" style="background: rgba(255,255,255,0.03); border-radius: 0.75rem; overflow: hidden; margin-bottom: 0.75rem;">
+      <summary style="padding: 1rem; cursor: pointer; font-size: 0.8rem; color: var(--text-tertiary); text-transform: uppercase; letter-spacing: 0.05em; font-weight: 600; outline: none; list-style: none;">
+        ▶ ${title}
+      </summary>
+      <div style="padding: 0 1rem 1rem 1rem;">
+        ${bodyHtml || '<p style="color: var(--text-secondary); font-size: 0.85rem; margin: 0 0 0.75rem 0;">まだありません。</p>'}
+        <button class="secondary" style="font-size: 0.8rem; padding: 0.3rem 0.8rem;" onclick="window.regenerateNarrativeSection('${narrativeId}', '${section}')">🔄 このパートを作り直す</button>
+      </div>
+    </details>
+  `;
+}
+
 /**
  * Render narrative detail view
  */
@@ -373,27 +603,47 @@ async function renderNarrativeDetailView(narrativeId) {
         </div>
       </div>
 
-      <!-- Key Phrases Section -->
-      ${narrative.key_phrases && narrative.key_phrases.length > 0 ? `
-        <details class="key-phrases-details" style="background: rgba(255,255,255,0.03); border-radius: 0.75rem; overflow: hidden;">
-          <summary style="padding: 1rem; cursor: pointer; font-size: 0.8rem; color: var(--text-tertiary); text-transform: uppercase; letter-spacing: 0.05em; font-weight: 600; outline: none; list-style: none;">
-            ▶ Key Phrases
-          </summary>
-          <div style="padding: 0 1rem 1rem 1rem;">
-            ${narrative.key_phrases.slice(0, 3).map((p, idx) => `
-              <div style="display: flex; flex-direction: column; margin-bottom: 0.75rem; padding-bottom: 0.75rem; ${idx < narrative.key_phrases.slice(0, 3).length - 1 ? 'border-bottom: 1px solid rgba(255,255,255,0.05);' : ''}">
-                <div style="color: var(--accent-color); font-weight: 500; font-size: 0.95rem; margin-bottom: 0.2rem;">${p.phrase_en}</div>
-                <div style="color: var(--text-secondary); font-size: 0.85rem;">${p.meaning_ja}</div>
-              </div>
-            `).join('')}
+      <!-- Learning Sections (each can be regenerated on its own) -->
+      ${renderDetailSection(narrative.id, 'key_phrases', 'Key Phrases',
+        (narrative.key_phrases || []).map((p, idx, list) => `
+          <div style="display: flex; flex-direction: column; margin-bottom: 0.75rem; padding-bottom: 0.75rem; ${idx < list.length - 1 ? 'border-bottom: 1px solid rgba(255,255,255,0.05);' : ''}">
+            <div style="color: var(--accent-color); font-weight: 500; font-size: 0.95rem; margin-bottom: 0.2rem;">${p.phrase_en}</div>
+            <div style="color: var(--text-secondary); font-size: 0.85rem;">${p.meaning_ja}</div>
           </div>
-        </details>
-      ` : ''}
+        `).join(''))}
+
+      ${renderDetailSection(narrative.id, 'alternatives', 'Alternative Expressions',
+        (narrative.alternatives || []).map(alt => `
+          <div style="margin-bottom: 0.75rem;">
+            <div style="font-size: 0.95rem;"><span style="color: var(--text-secondary);">${alt.original_en}</span> → <span style="color: #f59e0b; font-weight: 500;">${alt.alternative_en}</span></div>
+            <div style="color: var(--text-secondary); font-size: 0.85rem;">${alt.nuance_ja}</div>
+          </div>
+        `).join(''))}
+
+      ${renderDetailSection(narrative.id, 'recall_test', 'Recall Test',
+        narrative.recall_test?.prompt_ja
+          ? `<p style="color: var(--text-secondary); font-size: 0.9rem; line-height: 1.6; margin: 0 0 0.75rem 0;">${narrative.recall_test.prompt_ja}</p>`
+          : '')}
+
+      ${renderDetailSection(narrative.id, 'pronunciation', 'Pronunciation',
+        narrative.pronunciation
+          ? `<div style="font-size: 0.95rem;">${narrative.pronunciation.word} <span style="color: var(--text-secondary);">${narrative.pronunciation.ipa}</span></div>
+             <div style="color: var(--text-secondary); font-size: 0.85rem; margin-bottom: 0.75rem;">${narrative.pronunciation.tip_ja}</div>`
+          : '')}
     </div>
 
 
     <!-- Action Buttons -->
-    <div style="display: flex; gap: 1rem; margin-top: 2rem;">
+    <div style="display: flex; flex-wrap: wrap; gap: 1rem; margin-top: 2rem;">
+      <button class="secondary" onclick="window.openNarrativeEditor('${narrative.id}')" style="flex: 1;">
+        ✏️ 編集する
+      </button>
+      <button class="secondary" onclick="window.viewNarrativeHistory('${narrative.id}')" style="flex: 1;">
+        🕘 変更履歴
+      </button>
+      <button class="secondary" onclick="window.deleteNarrative('${narrative.id}')" style="flex: 1;">
+        🗑 ゴミ箱に移動
+      </button>
       <button class="secondary" onclick="window.goToHistory()" style="flex: 1;">
         カレンダーに戻る
       </button>
@@ -403,6 +653,333 @@ async function renderNarrativeDetailView(narrativeId) {
   container.innerHTML = html;
 }
 
+// Editable fields of each list item, with the placeholder shown in the form
+const EDIT_LIST_FIELDS = {
+  key_phrases: [
+    { field: 'phrase_en', placeholder: 'Phrase', required: true },
+    { field: 'meaning_ja', placeholder: '意味', required: true },
+    { field: 'usage_hint_ja', placeholder: '使い方のヒント（任意）' }
+  ],
+  alternatives: [
+    { field: 'original_en', placeholder: 'Original', required: true },
+    { field: 'alternative_en', placeholder: 'Alternative', required: true },
+    { field: 'nuance_ja', placeholder: 'ニュアンス（任意）' }
+  ]
+};
+
+// Narrative being edited; list items keep the fields the form doesn't show
+let editingNarrative = null;
+
+/**
+ * One editable list item
+ * @param {string} section - key_phrases | alternatives
+ * @param {Object} item - Current item ({} for a new one)
+ * @param {number} index - Position in the saved list (-1 for a new item)
+ * @returns {string} HTML
+ */
+function renderEditRow(section, item, index) {
+  const inputs = EDIT_LIST_FIELDS[section].map(({ field, placeholder }) =>
+    `<input type="text" data-field="${field}" placeholder="${placeholder}" value="${escapeHtml(item[field])}" style="flex: 1; min-width: 8rem;">`
+  ).join('');
+
+  return `
+    <div class="edit-row" data-index="${index}">
+        ${inputs}
+        <button type="button" class="secondary" onclick="this.closest('.edit-row').remove()" aria-label="削除" style="margin-top: 0; padding: 0.3rem 0.8rem;">✕</button>
+    </div>
+  `;
+}
+
+/**
+ * Render the edit form of a saved narrative
+ * @param {string} narrativeId
+ */
+async function renderNarrativeEditView(narrativeId) {
+  const container = document.getElementById('result-container');
+  if (!container) return;
+
+  const narrative = await window.storage?.getNarrativeById(narrativeId);
+  if (!narrative) {
+    container.innerHTML = '<p style="color:var(--text-secondary)">Narrative not found.</p>';
+    return;
+  }
+  editingNarrative = narrative;
+
+  const list = section => `
+    <div data-section="${section}">
+        ${(narrative[section] || []).map((item, i) => renderEditRow(section, item || {}, i)).join('')}
+    </div>
+    <button type="button" class="secondary" onclick="window.addEditRow('${section}')" style="font-size: 0.8rem; padding: 0.3rem 0.8rem;">＋ 追加</button>
+  `;
+
+  container.innerHTML = `
+    <div style="margin-bottom: 1.5rem;">
+      <button class="secondary" onclick="window.viewNarrativeDetails('${narrative.id}')" style="padding: 0.5rem 1rem; font-size: 0.9rem;">
+        ← 編集をやめる
+      </button>
+    </div>
+
+    <h2 style="margin: 0 0 1.5rem 0; font-size: 1.25rem;">日記を編集</h2>
+
+    <form id="narrative-edit-form" class="narrative-edit-form" onsubmit="window.saveNarrativeEdit(event)">
+      <h3>English</h3>
+      <textarea class="editable-narrative" name="narrative_en" required>${escapeHtml(narrative.narrative_en)}</textarea>
+
+      <h3>Key Phrases</h3>
+      ${list('key_phrases')}
+
+      <h3>Alternative Expressions</h3>
+      ${list('alternatives')}
+
+      <h3>Recall Test</h3>
+      <textarea name="prompt_ja" rows="3" placeholder="思い出すためのヒント（日本語）">${escapeHtml(narrative.recall_test?.prompt_ja)}</textarea>
+
+      <p style="font-size: 0.85rem; color: var(--text-secondary); margin: 1.5rem 0 0 0;">
+        保存すると、前の内容は変更履歴に残ります。復習のリセットはダッシュボードの「編集後の復習」で設定できます。
+      </p>
+      <button type="submit" class="primary" style="width: 100%;">保存する</button>
+    </form>
+  `;
+}
+
+window.addEditRow = function (section) {
+  const list = document.querySelector(`#narrative-edit-form [data-section="${section}"]`);
+  if (list) list.insertAdjacentHTML('beforeend', renderEditRow(section, {}, -1));
+};
+
+/**
+ * Read the edit form into narrative fields
+ * Empty rows are dropped; fields the form doesn't show are kept.
+ * @param {HTMLFormElement} form
+ * @returns {Object} Changes for storage.editNarrative
+ * @throws {Error} When a row is missing a required field
+ */
+function collectNarrativeEdit(form) {
+  const readList = section => [...form.querySelectorAll(`[data-section="${section}"] .edit-row`)]
+    .map(row => {
+      const original = editingNarrative[section]?.[Number(row.dataset.index)] || {};
+      const item = { ...original };
+      EDIT_LIST_FIELDS[section].forEach(({ field }) => {
+        const value = row.querySelector(`[data-field="${field}"]`).value.trim();
+        if (value || field in item) item[field] = value;
+      });
+      return item;
+    })
+    .filter(item => EDIT_LIST_FIELDS[section].some(({ field }) => item[field]))
+    .map(item => {
+      const missing = EDIT_LIST_FIELDS[section].find(({ field, required }) => required && !item[field]);
+      if (missing) throw new Error(`「${missing.placeholder}」が空の行があります`);
+      return item;
+    });
+
+  const promptJa = form.elements.prompt_ja.value.trim();
+  return {
+    narrative_en: form.elements.narrative_en.value.trim(),
+    key_phrases: readList('key_phrases'),
+    alternatives: readList('alternatives'),
+    recall_test: (promptJa || editingNarrative.recall_test)
+      ? { ...editingNarrative.recall_test, prompt_ja: promptJa }
+      : editingNarrative.recall_test
+  };
+}
+
+window.saveNarrativeEdit = async function (event) {
+  event.preventDefault();
+  if (!editingNarrative) return;
+  if (!navigator.onLine) {
+    alert('オフラインのため保存できません。接続が戻ってからお試しください。');
+    return;
+  }
+
+  let changes;
+  try {
+    changes = collectNarrativeEdit(event.target);
+  } catch (error) {
+    alert(error.message);
+    return;
+  }
+
+  window.showLoading('Saving...');
+  try {
+    const { srsReset } = await window.storage.editNarrative(editingNarrative.id, changes);
+    const id = editingNarrative.id;
+    editingNarrative = null;
+    await window.renderNarrativeDetailView(id);
+    window.scrollTo(0, 0);
+    if (srsReset) alert('内容が大きく変わったため、この日記の復習を最初からやり直します。');
+  } catch (error) {
+    alert('保存に失敗しました: ' + error.message);
+  } finally {
+    window.hideLoading();
+  }
+};
+
+const REVISION_SOURCE_LABELS = {
+  original: '生成時',
+  edit: '編集',
+  regenerate: '作り直し',
+  restore: '復元'
+};
+
+// Revisions shown in the history view, newest first
+let historyRevisions = [];
+
+/**
+ * Diff runs as inline HTML (added / removed words highlighted)
+ * @param {Array} parts - From diffRevisions
+ * @returns {string}
+ */
+function renderDiffText(parts) {
+  return parts.map(part => {
+    const text = escapeHtml(part.text);
+    if (part.type === 'added') return `<ins class="diff-added">${text}</ins>`;
+    if (part.type === 'removed') return `<del class="diff-removed">${text}</del>`;
+    return text;
+  }).join(' ');
+}
+
+// List diffs, one item per line; unchanged items are left out
+function renderDiffList(parts) {
+  return parts.filter(part => part.type !== 'same').map(part => `
+    <div>${renderDiffText([part])}</div>
+  `).join('');
+}
+
+/**
+ * Changes a revision made compared with the one before it
+ * @param {Object} revision
+ * @param {Object|undefined} previous - Older revision, none for the original
+ * @returns {string} HTML
+ */
+function renderRevisionChanges(revision, previous) {
+  if (!previous) {
+    return `<p style="line-height: 1.8; margin: 0;">${escapeHtml(revision.content.narrative_en)}</p>`;
+  }
+
+  const diff = diffRevisions(previous.content, revision.content);
+  const changed = parts => parts.some(part => part.type !== 'same');
+  const block = (title, body) => `
+    <div style="margin-bottom: 0.75rem;">
+        <div style="font-size: 0.75rem; color: var(--text-tertiary); text-transform: uppercase; letter-spacing: 0.05em; margin-bottom: 0.25rem;">${title}</div>
+        <div style="line-height: 1.8;">${body}</div>
+    </div>
+  `;
+
+  const blocks = [
+    changed(diff.narrative_en) ? block('English', renderDiffText(diff.narrative_en)) : '',
+    changed(diff.key_phrases) ? block('Key Phrases', renderDiffList(diff.key_phrases)) : '',
+    changed(diff.alternatives) ? block('Alternative Expressions', renderDiffList(diff.alternatives)) : '',
+    changed(diff.recall_test) ? block('Recall Test', renderDiffText(diff.recall_test)) : ''
+  ].join('');
+
+  return blocks || '<p style="color: var(--text-secondary); font-size: 0.85rem; margin: 0;">発音のヒントなど、表示していない項目の変更です。</p>';
+}
+
+/**
+ * Render the version history of a narrative with diffs and restore buttons
+ * @param {string} narrativeId
+ */
+async function renderNarrativeHistoryView(narrativeId) {
+  const container = document.getElementById('result-container');
+  if (!container) return;
+
+  historyRevisions = await window.storage.getNarrativeRevisions(narrativeId);
+
+  const items = historyRevisions.map((revision, i) => `
+    <div style="background: #1e293b; padding: 1rem; border-radius: 0.5rem; margin-bottom: 1rem; border-left: 3px solid ${i === 0 ? 'var(--accent-color)' : 'var(--border-color)'};">
+        <div style="display: flex; flex-wrap: wrap; justify-content: space-between; align-items: center; gap: 0.5rem; margin-bottom: 0.75rem;">
+            <span style="font-weight: bold;">
+                ${REVISION_SOURCE_LABELS[revision.source] || revision.source}
+                ${i === 0 ? '<span style="font-size: 0.8rem; color: var(--accent-color);">（現在の版）</span>' : ''}
+                ${revision.srs_reset ? '<span style="font-size: 0.8rem; color: #f59e0b;">復習リセット</span>' : ''}
+            </span>
+            <span style="font-size: 0.85rem; color: var(--text-tertiary);">${new Date(revision.created_at).toLocaleString('ja-JP')}</span>
+        </div>
+        ${renderRevisionChanges(revision, historyRevisions[i + 1])}
+        ${i > 0 ? `<button class="secondary" style="font-size: 0.8rem; padding: 0.3rem 0.8rem;" onclick="window.restoreRevision('${revision.id}')">この版に戻す</button>` : ''}
+    </div>
+  `).join('');
+
+  container.innerHTML = `
+    <div style="margin-bottom: 1.5rem;">
+      <button class="secondary" onclick="window.viewNarrativeDetails('${narrativeId}')" style="padding: 0.5rem 1rem; font-size: 0.9rem;">
+        ← 日記に戻る
+      </button>
+    </div>
+
+    <h2 style="margin: 0 0 1.5rem 0; font-size: 1.25rem;">変更履歴</h2>
+    ${items || '<p style="color:var(--text-secondary)">まだ変更はありません。編集や作り直しをすると、ここに前の版が残ります。</p>'}
+  `;
+}
+
+window.restoreRevision = async function (revisionId) {
+  const revision = historyRevisions.find(r => r.id === revisionId);
+  if (!revision) return;
+  if (!confirm('この版に戻しますか？（今の内容も履歴に残ります）')) return;
+
+  window.showLoading('Restoring...');
+  try {
+    const { srsReset } = await window.storage.restoreNarrativeRevision(revision);
+    await renderNarrativeHistoryView(revision.narrative_id);
+    if (srsReset) alert('内容が大きく変わったため、この日記の復習を最初からやり直します。');
+  } catch (error) {
+    alert('復元に失敗しました: ' + error.message);
+  } finally {
+    window.hideLoading();
+  }
+};
+
+/**
+ * Days until a trashed narrative is purged automatically
+ * @param {string} purgeAt - ISO timestamp (set by the server)
+ * @returns {number}
+ */
+function daysUntilPurge(purgeAt) {
+  const remaining = (new Date(purgeAt).getTime() - Date.now()) / (24 * 60 * 60 * 1000);
+  return Math.max(0, Math.ceil(remaining));
+}
+
+/**
+ * Render the trash: deleted narratives with restore and purge buttons
+ */
+async function renderTrashView() {
+  const container = document.getElementById('result-container');
+  if (!container) return;
+
+  const narratives = await window.storage.getTrashedNarratives();
+
+  const items = narratives.map(narrative => `
+    <div style="background: #1e293b; padding: 1rem; border-radius: 0.5rem; margin-bottom: 1rem; border-left: 3px solid var(--border-color);">
+        <div style="display: flex; flex-wrap: wrap; justify-content: space-between; align-items: center; gap: 0.5rem; margin-bottom: 0.5rem;">
+            <span style="font-weight: bold;">${new Date(narrative.created_at).toLocaleDateString('ja-JP')}</span>
+            <span style="font-size: 0.85rem; color: var(--text-tertiary);">
+                ${new Date(narrative.deleted_at).toLocaleDateString('ja-JP')} に削除・あと${daysUntilPurge(narrative.purge_at)}日で完全に削除
+            </span>
+        </div>
+        <p style="color: var(--text-secondary); font-size: 0.9rem; line-height: 1.6; margin: 0 0 0.75rem 0;">${escapeHtml(narrative.narrative_en)}</p>
+        <div style="display: flex; gap: 0.5rem;">
+            <button class="secondary" style="font-size: 0.8rem; padding: 0.3rem 0.8rem;" onclick="window.restoreTrashedNarrative('${narrative.id}')">元に戻す</button>
+            <button class="secondary" style="font-size: 0.8rem; padding: 0.3rem 0.8rem;" onclick="window.purgeTrashedNarratives('${narrative.id}')">完全に削除</button>
+        </div>
+    </div>
+  `).join('');
+
+  container.innerHTML = `
+    <div style="margin-bottom: 1.5rem;">
+      <button class="secondary" onclick="window.goToHistory()" style="padding: 0.5rem 1rem; font-size: 0.9rem;">
+        ← カレンダーに戻る
+      </button>
+    </div>
+
+    <h2 style="margin: 0 0 0.5rem 0; font-size: 1.25rem;">ゴミ箱</h2>
+    <p style="color: var(--text-secondary); font-size: 0.85rem; margin: 0 0 1.5rem 0;">
+      削除した日記は、それぞれの期限が来ると完全に削除されます。
+    </p>
+    ${items || '<p style="color:var(--text-secondary)">ゴミ箱は空です。</p>'}
+    ${items ? '<button class="secondary" onclick="window.purgeTrashedNarratives()" style="width: 100%;">ゴミ箱を空にする</button>' : ''}
+  `;
+}
+
 // Global functions for UI navigation
 window.renderReviewDashboard = renderReviewDashboard;
 window.renderHistoryPage = renderHistoryPage;
@@ -433,7 +1010,7 @@ window.startReview = async function (options = {}) {
   try {
     const success = await window.initReviewSession({ order: 'oldest_first', ...options });
     if (!success) {
-      alert('振り返る日記がありません');
+      alert(options.mode === 'phrase' ? '今日練習するフレーズはありません' : '振り返る日記がありません');
       return;
     }
     window.renderReviewSession();
@@ -442,6 +1019,53 @@ window.startReview = async function (options = {}) {
   }
 };
 
+window.changeEditSrsReset = async function (policyId) {
+  try {
+    await window.storage?.updateProfile({ edit_srs_reset: policyId });
+
+    const description = document.getElementById('edit-reset-description');
+    if (description) description.textContent = EDIT_SRS_RESET_POLICIES[policyId].description;
+  } catch (error) {
+    alert('設定を保存できませんでした: ' + error.message);
+    await renderReviewDashboard();
+  }
+};
+
+window.changeTimeZone = async function (timeZone) {
+  try {
+    await window.storage?.updateProfile({ timezone: timeZone || null });
+    await window.updateNavigation();
+    await renderReviewDashboard();
+  } catch (error) {
+    alert('設定を保存できませんでした: ' + error.message);
+    await renderReviewDashboard();
+  }
+};
+
+window.changeDayStartHour = async function (hour) {
+  try {
+    await window.storage?.updateProfile({ day_start_hour: Number(hour) });
+    await window.updateNavigation();
+    await renderReviewDashboard();
+  } catch (error) {
+    alert('設定を保存できませんでした: ' + error.message);
+    await renderReviewDashboard();
+  }
+};
+
+window.changeScheduler = async function (schedulerId) {
+  try {
+    await window.storage?.updateProfile({ scheduler: schedulerId });
+    window.srs.setActiveScheduler(schedulerId);
+
+    const description = document.getElementById('scheduler-description');
+    if (description) description.textContent = window.srs.SCHEDULERS[schedulerId].description;
+  } catch (error) {
+    alert('設定を保存できませんでした: ' + error.message);
+    await renderReviewDashboard();
+  }
+};
+
 window.openExportUI = async function () {
   window.state.currentView = 'export';
   await window.renderExportUI();
@@ -458,8 +1082,52 @@ window.viewNarrativeDetails = async function (id) {
   }
 };
 
+window.openNarrativeEditor = async function (id) {
+  window.scrollTo(0, 0);
+  window.showLoading('Loading...');
+  try {
+    await renderNarrativeEditView(id);
+  } finally {
+    window.hideLoading();
+  }
+};
+
+window.viewNarrativeHistory = async function (id) {
+  window.scrollTo(0, 0);
+  window.showLoading('Loading history...');
+  try {
+    await renderNarrativeHistoryView(id);
+  } catch (error) {
+    alert('変更履歴を読み込めませんでした: ' + error.message);
+  } finally {
+    window.hideLoading();
+  }
+};
+
+window.regenerateNarrativeSection = async function (id, section) {
+  if (!confirm('このパートを作り直しますか？（今の内容は置き換えられます）')) return;
+
+  window.showLoading('Regenerating...');
+  try {
+    const narrative = await window.storage?.getNarrativeById(id);
+    if (!narrative) throw new Error('Narrative not found');
+
+    const { value } = await window.fetchSectionRegeneration(narrative, section, narrative.settings);
+    await window.storage?.updateNarrativeSection(id, section, value);
+    await window.renderNarrativeDetailView(id);
+
+    // Keep the regenerated section open
+    const details = document.querySelector(`#result-container details[data-section="${section}"]`);
+    if (details) details.open = true;
+  } catch (error) {
+    alert('作り直しに失敗しました: ' + error.message);
+  } finally {
+    window.hideLoading();
+  }
+};
+
 window.deleteNarrative = async function (id) {
-  if (!confirm('このナラティブを削除しますか？')) return;
+  if (!confirm('この日記をゴミ箱に移動しますか？（完全に削除されるまでは元に戻せます）')) return;
 
   window.showLoading('Deleting...');
   try {
@@ -470,3 +1138,45 @@ window.deleteNarrative = async function (id) {
   }
 };
 
+window.viewTrash = async function () {
+  window.scrollTo(0, 0);
+  window.showLoading('Loading trash...');
+  try {
+    await renderTrashView();
+  } catch (error) {
+    alert('ゴミ箱を読み込めませんでした: ' + error.message);
+  } finally {
+    window.hideLoading();
+  }
+};
+
+window.restoreTrashedNarrative = async function (id) {
+  window.showLoading('Restoring...');
+  try {
+    await window.storage.restoreNarrative(id);
+    await renderTrashView();
+  } catch (error) {
+    alert('元に戻せませんでした: ' + error.message);
+  } finally {
+    window.hideLoading();
+  }
+};
+
+// One narrative, or the whole trash when id is omitted
+window.purgeTrashedNarratives = async function (id) {
+  const message = id
+    ? 'この日記を完全に削除しますか？（復習の記録も消え、元に戻せません）'
+    : 'ゴミ箱を空にしますか？（復習の記録も消え、元に戻せません）';
+  if (!confirm(message)) return;
+
+  window.showLoading('Deleting...');
+  try {
+    await window.storage.purgeNarratives(id ? [id] : null);
+    await renderTrashView();
+  } catch (error) {
+    alert('削除に失敗しました: ' + error.message);
+  } finally {
+    window.hideLoading();
+  }
+};
+
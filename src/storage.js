@@ -4,6 +4,22 @@
  */
 
 import { supabase } from './supabase.js';
+import { buildCards, cardKey, CARD_CONTENT_FIELDS } from './cards.js';
+import { openLocalDB } from './local-db.js';
+import { isRetryable, replayOutbox } from './sync.js';
+import { changedFields, shouldResetSRS, DEFAULT_EDIT_SRS_RESET, REVISION_FIELDS } from './revisions.js';
+import { planImport, DEFAULT_IMPORT_STRATEGY } from './importer.js';
+import { createBackup, readBackup } from './backup.js';
+import { addDays, configureDates, dayOf, getDateSettings, today } from './dates.js';
+import {
+  filterDue,
+  filterUpcoming,
+  filterNarrativeList,
+  filterReviewLogs,
+  newestFirst,
+  pageAfter,
+  summarizeNarratives
+} from './local-queries.js';
 
 // Make storage available globally via window.storage namespace
 window.storage = window.storage || {};
@@ -22,7 +38,8 @@ function getUserId() {
 function initializeSRSData() {
   return {
     interval_index: 0,
-    next_review_date: formatDate(new Date()),
+    interval_days: 0,
+    next_review_date: today(),
     last_reviewed: null,
     review_count: 0,
     quality_history: [],
@@ -31,13 +48,6 @@ function initializeSRSData() {
   };
 }
 
-/**
- * Format date as YYYY-MM-DD
- */
-function formatDate(date) {
-  return date.toISOString().split('T')[0];
-}
-
 /**
  * Helper to transform DB row to Application object
  * Maps srs_data (DB) -> srs (App)
@@ -47,7 +57,9 @@ function transformFromDB(row) {
   return {
     ...row,
     srs: row.srs_data, // Map srs_data to srs
-    srs_data: undefined // Remove original column
+    srs_data: undefined, // Remove original column
+    search_en: undefined, // Generated search columns (see add_narrative_search)
+    search_text: undefined
   };
 }
 
@@ -64,23 +76,218 @@ function transformToDB(appObj) {
   };
 }
 
+// ---------------------------------------------------------------------------
+// Local cache and outbox (local-db.js, sync.js)
+// Reads go to Supabase when it has every local change and fall back to the
+// cache when offline, when writes are still queued, or when a request fails.
+// Review writes go to the cache and the outbox, and are sent when online.
+// ---------------------------------------------------------------------------
+
+let localDB = null; // { userId, db: Promise }
+let flushing = null;
+
 /**
- * Get all en_journal_narratives from Supabase
- * @returns {Promise<Array>} Array of narrative objects
+ * Local database of the signed-in user
+ * @returns {Promise<Object>|null} null when signed out
  */
-async function getAllNarratives() {
+function getLocalDB() {
+  const userId = getUserId();
+  if (!userId) return null;
+
+  if (localDB?.userId !== userId) {
+    localDB = { userId, db: openLocalDB(`kaku-${userId}`) };
+  }
+  return localDB.db;
+}
+
+function isOnline() {
+  return typeof navigator === 'undefined' || navigator.onLine !== false;
+}
+
+async function countPendingWrites() {
+  const db = await getLocalDB();
+  return db ? db.count('outbox') : 0;
+}
+
+async function shouldReadLocally() {
+  return !isOnline() || (await countPendingWrites()) > 0;
+}
+
+// Search columns are generated by the database and only add bulk locally
+function toCacheRow(row) {
+  const cacheRow = { ...row };
+  delete cacheRow.search_en;
+  delete cacheRow.search_text;
+  return cacheRow;
+}
+
+async function readCache(store) {
+  const db = await getLocalDB();
+  return db ? db.getAll(store) : [];
+}
+
+async function writeCache(store, rows, { replace = false } = {}) {
   try {
+    const db = await getLocalDB();
+    if (!db) return;
+    const cacheRows = rows.map(toCacheRow);
+    await (replace ? db.replaceAll(store, cacheRows) : db.put(store, cacheRows));
+  } catch (error) {
+    console.warn('Could not update the local cache:', error);
+  }
+}
+
+async function removeFromCache(store, ids) {
+  const db = await getLocalDB();
+  if (db && ids.length > 0) await db.delete(store, ids);
+}
+
+/**
+ * Read from Supabase, or from the cache when that would miss local changes
+ * @param {string} label - For the error log
+ * @param {Function} remote - Reads (and caches) from Supabase
+ * @param {Function} local - Reads from the cache
+ */
+async function readThrough(label, remote, local) {
+  if (await shouldReadLocally()) return local();
+
+  try {
+    return await remote();
+  } catch (error) {
+    console.error(`Error reading ${label}, using the local cache:`, error);
+    return local();
+  }
+}
+
+async function readCachedRow(store, id) {
+  const db = await getLocalDB();
+  return db ? transformFromDB(await db.get(store, id)) : null;
+}
+
+async function readMeta(key) {
+  const db = await getLocalDB();
+  return db ? (await db.get('meta', key))?.value ?? null : null;
+}
+
+async function getCachedNarratives() {
+  return (await readCache('narratives')).map(transformFromDB).sort(newestFirst);
+}
+
+/**
+ * Apply a write to the cache and queue it for Supabase
+ * @param {string} store - narratives | cards | review_logs
+ * @param {string} op - update | delete | trash | insert
+ * @param {Object} row - Full row after the write (DB format, with updated_at)
+ * @param {Object} changes - Columns to send (update only)
+ */
+async function queueWrite(store, op, row, changes) {
+  const db = await getLocalDB();
+  if (!db) {
+    throw new Error('User must be authenticated to change data');
+  }
+
+  if (op === 'delete' || op === 'trash') await db.delete(store, [row.id]);
+  else await db.put(store, [toCacheRow(row)]);
+
+  await db.add('outbox', {
+    store,
+    op,
+    id: row.id,
+    changes: op === 'update' || op === 'review' ? changes : null,
+    row: op === 'insert' ? row : null,
+    updated_at: row.updated_at || null
+  });
+
+  await flushOutbox();
+}
+
+/**
+ * Send queued writes (one replay at a time)
+ * @returns {Promise<Object|null>} Replay result (see replayOutbox), null if skipped
+ */
+async function flushOutbox() {
+  if (!isOnline()) return null;
+  const db = await getLocalDB();
+  if (!db) return null;
+
+  if (!flushing) {
+    flushing = replayOutbox(db, supabase)
+      .then(result => {
+        if (result.conflicts.length > 0) {
+          console.warn('Kept newer server data for queued writes:', result.conflicts);
+        }
+        result.dropped.forEach(({ entry, error }) => {
+          console.error('Dropped a queued write:', entry, error);
+        });
+        return result;
+      })
+      .catch(error => {
+        console.error('Error sending queued writes:', error);
+        return null;
+      })
+      .finally(() => {
+        flushing = null;
+      });
+  }
+  return flushing;
+}
+
+/**
+ * Send queued writes, then refresh the cache from Supabase
+ * Called on sign-in and whenever the connection comes back.
+ * @returns {Promise<Object>} Sync status (see getSyncStatus)
+ */
+async function syncNow() {
+  await flushOutbox();
+
+  if (!(await shouldReadLocally())) {
+    await Promise.all([getAllNarratives(), getAllCards(), getSRSStats(), getProfile()]);
+    const db = await getLocalDB();
+    if (db) await db.put('meta', [{ key: 'last_synced_at', value: new Date().toISOString() }]);
+  }
+
+  return getSyncStatus();
+}
+
+/**
+ * Connection and outbox state
+ * @returns {Promise<{online: boolean, pending: number, last_synced_at: string|null}>}
+ */
+async function getSyncStatus() {
+  const db = await getLocalDB();
+  const lastSynced = db ? await db.get('meta', 'last_synced_at') : null;
+
+  return {
+    online: isOnline(),
+    pending: await countPendingWrites(),
+    last_synced_at: lastSynced?.value || null
+  };
+}
+
+/**
+ * Forget the signed-in user's cached data and queued writes
+ */
+async function clearLocalCache() {
+  const db = await getLocalDB();
+  if (!db) return;
+  await Promise.all(['narratives', 'cards', 'review_logs', 'meta', 'outbox'].map(store => db.clear(store)));
+}
+
+/**
+ * Get all en_journal_narratives
+ * @returns {Promise<Array>} Array of narrative objects, newest first
+ */
+async function getAllNarratives() {
+  return readThrough('en_journal_narratives', async () => {
     const { data, error } = await supabase
       .from('en_journal_narratives')
       .select('*')
       .order('created_at', { ascending: false });
 
     if (error) throw error;
+    await writeCache('narratives', data, { replace: true });
     return data.map(transformFromDB);
-  } catch (error) {
-    console.error('Error reading en_journal_narratives from Supabase:', error);
-    return [];
-  }
+  }, getCachedNarratives);
 }
 
 /**
@@ -107,6 +314,7 @@ async function saveNarrative(narrative, metadata = {}) {
       category: metadata.category || 'omakase',
       user_answers: metadata.answers || [],
       settings: metadata.settings || { length: 'Normal', tone: 'Business' },
+      prompt_version: narrative.generation_meta?.prompt_version || null,
       srs: initializeSRSData() // will be mapped to srs_data
     };
 
@@ -122,7 +330,11 @@ async function saveNarrative(narrative, metadata = {}) {
       console.error('Supabase insert error details:', error);
       throw error;
     }
-    return transformFromDB(data);
+
+    await writeCache('narratives', [data]);
+    const saved = transformFromDB(data);
+    await syncNarrativeCardsSafely(saved);
+    return saved;
   } catch (error) {
     console.error('Detailed save error:', error);
     throw new Error('Failed to save narrative: ' + (error.message || 'Unknown error'));
@@ -135,7 +347,7 @@ async function saveNarrative(narrative, metadata = {}) {
  * @returns {Promise<Object|null>} Narrative object or null if not found
  */
 async function getNarrativeById(id) {
-  try {
+  return readThrough(`narrative ${id}`, async () => {
     const { data, error } = await supabase
       .from('en_journal_narratives')
       .select('*')
@@ -146,11 +358,9 @@ async function getNarrativeById(id) {
       if (error.code === 'PGRST116') return null; // Not found
       throw error;
     }
+    await writeCache('narratives', [data]);
     return transformFromDB(data);
-  } catch (error) {
-    console.error(`Error getting narrative ${id}:`, error);
-    return null;
-  }
+  }, () => readCachedRow('narratives', id));
 }
 
 /**
@@ -166,35 +376,141 @@ async function updateNarrativeSRS(id, srsData) {
     if (!current) return null;
 
     const newSrs = { ...current.srs, ...srsData };
+    const row = { ...transformToDB(current), srs_data: newSrs, updated_at: new Date().toISOString() };
 
-    const { data, error } = await supabase
-      .from('en_journal_narratives')
-      .update({ srs_data: newSrs })
-      .eq('id', id)
-      .select()
-      .single();
+    // Cached now, sent to Supabase when online (see queueWrite)
+    await queueWrite('narratives', 'update', row, { srs_data: newSrs });
+    return transformFromDB(row);
+  } catch (error) {
+    console.error('Error updating narrative SRS:', error);
+    throw new Error('Failed to update narrative');
+  }
+}
+
+// Sections that can be replaced on their own (see /api/generate mode: 'section')
+const NARRATIVE_SECTIONS = ['key_phrases', 'alternatives', 'recall_test', 'pronunciation'];
+
+// Fields the phrase cards are built from (see cards.js)
+const CARD_SOURCE_FIELDS = ['narrative_en', 'key_phrases', 'alternatives'];
+
+/**
+ * Change a saved narrative and store the result as a revision
+ * Runs en_journal_edit_narrative (see migration add_narrative_revisions).
+ * The SRS state is reset when the profile's edit_srs_reset policy says so;
+ * section regeneration never resets it.
+ * @param {string} id - Narrative ID
+ * @param {Object} changes - Some of narrative_en, key_phrases, alternatives, recall_test, pronunciation
+ * @param {Object} options - {source: 'edit' | 'regenerate' | 'restore'}
+ * @returns {Promise<{narrative: Object, srsReset: boolean}>} Unchanged narrative if nothing changed
+ */
+async function editNarrative(id, changes, { source = 'edit' } = {}) {
+  try {
+    if (!isOnline()) throw new Error('Editing needs a connection');
+
+    // Queued reviews go first: the edit bumps updated_at, which would make
+    // them lose the last-write-wins check (see sync.js)
+    await flushOutbox();
+    if ((await countPendingWrites()) > 0) {
+      throw new Error('Offline reviews are still waiting to be sent');
+    }
+
+    const current = await getNarrativeById(id);
+    if (!current) throw new Error('Narrative not found');
+
+    const fields = changedFields(current, changes);
+    if (fields.length === 0) return { narrative: current, srsReset: false };
+
+    const payload = Object.fromEntries(fields.map(f => [f, changes[f]]));
+    const policy = (await getProfile())?.edit_srs_reset || DEFAULT_EDIT_SRS_RESET;
+    const srsReset = source !== 'regenerate' && shouldResetSRS(policy, current, { ...current, ...payload });
+
+    const { data, error } = await supabase.rpc('en_journal_edit_narrative', {
+      p_narrative_id: id,
+      p_changes: payload,
+      p_source: source,
+      p_srs_data: srsReset ? initializeSRSData() : null
+    });
 
     if (error) throw error;
-    return transformFromDB(data);
+    await writeCache('narratives', [data]);
+    const narrative = transformFromDB(data);
+    if (fields.some(f => CARD_SOURCE_FIELDS.includes(f))) {
+      await syncNarrativeCardsSafely(narrative);
+    }
+    return { narrative, srsReset };
   } catch (error) {
-    console.error('Error updating narrative SRS:', error);
+    console.error('Error editing narrative:', error);
+    throw new Error('Failed to edit narrative: ' + (error.message || 'Unknown error'));
+  }
+}
+
+/**
+ * Replace one generated section of a narrative
+ * @param {string} id - Narrative ID
+ * @param {string} section - key_phrases | alternatives | recall_test | pronunciation
+ * @param {*} value - New section content
+ * @returns {Promise<Object>} Updated narrative
+ */
+async function updateNarrativeSection(id, section, value) {
+  if (!NARRATIVE_SECTIONS.includes(section)) {
+    throw new Error(`Unknown narrative section: ${section}`);
+  }
+
+  try {
+    const { narrative } = await editNarrative(id, { [section]: value }, { source: 'regenerate' });
+    return narrative;
+  } catch (error) {
+    console.error(`Error updating narrative ${section}:`, error);
     throw new Error('Failed to update narrative');
   }
 }
 
 /**
- * Delete a narrative
+ * Get the stored versions of a narrative, newest first
+ * A narrative that was never changed has none.
+ * @param {string} narrativeId
+ * @returns {Promise<Array>} Revision rows {id, created_at, source, content, srs_reset}
+ */
+async function getNarrativeRevisions(narrativeId) {
+  try {
+    const { data, error } = await supabase
+      .from('en_journal_narrative_revisions')
+      .select('*')
+      .eq('narrative_id', narrativeId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error reading narrative revisions:', error);
+    throw new Error('Failed to load revisions');
+  }
+}
+
+/**
+ * Bring back an earlier version (stored as a new revision)
+ * @param {Object} revision - Row from getNarrativeRevisions
+ * @returns {Promise<{narrative: Object, srsReset: boolean}>}
+ */
+async function restoreNarrativeRevision(revision) {
+  return editNarrative(revision.narrative_id, revision.content, { source: 'restore' });
+}
+
+/**
+ * Move a narrative to the trash (see migration add_narrative_trash)
+ * Its cards and review logs are hidden until it is restored, and deleted
+ * when it is purged.
  * @param {string} id - Narrative ID
  * @returns {Promise<boolean>} Success status
  */
 async function deleteNarrative(id) {
   try {
-    const { error } = await supabase
-      .from('en_journal_narratives')
-      .delete()
-      .eq('id', id);
+    const cards = await readCache('cards');
+    await removeFromCache('cards', cards.filter(c => c.narrative_id === id).map(c => c.id));
+    const logs = await readCache('review_logs');
+    await removeFromCache('review_logs', logs.filter(log => log.narrative_id === id).map(log => log.id));
 
-    if (error) throw error;
+    await queueWrite('narratives', 'trash', { id, updated_at: new Date().toISOString() });
     return true;
   } catch (error) {
     console.error('Error deleting narrative:', error);
@@ -202,96 +518,379 @@ async function deleteNarrative(id) {
   }
 }
 
+/**
+ * Get the narratives in the trash, most recently deleted first
+ * The server purges them for good at purge_at (see migration
+ * purge_trash_on_server).
+ * @returns {Promise<Array>} Narrative objects with deleted_at and purge_at
+ */
+async function getTrashedNarratives() {
+  try {
+    if (!isOnline()) throw new Error('The trash needs a connection');
+
+    // Deletions made offline show up once they are sent
+    await flushOutbox();
+    const { data, error } = await supabase.rpc('en_journal_trashed_narratives');
+
+    if (error) throw error;
+    return (data || []).map(row => ({
+      ...transformFromDB(row.narrative),
+      deleted_at: row.narrative.deleted_at,
+      purge_at: row.purge_at
+    }));
+  } catch (error) {
+    console.error('Error reading the trash:', error);
+    throw new Error('Failed to load the trash: ' + (error.message || 'Unknown error'));
+  }
+}
+
+// Take one narrative out of the trash into the cache (its cards and review
+// logs are left to the caller)
+async function untrashNarrative(id) {
+  const { data, error } = await supabase.rpc('en_journal_restore_narrative', {
+    p_narrative_id: id
+  });
+
+  if (error) throw error;
+  if (!data?.[0]) throw new Error('Narrative is not in the trash');
+  await writeCache('narratives', data);
+  return transformFromDB(data[0]);
+}
+
+/**
+ * Take a narrative out of the trash, with its cards and review logs
+ * @param {string} id - Narrative ID
+ * @returns {Promise<Object>} Restored narrative
+ */
+async function restoreNarrative(id) {
+  try {
+    const narrative = await untrashNarrative(id);
+    await Promise.all([getAllCards(), getReviewLogs({ narrativeId: id })]);
+    return narrative;
+  } catch (error) {
+    console.error('Error restoring narrative:', error);
+    throw new Error('Failed to restore narrative: ' + (error.message || 'Unknown error'));
+  }
+}
+
+/**
+ * Delete narratives in the trash for good, with their cards, review logs
+ * and revisions
+ * @param {Array<string>|null} ids - Narrative IDs (null = empty the trash)
+ * @returns {Promise<number>} Number of narratives purged
+ */
+async function purgeNarratives(ids = null) {
+  try {
+    const { data, error } = await supabase.rpc('en_journal_purge_narratives', {
+      p_narrative_ids: ids
+    });
+
+    if (error) throw error;
+    // Their review logs are gone too (ON DELETE CASCADE)
+    await getReviewLogs();
+    return data || 0;
+  } catch (error) {
+    console.error('Error purging narratives:', error);
+    throw new Error('Failed to purge narratives: ' + (error.message || 'Unknown error'));
+  }
+}
+
+/**
+ * Get all phrase cards (see cards.js)
+ * @returns {Promise<Array>} Array of card objects
+ */
+async function getAllCards() {
+  return readThrough('en_journal_cards', async () => {
+    const { data, error } = await supabase
+      .from('en_journal_cards')
+      .select('*')
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    await writeCache('cards', data, { replace: true });
+    return data.map(transformFromDB);
+  }, async () => (await readCache('cards'))
+    .sort((a, b) => (a.created_at || '').localeCompare(b.created_at || ''))
+    .map(transformFromDB));
+}
+
+/**
+ * Get a single card by ID
+ * @param {string} id - Card ID
+ * @returns {Promise<Object|null>} Card object or null if not found
+ */
+async function getCardById(id) {
+  return readThrough(`card ${id}`, async () => {
+    const { data, error } = await supabase
+      .from('en_journal_cards')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // Not found
+      throw error;
+    }
+    await writeCache('cards', [data]);
+    return transformFromDB(data);
+  }, () => readCachedRow('cards', id));
+}
+
+/**
+ * Get phrase cards due for review today
+ * @returns {Promise<Array>} Array of card objects
+ */
+async function getCardsDueToday() {
+  return filterDue(await getAllCards(), today());
+}
+
+/**
+ * Update SRS data for a card
+ * @param {string} id - Card ID
+ * @param {Object} srsData - Updated SRS object (merged with existing)
+ * @returns {Promise<Object|null>} Updated card or null if not found
+ */
+async function updateCardSRS(id, srsData) {
+  try {
+    const current = await getCardById(id);
+    if (!current) return null;
+
+    const newSrs = { ...current.srs, ...srsData };
+    const row = { ...transformToDB(current), srs_data: newSrs, updated_at: new Date().toISOString() };
+
+    await queueWrite('cards', 'update', row, { srs_data: newSrs });
+    return transformFromDB(row);
+  } catch (error) {
+    console.error('Error updating card SRS:', error);
+    throw new Error('Failed to update card');
+  }
+}
+
+/**
+ * Bring the stored cards of some narratives in line with their phrases
+ * New phrases get new cards, changed phrases get their content replaced and
+ * a fresh SRS state, and cards of removed phrases are deleted.
+ * @param {Array} narratives - Narratives to sync
+ * @param {Array} existingCards - Stored cards of those narratives
+ * @returns {Promise<Object>} Counts {inserted, updated, deleted}
+ */
+async function syncCards(narratives, existingCards) {
+  const userId = getUserId();
+  if (!userId) {
+    throw new Error('User must be authenticated to sync cards');
+  }
+
+  const existingByKey = new Map(existingCards.map(c => [cardKey(c), c]));
+  const keep = new Set();
+  const toInsert = [];
+  const toUpdate = [];
+
+  narratives.forEach(narrative => {
+    buildCards(narrative).forEach(card => {
+      const key = cardKey({ ...card, narrative_id: narrative.id });
+      keep.add(key);
+
+      const current = existingByKey.get(key);
+      if (!current) {
+        toInsert.push({ ...card, user_id: userId, narrative_id: narrative.id, srs_data: initializeSRSData() });
+      } else if (CARD_CONTENT_FIELDS.some(f => (current[f] || '') !== (card[f] || ''))) {
+        const content = Object.fromEntries(CARD_CONTENT_FIELDS.map(f => [f, card[f]]));
+        toUpdate.push({ id: current.id, ...content, srs_data: initializeSRSData() });
+      }
+    });
+  });
+
+  // Cards of narratives outside this sync are left alone (deleting a
+  // narrative removes its cards via ON DELETE CASCADE)
+  const narrativeIds = new Set(narratives.map(n => n.id));
+  const stale = existingCards
+    .filter(c => narrativeIds.has(c.narrative_id) && !keep.has(cardKey(c)))
+    .map(c => c.id);
+
+  if (toInsert.length > 0) {
+    const { error } = await supabase.from('en_journal_cards').insert(toInsert);
+    if (error) throw error;
+  }
+
+  for (const { id, ...changes } of toUpdate) {
+    const { error } = await supabase.from('en_journal_cards').update(changes).eq('id', id);
+    if (error) throw error;
+  }
+
+  if (stale.length > 0) {
+    const { error } = await supabase.from('en_journal_cards').delete().in('id', stale);
+    if (error) throw error;
+  }
+
+  return { inserted: toInsert.length, updated: toUpdate.length, deleted: stale.length };
+}
+
+/**
+ * Sync the cards of one narrative
+ * @param {Object} narrative
+ * @returns {Promise<Object>} Counts {inserted, updated, deleted}
+ */
+async function syncNarrativeCards(narrative) {
+  const { data, error } = await supabase
+    .from('en_journal_cards')
+    .select('*')
+    .eq('narrative_id', narrative.id);
+
+  if (error) throw error;
+  return syncCards([narrative], data || []);
+}
+
+// Card sync after a save must not fail the save; the next drill resyncs
+async function syncNarrativeCardsSafely(narrative) {
+  try {
+    await syncNarrativeCards(narrative);
+  } catch (error) {
+    console.warn('Could not sync phrase cards:', error);
+  }
+}
+
+/**
+ * Sync the cards of every narrative (creates cards for older narratives)
+ * @returns {Promise<Object>} Counts {inserted, updated, deleted}
+ */
+async function syncAllCards() {
+  const [narratives, cards] = await Promise.all([getAllNarratives(), getAllCards()]);
+  return syncCards(narratives, cards);
+}
+
+/**
+ * Call a narrative query function (see migration add_narrative_queries)
+ * @param {string} fn - Postgres function name
+ * @param {Object} params - Function arguments
+ * @param {Function} local - Same query on the cached narratives
+ * @returns {Promise<Array>} Array of narrative objects
+ */
+async function queryNarratives(fn, params, local) {
+  return readThrough(`en_journal_narratives (${fn})`, async () => {
+    const { data, error } = await supabase.rpc(fn, params);
+
+    if (error) throw error;
+    return (data || []).map(transformFromDB);
+  }, async () => local(await getCachedNarratives()));
+}
+
+// Arguments shared by filterNarratives and getNarrativesPage
+function toFilterParams(filters) {
+  return {
+    p_query: filters.searchQuery || null,
+    p_category: filters.category || null,
+    p_status: filters.status || null
+  };
+}
+
 /**
  * Get en_journal_narratives due for review today
  * @returns {Promise<Array>} Array of narrative objects
  */
 async function getNarrativesDueToday() {
-  const today = formatDate(new Date());
+  const day = today();
+  return queryNarratives('en_journal_narratives_due', { p_today: day }, narratives => filterDue(narratives, day));
+}
 
-  // Note: JSON filtering in Supabase/Postgres requires specific syntax
-  // Using simplified client-side filtering for MVP to handle complex JSON logic easily
-  // In production with many rows, this should be moved to a DB view or RPC
-  const en_journal_narratives = await getAllNarratives();
+/**
+ * Count en_journal_narratives due for review today (for the nav badge)
+ * @returns {Promise<number>}
+ */
+async function countNarrativesDueToday() {
+  const day = today();
 
-  return en_journal_narratives.filter(n =>
-    n.srs &&
-    n.srs.status !== 'mastered' &&
-    n.srs.status !== 'suspended' &&
-    n.srs.next_review_date <= today
-  );
+  return readThrough('due count', async () => {
+    const { data, error } = await supabase.rpc('en_journal_narratives_due_count', { p_today: day });
+
+    if (error) throw error;
+    return data || 0;
+  }, async () => filterDue(await getCachedNarratives(), day).length);
 }
 
 /**
  * Get en_journal_narratives due in the next N days
  * @param {number} days - Number of days to look ahead
- * @returns {Promise<Array>} Array of narrative objects
+ * @returns {Promise<Array>} Array of narrative objects, soonest first
  */
 async function getNarrativesUpcoming(days = 7) {
-  const today = new Date();
-  const futureDate = new Date(today);
-  futureDate.setDate(futureDate.getDate() + days);
-
-  const todayStr = formatDate(today);
-  const futureDateStr = formatDate(futureDate);
+  const after = today();
+  const until = addDays(after, days);
 
-  const en_journal_narratives = await getAllNarratives();
-
-  return en_journal_narratives.filter(n =>
-    n.srs &&
-    n.srs.status !== 'mastered' &&
-    n.srs.status !== 'suspended' &&
-    n.srs.next_review_date > todayStr &&
-    n.srs.next_review_date <= futureDateStr
-  ).sort((a, b) => new Date(a.srs.next_review_date) - new Date(b.srs.next_review_date));
+  return queryNarratives('en_journal_narratives_upcoming', { p_after: after, p_until: until },
+    narratives => filterUpcoming(narratives, after, until));
 }
 
 /**
- * Search en_journal_narratives by keyword
+ * Full-text search over the narrative, answers and learning sections
+ * English words are stemmed and ranked; other text (Japanese answers,
+ * meanings) matches as a substring. Best matches first. From the local
+ * cache it is a plain substring match, newest first, without snippets.
  * @param {string} query - Search query
- * @returns {Promise<Array>} Matching en_journal_narratives
+ * @param {Object} options - {from, to (Date|string, created_at range [from, to)), category, status, limit, offset}
+ * @returns {Promise<Array>} Matching en_journal_narratives, each with search: {rank, snippet}
+ *   (snippet is raw text with <mark> around matches)
  */
-async function searchNarratives(query) {
-  if (!query) return getAllNarratives();
-
-  const q = query.toLowerCase();
-
-  // Using client-side filter for consistency with MVP JSON structure
-  const en_journal_narratives = await getAllNarratives();
+async function searchNarratives(query, options = {}) {
+  if (!query || !query.trim()) return getAllNarratives();
+
+  const toISO = value => (value ? new Date(value).toISOString() : null);
+
+  return readThrough('en_journal_narratives (search)', async () => {
+    const { data, error } = await supabase.rpc('en_journal_search_narratives', {
+      p_query: query.trim(),
+      p_from: toISO(options.from),
+      p_to: toISO(options.to),
+      p_category: options.category || null,
+      p_status: options.status || null,
+      p_limit: options.limit || null,
+      p_offset: options.offset || 0
+    });
 
-  return en_journal_narratives.filter(n =>
-    (n.narrative_en && n.narrative_en.toLowerCase().includes(q)) ||
-    (n.recall_test && n.recall_test.prompt_ja && n.recall_test.prompt_ja.includes(query)) ||
-    (n.category && n.category.toLowerCase().includes(q))
-  );
+    if (error) throw error;
+    return (data || []).map(row => ({
+      ...transformFromDB(row.narrative),
+      search: { rank: row.rank, snippet: row.snippet }
+    }));
+  }, async () => {
+    const offset = options.offset || 0;
+    return filterNarrativeList(await getCachedNarratives(), { ...options, searchQuery: query })
+      .slice(offset, options.limit ? offset + options.limit : undefined)
+      .map(n => ({ ...n, search: { rank: 0, snippet: null } }));
+  });
 }
 
 /**
  * Filter en_journal_narratives by criteria
  * @param {Object} filters - Filter object {category, status, searchQuery}
- * @returns {Promise<Array>} Filtered en_journal_narratives
+ * @returns {Promise<Array>} Filtered en_journal_narratives, newest first (best match first when searching)
  */
 async function filterNarratives(filters = {}) {
-  let en_journal_narratives = await getAllNarratives(); // Start with all, then filter in memory
-
-  if (filters.searchQuery) {
-    const q = filters.searchQuery.toLowerCase();
-    en_journal_narratives = en_journal_narratives.filter(n =>
-      (n.narrative_en && n.narrative_en.toLowerCase().includes(q)) ||
-      (n.recall_test && n.recall_test.prompt_ja && n.recall_test.prompt_ja.includes(filters.searchQuery)) ||
-      (n.category && n.category.toLowerCase().includes(q))
-    );
-  }
+  if (filters.searchQuery) return searchNarratives(filters.searchQuery, filters);
+  return queryNarratives('en_journal_narratives_filter', toFilterParams(filters),
+    narratives => filterNarrativeList(narratives, filters));
+}
 
-  if (filters.category && filters.category !== 'all') {
-    en_journal_narratives = en_journal_narratives.filter(n => n.category === filters.category);
-  }
+/**
+ * Get one page of en_journal_narratives, newest first
+ * Keyset pagination: pass the returned nextCursor to get the following page.
+ * @param {Object} options - {category, status, searchQuery, cursor, limit}
+ * @returns {Promise<{narratives: Array, nextCursor: {created_at, id}|null}>}
+ */
+async function getNarrativesPage(options = {}) {
+  const { cursor = null, limit = 20 } = options;
 
-  if (filters.status && filters.status !== 'all') {
-    en_journal_narratives = en_journal_narratives.filter(n => n.srs && n.srs.status === filters.status);
-  }
+  const narratives = await queryNarratives('en_journal_narratives_filter', {
+    ...toFilterParams(options),
+    p_before_created_at: cursor?.created_at || null,
+    p_before_id: cursor?.id || null,
+    p_limit: limit
+  }, cached => pageAfter(filterNarrativeList(cached, options), cursor, limit));
 
-  return en_journal_narratives;
+  const last = narratives[narratives.length - 1];
+  return {
+    narratives,
+    nextCursor: narratives.length === limit ? { created_at: last.created_at, id: last.id } : null
+  };
 }
 
 /**
@@ -330,123 +929,190 @@ async function saveSRSSettings(settings) {
 }
 
 /**
- * Get SRS statistics (Global stats from Supabase)
- * @returns {Promise<Object>} Statistics object
+ * Store a review: the new SRS state of a narrative or card and its review log
+ * Sent as one outbox entry and written in one transaction
+ * (en_journal_record_review), so the schedule never moves without the review
+ * being logged. The log uses reviewed_at as the row's updated_at. The new
+ * state is based on the cached row's updated_at; if the server row has
+ * changed since, the review is logged but the server's state is kept.
+ * @param {string} store - 'narratives' | 'cards'
+ * @param {string} id - Narrative or card ID
+ * @param {Object} srsData - Updated SRS object (merged with existing)
+ * @param {Object} entry - Review log fields {quality, reviewed_at, elapsed_ms,
+ *   interval_before, interval_after, scheduler, scheduler_version}
+ * @returns {Promise<Object|null>} Updated narrative or card, null if not found
  */
-async function getSRSStats() {
+async function saveReview(store, id, srsData, entry) {
   try {
-    const userId = getUserId();
-    if (!userId) {
-      // Return default stats if not authenticated
-      return {
-        total_reviews: 0,
-        current_streak: 0,
-        longest_streak: 0,
-        last_review_date: null,
-        reviews_by_date: {}
-      };
-    }
-
-    const { data, error } = await supabase
-      .from('en_journal_stats')
-      .select('*')
-      .eq('user_id', userId)
-      .maybeSingle();
-
-    if (error) {
-      throw error;
-    }
-
-    if (!data) {
-      // If not found, return default (stats will be created by trigger on first login)
-      return {
-        total_reviews: 0,
-        current_streak: 0,
-        longest_streak: 0,
-        last_review_date: null,
-        reviews_by_date: {}
-      };
-    }
+    const current = store === 'cards' ? await getCardById(id) : await getNarrativeById(id);
+    if (!current) return null;
 
-    return {
-      total_reviews: data.total_reviews,
-      current_streak: data.current_streak,
-      longest_streak: data.longest_streak,
-      last_review_date: data.last_review_date,
-      reviews_by_date: data.reviews_by_date || {}
+    const reviewedAt = entry.reviewed_at || new Date().toISOString();
+    const newSrs = { ...current.srs, ...srsData };
+    const row = { ...transformToDB(current), srs_data: newSrs, updated_at: reviewedAt };
+    const log = {
+      id: crypto.randomUUID(),
+      ...entry,
+      narrative_id: store === 'cards' ? current.narrative_id : id,
+      card_id: store === 'cards' ? id : null,
+      reviewed_at: reviewedAt,
+      user_id: getUserId()
     };
+
+    await writeCache('review_logs', [log]);
+    await queueWrite(store, 'review', row, { srs_data: newSrs, log, based_on: current.updated_at || null });
+    return transformFromDB(row);
   } catch (error) {
-    console.error('Error reading SRS stats:', error);
-    return {};
+    console.error('Error saving review:', error);
+    throw new Error('Failed to save review');
   }
 }
 
 /**
- * Update review statistics
- * @param {Date} reviewDate - Date of review
+ * Get review logs, oldest first
+ * @param {Object} filters - {since, until (ISO timestamps, until exclusive), narrativeId}
+ * @returns {Promise<Array>} Review log rows
  */
-async function updateSRSStats(reviewDate = new Date()) {
-  try {
-    const stats = await getSRSStats();
-    const dateStr = formatDate(reviewDate);
+async function getReviewLogs(filters = {}) {
+  return readThrough('review logs', async () => {
+    let query = supabase
+      .from('en_journal_review_logs')
+      .select('*');
 
-    // Update review count for date
-    const reviewsByDate = { ...stats.reviews_by_date };
-    reviewsByDate[dateStr] = (reviewsByDate[dateStr] || 0) + 1;
+    if (filters.since) query = query.gte('reviewed_at', filters.since);
+    if (filters.until) query = query.lt('reviewed_at', filters.until);
+    if (filters.narrativeId) query = query.eq('narrative_id', filters.narrativeId);
 
-    const newTotalReviews = (stats.total_reviews || 0) + 1;
+    const { data, error } = await query.order('reviewed_at', { ascending: true });
 
-    // Update streak
-    let currentStreak = stats.current_streak || 0;
+    if (error) throw error;
+    const unfiltered = !filters.since && !filters.until && !filters.narrativeId;
+    await writeCache('review_logs', data || [], { replace: unfiltered });
+    return data || [];
+  }, async () => filterReviewLogs(await readCache('review_logs'), filters));
+}
 
-    // Check if streak continues
-    const yesterday = new Date(reviewDate);
-    yesterday.setDate(yesterday.getDate() - 1);
-    const yesterdayStr = formatDate(yesterday);
+/**
+ * Current and longest run of consecutive review days
+ * The current streak still counts if the last review was yesterday.
+ * @param {Object} reviewsByDate - {YYYY-MM-DD: count}
+ * @param {string} todayStr - The user's current day (see dates.js)
+ * @returns {Object} {current_streak, longest_streak}
+ */
+function calculateStreaks(reviewsByDate, todayStr = today()) {
+  const dates = Object.keys(reviewsByDate).filter(d => reviewsByDate[d] > 0).sort();
+  const dayBefore = dateStr => addDays(dateStr, -1);
 
-    if (stats.last_review_date === yesterdayStr) {
-      currentStreak += 1;
-    } else if (stats.last_review_date !== dateStr) {
-      // Reset streak if we missed a day (and it's not a second review today)
-      currentStreak = 1;
-    }
+  let longest = 0;
+  let run = 0;
+  dates.forEach((date, i) => {
+    run = i > 0 && dates[i - 1] === dayBefore(date) ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+
+  const last = dates[dates.length - 1];
+  const current = last === todayStr || last === dayBefore(todayStr) ? run : 0;
+
+  return { current_streak: current, longest_streak: longest };
+}
+
+/**
+ * Number of reviews per day (see dates.js)
+ * Grouped in SQL (en_journal_review_day_counts), so the review log itself is
+ * not downloaded. Offline, the counts of the last read are used with the
+ * cached reviews made since.
+ * @returns {Promise<Object>} {YYYY-MM-DD: count}
+ */
+async function getReviewDayCounts() {
+  const { timeZone, dayStartHour } = getDateSettings();
+  return readThrough('review day counts', async () => {
+    const fetchedAt = new Date().toISOString();
+    const { data, error } = await supabase.rpc('en_journal_review_day_counts', {
+      p_time_zone: timeZone,
+      p_day_start_hour: dayStartHour
+    });
+
+    if (error) throw error;
+    const counts = Object.fromEntries((data || []).map(row => [row.day, row.reviews]));
+    await writeCache('meta', [{ key: 'review_day_counts', value: { counts, fetched_at: fetchedAt } }]);
+    return counts;
+  }, async () => {
+    const cached = await readMeta('review_day_counts');
+    const counts = { ...(cached?.counts || {}) };
+    filterReviewLogs(await readCache('review_logs'), { since: cached?.fetched_at }).forEach(log => {
+      const dateStr = dayOf(log.reviewed_at);
+      counts[dateStr] = (counts[dateStr] || 0) + 1;
+    });
+    return counts;
+  });
+}
 
-    const newLongestStreak = Math.max(stats.longest_streak || 0, currentStreak);
+/**
+ * Get SRS statistics
+ * Derived from en_journal_review_logs (counted per day in SQL), on top of
+ * the totals stored in en_journal_stats before review logs existed.
+ * @returns {Promise<Object>} Statistics object
+ */
+async function getSRSStats() {
+  const empty = {
+    total_reviews: 0,
+    current_streak: 0,
+    longest_streak: 0,
+    last_review_date: null,
+    reviews_by_date: {}
+  };
 
+  try {
     const userId = getUserId();
     if (!userId) {
-      console.warn('Cannot update stats: user not authenticated');
-      return stats;
+      // Return default stats if not authenticated
+      return empty;
     }
 
-    const updates = {
-      total_reviews: newTotalReviews,
-      current_streak: currentStreak,
-      longest_streak: newLongestStreak,
-      last_review_date: dateStr,
-      reviews_by_date: reviewsByDate,
-      updated_at: new Date().toISOString()
-    };
+    const legacy = (await getLegacyStats()) || empty;
+    const counts = await getReviewDayCounts();
 
-    const { error } = await supabase
-      .from('en_journal_stats')
-      .update(updates)
-      .eq('user_id', userId);
-
-    if (error) {
-      // If update fails, maybe row doesn't exist yet (though it should be created by trigger)
-      console.error('Failed to update stats', error);
-    }
+    const reviewsByDate = { ...(legacy.reviews_by_date || {}) };
+    let logTotal = 0;
+    Object.entries(counts).forEach(([dateStr, count]) => {
+      reviewsByDate[dateStr] = (reviewsByDate[dateStr] || 0) + count;
+      logTotal += count;
+    });
 
-    return { ...stats, ...updates };
+    const streaks = calculateStreaks(reviewsByDate);
+    const lastLogDate = Object.keys(counts).sort().pop() || null;
 
+    return {
+      total_reviews: (legacy.total_reviews || 0) + logTotal,
+      current_streak: streaks.current_streak,
+      longest_streak: Math.max(legacy.longest_streak || 0, streaks.longest_streak),
+      last_review_date: lastLogDate || legacy.last_review_date || null,
+      reviews_by_date: reviewsByDate
+    };
   } catch (error) {
-    console.error('Error updating SRS stats:', error);
+    console.error('Error reading SRS stats:', error);
+    return {};
   }
 }
 
+// Totals recorded in en_journal_stats before review logs existed
+async function getLegacyStats() {
+  const userId = getUserId();
+  return readThrough('en_journal_stats', async () => {
+    const { data, error } = await supabase
+      .from('en_journal_stats')
+      .select('*')
+      .eq('user_id', userId)
+      .maybeSingle();
+
+    if (error) throw error;
+    await writeCache('meta', [{ key: 'legacy_stats', value: data }]);
+    return data;
+  }, () => readMeta('legacy_stats'));
+}
+
 /**
- * Reset SRS stats
+ * Reset SRS stats (legacy totals and review logs)
  */
 async function resetSRSStats() {
   try {
@@ -470,18 +1136,100 @@ async function resetSRSStats() {
     if (error) {
       console.error('Error resetting SRS stats:', error);
     }
+
+    const { error: logError } = await supabase
+      .from('en_journal_review_logs')
+      .delete()
+      .eq('user_id', userId);
+
+    if (logError) {
+      console.error('Error deleting review logs:', logError);
+    } else {
+      const db = await getLocalDB();
+      await db?.clear('review_logs');
+      await db?.delete('meta', ['legacy_stats', 'review_day_counts']);
+    }
   } catch (error) {
     console.error('Error resetting SRS stats:', error);
   }
 }
 
 /**
- * Export all en_journal_narratives as JSON
+ * Get the user's profile (per-user preferences such as the SRS scheduler)
+ * @returns {Promise<Object|null>} Profile row or null if none saved yet
+ */
+async function getProfile() {
+  try {
+    const userId = getUserId();
+    if (!userId) return null;
+
+    // Cached so the review session keeps the chosen scheduler offline
+    const profile = await readThrough('profile', async () => {
+      const { data, error } = await supabase
+        .from('en_journal_profiles')
+        .select('*')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+      if (error) throw error;
+      await writeCache('meta', [{ key: 'profile', value: data }]);
+      return data;
+    }, () => readMeta('profile'));
+
+    // Days follow the profile's timezone and day start (see dates.js)
+    configureDates(profile);
+    return profile;
+  } catch (error) {
+    console.error('Error reading profile:', error);
+    return null;
+  }
+}
+
+/**
+ * Update the user's profile, creating it on first save
+ * @param {Object} updates - Fields to change, e.g. { scheduler: 'fsrs' }
+ * @returns {Promise<Object>} Updated profile
+ */
+async function updateProfile(updates) {
+  const userId = getUserId();
+  if (!userId) {
+    throw new Error('User must be authenticated to update the profile');
+  }
+
+  try {
+    const { data, error } = await supabase
+      .from('en_journal_profiles')
+      .upsert({ ...updates, user_id: userId, updated_at: new Date().toISOString() })
+      .select()
+      .single();
+
+    if (error) throw error;
+    await writeCache('meta', [{ key: 'profile', value: data }]);
+    configureDates(data);
+    return data;
+  } catch (error) {
+    console.error('Error updating profile:', error);
+    throw new Error('Failed to update profile');
+  }
+}
+
+/**
+ * Export a full backup as JSON (see backup.js for the format)
+ * Narratives, their cards and review logs, the legacy stats totals and the
+ * profile settings, so an import can restore them as they were.
+ * @returns {Promise<string|null>} JSON or null on failure
  */
 async function exportNarrativesJSON() {
   try {
-    const en_journal_narratives = await getAllNarratives();
-    return JSON.stringify(en_journal_narratives, null, 2);
+    const [narratives, cards, reviewLogs, stats, profile] = await Promise.all([
+      getAllNarratives(),
+      getAllCards(),
+      getReviewLogs(),
+      getLegacyStats(),
+      getProfile()
+    ]);
+    const backup = createBackup({ narratives, cards, reviewLogs, stats, profile });
+    return JSON.stringify(backup, null, 2);
   } catch (error) {
     console.error('Error exporting en_journal_narratives:', error);
     return null;
@@ -519,57 +1267,275 @@ async function exportNarrativesCSV() {
   }
 }
 
+// Row to insert for a planned import item; duplicates kept as a second copy
+// (keep_both) get a new id
+function toImportRow(item) {
+  const n = item.narrative;
+  return {
+    id: n.id && !item.duplicateOf ? n.id : crypto.randomUUID(),
+    created_at: n.created_at || new Date().toISOString(),
+    narrative_en: n.narrative_en,
+    key_phrases: n.key_phrases || [],
+    alternatives: n.alternatives || [],
+    recall_test: n.recall_test ?? null,
+    pronunciation: n.pronunciation ?? null,
+    category: n.category || 'omakase',
+    user_answers: n.user_answers || [],
+    settings: n.settings || {},
+    prompt_version: n.prompt_version ?? null,
+    srs_data: n.srs || initializeSRSData()
+  };
+}
+
+// One insert for every new row; if the database rejects it, row by row so
+// only the bad rows fail
+async function insertImportRows(items) {
+  const rows = items.map(toImportRow);
+  if (rows.length === 0) return { inserted: [], failed: [] };
+
+  const { data, error } = await supabase
+    .from('en_journal_narratives')
+    .insert(rows)
+    .select();
+  if (!error) return { inserted: data, failed: [] };
+  if (isRetryable(error)) throw error;
+
+  const inserted = [];
+  const failed = [];
+  for (const [i, row] of rows.entries()) {
+    const result = await supabase
+      .from('en_journal_narratives')
+      .insert(row)
+      .select()
+      .single();
+    if (result.error) failed.push({ index: items[i].index, error: result.error.message });
+    else inserted.push(result.data);
+  }
+  return { inserted, failed };
+}
+
+// Replace a stored narrative with an imported one through
+// en_journal_edit_narrative, so the replaced version stays in the history
+async function overwriteNarrative(current, imported) {
+  const changes = Object.fromEntries(REVISION_FIELDS.map(f => [f, imported[f] ?? null]));
+  changes.key_phrases = imported.key_phrases || [];
+  changes.alternatives = imported.alternatives || [];
+  const fields = changedFields(current, changes);
+  const srs = imported.srs && JSON.stringify(imported.srs) !== JSON.stringify(current.srs) ? imported.srs : null;
+  if (fields.length === 0 && !srs) return current;
+
+  const { data, error } = await supabase.rpc('en_journal_edit_narrative', {
+    p_narrative_id: current.id,
+    p_changes: Object.fromEntries(fields.map(f => [f, changes[f]])),
+    p_source: 'restore',
+    p_srs_data: srs
+  });
+  if (error) throw error;
+
+  await writeCache('narratives', [data]);
+  const narrative = transformFromDB(data);
+  if (fields.some(f => CARD_SOURCE_FIELDS.includes(f))) {
+    await syncNarrativeCardsSafely(narrative);
+  }
+  return narrative;
+}
+
+// Cards and review logs of the narratives inserted from a backup, so their
+// SRS history and stats come back with them. Narratives that were already
+// stored, or kept as a second copy, keep their own history.
+async function restoreHistory(backup, insertedIds, report) {
+  const userId = getUserId();
+  const cards = backup.cards
+    .filter(card => insertedIds.has(card.narrative_id))
+    .map(card => ({ ...transformToDB(card), user_id: userId }));
+  const cardIds = new Set();
+
+  if (cards.length > 0) {
+    const { error } = await supabase
+      .from('en_journal_cards')
+      .upsert(cards, { onConflict: 'id', ignoreDuplicates: true });
+    if (error) {
+      report.failed.push({ store: 'cards', error: error.message });
+    } else {
+      cards.forEach(card => cardIds.add(card.id));
+      await writeCache('cards', cards);
+      report.restored.cards = cards.length;
+    }
+  }
+
+  // Card reviews only come back with their cards
+  const logs = backup.reviewLogs
+    .filter(log => insertedIds.has(log.narrative_id) && (!log.card_id || cardIds.has(log.card_id)))
+    .map(log => ({ ...log, user_id: userId }));
+
+  if (logs.length > 0) {
+    const { error } = await supabase
+      .from('en_journal_review_logs')
+      .upsert(logs, { onConflict: 'id', ignoreDuplicates: true });
+    if (error) {
+      report.failed.push({ store: 'review_logs', error: error.message });
+    } else {
+      await writeCache('review_logs', logs);
+      report.restored.review_logs = logs.length;
+    }
+  }
+}
+
+// Legacy totals are restored only into an account that has none, so that
+// importing a backup twice does not count them twice
+async function restoreLegacyStats(stats) {
+  if (!stats?.total_reviews) return false;
+  const current = await getLegacyStats();
+  if (current?.total_reviews) return false;
+
+  const { data, error } = await supabase
+    .from('en_journal_stats')
+    .upsert({
+      user_id: getUserId(),
+      total_reviews: stats.total_reviews,
+      current_streak: stats.current_streak || 0,
+      longest_streak: stats.longest_streak || 0,
+      last_review_date: stats.last_review_date || null,
+      reviews_by_date: stats.reviews_by_date || {}
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  await writeCache('meta', [{ key: 'legacy_stats', value: data }]);
+  return true;
+}
+
 /**
- * Import en_journal_narratives from JSON
- * Note: Logic changed to bulk insert
+ * Import a JSON backup (any format_version, see backup.js)
+ * The narratives are planned first (importer.js): invalid rows and
+ * duplicates are reported instead of failing the whole import. With dryRun
+ * nothing is written, and the plan is the report to show before importing.
+ * Narratives keep their created_at and SRS state; new ones also get their
+ * cards and review logs back. Narratives found in the trash are restored
+ * (and overwritten with the overwrite strategy) instead of inserted again. Legacy stats totals are restored into an
+ * account without any, and profile settings when restoreSettings is set.
+ * @param {string} jsonString - Backup (see exportNarrativesJSON)
+ * @param {Object} options - {strategy: key of IMPORT_STRATEGIES, dryRun, restoreSettings}
+ * @returns {Promise<Object>} Plan (see planImport) plus {formatVersion, backup,
+ *   imported, untrashed, overwritten, restored, failed: [{index | store, error}]}
  */
-async function importNarrativesJSON(jsonString) {
+async function importNarrativesJSON(
+  jsonString,
+  { strategy = DEFAULT_IMPORT_STRATEGY, dryRun = false, restoreSettings = true } = {}
+) {
+  let data;
   try {
-    const imported = JSON.parse(jsonString);
-    if (!Array.isArray(imported)) throw new Error('Invalid format: expected array');
-
-    const dbRows = imported.map(n => {
-      // Ensure Srs exists
-      const srs = n.srs || initializeSRSData();
-      // Map to DB format
-      return {
-        narrative_en: n.narrative_en,
-        key_phrases: n.key_phrases || [],
-        alternatives: n.alternatives || [],
-        recall_test: n.recall_test,
-        pronunciation: n.pronunciation,
-        category: n.category || 'omakase',
-        user_answers: n.user_answers || [],
-        settings: n.settings || {},
-        srs_data: srs,
-        // Let DB handle ID and created_at if possible, or carry over if importing backup
-        // Not forcing ID here to avoid PK conflicts if ID strategy changes
-      };
-    });
+    data = JSON.parse(jsonString);
+  } catch {
+    throw new Error('Invalid JSON format');
+  }
+  const backup = readBackup(data);
+
+  // The trash needs a connection; an offline dry run plans without it
+  const trashed = isOnline() ? await getTrashedNarratives() : [];
+  const plan = planImport(backup.narratives, await getAllNarratives(), strategy, trashed);
+  const report = {
+    ...plan,
+    formatVersion: backup.formatVersion,
+    backup: {
+      cards: backup.cards.length,
+      review_logs: backup.reviewLogs.length,
+      stats: !!backup.stats?.total_reviews,
+      settings: !!backup.profile && Object.keys(backup.profile).length > 0
+    },
+    imported: [],
+    untrashed: [],
+    overwritten: [],
+    restored: { cards: 0, review_logs: 0, stats: false, settings: false },
+    failed: []
+  };
+  if (dryRun) return report;
 
-    const { data, error } = await supabase
-      .from('en_journal_narratives')
-      .insert(dbRows)
-      .select();
+  try {
+    if (!isOnline()) throw new Error('Importing needs a connection');
+
+    const overwrites = plan.items.filter(item => item.action === 'overwrite');
+    const restores = plan.items.filter(item => item.action === 'restore');
+    if (overwrites.length > 0 || restores.length > 0) {
+      // Queued reviews go first (see editNarrative)
+      await flushOutbox();
+      if ((await countPendingWrites()) > 0) {
+        throw new Error('Offline reviews are still waiting to be sent');
+      }
+    }
 
-    if (error) throw error;
+    const inserts = plan.items.filter(item => item.action === 'insert');
+    const { inserted, failed } = await insertImportRows(inserts);
+    await writeCache('narratives', inserted);
+    report.imported = inserted.map(transformFromDB);
+    report.failed = failed;
 
-    return data.map(transformFromDB);
+    // Only rows inserted under their backup id have history to restore
+    const insertedIds = new Set(inserted.map(row => row.id));
+    const restoredIds = new Set(
+      inserts.filter(item => !item.duplicateOf && insertedIds.has(item.narrative.id)).map(item => item.narrative.id)
+    );
+    await restoreHistory(backup, restoredIds, report);
+
+    for (const item of restores) {
+      try {
+        const narrative = await untrashNarrative(item.duplicateOf.id);
+        report.untrashed.push(narrative);
+        if (plan.strategy === 'overwrite') overwrites.push({ ...item, duplicateOf: narrative });
+      } catch (error) {
+        report.failed.push({ index: item.index, error: error.message });
+      }
+    }
+    if (report.untrashed.length > 0) await Promise.all([getAllCards(), getReviewLogs()]);
+
+    for (const item of overwrites) {
+      try {
+        report.overwritten.push(await overwriteNarrative(item.duplicateOf, item.narrative));
+      } catch (error) {
+        report.failed.push({ index: item.index, error: error.message });
+      }
+    }
+
+    try {
+      report.restored.stats = await restoreLegacyStats(backup.stats);
+    } catch (error) {
+      report.failed.push({ store: 'stats', error: error.message });
+    }
+
+    if (restoreSettings && report.backup.settings) {
+      try {
+        await updateProfile(backup.profile);
+        report.restored.settings = true;
+      } catch (error) {
+        report.failed.push({ store: 'profile', error: error.message });
+      }
+    }
+    return report;
   } catch (error) {
     console.error('Error importing en_journal_narratives:', error);
-    throw new Error('Invalid JSON format or DB error');
+    throw new Error('Failed to import narratives: ' + (error.message || 'Unknown error'));
   }
 }
 
 /**
- * Clear all data (use with caution)
+ * Clear all data: every narrative moves to the trash
+ * They can be restored until the server purges them; review history is
+ * removed only then.
+ * @returns {Promise<number>} Number of narratives moved to the trash
  */
 async function clearAllData() {
   try {
-    await supabase.from('en_journal_narratives').delete().neq('id', '00000000-0000-0000-0000-000000000000'); // Delete all
-    await resetSRSStats();
+    // Queued writes would fail against trashed rows
+    await flushOutbox();
+    const { data, error } = await supabase.rpc('en_journal_trash_all_narratives');
+
+    if (error) throw error;
+    await clearLocalCache();
+    return data || 0;
   } catch (error) {
     console.error('Error clearing data:', error);
+    return 0;
   }
 }
 
@@ -577,18 +1543,23 @@ async function clearAllData() {
  * Get storage statistics
  */
 async function getStorageStats() {
-  const en_journal_narratives = await getAllNarratives();
+  const empty = { total_narratives: 0, total_storage_bytes: 0, new_count: 0, learning_count: 0, mastered_count: 0 };
+
+  const row = await readThrough('storage stats', async () => {
+    const { data, error } = await supabase.rpc('en_journal_storage_stats');
+    if (error) throw error;
+    return data?.[0] || empty;
+  }, async () => summarizeNarratives(await getCachedNarratives()));
 
-  // Size estimate is rough
-  const totalSize = JSON.stringify(en_journal_narratives).length;
+  const totalSize = Number(row.total_storage_bytes) || 0;
 
   return {
-    total_en_journal_narratives: en_journal_narratives.length,
+    total_en_journal_narratives: row.total_narratives,
     total_storage_bytes: totalSize,
     total_storage_kb: (totalSize / 1024).toFixed(2),
-    new_count: en_journal_narratives.filter(n => n.srs?.status === 'new').length,
-    learning_count: en_journal_narratives.filter(n => n.srs?.status === 'learning').length,
-    mastered_count: en_journal_narratives.filter(n => n.srs?.status === 'mastered').length
+    new_count: row.new_count,
+    learning_count: row.learning_count,
+    mastered_count: row.mastered_count
   };
 }
 
@@ -598,20 +1569,40 @@ Object.assign(window.storage, {
   saveNarrative,
   getNarrativeById,
   updateNarrativeSRS,
+  updateNarrativeSection,
+  editNarrative,
+  getNarrativeRevisions,
+  restoreNarrativeRevision,
   deleteNarrative,
+  getTrashedNarratives,
+  restoreNarrative,
+  purgeNarratives,
+  getAllCards,
+  getCardById,
+  getCardsDueToday,
+  updateCardSRS,
+  syncNarrativeCards,
+  syncAllCards,
   getNarrativesDueToday,
+  countNarrativesDueToday,
   getNarrativesUpcoming,
   searchNarratives,
   filterNarratives,
+  getNarrativesPage,
   getSRSSettings,
   saveSRSSettings,
   getSRSStats,
-  updateSRSStats,
+  saveReview,
+  getReviewLogs,
   resetSRSStats,
+  getProfile,
+  updateProfile,
   exportNarrativesJSON,
   exportNarrativesCSV,
   importNarrativesJSON,
   clearAllData,
   getStorageStats,
-  formatDate
+  syncNow,
+  getSyncStatus,
+  clearLocalCache
 });
@@ -0,0 +1,74 @@
+/**
+ * Service Worker
+ * Caches the app shell so review and history open without a network (the
+ * data itself comes from the IndexedDB cache, see local-db.js).
+ *
+ * Built by scripts/vite-plugin-service-worker.js, which prepends
+ * self.__PRECACHE_MANIFEST: the build output to precache and a version that
+ * changes with every build. A new version installs a new cache and removes
+ * the old ones.
+ *
+ * - Pages: network first, then the cached page, then /offline
+ * - Other same-origin files: cache first (build assets have hashed names)
+ * - /api and other origins (Supabase, fonts) are left to the network
+ */
+
+const { version, urls } = self.__PRECACHE_MANIFEST;
+const CACHE_PREFIX = 'kaku-shell-';
+const CACHE_NAME = CACHE_PREFIX + version;
+const OFFLINE_URL = '/offline';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE_NAME)
+      .then((cache) => cache.addAll(urls))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((names) =>
+        Promise.all(
+          names
+            .filter(
+              (name) => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME
+            )
+            .map((name) => caches.delete(name))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+  if (url.pathname.startsWith('/api/')) return;
+
+  event.respondWith(
+    request.mode === 'navigate' ? networkFirst(request) : cacheFirst(request)
+  );
+});
+
+async function networkFirst(request) {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached =
+      (await cache.match(request, { ignoreSearch: true })) ||
+      (await cache.match(OFFLINE_URL));
+    if (!cached) throw error;
+    return cached;
+  }
+}
+
+async function cacheFirst(request) {
+  const cached = await caches.match(request, { cacheName: CACHE_NAME });
+  return cached || fetch(request);
+}
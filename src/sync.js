@@ -0,0 +1,153 @@
+/**
+ * Outbox Sync
+ * Writes made through window.storage land in the local cache first and are
+ * queued in the outbox (local-db.js). replayOutbox sends them to Supabase in
+ * order once there is a connection.
+ *
+ * Outbox entries: {seq, store, op, id, changes, row, updated_at}
+ * - update: changes to one row, made at updated_at
+ * - delete: removal of one row, made at updated_at
+ * - trash: a narrative moved to the trash at updated_at (soft delete)
+ * - review: a review of a narrative or card (changes: {srs_data, log, based_on}),
+ *   stored with its review log in one transaction at updated_at
+ * - insert: a new append-only row (review logs) with a client-side id, queued
+ *   by earlier versions
+ *
+ * Conflicts are settled by updated_at (last write wins): an update, delete or
+ * trash only applies if the server row was last changed before the local edit,
+ * and a review only if the server row is still the one it was scheduled from
+ * (based_on). Otherwise the server row wins and replaces the cached one.
+ */
+
+export const TABLES = {
+  narratives: 'en_journal_narratives',
+  cards: 'en_journal_cards',
+  review_logs: 'en_journal_review_logs',
+};
+
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Whether a failed write should stay queued: no response at all (offline,
+ * timeout) or an expired session. Errors from the database itself would fail
+ * the same way on every retry.
+ * @param {Object} error - Supabase error
+ * @returns {boolean}
+ */
+export function isRetryable(error) {
+  const code = String(error?.code || '');
+  return !code || code.startsWith('PGRST3');
+}
+
+// Server row after a write that matched nothing: newer than the local edit, or
+// gone
+async function settleConflict(entry, db, supabase) {
+  const { data, error } = await supabase
+    .from(TABLES[entry.store])
+    .select('*')
+    .eq('id', entry.id)
+    .maybeSingle();
+  if (error) throw error;
+
+  if (data) {
+    await db.put(entry.store, [data]);
+    return 'conflict';
+  }
+  await db.delete(entry.store, [entry.id]);
+  return entry.op === 'delete' || entry.op === 'trash' ? 'applied' : 'conflict';
+}
+
+// Trashed rows are hidden by RLS, so trashing goes through a function
+async function trashEntry(entry, supabase) {
+  const { data, error } = await supabase.rpc('en_journal_trash_narrative', {
+    p_narrative_id: entry.id,
+    p_deleted_at: entry.updated_at,
+  });
+  if (error) throw error;
+  return data === true;
+}
+
+// The SRS state and the review log are written together (see migrations
+// add_record_review, add_review_version_check); the log is kept even if the
+// SRS state loses
+async function reviewEntry(entry, supabase) {
+  const { srs_data, log, based_on } = entry.changes;
+  const { data, error } = await supabase.rpc('en_journal_record_review', {
+    p_narrative_id: log.narrative_id,
+    p_srs_data: srs_data,
+    p_log: log,
+    p_based_on: based_on || null,
+    p_card_id: log.card_id || null,
+  });
+  if (error) throw error;
+  return data === true;
+}
+
+const RPC_ENTRIES = { trash: trashEntry, review: reviewEntry };
+
+async function applyEntry(entry, db, supabase) {
+  if (RPC_ENTRIES[entry.op]) {
+    if (await RPC_ENTRIES[entry.op](entry, supabase)) return 'applied';
+    return settleConflict(entry, db, supabase);
+  }
+
+  const table = supabase.from(TABLES[entry.store]);
+
+  if (entry.op === 'insert') {
+    const { error } = await table.insert(entry.row);
+    // Already stored by an earlier replay whose response was lost
+    if (error && error.code !== UNIQUE_VIOLATION) throw error;
+    return 'applied';
+  }
+
+  const { data, error } =
+    entry.op === 'update'
+      ? await table
+          .update({ ...entry.changes, updated_at: entry.updated_at })
+          .eq('id', entry.id)
+          .lt('updated_at', entry.updated_at)
+          .select('id')
+      : await table
+          .delete()
+          .eq('id', entry.id)
+          .lte('updated_at', entry.updated_at)
+          .select('id');
+  if (error) throw error;
+
+  if (data?.length > 0) return 'applied';
+  return settleConflict(entry, db, supabase);
+}
+
+/**
+ * Send queued writes to Supabase, oldest first
+ * Stops at the first retryable failure and leaves it (and everything after
+ * it) queued; other failures are dropped so one bad write cannot block the
+ * queue.
+ * @param {Object} db - Local database (see openLocalDB)
+ * @param {Object} supabase - Supabase client
+ * @returns {Promise<{applied: number, conflicts: Array, dropped: Array, remaining: number}>}
+ */
+export async function replayOutbox(db, supabase) {
+  const result = { applied: 0, conflicts: [], dropped: [], remaining: 0 };
+
+  // Entries queued while replaying are picked up by the next pass
+  for (;;) {
+    const entries = (await db.getAll('outbox')).sort((a, b) => a.seq - b.seq);
+    if (entries.length === 0) return result;
+
+    for (const [i, entry] of entries.entries()) {
+      try {
+        const outcome = await applyEntry(entry, db, supabase);
+        if (outcome === 'conflict') result.conflicts.push(entry);
+        else result.applied += 1;
+      } catch (error) {
+        if (isRetryable(error)) {
+          result.remaining = entries.length - i;
+          return result;
+        }
+        result.dropped.push({ entry, error });
+      }
+      await db.delete('outbox', [entry.seq]);
+    }
+  }
+}
@@ -0,0 +1,30 @@
+-- Migration: Add generation log for server-side quotas
+-- Date: 2025-12-28
+-- Description: Record every successful /api/generate call so the Pages Function
+--              can enforce per-user daily and rolling-window limits.
+
+-- Step 1: Create the generation log table
+CREATE TABLE en_journal_generations (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  provider TEXT,
+  model TEXT
+);
+
+-- Step 2: Index for "generations since X" lookups
+CREATE INDEX idx_en_journal_generations_user_created
+  ON en_journal_generations(user_id, created_at DESC);
+
+-- Step 3: Enable RLS
+ALTER TABLE en_journal_generations ENABLE ROW LEVEL SECURITY;
+
+-- Step 4: Users may read and append their own log, but never update or delete it,
+-- otherwise the quota could be reset from the browser
+CREATE POLICY "Users can view own generations"
+  ON en_journal_generations FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own generations"
+  ON en_journal_generations FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
@@ -0,0 +1,10 @@
+-- Migration: Record the prompt template version
+-- Date: 2025-12-29
+-- Description: Store which prompts/narrative.md version produced each narrative
+--              and each logged generation, so prompt A/B tests can be compared.
+
+-- Step 1: Narratives saved by the user
+ALTER TABLE en_journal_narratives ADD COLUMN prompt_version TEXT;
+
+-- Step 2: Server-side generation log
+ALTER TABLE en_journal_generations ADD COLUMN prompt_version TEXT;
@@ -0,0 +1,14 @@
+-- Migration: Separate quotas per generation kind
+-- Date: 2025-12-30
+-- Description: Section regenerations are logged alongside full narratives but
+--              counted against their own quota.
+
+-- Step 1: Add kind column (existing rows are full narrative generations)
+ALTER TABLE en_journal_generations
+  ADD COLUMN kind TEXT NOT NULL DEFAULT 'narrative'
+  CHECK (kind IN ('narrative', 'section'));
+
+-- Step 2: Replace the index so quota lookups can filter by kind
+DROP INDEX IF EXISTS idx_en_journal_generations_user_created;
+CREATE INDEX idx_en_journal_generations_user_kind_created
+  ON en_journal_generations(user_id, kind, created_at DESC);
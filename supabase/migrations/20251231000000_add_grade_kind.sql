@@ -0,0 +1,11 @@
+-- Migration: Log recall test grading
+-- Date: 2025-12-31
+-- Description: /api/grade calls are logged in en_journal_generations with
+--              kind 'grade' and counted against their own quota.
+
+-- Step 1: Allow the new kind
+ALTER TABLE en_journal_generations
+  DROP CONSTRAINT IF EXISTS en_journal_generations_kind_check;
+ALTER TABLE en_journal_generations
+  ADD CONSTRAINT en_journal_generations_kind_check
+  CHECK (kind IN ('narrative', 'section', 'grade'));
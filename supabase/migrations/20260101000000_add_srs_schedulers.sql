@@ -0,0 +1,47 @@
+-- Migration: Pluggable SRS schedulers
+-- Date: 2026-01-01
+-- Description: Replace the fixed 1/3/7/30 ladder with SM-2 / FSRS scheduling
+--              (src/schedulers.js). Users pick their scheduler in a new
+--              profile table, and existing srs_data is converted to SM-2.
+
+-- Step 1: Per-user profile (preferences shared across devices)
+CREATE TABLE en_journal_profiles (
+  user_id UUID PRIMARY KEY DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE CASCADE,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  scheduler TEXT NOT NULL DEFAULT 'sm2'
+    CHECK (scheduler IN ('ladder', 'sm2', 'fsrs'))
+);
+
+-- Step 2: Enable RLS
+ALTER TABLE en_journal_profiles ENABLE ROW LEVEL SECURITY;
+
+-- Step 3: Users manage only their own profile
+CREATE POLICY "Users can view own profile"
+  ON en_journal_profiles FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own profile"
+  ON en_journal_profiles FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own profile"
+  ON en_journal_profiles FOR UPDATE
+  USING (auth.uid() = user_id);
+
+-- Step 4: Convert ladder srs_data to SM-2
+-- The ladder position becomes interval_days and ease_factor keeps its stored
+-- value. All other keys (quality_history, review_count, next_review_date, ...)
+-- are left as they are; SM-2 derives repetitions and lapses from
+-- quality_history on the next review. Mastered narratives come back into
+-- review on their next_review_date instead of retiring.
+UPDATE en_journal_narratives
+SET srs_data = srs_data || jsonb_build_object(
+  'scheduler', 'sm2',
+  'interval_days', CASE
+    WHEN COALESCE((srs_data->>'review_count')::int, 0) = 0 THEN 0
+    ELSE (ARRAY[1, 3, 7, 30])[LEAST(GREATEST(COALESCE((srs_data->>'interval_index')::int, 0), 0), 3) + 1]
+  END,
+  'ease_factor', COALESCE((srs_data->>'ease_factor')::numeric, 2.5)
+)
+WHERE srs_data IS NOT NULL
+  AND NOT (srs_data ? 'scheduler');
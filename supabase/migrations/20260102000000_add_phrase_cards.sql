@@ -0,0 +1,45 @@
+-- Migration: Per-phrase flashcards
+-- Date: 2026-01-02
+-- Description: Cards built from each narrative's key_phrases and alternatives
+--              (src/cards.js), each with its own SRS state in the same shape
+--              as en_journal_narratives.srs_data.
+
+-- Step 1: Create the cards table
+CREATE TABLE en_journal_cards (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE CASCADE,
+  narrative_id UUID NOT NULL REFERENCES en_journal_narratives(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  source TEXT NOT NULL CHECK (source IN ('key_phrase', 'alternative')),
+  source_index INTEGER NOT NULL CHECK (source_index >= 0),
+  card_type TEXT NOT NULL CHECK (card_type IN ('meaning', 'production', 'cloze')),
+  front TEXT NOT NULL,
+  back TEXT NOT NULL,
+  hint TEXT,
+  context TEXT,
+  srs_data JSONB NOT NULL DEFAULT '{}'::jsonb,
+  UNIQUE (narrative_id, source, source_index, card_type)
+);
+
+-- Step 2: Index for per-user listing (narrative_id is covered by the unique key)
+CREATE INDEX idx_en_journal_cards_user_id ON en_journal_cards(user_id);
+
+-- Step 3: Enable RLS
+ALTER TABLE en_journal_cards ENABLE ROW LEVEL SECURITY;
+
+-- Step 4: Users manage only their own cards
+CREATE POLICY "Users can view own cards"
+  ON en_journal_cards FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own cards"
+  ON en_journal_cards FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own cards"
+  ON en_journal_cards FOR UPDATE
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own cards"
+  ON en_journal_cards FOR DELETE
+  USING (auth.uid() = user_id);
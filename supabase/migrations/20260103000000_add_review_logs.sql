@@ -0,0 +1,44 @@
+-- Migration: Normalized review log
+-- Date: 2026-01-03
+-- Description: One row per review (narratives and phrase cards) instead of
+--              srs_data.quality_history (last 10 only) and the ever-growing
+--              en_journal_stats.reviews_by_date blob. Stats are derived from
+--              this table; en_journal_stats keeps the totals recorded before
+--              it existed and is no longer written by the app.
+
+-- Step 1: Create the review log table
+CREATE TABLE en_journal_review_logs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE CASCADE,
+  narrative_id UUID NOT NULL REFERENCES en_journal_narratives(id) ON DELETE CASCADE,
+  card_id UUID REFERENCES en_journal_cards(id) ON DELETE CASCADE,
+  reviewed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  quality SMALLINT NOT NULL CHECK (quality BETWEEN 0 AND 3),
+  elapsed_ms INTEGER CHECK (elapsed_ms >= 0),
+  interval_before INTEGER,
+  interval_after INTEGER,
+  scheduler TEXT,
+  scheduler_version TEXT
+);
+
+-- Step 2: Indexes for "reviews in a period" and per-narrative history
+CREATE INDEX idx_en_journal_review_logs_user_reviewed
+  ON en_journal_review_logs(user_id, reviewed_at DESC);
+CREATE INDEX idx_en_journal_review_logs_narrative
+  ON en_journal_review_logs(narrative_id);
+
+-- Step 3: Enable RLS
+ALTER TABLE en_journal_review_logs ENABLE ROW LEVEL SECURITY;
+
+-- Step 4: Logs are append-only; users may read them and clear their own history
+CREATE POLICY "Users can view own review logs"
+  ON en_journal_review_logs FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own review logs"
+  ON en_journal_review_logs FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own review logs"
+  ON en_journal_review_logs FOR DELETE
+  USING (auth.uid() = user_id);
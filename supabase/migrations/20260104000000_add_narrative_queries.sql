@@ -0,0 +1,132 @@
+-- Migration: Narrative queries in Postgres
+-- Date: 2026-01-04
+-- Description: Due-today, upcoming, filter/search and storage stats used to
+--              load every narrative and filter in the browser (on every
+--              navigation, for the due badge). These functions run the same
+--              filters in SQL with indexes on the srs_data fields, and the
+--              filter function pages with a (created_at, id) keyset.
+--              All functions are SECURITY INVOKER, so RLS still applies.
+
+-- Step 1: Reviewable predicate, mirrors isReviewable() in src/schedulers.js
+-- (only the ladder retires mastered narratives; no scheduler means ladder)
+CREATE OR REPLACE FUNCTION public.en_journal_is_reviewable(srs JSONB)
+RETURNS BOOLEAN
+LANGUAGE sql IMMUTABLE
+AS $$
+  SELECT srs IS NOT NULL
+    AND COALESCE(srs->>'status', '') <> 'suspended'
+    AND NOT (
+      COALESCE(srs->>'status', '') = 'mastered'
+      AND COALESCE(srs->>'scheduler', 'ladder') = 'ladder'
+    );
+$$;
+
+-- Step 2: Indexes on the srs_data fields and the keyset order
+-- next_review_date is stored as YYYY-MM-DD, so text comparison is date order
+CREATE INDEX idx_en_journal_narratives_due
+  ON en_journal_narratives(user_id, (srs_data->>'next_review_date'))
+  WHERE en_journal_is_reviewable(srs_data);
+CREATE INDEX idx_en_journal_narratives_status
+  ON en_journal_narratives(user_id, (srs_data->>'status'));
+CREATE INDEX idx_en_journal_narratives_user_created
+  ON en_journal_narratives(user_id, created_at DESC, id DESC);
+
+-- Step 3: Narratives due on or before p_today (the client's local date)
+CREATE OR REPLACE FUNCTION public.en_journal_narratives_due(
+  p_today TEXT,
+  p_limit INTEGER DEFAULT NULL
+)
+RETURNS SETOF en_journal_narratives
+LANGUAGE sql STABLE SECURITY INVOKER
+AS $$
+  SELECT *
+  FROM en_journal_narratives
+  WHERE user_id = auth.uid()
+    AND en_journal_is_reviewable(srs_data)
+    AND srs_data->>'next_review_date' <= p_today
+  ORDER BY srs_data->>'next_review_date', created_at
+  LIMIT p_limit;
+$$;
+
+CREATE OR REPLACE FUNCTION public.en_journal_narratives_due_count(p_today TEXT)
+RETURNS INTEGER
+LANGUAGE sql STABLE SECURITY INVOKER
+AS $$
+  SELECT COUNT(*)::INTEGER
+  FROM en_journal_narratives
+  WHERE user_id = auth.uid()
+    AND en_journal_is_reviewable(srs_data)
+    AND srs_data->>'next_review_date' <= p_today;
+$$;
+
+-- Step 4: Narratives due after p_after, up to and including p_until
+CREATE OR REPLACE FUNCTION public.en_journal_narratives_upcoming(
+  p_after TEXT,
+  p_until TEXT
+)
+RETURNS SETOF en_journal_narratives
+LANGUAGE sql STABLE SECURITY INVOKER
+AS $$
+  SELECT *
+  FROM en_journal_narratives
+  WHERE user_id = auth.uid()
+    AND en_journal_is_reviewable(srs_data)
+    AND srs_data->>'next_review_date' > p_after
+    AND srs_data->>'next_review_date' <= p_until
+  ORDER BY srs_data->>'next_review_date', created_at;
+$$;
+
+-- Step 5: Search / category / status filter, newest first. Pass the last
+-- row's created_at and id to get the next page; NULL p_limit returns all.
+-- The query matches narrative_en and category case-insensitively and
+-- recall_test.prompt_ja as typed, like the old client-side filter.
+CREATE OR REPLACE FUNCTION public.en_journal_narratives_filter(
+  p_query TEXT DEFAULT NULL,
+  p_category TEXT DEFAULT NULL,
+  p_status TEXT DEFAULT NULL,
+  p_before_created_at TIMESTAMPTZ DEFAULT NULL,
+  p_before_id UUID DEFAULT NULL,
+  p_limit INTEGER DEFAULT NULL
+)
+RETURNS SETOF en_journal_narratives
+LANGUAGE sql STABLE SECURITY INVOKER
+AS $$
+  SELECT *
+  FROM en_journal_narratives
+  WHERE user_id = auth.uid()
+    AND (
+      COALESCE(p_query, '') = ''
+      OR strpos(lower(COALESCE(narrative_en, '')), lower(p_query)) > 0
+      OR strpos(COALESCE(recall_test->>'prompt_ja', ''), p_query) > 0
+      OR strpos(lower(COALESCE(category, '')), lower(p_query)) > 0
+    )
+    AND (p_category IS NULL OR p_category = 'all' OR category = p_category)
+    AND (p_status IS NULL OR p_status = 'all' OR srs_data->>'status' = p_status)
+    AND (
+      p_before_created_at IS NULL
+      OR (created_at, id) < (p_before_created_at, p_before_id)
+    )
+  ORDER BY created_at DESC, id DESC
+  LIMIT p_limit;
+$$;
+
+-- Step 6: Counts for the export screen (size is the stored row size)
+CREATE OR REPLACE FUNCTION public.en_journal_storage_stats()
+RETURNS TABLE (
+  total_narratives INTEGER,
+  total_storage_bytes BIGINT,
+  new_count INTEGER,
+  learning_count INTEGER,
+  mastered_count INTEGER
+)
+LANGUAGE sql STABLE SECURITY INVOKER
+AS $$
+  SELECT
+    COUNT(*)::INTEGER,
+    COALESCE(SUM(pg_column_size(n.*)), 0)::BIGINT,
+    (COUNT(*) FILTER (WHERE n.srs_data->>'status' = 'new'))::INTEGER,
+    (COUNT(*) FILTER (WHERE n.srs_data->>'status' = 'learning'))::INTEGER,
+    (COUNT(*) FILTER (WHERE n.srs_data->>'status' = 'mastered'))::INTEGER
+  FROM en_journal_narratives n
+  WHERE n.user_id = auth.uid();
+$$;
@@ -0,0 +1,138 @@
+-- Migration: Narrative search
+-- Date: 2026-01-05
+-- Description: Ranked search over the narrative, the user's answers and the
+--              learning sections. English words go through a weighted
+--              tsvector (stemmed, ranked with ts_rank_cd); everything else,
+--              notably Japanese which has no word boundaries, is matched as a
+--              substring with a pg_trgm index. Exposed as
+--              en_journal_search_narratives with filters and snippets.
+
+-- Step 1: Trigram support (Supabase keeps extensions in their own schema)
+CREATE EXTENSION IF NOT EXISTS pg_trgm WITH SCHEMA extensions;
+
+-- Step 2: Helpers for the generated columns (must be IMMUTABLE)
+-- Joins the string values found at a JSON path, e.g. '$[*].phrase_en'
+CREATE OR REPLACE FUNCTION public.en_journal_json_text(p_doc JSONB, p_path JSONPATH)
+RETURNS TEXT
+LANGUAGE sql IMMUTABLE
+AS $$
+  SELECT COALESCE(string_agg(value #>> '{}', ' '), '')
+  FROM jsonb_path_query(COALESCE(p_doc, '[]'::jsonb), p_path) AS value
+  WHERE jsonb_typeof(value) = 'string';
+$$;
+
+-- Narrative first (A), then the English phrases (B)
+CREATE OR REPLACE FUNCTION public.en_journal_search_vector(
+  p_narrative_en TEXT,
+  p_key_phrases JSONB,
+  p_alternatives JSONB
+)
+RETURNS TSVECTOR
+LANGUAGE sql IMMUTABLE
+AS $$
+  SELECT
+    setweight(to_tsvector('english', COALESCE(p_narrative_en, '')), 'A') ||
+    setweight(to_tsvector('english',
+      en_journal_json_text(p_key_phrases, '$[*].phrase_en') || ' ' ||
+      en_journal_json_text(p_alternatives, '$[*].alternative_en')
+    ), 'B');
+$$;
+
+-- Every searchable field as one string, for substring matching
+CREATE OR REPLACE FUNCTION public.en_journal_search_text(
+  p_narrative_en TEXT,
+  p_user_answers JSONB,
+  p_key_phrases JSONB,
+  p_alternatives JSONB,
+  p_recall_test JSONB
+)
+RETURNS TEXT
+LANGUAGE sql IMMUTABLE
+AS $$
+  SELECT concat_ws(' ',
+    p_narrative_en,
+    en_journal_json_text(p_user_answers, '$[*]'),
+    en_journal_json_text(p_recall_test, '$.prompt_ja'),
+    en_journal_json_text(p_key_phrases, '$[*].phrase_en'),
+    en_journal_json_text(p_key_phrases, '$[*].meaning_ja'),
+    en_journal_json_text(p_key_phrases, '$[*].usage_hint_ja'),
+    en_journal_json_text(p_alternatives, '$[*].original_en'),
+    en_journal_json_text(p_alternatives, '$[*].alternative_en'),
+    en_journal_json_text(p_alternatives, '$[*].nuance_ja')
+  );
+$$;
+
+-- Step 3: Generated search columns and their indexes
+ALTER TABLE en_journal_narratives
+  ADD COLUMN search_en TSVECTOR GENERATED ALWAYS AS (
+    en_journal_search_vector(narrative_en, key_phrases, alternatives)
+  ) STORED,
+  ADD COLUMN search_text TEXT GENERATED ALWAYS AS (
+    en_journal_search_text(narrative_en, user_answers, key_phrases, alternatives, recall_test)
+  ) STORED;
+
+CREATE INDEX idx_en_journal_narratives_search_en
+  ON en_journal_narratives USING GIN (search_en);
+-- Trigrams index queries of 3+ characters; shorter ones fall back to a scan
+CREATE INDEX idx_en_journal_narratives_search_text
+  ON en_journal_narratives USING GIN (search_text extensions.gin_trgm_ops);
+
+-- Step 4: Snippet around the first substring match, with the match in <mark>
+CREATE OR REPLACE FUNCTION public.en_journal_search_snippet(p_text TEXT, p_query TEXT)
+RETURNS TEXT
+LANGUAGE sql IMMUTABLE
+AS $$
+  SELECT CASE
+    WHEN pos = 0 THEN left(p_text, 80)
+    ELSE
+      CASE WHEN pos > 31 THEN '…' ELSE '' END ||
+      substr(p_text, GREATEST(pos - 30, 1), LEAST(pos - 1, 30)) ||
+      '<mark>' || substr(p_text, pos, length(p_query)) || '</mark>' ||
+      substr(p_text, pos + length(p_query), 50) ||
+      CASE WHEN pos + length(p_query) + 50 <= length(p_text) THEN '…' ELSE '' END
+  END
+  FROM (SELECT strpos(lower(p_text), lower(p_query)) AS pos) AS m;
+$$;
+
+-- Step 5: Search. A narrative matches when the English words match (stemmed)
+-- or the query appears anywhere in search_text. Best matches first; ranked
+-- results page with limit/offset. p_from / p_to bound created_at ([from, to)).
+-- The snippet highlights the narrative when its words match, otherwise the
+-- first substring match; everything but the <mark> tags is raw user text.
+CREATE OR REPLACE FUNCTION public.en_journal_search_narratives(
+  p_query TEXT,
+  p_from TIMESTAMPTZ DEFAULT NULL,
+  p_to TIMESTAMPTZ DEFAULT NULL,
+  p_category TEXT DEFAULT NULL,
+  p_status TEXT DEFAULT NULL,
+  p_limit INTEGER DEFAULT NULL,
+  p_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (narrative JSONB, rank REAL, snippet TEXT)
+LANGUAGE sql STABLE SECURITY INVOKER
+AS $$
+  WITH q AS (
+    SELECT
+      websearch_to_tsquery('english', p_query) AS tsq,
+      '%' || replace(replace(replace(p_query, '\', '\\'), '%', '\%'), '_', '\_') || '%' AS pattern
+  )
+  SELECT
+    to_jsonb(n) - 'search_en' - 'search_text',
+    (ts_rank_cd(n.search_en, q.tsq) + extensions.word_similarity(p_query, n.search_text))::REAL,
+    CASE
+      WHEN to_tsvector('english', n.narrative_en) @@ q.tsq
+        THEN ts_headline('english', n.narrative_en, q.tsq,
+          'StartSel=<mark>, StopSel=</mark>, MaxWords=25, MinWords=10, MaxFragments=2')
+      ELSE en_journal_search_snippet(n.search_text, p_query)
+    END
+  FROM en_journal_narratives n, q
+  WHERE n.user_id = auth.uid()
+    AND COALESCE(trim(p_query), '') <> ''
+    AND (n.search_en @@ q.tsq OR n.search_text ILIKE q.pattern)
+    AND (p_from IS NULL OR n.created_at >= p_from)
+    AND (p_to IS NULL OR n.created_at < p_to)
+    AND (p_category IS NULL OR p_category = 'all' OR n.category = p_category)
+    AND (p_status IS NULL OR p_status = 'all' OR n.srs_data->>'status' = p_status)
+  ORDER BY 2 DESC, n.created_at DESC
+  LIMIT p_limit OFFSET p_offset;
+$$;
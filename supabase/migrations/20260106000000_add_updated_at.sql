@@ -0,0 +1,35 @@
+-- Migration: updated_at for offline sync
+-- Date: 2026-01-06
+-- Description: Reviews made offline are queued on the device and replayed
+--              later (src/sync.js). Each replayed write carries the time it
+--              was made and only applies over rows last changed before it,
+--              so narratives and cards need an updated_at.
+
+-- Step 1: Add the columns (existing rows count as changed when created)
+ALTER TABLE en_journal_narratives
+  ADD COLUMN updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+UPDATE en_journal_narratives SET updated_at = created_at;
+
+ALTER TABLE en_journal_cards
+  ADD COLUMN updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW();
+UPDATE en_journal_cards SET updated_at = created_at;
+
+-- Step 2: Stamp every update, unless the write sets updated_at itself
+-- (a replayed offline edit keeps the time it was made)
+CREATE OR REPLACE FUNCTION public.en_journal_touch_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.updated_at IS NOT DISTINCT FROM OLD.updated_at THEN
+    NEW.updated_at := NOW();
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER en_journal_narratives_touch_updated_at
+  BEFORE UPDATE ON en_journal_narratives
+  FOR EACH ROW EXECUTE FUNCTION en_journal_touch_updated_at();
+
+CREATE TRIGGER en_journal_cards_touch_updated_at
+  BEFORE UPDATE ON en_journal_cards
+  FOR EACH ROW EXECUTE FUNCTION en_journal_touch_updated_at();
@@ -0,0 +1,127 @@
+-- Migration: Narrative revisions
+-- Date: 2026-01-07
+-- Description: Saved narratives become editable (narrative_en, key phrases,
+--              alternatives, recall test). Every edit, section regeneration
+--              and restore stores the resulting content as a revision, so
+--              earlier versions can be compared and restored. The first
+--              change also stores the narrative as generated.
+--              Whether an edit resets the narrative's SRS state is a
+--              profile setting (edit_srs_reset); the client decides and
+--              passes the new srs_data.
+
+-- Step 1: Revisions table (content holds the editable fields)
+CREATE TABLE en_journal_narrative_revisions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE CASCADE,
+  narrative_id UUID NOT NULL REFERENCES en_journal_narratives(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  source TEXT NOT NULL
+    CHECK (source IN ('original', 'edit', 'regenerate', 'restore')),
+  content JSONB NOT NULL,
+  srs_reset BOOLEAN NOT NULL DEFAULT FALSE
+);
+
+CREATE INDEX idx_en_journal_narrative_revisions_narrative
+  ON en_journal_narrative_revisions(narrative_id, created_at DESC);
+
+-- Step 2: Enable RLS
+ALTER TABLE en_journal_narrative_revisions ENABLE ROW LEVEL SECURITY;
+
+-- Step 3: Revisions are append-only (written by en_journal_edit_narrative)
+CREATE POLICY "Users can view own narrative revisions"
+  ON en_journal_narrative_revisions FOR SELECT
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own narrative revisions"
+  ON en_journal_narrative_revisions FOR INSERT
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own narrative revisions"
+  ON en_journal_narrative_revisions FOR DELETE
+  USING (auth.uid() = user_id);
+
+-- Step 4: SRS reset policy for edits
+-- never: keep the schedule / substantial: reset when narrative_en changes a
+-- lot (src/revisions.js) / always: reset on every edit
+ALTER TABLE en_journal_profiles
+  ADD COLUMN edit_srs_reset TEXT NOT NULL DEFAULT 'substantial'
+    CHECK (edit_srs_reset IN ('never', 'substantial', 'always'));
+
+-- Step 5: The editable fields of a narrative, as stored in a revision
+CREATE OR REPLACE FUNCTION public.en_journal_revision_content(n en_journal_narratives)
+RETURNS JSONB
+LANGUAGE sql IMMUTABLE
+AS $$
+  SELECT jsonb_build_object(
+    'narrative_en', n.narrative_en,
+    'key_phrases', n.key_phrases,
+    'alternatives', n.alternatives,
+    'recall_test', n.recall_test,
+    'pronunciation', n.pronunciation
+  );
+$$;
+
+-- Step 6: Apply an edit and record it in one transaction
+-- p_changes holds only the fields that change; p_srs_data (optional)
+-- replaces the SRS state. Returns the updated narrative.
+CREATE OR REPLACE FUNCTION public.en_journal_edit_narrative(
+  p_narrative_id UUID,
+  p_changes JSONB,
+  p_source TEXT DEFAULT 'edit',
+  p_srs_data JSONB DEFAULT NULL
+)
+RETURNS en_journal_narratives
+LANGUAGE plpgsql SECURITY INVOKER
+AS $$
+DECLARE
+  v_narrative en_journal_narratives;
+BEGIN
+  SELECT * INTO v_narrative
+  FROM en_journal_narratives
+  WHERE id = p_narrative_id AND user_id = auth.uid()
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Narrative % not found', p_narrative_id
+      USING ERRCODE = 'P0002';
+  END IF;
+
+  IF NOT EXISTS (
+    SELECT 1 FROM en_journal_narrative_revisions
+    WHERE narrative_id = p_narrative_id
+  ) THEN
+    INSERT INTO en_journal_narrative_revisions (narrative_id, created_at, source, content)
+    VALUES (
+      p_narrative_id,
+      v_narrative.created_at,
+      'original',
+      en_journal_revision_content(v_narrative)
+    );
+  END IF;
+
+  UPDATE en_journal_narratives SET
+    narrative_en = CASE WHEN p_changes ? 'narrative_en'
+      THEN p_changes->>'narrative_en' ELSE narrative_en END,
+    key_phrases = CASE WHEN p_changes ? 'key_phrases'
+      THEN p_changes->'key_phrases' ELSE key_phrases END,
+    alternatives = CASE WHEN p_changes ? 'alternatives'
+      THEN p_changes->'alternatives' ELSE alternatives END,
+    recall_test = CASE WHEN p_changes ? 'recall_test'
+      THEN p_changes->'recall_test' ELSE recall_test END,
+    pronunciation = CASE WHEN p_changes ? 'pronunciation'
+      THEN p_changes->'pronunciation' ELSE pronunciation END,
+    srs_data = COALESCE(p_srs_data, srs_data)
+  WHERE id = p_narrative_id
+  RETURNING * INTO v_narrative;
+
+  INSERT INTO en_journal_narrative_revisions (narrative_id, source, content, srs_reset)
+  VALUES (
+    p_narrative_id,
+    p_source,
+    en_journal_revision_content(v_narrative),
+    p_srs_data IS NOT NULL
+  );
+
+  RETURN v_narrative;
+END;
+$$;
@@ -0,0 +1,132 @@
+-- Migration: Trash for narratives
+-- Date: 2026-01-08
+-- Description: Deleting a narrative (or clearing all data) moves it to the
+--              trash (deleted_at) instead of removing it. Trashed narratives
+--              can be restored or purged, and are purged automatically after
+--              a retention period (the client passes the cut-off on sign-in).
+--              RLS hides trashed narratives and their cards, so every
+--              existing query and SECURITY INVOKER function excludes them
+--              without changes. The trash itself is only reachable through
+--              the functions below.
+
+-- Step 1: Deletion time (NULL = not trashed)
+ALTER TABLE en_journal_narratives
+  ADD COLUMN deleted_at TIMESTAMPTZ;
+
+CREATE INDEX idx_en_journal_narratives_trash
+  ON en_journal_narratives(user_id, deleted_at)
+  WHERE deleted_at IS NOT NULL;
+
+-- Step 2: Narratives: trashed rows are invisible and read-only, and rows are
+-- removed for good only from the trash (en_journal_purge_narratives)
+DROP POLICY "Users can view own narratives" ON en_journal_narratives;
+CREATE POLICY "Users can view own narratives"
+  ON en_journal_narratives FOR SELECT
+  USING (auth.uid() = user_id AND deleted_at IS NULL);
+
+DROP POLICY "Users can update own narratives" ON en_journal_narratives;
+CREATE POLICY "Users can update own narratives"
+  ON en_journal_narratives FOR UPDATE
+  USING (auth.uid() = user_id AND deleted_at IS NULL)
+  WITH CHECK (auth.uid() = user_id AND deleted_at IS NULL);
+
+DROP POLICY "Users can delete own narratives" ON en_journal_narratives;
+
+-- Step 3: Cards of trashed narratives leave the phrase drill with them
+DROP POLICY "Users can view own cards" ON en_journal_cards;
+CREATE POLICY "Users can view own cards"
+  ON en_journal_cards FOR SELECT
+  USING (
+    auth.uid() = user_id
+    AND EXISTS (
+      SELECT 1 FROM en_journal_narratives n
+      WHERE n.id = narrative_id AND n.deleted_at IS NULL
+    )
+  );
+
+-- Step 4: Move a narrative to the trash
+-- Like a queued delete (src/sync.js), it only applies if the narrative was
+-- last changed before p_deleted_at. Returns whether it was trashed.
+CREATE OR REPLACE FUNCTION public.en_journal_trash_narrative(
+  p_narrative_id UUID,
+  p_deleted_at TIMESTAMPTZ DEFAULT NOW()
+)
+RETURNS BOOLEAN
+LANGUAGE sql SECURITY DEFINER
+SET search_path = public
+AS $$
+  WITH trashed AS (
+    UPDATE en_journal_narratives
+    SET deleted_at = p_deleted_at, updated_at = p_deleted_at
+    WHERE id = p_narrative_id
+      AND user_id = auth.uid()
+      AND deleted_at IS NULL
+      AND updated_at <= p_deleted_at
+    RETURNING id
+  )
+  SELECT EXISTS (SELECT 1 FROM trashed);
+$$;
+
+-- Step 5: Move every narrative to the trash ("clear all data")
+CREATE OR REPLACE FUNCTION public.en_journal_trash_all_narratives()
+RETURNS INTEGER
+LANGUAGE sql SECURITY DEFINER
+SET search_path = public
+AS $$
+  WITH trashed AS (
+    UPDATE en_journal_narratives
+    SET deleted_at = NOW()
+    WHERE user_id = auth.uid() AND deleted_at IS NULL
+    RETURNING id
+  )
+  SELECT COUNT(*)::INTEGER FROM trashed;
+$$;
+
+-- Step 6: Trashed narratives, most recently deleted first
+CREATE OR REPLACE FUNCTION public.en_journal_trashed_narratives()
+RETURNS SETOF en_journal_narratives
+LANGUAGE sql STABLE SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT *
+  FROM en_journal_narratives
+  WHERE user_id = auth.uid() AND deleted_at IS NOT NULL
+  ORDER BY deleted_at DESC, id DESC;
+$$;
+
+-- Step 7: Take a narrative out of the trash
+CREATE OR REPLACE FUNCTION public.en_journal_restore_narrative(p_narrative_id UUID)
+RETURNS SETOF en_journal_narratives
+LANGUAGE sql SECURITY DEFINER
+SET search_path = public
+AS $$
+  UPDATE en_journal_narratives
+  SET deleted_at = NULL
+  WHERE id = p_narrative_id
+    AND user_id = auth.uid()
+    AND deleted_at IS NOT NULL
+  RETURNING *;
+$$;
+
+-- Step 8: Delete trashed narratives for good (cards, review logs and
+-- revisions go with them via ON DELETE CASCADE)
+-- p_narrative_ids NULL = the whole trash; p_deleted_before limits it to
+-- narratives trashed before that time (retention). Returns the count.
+CREATE OR REPLACE FUNCTION public.en_journal_purge_narratives(
+  p_narrative_ids UUID[] DEFAULT NULL,
+  p_deleted_before TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS INTEGER
+LANGUAGE sql SECURITY DEFINER
+SET search_path = public
+AS $$
+  WITH purged AS (
+    DELETE FROM en_journal_narratives
+    WHERE user_id = auth.uid()
+      AND deleted_at IS NOT NULL
+      AND (p_narrative_ids IS NULL OR id = ANY(p_narrative_ids))
+      AND (p_deleted_before IS NULL OR deleted_at < p_deleted_before)
+    RETURNING id
+  )
+  SELECT COUNT(*)::INTEGER FROM purged;
+$$;
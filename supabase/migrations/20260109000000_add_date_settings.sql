@@ -0,0 +1,13 @@
+-- Migration: Date settings
+-- Date: 2026-01-09
+-- Description: Days (review due dates, streaks, the calendar) are counted in
+--              the user's timezone and start at a configurable hour, like
+--              Anki's 4am rollover (src/dates.js). Both are stored in the
+--              profile. Due dates are still passed in by the client
+--              (p_today etc.), so no query function changes.
+
+-- Step 1: IANA timezone (NULL = the browser's) and the hour a day starts
+ALTER TABLE en_journal_profiles
+  ADD COLUMN timezone TEXT,
+  ADD COLUMN day_start_hour SMALLINT NOT NULL DEFAULT 4
+    CHECK (day_start_hour BETWEEN 0 AND 23);
@@ -0,0 +1,67 @@
+-- Migration: Atomic review writes
+-- Date: 2026-01-10
+-- Description: A review changes the SRS state of a narrative or phrase card
+--              and appends a review log row. They used to be two queued
+--              writes, so a failure in between left a review that moved the
+--              schedule without being logged (or the other way round).
+--              en_journal_record_review does both in one transaction.
+--              Stats and streaks are derived from the review log, so the log
+--              row is the stats update. Scheduling stays in the client
+--              (src/schedulers.js), which passes the new srs_data.
+
+-- Step 1: Store a review
+-- p_log holds the review log fields (id and reviewed_at made by the client,
+-- see storage.saveReview). Like a queued update (src/sync.js), the SRS state
+-- only applies if the row was last changed before reviewed_at; the log is
+-- kept either way. A replay of a stored review (same log id) changes
+-- nothing. Returns whether the SRS state was applied.
+CREATE OR REPLACE FUNCTION public.en_journal_record_review(
+  p_narrative_id UUID,
+  p_srs_data JSONB,
+  p_log JSONB,
+  p_card_id UUID DEFAULT NULL
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql SECURITY INVOKER
+AS $$
+DECLARE
+  v_reviewed_at TIMESTAMPTZ := COALESCE((p_log->>'reviewed_at')::TIMESTAMPTZ, NOW());
+BEGIN
+  INSERT INTO en_journal_review_logs (
+    id, narrative_id, card_id, reviewed_at, quality, elapsed_ms,
+    interval_before, interval_after, scheduler, scheduler_version
+  )
+  VALUES (
+    COALESCE((p_log->>'id')::UUID, gen_random_uuid()),
+    p_narrative_id,
+    p_card_id,
+    v_reviewed_at,
+    (p_log->>'quality')::SMALLINT,
+    (p_log->>'elapsed_ms')::INTEGER,
+    (p_log->>'interval_before')::INTEGER,
+    (p_log->>'interval_after')::INTEGER,
+    p_log->>'scheduler',
+    p_log->>'scheduler_version'
+  )
+  ON CONFLICT (id) DO NOTHING;
+
+  -- Already stored by an earlier replay whose response was lost
+  IF NOT FOUND THEN
+    RETURN TRUE;
+  END IF;
+
+  IF p_card_id IS NULL THEN
+    UPDATE en_journal_narratives
+    SET srs_data = p_srs_data, updated_at = v_reviewed_at
+    WHERE id = p_narrative_id AND updated_at < v_reviewed_at;
+  ELSE
+    UPDATE en_journal_cards
+    SET srs_data = p_srs_data, updated_at = v_reviewed_at
+    WHERE id = p_card_id
+      AND narrative_id = p_narrative_id
+      AND updated_at < v_reviewed_at;
+  END IF;
+
+  RETURN FOUND;
+END;
+$$;
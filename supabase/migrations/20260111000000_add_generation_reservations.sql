@@ -0,0 +1,118 @@
+-- Migration: Reserve generation slots atomically
+-- Date: 2026-01-11
+-- Description: The quota used to be checked with a SELECT and logged with an
+--              INSERT after the provider answered, so parallel requests all
+--              passed the check. A slot is now reserved (counted and
+--              inserted under a per-user lock) before the provider is
+--              called, and completed or released afterwards. Only the
+--              Pages Function knows the token that completes or releases a
+--              slot, so the log still cannot be changed from the browser.
+
+-- Step 1: Hash of the reservation token (NULL once the slot is completed)
+ALTER TABLE en_journal_generations
+  ADD COLUMN token_hash BYTEA;
+
+-- Step 2: Rows are only written through the functions below
+DROP POLICY "Users can insert own generations" ON en_journal_generations;
+
+-- Step 3: Count the user's generations of a kind and take a slot if both
+-- limits allow it (a limit of 0 is off; p_day_start / p_window_start are
+-- where the daily and rolling limits start counting).
+-- Returns { id, created_at } where id is the reserved row (NULL when a
+-- limit is used up) and created_at the counted generations, oldest first.
+CREATE OR REPLACE FUNCTION public.en_journal_reserve_generation(
+  p_kind TEXT,
+  p_token TEXT,
+  p_daily_limit INTEGER DEFAULT 0,
+  p_day_start TIMESTAMPTZ DEFAULT NULL,
+  p_window_limit INTEGER DEFAULT 0,
+  p_window_start TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_id UUID := auth.uid();
+  v_used TIMESTAMPTZ[];
+  v_daily INTEGER;
+  v_window INTEGER;
+  v_id UUID;
+BEGIN
+  IF v_user_id IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  -- Parallel reservations of the same user and kind wait for each other
+  PERFORM pg_advisory_xact_lock(
+    hashtextextended('en_journal_generations:' || v_user_id || ':' || p_kind, 0)
+  );
+
+  SELECT COALESCE(array_agg(created_at ORDER BY created_at), '{}')
+  INTO v_used
+  FROM en_journal_generations
+  WHERE user_id = v_user_id
+    AND kind = p_kind
+    AND created_at >= LEAST(p_day_start, p_window_start);
+
+  SELECT
+    COUNT(*) FILTER (WHERE t >= p_day_start),
+    COUNT(*) FILTER (WHERE t > p_window_start)
+  INTO v_daily, v_window
+  FROM unnest(v_used) AS t;
+
+  IF (p_daily_limit <= 0 OR v_daily < p_daily_limit)
+     AND (p_window_limit <= 0 OR v_window < p_window_limit) THEN
+    INSERT INTO en_journal_generations (user_id, kind, token_hash)
+    VALUES (v_user_id, p_kind, sha256(convert_to(p_token, 'UTF8')))
+    RETURNING id INTO v_id;
+  END IF;
+
+  RETURN jsonb_build_object('id', v_id, 'created_at', to_jsonb(v_used));
+END;
+$$;
+
+-- Step 4: Keep a reserved slot and log the generation's metadata
+CREATE OR REPLACE FUNCTION public.en_journal_complete_generation(
+  p_id UUID,
+  p_token TEXT,
+  p_provider TEXT DEFAULT NULL,
+  p_model TEXT DEFAULT NULL,
+  p_prompt_version TEXT DEFAULT NULL
+)
+RETURNS BOOLEAN
+LANGUAGE sql SECURITY DEFINER
+SET search_path = public
+AS $$
+  WITH completed AS (
+    UPDATE en_journal_generations
+    SET provider = p_provider,
+        model = p_model,
+        prompt_version = p_prompt_version,
+        token_hash = NULL
+    WHERE id = p_id
+      AND user_id = auth.uid()
+      AND token_hash = sha256(convert_to(p_token, 'UTF8'))
+    RETURNING id
+  )
+  SELECT EXISTS (SELECT 1 FROM completed);
+$$;
+
+-- Step 5: Give a slot back after a failed generation
+CREATE OR REPLACE FUNCTION public.en_journal_release_generation(
+  p_id UUID,
+  p_token TEXT
+)
+RETURNS BOOLEAN
+LANGUAGE sql SECURITY DEFINER
+SET search_path = public
+AS $$
+  WITH released AS (
+    DELETE FROM en_journal_generations
+    WHERE id = p_id
+      AND user_id = auth.uid()
+      AND token_hash = sha256(convert_to(p_token, 'UTF8'))
+    RETURNING id
+  )
+  SELECT EXISTS (SELECT 1 FROM released);
+$$;
@@ -0,0 +1,42 @@
+-- Migration: Tie draft completion to a drafts generation
+-- Date: 2026-01-12
+-- Description: mode 'complete' of /api/generate writes the learning
+--              materials for a chosen draft. It used to accept any
+--              narrative_en, so it could be used for arbitrary text. The
+--              drafts generation now stores a hash of each draft it returned,
+--              and completion only accepts one of them.
+
+-- Step 1: SHA-256 (hex) of each narrative_en returned by a drafts generation
+ALTER TABLE en_journal_generations
+  ADD COLUMN draft_hashes TEXT[];
+
+-- Step 2: Completing a slot can store the draft hashes
+-- (replaces the version without p_draft_hashes, so calls stay unambiguous)
+DROP FUNCTION IF EXISTS public.en_journal_complete_generation(UUID, TEXT, TEXT, TEXT, TEXT);
+
+CREATE OR REPLACE FUNCTION public.en_journal_complete_generation(
+  p_id UUID,
+  p_token TEXT,
+  p_provider TEXT DEFAULT NULL,
+  p_model TEXT DEFAULT NULL,
+  p_prompt_version TEXT DEFAULT NULL,
+  p_draft_hashes TEXT[] DEFAULT NULL
+)
+RETURNS BOOLEAN
+LANGUAGE sql SECURITY DEFINER
+SET search_path = public
+AS $$
+  WITH completed AS (
+    UPDATE en_journal_generations
+    SET provider = p_provider,
+        model = p_model,
+        prompt_version = p_prompt_version,
+        draft_hashes = p_draft_hashes,
+        token_hash = NULL
+    WHERE id = p_id
+      AND user_id = auth.uid()
+      AND token_hash = sha256(convert_to(p_token, 'UTF8'))
+    RETURNING id
+  )
+  SELECT EXISTS (SELECT 1 FROM completed);
+$$;
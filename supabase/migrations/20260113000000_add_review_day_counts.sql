@@ -0,0 +1,25 @@
+-- Migration: Review counts per day in SQL
+-- Date: 2026-01-13
+-- Description: storage.getSRSStats loaded the user's whole review log on
+--              every stats render to count reviews per day. The counts are
+--              now grouped in Postgres, so the client receives one row per
+--              day with reviews. SECURITY INVOKER, so RLS still applies.
+
+-- Step 1: Reviews per day, counted like dayOf() in src/dates.js: in
+-- p_time_zone (IANA name), with days starting at p_day_start_hour
+CREATE OR REPLACE FUNCTION public.en_journal_review_day_counts(
+  p_time_zone TEXT DEFAULT 'UTC',
+  p_day_start_hour INTEGER DEFAULT 0
+)
+RETURNS TABLE (day DATE, reviews INTEGER)
+LANGUAGE sql STABLE SECURITY INVOKER
+AS $$
+  SELECT
+    ((reviewed_at AT TIME ZONE p_time_zone)
+      - make_interval(hours => p_day_start_hour))::DATE AS day,
+    COUNT(*)::INTEGER AS reviews
+  FROM en_journal_review_logs
+  WHERE user_id = auth.uid()
+  GROUP BY 1
+  ORDER BY 1;
+$$;
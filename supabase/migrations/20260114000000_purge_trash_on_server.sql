@@ -0,0 +1,124 @@
+-- Migration: Hide the history of trashed narratives and purge on the server
+-- Date: 2026-01-14
+-- Description: Review logs and revisions of trashed narratives were still
+--              visible, so they counted in the stats and the heatmap. RLS
+--              now hides them through their narrative, like cards.
+--              "Clear all data" did not set updated_at, so other devices
+--              kept their copies. Expired trash used to be purged by the
+--              client on sync with its own retention period; the retention
+--              is now defined here and the purge runs as a daily job (and
+--              for the caller whenever the trash is read).
+
+-- Step 1: Review logs of trashed narratives leave the stats with them
+DROP POLICY "Users can view own review logs" ON en_journal_review_logs;
+CREATE POLICY "Users can view own review logs"
+  ON en_journal_review_logs FOR SELECT
+  USING (
+    auth.uid() = user_id
+    AND EXISTS (
+      SELECT 1 FROM en_journal_narratives n
+      WHERE n.id = narrative_id AND n.deleted_at IS NULL
+    )
+  );
+
+-- Step 2: Revisions of trashed narratives are hidden too
+DROP POLICY "Users can view own narrative revisions" ON en_journal_narrative_revisions;
+CREATE POLICY "Users can view own narrative revisions"
+  ON en_journal_narrative_revisions FOR SELECT
+  USING (
+    auth.uid() = user_id
+    AND EXISTS (
+      SELECT 1 FROM en_journal_narratives n
+      WHERE n.id = narrative_id AND n.deleted_at IS NULL
+    )
+  );
+
+-- Step 3: Trashing or restoring every narrative is a change like any other
+-- (sync is last-write-wins by updated_at)
+CREATE OR REPLACE FUNCTION public.en_journal_trash_all_narratives()
+RETURNS INTEGER
+LANGUAGE sql SECURITY DEFINER
+SET search_path = public
+AS $$
+  WITH trashed AS (
+    UPDATE en_journal_narratives
+    SET deleted_at = NOW(), updated_at = NOW()
+    WHERE user_id = auth.uid() AND deleted_at IS NULL
+    RETURNING id
+  )
+  SELECT COUNT(*)::INTEGER FROM trashed;
+$$;
+
+CREATE OR REPLACE FUNCTION public.en_journal_restore_narrative(p_narrative_id UUID)
+RETURNS SETOF en_journal_narratives
+LANGUAGE sql SECURITY DEFINER
+SET search_path = public
+AS $$
+  UPDATE en_journal_narratives
+  SET deleted_at = NULL, updated_at = NOW()
+  WHERE id = p_narrative_id
+    AND user_id = auth.uid()
+    AND deleted_at IS NOT NULL
+  RETURNING *;
+$$;
+
+-- Step 4: How long a narrative stays in the trash
+CREATE OR REPLACE FUNCTION public.en_journal_trash_retention()
+RETURNS INTERVAL
+LANGUAGE sql IMMUTABLE
+AS $$
+  SELECT INTERVAL '30 days';
+$$;
+
+-- Step 5: Delete expired trash for good (p_user_id NULL = every user)
+-- Only the daily job and the functions below call it.
+CREATE OR REPLACE FUNCTION public.en_journal_purge_expired_trash(p_user_id UUID DEFAULT NULL)
+RETURNS INTEGER
+LANGUAGE sql SECURITY DEFINER
+SET search_path = public
+AS $$
+  WITH purged AS (
+    DELETE FROM en_journal_narratives
+    WHERE (p_user_id IS NULL OR user_id = p_user_id)
+      AND deleted_at < NOW() - en_journal_trash_retention()
+    RETURNING id
+  )
+  SELECT COUNT(*)::INTEGER FROM purged;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.en_journal_purge_expired_trash(UUID)
+  FROM PUBLIC, anon, authenticated;
+
+-- Step 6: Run the purge every day
+CREATE EXTENSION IF NOT EXISTS pg_cron WITH SCHEMA pg_catalog;
+
+SELECT cron.schedule(
+  'en-journal-purge-expired-trash',
+  '0 3 * * *',
+  'SELECT public.en_journal_purge_expired_trash()'
+);
+
+-- Step 7: Trashed narratives with the time they will be purged, most
+-- recently deleted first. The caller's expired trash is purged first, so
+-- nothing past its purge time is listed between two runs of the job.
+DROP FUNCTION IF EXISTS public.en_journal_trashed_narratives();
+
+CREATE OR REPLACE FUNCTION public.en_journal_trashed_narratives()
+RETURNS TABLE (narrative en_journal_narratives, purge_at TIMESTAMPTZ)
+LANGUAGE plpgsql SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated';
+  END IF;
+
+  PERFORM en_journal_purge_expired_trash(auth.uid());
+
+  RETURN QUERY
+  SELECT n, n.deleted_at + en_journal_trash_retention()
+  FROM en_journal_narratives n
+  WHERE n.user_id = auth.uid() AND n.deleted_at IS NOT NULL
+  ORDER BY n.deleted_at DESC, n.id DESC;
+END;
+$$;
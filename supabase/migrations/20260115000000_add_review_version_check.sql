@@ -0,0 +1,71 @@
+-- Migration: Reject reviews scheduled from a stale SRS state
+-- Date: 2026-01-15
+-- Description: The client computes the next schedule from its cached SRS
+--              state. en_journal_record_review applied it whenever the row
+--              was last changed before the review, so a review queued on one
+--              device could overwrite a later review from another device
+--              with a schedule computed from the older state. The client now
+--              passes the updated_at of the state it scheduled from, and the
+--              SRS state only applies if the row still has it. The review log
+--              is kept either way; stats and streaks are derived from it, so
+--              they are updated in the same transaction.
+
+-- Step 1: Replace the version without p_based_on, so calls stay unambiguous
+DROP FUNCTION IF EXISTS public.en_journal_record_review(UUID, JSONB, JSONB, UUID);
+
+-- Step 2: Store a review
+-- p_based_on is the updated_at of the narrative or card the schedule was
+-- computed from (NULL never matches, e.g. reviews queued by older clients).
+-- A replay of a stored review (same log id) changes nothing. Returns whether
+-- the SRS state was applied; if not, the client takes the server row.
+CREATE OR REPLACE FUNCTION public.en_journal_record_review(
+  p_narrative_id UUID,
+  p_srs_data JSONB,
+  p_log JSONB,
+  p_based_on TIMESTAMPTZ,
+  p_card_id UUID DEFAULT NULL
+)
+RETURNS BOOLEAN
+LANGUAGE plpgsql SECURITY INVOKER
+AS $$
+DECLARE
+  v_reviewed_at TIMESTAMPTZ := COALESCE((p_log->>'reviewed_at')::TIMESTAMPTZ, NOW());
+BEGIN
+  INSERT INTO en_journal_review_logs (
+    id, narrative_id, card_id, reviewed_at, quality, elapsed_ms,
+    interval_before, interval_after, scheduler, scheduler_version
+  )
+  VALUES (
+    COALESCE((p_log->>'id')::UUID, gen_random_uuid()),
+    p_narrative_id,
+    p_card_id,
+    v_reviewed_at,
+    (p_log->>'quality')::SMALLINT,
+    (p_log->>'elapsed_ms')::INTEGER,
+    (p_log->>'interval_before')::INTEGER,
+    (p_log->>'interval_after')::INTEGER,
+    p_log->>'scheduler',
+    p_log->>'scheduler_version'
+  )
+  ON CONFLICT (id) DO NOTHING;
+
+  -- Already stored by an earlier replay whose response was lost
+  IF NOT FOUND THEN
+    RETURN TRUE;
+  END IF;
+
+  IF p_card_id IS NULL THEN
+    UPDATE en_journal_narratives
+    SET srs_data = p_srs_data, updated_at = v_reviewed_at
+    WHERE id = p_narrative_id AND updated_at = p_based_on;
+  ELSE
+    UPDATE en_journal_cards
+    SET srs_data = p_srs_data, updated_at = v_reviewed_at
+    WHERE id = p_card_id
+      AND narrative_id = p_narrative_id
+      AND updated_at = p_based_on;
+  END IF;
+
+  RETURN FOUND;
+END;
+$$;
@@ -0,0 +1,100 @@
+-- Migration: Only the Pages Functions reserve generation slots
+-- Date: 2026-01-16
+-- Description: en_journal_reserve_generation takes the limits it enforces as
+--              arguments, and like every function in public it could be
+--              called by any signed-in user, who could pass a limit of 0 and
+--              take as many slots as they liked. Reserving and releasing a
+--              slot is now only allowed for the service role; the Pages
+--              Functions call them with the verified user's id.
+
+-- Step 1: Reserve a slot for p_user_id (see add_generation_reservations)
+DROP FUNCTION IF EXISTS public.en_journal_reserve_generation(
+  TEXT, TEXT, INTEGER, TIMESTAMPTZ, INTEGER, TIMESTAMPTZ
+);
+
+CREATE OR REPLACE FUNCTION public.en_journal_reserve_generation(
+  p_user_id UUID,
+  p_kind TEXT,
+  p_token TEXT,
+  p_daily_limit INTEGER DEFAULT 0,
+  p_day_start TIMESTAMPTZ DEFAULT NULL,
+  p_window_limit INTEGER DEFAULT 0,
+  p_window_start TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS JSONB
+LANGUAGE plpgsql SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_used TIMESTAMPTZ[];
+  v_daily INTEGER;
+  v_window INTEGER;
+  v_id UUID;
+BEGIN
+  IF p_user_id IS NULL THEN
+    RAISE EXCEPTION 'p_user_id is required';
+  END IF;
+
+  -- Parallel reservations of the same user and kind wait for each other
+  PERFORM pg_advisory_xact_lock(
+    hashtextextended('en_journal_generations:' || p_user_id || ':' || p_kind, 0)
+  );
+
+  SELECT COALESCE(array_agg(created_at ORDER BY created_at), '{}')
+  INTO v_used
+  FROM en_journal_generations
+  WHERE user_id = p_user_id
+    AND kind = p_kind
+    AND created_at >= LEAST(p_day_start, p_window_start);
+
+  SELECT
+    COUNT(*) FILTER (WHERE t >= p_day_start),
+    COUNT(*) FILTER (WHERE t > p_window_start)
+  INTO v_daily, v_window
+  FROM unnest(v_used) AS t;
+
+  IF (p_daily_limit <= 0 OR v_daily < p_daily_limit)
+     AND (p_window_limit <= 0 OR v_window < p_window_limit) THEN
+    INSERT INTO en_journal_generations (user_id, kind, token_hash)
+    VALUES (p_user_id, p_kind, sha256(convert_to(p_token, 'UTF8')))
+    RETURNING id INTO v_id;
+  END IF;
+
+  RETURN jsonb_build_object('id', v_id, 'created_at', to_jsonb(v_used));
+END;
+$$;
+
+-- Step 2: Give a slot of p_user_id back
+DROP FUNCTION IF EXISTS public.en_journal_release_generation(UUID, TEXT);
+
+CREATE OR REPLACE FUNCTION public.en_journal_release_generation(
+  p_user_id UUID,
+  p_id UUID,
+  p_token TEXT
+)
+RETURNS BOOLEAN
+LANGUAGE sql SECURITY DEFINER
+SET search_path = public
+AS $$
+  WITH released AS (
+    DELETE FROM en_journal_generations
+    WHERE id = p_id
+      AND user_id = p_user_id
+      AND token_hash = sha256(convert_to(p_token, 'UTF8'))
+    RETURNING id
+  )
+  SELECT EXISTS (SELECT 1 FROM released);
+$$;
+
+-- Step 3: Not callable from the browser
+REVOKE EXECUTE ON FUNCTION public.en_journal_reserve_generation(
+  UUID, TEXT, TEXT, INTEGER, TIMESTAMPTZ, INTEGER, TIMESTAMPTZ
+) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.en_journal_reserve_generation(
+  UUID, TEXT, TEXT, INTEGER, TIMESTAMPTZ, INTEGER, TIMESTAMPTZ
+) TO service_role;
+
+REVOKE EXECUTE ON FUNCTION public.en_journal_release_generation(UUID, UUID, TEXT)
+  FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.en_journal_release_generation(UUID, UUID, TEXT)
+  TO service_role;
@@ -0,0 +1,49 @@
+-- Migration: Only the Pages Functions complete generation slots
+-- Date: 2026-01-17
+-- Description: Completing a slot stores the hashes of the drafts a drafts
+--              generation returned, and mode 'complete' of /api/generate only
+--              accepts one of them. Any signed-in user could call
+--              en_journal_complete_generation with hashes of their own text
+--              and then complete arbitrary text. Like reserving and releasing
+--              (restrict_generation_reservations), it is now only allowed for
+--              the service role, so the stored hashes always come from the
+--              Pages Function.
+
+-- Step 1: Complete a slot of p_user_id (see add_draft_hashes)
+DROP FUNCTION IF EXISTS public.en_journal_complete_generation(UUID, TEXT, TEXT, TEXT, TEXT, TEXT[]);
+
+CREATE OR REPLACE FUNCTION public.en_journal_complete_generation(
+  p_user_id UUID,
+  p_id UUID,
+  p_token TEXT,
+  p_provider TEXT DEFAULT NULL,
+  p_model TEXT DEFAULT NULL,
+  p_prompt_version TEXT DEFAULT NULL,
+  p_draft_hashes TEXT[] DEFAULT NULL
+)
+RETURNS BOOLEAN
+LANGUAGE sql SECURITY DEFINER
+SET search_path = public
+AS $$
+  WITH completed AS (
+    UPDATE en_journal_generations
+    SET provider = p_provider,
+        model = p_model,
+        prompt_version = p_prompt_version,
+        draft_hashes = p_draft_hashes,
+        token_hash = NULL
+    WHERE id = p_id
+      AND user_id = p_user_id
+      AND token_hash = sha256(convert_to(p_token, 'UTF8'))
+    RETURNING id
+  )
+  SELECT EXISTS (SELECT 1 FROM completed);
+$$;
+
+-- Step 2: Not callable from the browser
+REVOKE EXECUTE ON FUNCTION public.en_journal_complete_generation(
+  UUID, UUID, TEXT, TEXT, TEXT, TEXT, TEXT[]
+) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.en_journal_complete_generation(
+  UUID, UUID, TEXT, TEXT, TEXT, TEXT, TEXT[]
+) TO service_role;
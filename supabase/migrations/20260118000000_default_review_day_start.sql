@@ -0,0 +1,25 @@
+-- Migration: Review days start at the app's default hour
+-- Date: 2026-01-18
+-- Description: en_journal_review_day_counts started days at midnight when no
+--              day start hour was passed, while the app (DEFAULT_DAY_START_HOUR
+--              in src/dates.js) and en_journal_profiles.day_start_hour default
+--              to 04:00. The default now matches, so a call without the
+--              argument counts days like the app does.
+
+-- Step 1: Same function with DEFAULT 4 (see add_review_day_counts)
+CREATE OR REPLACE FUNCTION public.en_journal_review_day_counts(
+  p_time_zone TEXT DEFAULT 'UTC',
+  p_day_start_hour INTEGER DEFAULT 4
+)
+RETURNS TABLE (day DATE, reviews INTEGER)
+LANGUAGE sql STABLE SECURITY INVOKER
+AS $$
+  SELECT
+    ((reviewed_at AT TIME ZONE p_time_zone)
+      - make_interval(hours => p_day_start_hour))::DATE AS day,
+    COUNT(*)::INTEGER AS reviews
+  FROM en_journal_review_logs
+  WHERE user_id = auth.uid()
+  GROUP BY 1
+  ORDER BY 1;
+$$;
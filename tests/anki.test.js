@@ -0,0 +1,114 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { buildAnkiExport, buildAnkiNotes } from '../src/anki.js';
+import { textHash } from '../src/importer.js';
+import { configureDates } from '../src/dates.js';
+
+const narrative = {
+  id: 'n1',
+  created_at: '2026-01-07T20:00:00Z',
+  category: 'daily life',
+  narrative_en: 'I met a friend. We caught up over coffee & cake.',
+  user_answers: ['友達に会った', '', 'カフェで話した'],
+  recall_test: { prompt_ja: '友達について教えてください' },
+  key_phrases: [
+    {
+      phrase_en: 'caught up',
+      meaning_ja: '近況を話した',
+      usage_hint_ja: '久しぶりに会ったときに',
+    },
+    { phrase_en: 'a long time no see', meaning_ja: '久しぶり' },
+  ],
+  srs: { next_review_date: '2026-01-20' },
+};
+
+describe('Anki export', () => {
+  afterEach(() => {
+    configureDates(null);
+  });
+
+  it('should make a Basic note from memory to narrative', () => {
+    configureDates({ timezone: 'Asia/Tokyo', day_start_hour: 4 });
+    const [note] = buildAnkiNotes(narrative);
+
+    expect(note).toEqual({
+      guid: 'kaku-n1',
+      noteType: 'Basic',
+      deck: 'kaku::Narratives',
+      fields: [
+        '友達に会った<br>カフェで話した',
+        'I met a friend. We caught up over coffee &amp; cake.',
+      ],
+      tags: ['kaku', 'kaku::category::daily_life', 'kaku::date::2026-01-08'],
+    });
+  });
+
+  it('should make a kaku Phrase note per key phrase', () => {
+    const [, found] = buildAnkiNotes(narrative, { includeDue: true });
+
+    expect(found).toMatchObject({
+      guid: `kaku-n1-${textHash('caught up')}`,
+      noteType: 'kaku Phrase',
+      deck: 'kaku::Key Phrases',
+      fields: [
+        'We {{c1::caught up}} over coffee &amp; cake.',
+        'caught up',
+        '近況を話した',
+        '久しぶりに会ったときに',
+      ],
+    });
+    expect(found.tags).toContain('kaku::due::2026-01-20');
+  });
+
+  it('should fall back to Basic for a phrase that is not in the narrative', () => {
+    const [, , missing] = buildAnkiNotes(narrative);
+
+    expect(missing).toMatchObject({
+      noteType: 'Basic',
+      deck: 'kaku::Key Phrases',
+      fields: ['久しぶり', 'a long time no see'],
+    });
+  });
+
+  it('should keep phrase guids when the key phrases are reordered', () => {
+    const guids = (n) => buildAnkiNotes(n).map((note) => note.guid);
+    const reordered = {
+      ...narrative,
+      key_phrases: [...narrative.key_phrases].reverse(),
+    };
+
+    expect(guids(reordered).sort()).toEqual(guids(narrative).sort());
+    // A repeated phrase is one note
+    const repeated = {
+      ...narrative,
+      key_phrases: [narrative.key_phrases[0], { phrase_en: 'Caught up' }],
+    };
+    expect(buildAnkiNotes(repeated)).toHaveLength(2);
+  });
+
+  it('should write tab-separated rows after the header', () => {
+    const text = buildAnkiExport([
+      { ...narrative, key_phrases: [], narrative_en: 'Line one\tand\ntwo' },
+    ]);
+    const lines = text.trimEnd().split('\n');
+
+    expect(lines.slice(0, 6)).toEqual([
+      '#separator:tab',
+      '#html:true',
+      '#guid column:1',
+      '#notetype column:2',
+      '#deck column:3',
+      '#tags column:8',
+    ]);
+    expect(lines).toHaveLength(7);
+    expect(lines[6].split('\t')).toEqual([
+      'kaku-n1',
+      'Basic',
+      'kaku::Narratives',
+      '友達に会った<br>カフェで話した',
+      'Line one and<br>two',
+      '',
+      '',
+      expect.stringMatching(/^kaku kaku::category::daily_life/),
+    ]);
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import {
+  BACKUP_FORMAT_VERSION,
+  createBackup,
+  readBackup,
+} from '../src/backup.js';
+
+const narrative = {
+  id: 'n1',
+  user_id: 'u1',
+  created_at: '2024-03-01T09:00:00+00:00',
+  updated_at: '2024-03-05T09:00:00+00:00',
+  narrative_en: 'I went to the park.',
+  prompt_version: 'v2',
+  srs: { status: 'learning', next_review_date: '2024-03-10' },
+  srs_data: undefined,
+};
+
+describe('Backup format', () => {
+  it('should round-trip every field but the owner', () => {
+    const data = {
+      narratives: [narrative],
+      cards: [
+        { id: 'c1', narrative_id: 'n1', user_id: 'u1', srs: {} },
+        { id: 'c2', narrative_id: 'trashed', srs: {} },
+      ],
+      reviewLogs: [
+        { id: 'l1', narrative_id: 'n1', user_id: 'u1', quality: 2 },
+        { id: 'l2', narrative_id: 'trashed', quality: 1 },
+      ],
+      stats: { user_id: 'u1', updated_at: 'x', total_reviews: 12 },
+      profile: { user_id: 'u1', scheduler: 'fsrs', day_start_hour: 5 },
+    };
+
+    const backup = JSON.parse(
+      JSON.stringify(createBackup(data, new Date('2026-01-10T00:00:00Z')))
+    );
+
+    expect(backup).toMatchObject({
+      format: 'kaku-backup',
+      format_version: BACKUP_FORMAT_VERSION,
+      exported_at: '2026-01-10T00:00:00.000Z',
+    });
+    expect(readBackup(backup)).toEqual({
+      formatVersion: BACKUP_FORMAT_VERSION,
+      narratives: [
+        {
+          id: 'n1',
+          created_at: '2024-03-01T09:00:00+00:00',
+          updated_at: '2024-03-05T09:00:00+00:00',
+          narrative_en: 'I went to the park.',
+          prompt_version: 'v2',
+          srs: { status: 'learning', next_review_date: '2024-03-10' },
+        },
+      ],
+      cards: [{ id: 'c1', narrative_id: 'n1', srs: {} }],
+      reviewLogs: [{ id: 'l1', narrative_id: 'n1', quality: 2 }],
+      stats: { total_reviews: 12 },
+      profile: { scheduler: 'fsrs', day_start_hour: 5 },
+    });
+  });
+
+  it('should read version 1 backups (a bare array)', () => {
+    expect(readBackup([narrative])).toMatchObject({
+      formatVersion: 1,
+      narratives: [narrative],
+      cards: [],
+      reviewLogs: [],
+      profile: null,
+    });
+  });
+
+  it('should reject other files and newer versions', () => {
+    expect(() => readBackup({})).toThrow('not a kaku backup');
+    expect(() =>
+      readBackup({ format: 'kaku-backup', format_version: 99 })
+    ).toThrow('Unsupported format_version 99');
+  });
+});
@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildCards,
+  cardKey,
+  findSentence,
+  getCardPrompt,
+  makeCloze,
+} from '../src/cards.js';
+
+const narrative = {
+  id: 'n1',
+  narrative_en:
+    'I finally caught up on sleep. Then I ran into an old friend at the station! We grabbed coffee.',
+  key_phrases: [
+    {
+      phrase_en: 'caught up on sleep',
+      meaning_ja: '寝不足を取り戻した',
+      usage_hint_ja: 'catch up on + 名詞',
+    },
+    {
+      phrase_en: 'run into',
+      meaning_ja: '偶然会う',
+      usage_hint_ja: '過去形は ran into',
+    },
+  ],
+  alternatives: [
+    {
+      original_en: 'We grabbed coffee.',
+      alternative_en: 'We went for a coffee.',
+      nuance_ja: 'よりフォーマル',
+    },
+  ],
+};
+
+describe('Phrase cards', () => {
+  it('should build meaning, production and cloze cards per key phrase', () => {
+    const cards = buildCards(narrative).filter(
+      (c) => c.source === 'key_phrase' && c.source_index === 0
+    );
+
+    expect(cards.map((c) => c.card_type)).toEqual([
+      'meaning',
+      'production',
+      'cloze',
+    ]);
+    expect(cards[0]).toMatchObject({
+      front: 'caught up on sleep',
+      back: '寝不足を取り戻した',
+      hint: 'catch up on + 名詞',
+      context: 'I finally caught up on sleep.',
+    });
+    expect(cards[1]).toMatchObject({
+      front: '寝不足を取り戻した',
+      back: 'caught up on sleep',
+    });
+    expect(cards[2]).toMatchObject({
+      front: 'I finally _____.',
+      back: 'caught up on sleep',
+      hint: '寝不足を取り戻した',
+    });
+  });
+
+  it('should skip the cloze card when the phrase is not in the narrative', () => {
+    const cards = buildCards(narrative).filter(
+      (c) => c.source === 'key_phrase' && c.source_index === 1
+    );
+
+    expect(cards.map((c) => c.card_type)).toEqual(['meaning', 'production']);
+    expect(cards[0].context).toBeNull();
+  });
+
+  it('should build production and meaning cards per alternative', () => {
+    const cards = buildCards(narrative).filter(
+      (c) => c.source === 'alternative'
+    );
+
+    expect(cards).toHaveLength(2);
+    expect(cards[0]).toMatchObject({
+      card_type: 'production',
+      front: 'We grabbed coffee.',
+      back: 'We went for a coffee.',
+      hint: 'よりフォーマル',
+      context: 'We grabbed coffee.',
+    });
+    expect(cards[1]).toMatchObject({
+      card_type: 'meaning',
+      front: 'We went for a coffee.',
+      back: 'よりフォーマル',
+    });
+  });
+
+  it('should ignore incomplete items and missing sections', () => {
+    expect(buildCards(null)).toEqual([]);
+    expect(
+      buildCards({
+        narrative_en: 'Hi.',
+        key_phrases: [{ phrase_en: 'Hi', meaning_ja: '' }],
+        alternatives: [{ original_en: 'Hi.' }],
+      })
+    ).toEqual([]);
+  });
+
+  it('should match phrases case-insensitively and escape regex characters', () => {
+    expect(findSentence('Wow! Is it (really) true?', 'is it (really)')).toBe(
+      'Is it (really) true?'
+    );
+    expect(makeCloze('Is it (really) true?', 'is it (really)')).toBe(
+      '_____ true?'
+    );
+    expect(findSentence('Nothing here.', 'missing')).toBeNull();
+  });
+
+  it('should key cards by narrative, source, index and type', () => {
+    expect(
+      cardKey({
+        narrative_id: 'n1',
+        source: 'key_phrase',
+        source_index: 2,
+        card_type: 'cloze',
+      })
+    ).toBe('n1:key_phrase:2:cloze');
+  });
+
+  it('should give each card type a prompt', () => {
+    buildCards(narrative).forEach((card) => {
+      expect(getCardPrompt(card)).toBeTruthy();
+    });
+  });
+});
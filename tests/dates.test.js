@@ -0,0 +1,86 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  addDays,
+  configureDates,
+  dayOf,
+  daysBetween,
+  getDateSettings,
+  startOfDay,
+  timeZoneOffset,
+} from '../src/dates.js';
+import { scheduleReview } from '../src/schedulers.js';
+
+const TOKYO = { timeZone: 'Asia/Tokyo', dayStartHour: 4 };
+
+describe('Dates', () => {
+  afterEach(() => {
+    configureDates(null);
+  });
+
+  it('should count days in the user timezone, not UTC', () => {
+    const utc = { timeZone: 'UTC', dayStartHour: 0 };
+    // 2026-01-08 09:30 in Tokyo
+    expect(dayOf('2026-01-08T00:30:00Z', TOKYO)).toBe('2026-01-08');
+    // 2026-01-08 05:00 in Tokyo, still the 7th in UTC
+    expect(dayOf('2026-01-07T20:00:00Z', TOKYO)).toBe('2026-01-08');
+    expect(dayOf('2026-01-07T20:00:00Z', utc)).toBe('2026-01-07');
+  });
+
+  it('should count the hours before the day start as the day before', () => {
+    // 2026-01-08 01:30 in Tokyo
+    expect(dayOf('2026-01-07T16:30:00Z', TOKYO)).toBe('2026-01-07');
+    expect(dayOf('2026-01-07T16:30:00Z', { ...TOKYO, dayStartHour: 0 })).toBe(
+      '2026-01-08'
+    );
+  });
+
+  it('should find the instant a day starts', () => {
+    expect(startOfDay('2026-01-08', TOKYO).toISOString()).toBe(
+      '2026-01-07T19:00:00.000Z'
+    );
+    // Daylight saving time starts in New York on 2026-03-08
+    const newYork = { timeZone: 'America/New_York', dayStartHour: 0 };
+    expect(startOfDay('2026-03-08', newYork).toISOString()).toBe(
+      '2026-03-08T05:00:00.000Z'
+    );
+    expect(startOfDay('2026-03-09', newYork).toISOString()).toBe(
+      '2026-03-09T04:00:00.000Z'
+    );
+  });
+
+  it('should do calendar arithmetic on days', () => {
+    expect(addDays('2026-02-28', 1)).toBe('2026-03-01');
+    expect(addDays('2026-01-01', -1)).toBe('2025-12-31');
+    expect(daysBetween('2026-01-01', '2026-03-01')).toBe(59);
+    expect(timeZoneOffset(new Date('2026-01-08T00:00:00Z'), 'Asia/Tokyo')).toBe(
+      -540
+    );
+  });
+
+  it('should use the profile settings, falling back on bad values', () => {
+    configureDates({ timezone: 'Asia/Tokyo', day_start_hour: 5 });
+    expect(getDateSettings()).toEqual({
+      timeZone: 'Asia/Tokyo',
+      dayStartHour: 5,
+    });
+
+    configureDates({ timezone: 'Mars/Olympus', day_start_hour: 30 });
+    expect(getDateSettings().timeZone).not.toBe('Mars/Olympus');
+    expect(getDateSettings().dayStartHour).toBe(4);
+  });
+
+  it('should schedule reviews on the user day', () => {
+    configureDates({ timezone: 'Asia/Tokyo', day_start_hour: 4 });
+    // Reviewed at 2026-01-08 08:00 in Tokyo (still the 7th in UTC)
+    const next = scheduleReview(
+      {},
+      2,
+      'ladder',
+      new Date('2026-01-07T23:00:00Z')
+    );
+
+    expect(next.next_review_date).toBe(
+      addDays('2026-01-08', next.interval_days)
+    );
+  });
+});
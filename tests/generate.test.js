@@ -0,0 +1,897 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// Mock Supabase auth so onRequestPost accepts any bearer token, and keep the
+// generation log in memory
+const mockGetUser = vi.fn();
+const generationLog = [];
+
+function mockQuery(table) {
+  const filters = [];
+  const query = {
+    select: () => query,
+    eq: (column, value) => {
+      filters.push((row) => row[column] === value);
+      return query;
+    },
+    gte: (column, value) => {
+      filters.push((row) => row[column] >= value);
+      return query;
+    },
+    order: async () => ({
+      data: generationLog.filter((row) => filters.every((f) => f(row))),
+      error: null,
+    }),
+    // No profile: days are counted in UTC
+    maybeSingle: async () => ({
+      data:
+        table === 'en_journal_generations'
+          ? generationLog.find((row) => filters.every((f) => f(row))) || null
+          : null,
+      error: null,
+    }),
+  };
+  return query;
+}
+
+// Functions only the service role may execute (see migration
+// restrict_generation_reservations)
+const SERVICE_ROLE_ONLY = [
+  'en_journal_reserve_generation',
+  'en_journal_complete_generation',
+  'en_journal_release_generation',
+];
+
+// The reservation functions of the generation log migration
+async function mockRpc(name, args, key) {
+  if (SERVICE_ROLE_ONLY.includes(name) && key !== 'service') {
+    return {
+      data: null,
+      error: { message: 'permission denied for function', code: '42501' },
+    };
+  }
+  if (name === 'en_journal_reserve_generation') {
+    const since = [args.p_day_start, args.p_window_start]
+      .filter(Boolean)
+      .sort()[0];
+    const used = generationLog
+      .filter((row) => row.kind === args.p_kind && row.created_at >= since)
+      .map((row) => row.created_at)
+      .sort();
+    const daily = used.filter((t) => t >= args.p_day_start).length;
+    const windowed = used.filter((t) => t > args.p_window_start).length;
+    let id = null;
+    if (
+      (args.p_daily_limit <= 0 || daily < args.p_daily_limit) &&
+      (args.p_window_limit <= 0 || windowed < args.p_window_limit)
+    ) {
+      id = `generation-${generationLog.length + 1}`;
+      generationLog.push({
+        id,
+        user_id: args.p_user_id,
+        kind: args.p_kind,
+        token: args.p_token,
+        created_at: new Date().toISOString(),
+      });
+    }
+    return { data: { id, created_at: used }, error: null };
+  }
+
+  const row = generationLog.find(
+    (r) => r.id === args.p_id && r.token && r.token === args.p_token
+  );
+  if (
+    row &&
+    name === 'en_journal_complete_generation' &&
+    row.user_id === args.p_user_id
+  ) {
+    Object.assign(row, {
+      provider: args.p_provider,
+      model: args.p_model,
+      prompt_version: args.p_prompt_version,
+      draft_hashes: args.p_draft_hashes,
+      token: null,
+    });
+  }
+  if (
+    row &&
+    name === 'en_journal_release_generation' &&
+    row.user_id === args.p_user_id
+  ) {
+    generationLog.splice(generationLog.indexOf(row), 1);
+  }
+  return { data: !!row, error: null };
+}
+
+vi.mock('@supabase/supabase-js', () => ({
+  createClient: vi.fn((url, key) => ({
+    auth: { getUser: mockGetUser },
+    from: (table) => mockQuery(table),
+    rpc: (name, args) => mockRpc(name, args, key),
+  })),
+}));
+
+import {
+  onRequestGet,
+  onRequestPost,
+  validateOutput,
+  generateWithFallback,
+  buildRepairPrompt,
+  validateDrafts,
+} from '../functions/api/generate.js';
+import { buildProviderChain } from '../functions/_lib/providers.js';
+import { buildMockNarrative } from '../functions/_lib/mock-provider.js';
+import { extractPartialNarrative } from '../functions/_lib/stream.js';
+import { PROMPT_TEMPLATES } from '../functions/_lib/prompt-templates.js';
+import { DRAFT_STYLES, TONE_PRESETS, getDraftStyles } from '../src/presets.js';
+import { validateSection } from '../functions/_lib/sections.js';
+
+const BASE_ENV = {
+  MOCK_LLM: 'true',
+  VITE_SUPABASE_URL: 'http://127.0.0.1:54321',
+  VITE_SUPABASE_ANON_KEY: 'anon',
+  SUPABASE_API_KEY: 'service',
+};
+
+const INPUT = {
+  category: 'today',
+  answers: ['カフェで本を読んだ', 'コーヒーが美味しかった'],
+  settings: { length: 'Normal', tone: 'Business', difficulty: 'Normal' },
+};
+
+function makeGetRequest(
+  query = '',
+  headers = { Authorization: 'Bearer token' }
+) {
+  return new Request(`http://localhost/api/generate${query}`, { headers });
+}
+
+function makeRequest(body, headers = { Authorization: 'Bearer token' }) {
+  return new Request('http://localhost/api/generate', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+}
+
+describe('/api/generate', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    generationLog.length = 0;
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    mockGetUser.mockResolvedValue({
+      data: { user: { id: 'user-1' } },
+      error: null,
+    });
+  });
+
+  describe('Provider chain', () => {
+    it('should follow LLM_PROVIDER_ORDER and skip providers without keys', () => {
+      const chain = buildProviderChain({
+        LLM_PROVIDER_ORDER: 'grok, deepseek, gemini-3-flash, unknown',
+        GROK_API_KEY: 'x',
+        DEEPSEEK_API_KEY: 'y',
+      });
+
+      expect(chain.map((p) => p.id)).toEqual(['grok', 'deepseek']);
+    });
+
+    it('should use the default order when LLM_PROVIDER_ORDER is unset', () => {
+      const chain = buildProviderChain({ DEEPSEEK_API_KEY: 'y' });
+      expect(chain.map((p) => p.id)).toEqual(['deepseek']);
+    });
+
+    it('should replace the chain with mock attempts when MOCK_LLM is set', () => {
+      const chain = buildProviderChain({
+        ...BASE_ENV,
+        GEMINI_API_KEY: 'g',
+        MOCK_LLM_FAILURES: 'http_500,invalid_json',
+      });
+
+      expect(chain).toHaveLength(3);
+      expect(chain.every((p) => p.model === 'mock')).toBe(true);
+    });
+  });
+
+  describe('Mock narrative', () => {
+    it.each(['Short', 'Normal', 'Long'])(
+      'should pass validation for %s length',
+      (length) => {
+        const narrative = buildMockNarrative({
+          ...INPUT,
+          settings: { ...INPUT.settings, length },
+        });
+        expect(validateOutput(narrative, { length }).isValid).toBe(true);
+      }
+    );
+
+    it.each(TONE_PRESETS.map((p) => p.id))(
+      'should pass validation for the %s tone',
+      (tone) => {
+        const settings = { ...INPUT.settings, tone };
+        const narrative = buildMockNarrative({ ...INPUT, settings });
+        expect(validateOutput(narrative, settings).isValid).toBe(true);
+      }
+    );
+
+    it('should be deterministic for the same input', () => {
+      expect(buildMockNarrative(INPUT)).toEqual(buildMockNarrative(INPUT));
+    });
+  });
+
+  describe('onRequestPost', () => {
+    it('should return a schema-valid narrative from the mock provider', async () => {
+      const response = await onRequestPost({
+        request: makeRequest(INPUT),
+        env: BASE_ENV,
+      });
+
+      expect(response.status).toBe(200);
+      const data = await response.json();
+      expect(data.narrative_en).toContain('today');
+      expect(data.recall_test.prompt_ja).toContain('カフェで本を読んだ');
+    });
+
+    it('should return 401 without an Authorization header', async () => {
+      const response = await onRequestPost({
+        request: makeRequest(INPUT, {}),
+        env: BASE_ENV,
+      });
+      expect(response.status).toBe(401);
+    });
+
+    it('should return 500 without the service role key', async () => {
+      const env = { ...BASE_ENV, SUPABASE_API_KEY: '' };
+      const response = await onRequestPost({
+        request: makeRequest(INPUT),
+        env,
+      });
+
+      expect(response.status).toBe(500);
+      expect(generationLog).toHaveLength(0);
+    });
+
+    it('should return 500 when no provider is configured', async () => {
+      const response = await onRequestPost({
+        request: makeRequest(INPUT),
+        env: { VITE_SUPABASE_URL: 'x', VITE_SUPABASE_ANON_KEY: 'y' },
+      });
+      expect(response.status).toBe(500);
+    });
+
+    it('should fall back past every simulated failure', async () => {
+      const response = await onRequestPost({
+        request: makeRequest(INPUT),
+        env: {
+          ...BASE_ENV,
+          LLM_MAX_REPAIR_ATTEMPTS: '0',
+          MOCK_LLM_FAILURES: 'http_500,invalid_json,sentence_count,japanese',
+        },
+      });
+
+      expect(response.status).toBe(200);
+      expect(console.error).toHaveBeenCalledWith(
+        expect.stringContaining('fails with http_500'),
+        expect.stringContaining('500')
+      );
+
+      const { generation_meta: meta } = await response.json();
+      expect(meta.provider).toBe('mock-5');
+      expect(meta.attempts.map((a) => a.status)).toEqual([
+        'error',
+        'invalid',
+        'invalid',
+        'invalid',
+        'ok',
+      ]);
+    });
+
+    it('should report generation metadata with the narrative', async () => {
+      const response = await onRequestPost({
+        request: makeRequest(INPUT),
+        env: BASE_ENV,
+      });
+
+      const { generation_meta: meta } = await response.json();
+      expect(meta).toMatchObject({
+        provider: 'mock-1',
+        model: 'mock',
+        prompt_version: PROMPT_TEMPLATES.narrative.default,
+      });
+      expect(meta.attempts).toHaveLength(1);
+      expect(meta.attempts[0]).toMatchObject({
+        kind: 'generate',
+        status: 'ok',
+      });
+    });
+  });
+
+  describe('Preset validation', () => {
+    const narrative = buildMockNarrative(INPUT);
+
+    it('should reject contractions for the Academic (Formal) tone', () => {
+      const informal = {
+        ...narrative,
+        narrative_en: narrative.narrative_en.replace('I want', "I'd like"),
+      };
+
+      expect(validateOutput(informal, { tone: 'Casual' }).isValid).toBe(true);
+      const result = validateOutput(informal, { tone: 'Formal' });
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toContain(
+        "Contractions are not allowed in this tone: I'd"
+      );
+    });
+
+    it('should reject long sentences for the Small talk tone', () => {
+      const sentence =
+        'After work I walked slowly along the river and thought about everything that happened during the long meeting.';
+      const wordy = {
+        ...narrative,
+        narrative_en: Array(6).fill(sentence).join(' '),
+      };
+
+      expect(validateOutput(wordy, { tone: 'Business' }).isValid).toBe(true);
+      const result = validateOutput(wordy, { tone: 'SmallTalk' });
+      expect(result.errors[0]).toMatch(/^Average sentence length \(18\.0/);
+    });
+  });
+
+  describe('Section regeneration', () => {
+    const narrative = buildMockNarrative(INPUT);
+    const sectionRequest = (section, extra = {}) =>
+      makeRequest({
+        mode: 'section',
+        section,
+        narrative,
+        settings: INPUT.settings,
+        ...extra,
+      });
+
+    it.each(['key_phrases', 'alternatives', 'recall_test', 'pronunciation'])(
+      'should return only the %s section',
+      async (section) => {
+        const response = await onRequestPost({
+          request: sectionRequest(section),
+          env: BASE_ENV,
+        });
+
+        expect(response.status).toBe(200);
+        const data = await response.json();
+        expect(data.section).toBe(section);
+        expect(validateSection(section, data.value).isValid).toBe(true);
+        expect(data.narrative_en).toBeUndefined();
+        expect(data.generation_meta.prompt_version).toBe(
+          PROMPT_TEMPLATES.section.default
+        );
+        expect(generationLog.at(-1).kind).toBe('section');
+      }
+    );
+
+    it('should reject an unknown section', async () => {
+      const response = await onRequestPost({
+        request: sectionRequest('narrative_en'),
+        env: BASE_ENV,
+      });
+      expect(response.status).toBe(400);
+    });
+
+    it('should require the existing narrative', async () => {
+      const response = await onRequestPost({
+        request: sectionRequest('key_phrases', { narrative: {} }),
+        env: BASE_ENV,
+      });
+      expect(response.status).toBe(400);
+    });
+
+    it('should validate the section and fall back on empty output', async () => {
+      const response = await onRequestPost({
+        request: sectionRequest('recall_test'),
+        env: {
+          ...BASE_ENV,
+          LLM_MAX_REPAIR_ATTEMPTS: '0',
+          MOCK_LLM_FAILURES: 'japanese,invalid_json',
+        },
+      });
+
+      expect(response.status).toBe(200);
+      const { generation_meta: meta } = await response.json();
+      expect(meta.attempts.map((a) => a.errors?.[0])).toEqual([
+        '/recall_test: Must be an object',
+        expect.stringContaining('Invalid JSON response'),
+        undefined,
+      ]);
+    });
+
+    it('should not use up the narrative quota', async () => {
+      await onRequestPost({ request: makeRequest(INPUT), env: BASE_ENV });
+
+      const section = await onRequestPost({
+        request: sectionRequest('alternatives'),
+        env: BASE_ENV,
+      });
+      expect(section.status).toBe(200);
+
+      const blocked = await onRequestPost({
+        request: sectionRequest('alternatives'),
+        env: { ...BASE_ENV, SECTION_GENERATION_DAILY_LIMIT: '1' },
+      });
+      expect(blocked.status).toBe(429);
+    });
+  });
+
+  describe('Drafts', () => {
+    const draftsRequest = (extra = {}) =>
+      makeRequest({ ...INPUT, mode: 'drafts', draft_count: 2, ...extra });
+
+    it('should return one valid draft per requested style', async () => {
+      const response = await onRequestPost({
+        request: draftsRequest({ draft_count: 3 }),
+        env: BASE_ENV,
+      });
+
+      expect(response.status).toBe(200);
+      const data = await response.json();
+      expect(data.drafts.map((d) => d.style)).toEqual(
+        DRAFT_STYLES.map((s) => s.id)
+      );
+      expect(new Set(data.drafts.map((d) => d.narrative_en)).size).toBe(3);
+      expect(data.key_phrases).toBeUndefined();
+      expect(data.generation_meta.prompt_version).toBe(
+        PROMPT_TEMPLATES.drafts.default
+      );
+      expect(generationLog.at(-1).kind).toBe('narrative');
+    });
+
+    it('should clamp the draft count to the available styles', () => {
+      expect(getDraftStyles(undefined)).toHaveLength(2);
+      expect(getDraftStyles('1')).toHaveLength(2);
+      expect(getDraftStyles(10)).toHaveLength(DRAFT_STYLES.length);
+    });
+
+    it('should apply the preset rules to every draft', () => {
+      const styles = getDraftStyles(2);
+      const valid = 'One. Two. Three. Four. Five. Six.';
+      const result = validateDrafts(
+        {
+          drafts: [
+            { style: 'literal', narrative_en: valid },
+            { style: 'literal', narrative_en: 'Too short.' },
+          ],
+        },
+        styles,
+        INPUT.settings
+      );
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toEqual([
+        'drafts[1].style "literal" is used more than once',
+        expect.stringMatching(/^drafts\[1\]: Sentence count \(1\)/),
+      ]);
+    });
+
+    it('should repair a draft that breaks the rules', async () => {
+      const response = await onRequestPost({
+        request: draftsRequest(),
+        env: { ...BASE_ENV, MOCK_LLM_FAILURES: 'sentence_count' },
+      });
+
+      expect(response.status).toBe(200);
+      const { generation_meta: meta } = await response.json();
+      expect(meta.attempts.map((a) => a.kind)).toEqual(['generate', 'repair']);
+      expect(meta.attempts[0].errors[0]).toMatch(/^drafts\[0\]: Sentence/);
+    });
+
+    it('should count against the narrative quota', async () => {
+      await onRequestPost({ request: makeRequest(INPUT), env: BASE_ENV });
+
+      const response = await onRequestPost({
+        request: draftsRequest(),
+        env: BASE_ENV,
+      });
+      expect(response.status).toBe(429);
+    });
+
+    // Drafts generation to complete, as { generation_id, narrative_en }
+    async function chooseDraft(env = BASE_ENV) {
+      const response = await onRequestPost({ request: draftsRequest(), env });
+      const { drafts, generation_id } = await response.json();
+      return { generation_id, narrative_en: drafts[1].narrative_en };
+    }
+
+    it('should complete the chosen draft without rewriting it', async () => {
+      const choice = await chooseDraft();
+      const { narrative_en } = choice;
+      const response = await onRequestPost({
+        request: makeRequest({
+          mode: 'complete',
+          ...choice,
+          settings: INPUT.settings,
+        }),
+        env: BASE_ENV,
+      });
+
+      expect(response.status).toBe(200);
+      const data = await response.json();
+      expect(data.narrative_en).toBe(narrative_en);
+      expect(validateOutput(data, INPUT.settings).isValid).toBe(true);
+      expect(validateSection('pronunciation', data.pronunciation).isValid).toBe(
+        true
+      );
+      expect(data.generation_meta.prompt_version).toBe(
+        PROMPT_TEMPLATES.complete.default
+      );
+      expect(generationLog.at(-1).kind).toBe('section');
+    });
+
+    it('should require narrative_en to complete a draft', async () => {
+      const response = await onRequestPost({
+        request: makeRequest({ mode: 'complete', settings: INPUT.settings }),
+        env: BASE_ENV,
+      });
+      expect(response.status).toBe(400);
+    });
+
+    it('should only complete drafts the user was given', async () => {
+      const { generation_id } = await chooseDraft();
+
+      for (const body of [
+        { generation_id, narrative_en: 'Write materials for any text.' },
+        { narrative_en: 'Write materials for any text.' },
+        { generation_id: 'generation-999', narrative_en: 'Hello.' },
+      ]) {
+        const response = await onRequestPost({
+          request: makeRequest({
+            mode: 'complete',
+            ...body,
+            settings: INPUT.settings,
+          }),
+          env: BASE_ENV,
+        });
+        expect(response.status).toBe(403);
+      }
+      expect(generationLog.map((row) => row.kind)).toEqual(['narrative']);
+    });
+
+    it('should fall back when the materials are missing', async () => {
+      const response = await onRequestPost({
+        request: makeRequest({
+          mode: 'complete',
+          ...(await chooseDraft()),
+          settings: INPUT.settings,
+        }),
+        env: {
+          ...BASE_ENV,
+          LLM_MAX_REPAIR_ATTEMPTS: '0',
+          MOCK_LLM_FAILURES: 'japanese',
+        },
+      });
+
+      expect(response.status).toBe(200);
+      const { generation_meta: meta } = await response.json();
+      expect(meta.attempts[0].errors[0]).toBe('/key_phrases: Must be an array');
+      expect(meta.attempts.map((a) => a.status)).toEqual(['invalid', 'ok']);
+    });
+  });
+
+  describe('Quota', () => {
+    it('should reject a second generation on the same day with 429', async () => {
+      const first = await onRequestPost({
+        request: makeRequest(INPUT),
+        env: BASE_ENV,
+      });
+      expect(first.status).toBe(200);
+      expect(generationLog).toHaveLength(1);
+      expect(generationLog[0]).toMatchObject({
+        user_id: 'user-1',
+        provider: 'mock-1',
+        prompt_version: PROMPT_TEMPLATES.narrative.default,
+      });
+
+      const second = await onRequestPost({
+        request: makeRequest({ ...INPUT, stream: true }),
+        env: BASE_ENV,
+      });
+      expect(second.status).toBe(429);
+      expect(Number(second.headers.get('Retry-After'))).toBeGreaterThan(0);
+
+      const body = await second.json();
+      expect(body.quota.daily).toMatchObject({ used: 1, limit: 1 });
+      expect(new Date(body.reset_at).getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should not count failed generations', async () => {
+      vi.stubGlobal(
+        'fetch',
+        vi.fn().mockResolvedValue(new Response('down', { status: 503 }))
+      );
+
+      const response = await onRequestPost({
+        request: makeRequest(INPUT),
+        env: { ...BASE_ENV, MOCK_LLM: '', GROK_API_KEY: 'x' },
+      });
+      vi.unstubAllGlobals();
+
+      expect(response.status).toBe(500);
+      expect(generationLog).toHaveLength(0);
+    });
+
+    it('should reject a request without answers before taking a slot', async () => {
+      const body = { ...INPUT, answers: undefined };
+      const response = await onRequestPost({
+        request: makeRequest(body),
+        env: BASE_ENV,
+      });
+
+      expect(response.status).toBe(400);
+      expect(generationLog).toHaveLength(0);
+    });
+
+    it('should give the slot back when the prompt cannot be built', async () => {
+      const response = await onRequestPost({
+        request: makeRequest({ ...INPUT, answers: [42] }),
+        env: BASE_ENV,
+      });
+
+      expect(response.status).toBe(500);
+      expect(generationLog).toHaveLength(0);
+    });
+
+    it('should ignore a day boundary sent by the client', async () => {
+      await onRequestPost({ request: makeRequest(INPUT), env: BASE_ENV });
+
+      // A day that started "after" the first generation
+      const response = await onRequestPost({
+        request: makeRequest({ ...INPUT, tz_offset: 840, day_start_hour: 23 }),
+        env: BASE_ENV,
+      });
+      expect(response.status).toBe(429);
+    });
+
+    it('should let only one of parallel requests through', async () => {
+      const responses = await Promise.all(
+        [1, 2, 3].map(() =>
+          onRequestPost({ request: makeRequest(INPUT), env: BASE_ENV })
+        )
+      );
+
+      expect(responses.map((r) => r.status).sort()).toEqual([200, 429, 429]);
+      expect(generationLog).toHaveLength(1);
+    });
+
+    it('should release the slot when a streamed generation fails', async () => {
+      vi.stubGlobal(
+        'fetch',
+        vi.fn().mockResolvedValue(new Response('down', { status: 503 }))
+      );
+
+      const response = await onRequestPost({
+        request: makeRequest({ ...INPUT, stream: true }),
+        env: { ...BASE_ENV, MOCK_LLM: '', GROK_API_KEY: 'x' },
+      });
+      const events = await response.text();
+      vi.unstubAllGlobals();
+
+      expect(events).toContain('event: error');
+      expect(generationLog).toHaveLength(0);
+    });
+
+    it('should enforce the rolling window limit', async () => {
+      const env = {
+        ...BASE_ENV,
+        GENERATION_DAILY_LIMIT: '0',
+        GENERATION_WINDOW_LIMIT: '2',
+        GENERATION_WINDOW_HOURS: '1',
+      };
+      for (let i = 0; i < 2; i++) {
+        const response = await onRequestPost({
+          request: makeRequest(INPUT),
+          env,
+        });
+        expect(response.status).toBe(200);
+      }
+
+      const blocked = await onRequestPost({
+        request: makeRequest(INPUT),
+        env,
+      });
+      expect(blocked.status).toBe(429);
+      expect((await blocked.json()).quota.window).toMatchObject({
+        used: 2,
+        limit: 2,
+        hours: 1,
+      });
+    });
+
+    it('should report quota status on GET', async () => {
+      const response = await onRequestGet({
+        request: makeGetRequest(),
+        env: BASE_ENV,
+      });
+
+      expect(response.status).toBe(200);
+      const quota = await response.json();
+      expect(quota.allowed).toBe(true);
+      expect(quota.daily).toMatchObject({ used: 0, limit: 1, remaining: 1 });
+      expect(quota.window).toBeNull();
+    });
+
+    it('should return 401 on GET without a token', async () => {
+      const response = await onRequestGet({
+        request: makeGetRequest('', {}),
+        env: BASE_ENV,
+      });
+      expect(response.status).toBe(401);
+    });
+  });
+
+  describe('Failure simulation', () => {
+    it.each([
+      ['invalid_json', 'Invalid JSON response'],
+      ['sentence_count', 'Sentence count (1)'],
+      ['japanese', 'Japanese characters exceed limit'],
+      ['http_500', 'API error: 500'],
+    ])(
+      'should report %s and recover on the next attempt',
+      async (failure, message) => {
+        const env = {
+          ...BASE_ENV,
+          LLM_MAX_REPAIR_ATTEMPTS: '0',
+          MOCK_LLM_FAILURES: failure,
+        };
+        const [failing] = buildProviderChain(env);
+
+        const { data } = await generateWithFallback(
+          'prompt',
+          env,
+          INPUT.settings,
+          INPUT
+        );
+
+        expect(data.narrative_en).toBeTruthy();
+        expect(console.error).toHaveBeenCalledWith(
+          `${failing.name} failed:`,
+          expect.stringContaining(message)
+        );
+      }
+    );
+  });
+
+  describe('Repair', () => {
+    it.each(['invalid_json', 'sentence_count', 'japanese'])(
+      'should repair %s output on the same provider',
+      async (failure) => {
+        const env = { ...BASE_ENV, MOCK_LLM_FAILURES: failure };
+        const { data, meta } = await generateWithFallback(
+          'prompt',
+          env,
+          INPUT.settings,
+          INPUT
+        );
+
+        expect(data.narrative_en).toBeTruthy();
+        expect(meta.provider).toBe('mock-1');
+        expect(meta.attempts.map((a) => [a.kind, a.status])).toEqual([
+          ['generate', 'invalid'],
+          ['repair', 'ok'],
+        ]);
+      }
+    );
+
+    it('should include the rejected output and errors in the repair prompt', () => {
+      const prompt = buildRepairPrompt('base', '{"bad": true}', [
+        'Missing field: narrative_en',
+      ]);
+
+      expect(prompt.startsWith('base')).toBe(true);
+      expect(prompt).toContain('{"bad": true}');
+      expect(prompt).toContain('- Missing field: narrative_en');
+    });
+
+    it('should not repair upstream errors', async () => {
+      const env = { ...BASE_ENV, MOCK_LLM_FAILURES: 'http_500' };
+      const { meta } = await generateWithFallback(
+        'prompt',
+        env,
+        INPUT.settings,
+        INPUT
+      );
+
+      expect(meta.provider).toBe('mock-2');
+      expect(meta.attempts.map((a) => a.kind)).toEqual([
+        'generate',
+        'generate',
+      ]);
+    });
+  });
+
+  describe('Streaming', () => {
+    // Collect SSE frames as { event, data } pairs
+    async function readEvents(response) {
+      const text = await response.text();
+      return text
+        .split('\n\n')
+        .filter(Boolean)
+        .map((frame) => {
+          const [eventLine, dataLine] = frame.split('\n');
+          return {
+            event: eventLine.replace('event: ', ''),
+            data: JSON.parse(dataLine.replace('data: ', '')),
+          };
+        });
+    }
+
+    it('should stream attempts, partial text and the final result', async () => {
+      const response = await onRequestPost({
+        request: makeRequest({ ...INPUT, stream: true }),
+        env: {
+          ...BASE_ENV,
+          LLM_MAX_REPAIR_ATTEMPTS: '0',
+          MOCK_LLM_FAILURES: 'sentence_count',
+        },
+      });
+
+      expect(response.headers.get('Content-Type')).toBe('text/event-stream');
+      const events = await readEvents(response);
+      const names = events.map((e) => e.event);
+
+      expect(names[0]).toBe('attempt');
+      expect(names).toContain('validation_failed');
+      expect(names).toContain('partial');
+      expect(names.at(-1)).toBe('result');
+
+      const partials = events.filter((e) => e.event === 'partial');
+      const result = events.at(-1).data;
+      expect(
+        result.narrative_en.startsWith(partials.at(-1).data.narrative_en)
+      ).toBe(true);
+      expect(result.generation_meta.provider).toBe('mock-2');
+    });
+
+    it('should announce repair attempts', async () => {
+      const response = await onRequestPost({
+        request: makeRequest({ ...INPUT, stream: true }),
+        env: { ...BASE_ENV, MOCK_LLM_FAILURES: 'invalid_json' },
+      });
+
+      const events = await readEvents(response);
+      const repair = events.find((e) => e.event === 'repair');
+      expect(repair.data).toMatchObject({ repair: 1, max: 1 });
+      expect(events.map((e) => e.event)).not.toContain('provider_failed');
+      expect(events.at(-1).data.generation_meta.attempts).toHaveLength(2);
+    });
+
+    it('should end with an error event when every provider fails', async () => {
+      vi.stubGlobal(
+        'fetch',
+        vi.fn().mockResolvedValue(new Response('down', { status: 503 }))
+      );
+
+      const response = await onRequestPost({
+        request: makeRequest({ ...INPUT, stream: true }),
+        env: { ...BASE_ENV, MOCK_LLM: '', GROK_API_KEY: 'x' },
+      });
+      const events = await readEvents(response);
+      vi.unstubAllGlobals();
+
+      expect(events.map((e) => e.event)).toEqual([
+        'attempt',
+        'provider_failed',
+        'error',
+      ]);
+      expect(events.at(-1).data.error).toContain('Grok API error: 503');
+    });
+
+    it('should extract unfinished narrative text from partial JSON', () => {
+      expect(extractPartialNarrative('{"key_phrases": [')).toBeNull();
+      expect(extractPartialNarrative('{"narrative_en": "I went\\nout')).toBe(
+        'I went\nout'
+      );
+      expect(
+        extractPartialNarrative('{"narrative_en": "Done \\"ok\\".", "k"')
+      ).toBe('Done "ok".');
+      expect(extractPartialNarrative('{"narrative_en": "Cut \\')).toBe('Cut ');
+    });
+  });
+});
@@ -0,0 +1,306 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+// Mock Supabase auth and keep the generation log in memory (see
+// generate.test.js)
+const mockGetUser = vi.fn();
+const generationLog = [];
+
+function mockQuery() {
+  const filters = [];
+  const query = {
+    select: () => query,
+    eq: (column, value) => {
+      filters.push((row) => row[column] === value);
+      return query;
+    },
+    gte: (column, value) => {
+      filters.push((row) => row[column] >= value);
+      return query;
+    },
+    order: async () => ({
+      data: generationLog.filter((row) => filters.every((f) => f(row))),
+      error: null,
+    }),
+    // No profile: days are counted in UTC
+    maybeSingle: async () => ({ data: null, error: null }),
+  };
+  return query;
+}
+
+// Functions only the service role may execute (see migration
+// restrict_generation_reservations)
+const SERVICE_ROLE_ONLY = [
+  'en_journal_reserve_generation',
+  'en_journal_complete_generation',
+  'en_journal_release_generation',
+];
+
+// The reservation functions of the generation log migration
+async function mockRpc(name, args, key) {
+  if (SERVICE_ROLE_ONLY.includes(name) && key !== 'service') {
+    return {
+      data: null,
+      error: { message: 'permission denied for function', code: '42501' },
+    };
+  }
+  if (name === 'en_journal_reserve_generation') {
+    const since = [args.p_day_start, args.p_window_start]
+      .filter(Boolean)
+      .sort()[0];
+    const used = generationLog
+      .filter((row) => row.kind === args.p_kind && row.created_at >= since)
+      .map((row) => row.created_at)
+      .sort();
+    const daily = used.filter((t) => t >= args.p_day_start).length;
+    const windowed = used.filter((t) => t > args.p_window_start).length;
+    let id = null;
+    if (
+      (args.p_daily_limit <= 0 || daily < args.p_daily_limit) &&
+      (args.p_window_limit <= 0 || windowed < args.p_window_limit)
+    ) {
+      id = `generation-${generationLog.length + 1}`;
+      generationLog.push({
+        id,
+        user_id: args.p_user_id,
+        kind: args.p_kind,
+        token: args.p_token,
+        created_at: new Date().toISOString(),
+      });
+    }
+    return { data: { id, created_at: used }, error: null };
+  }
+
+  const row = generationLog.find(
+    (r) => r.id === args.p_id && r.token && r.token === args.p_token
+  );
+  if (
+    row &&
+    name === 'en_journal_complete_generation' &&
+    row.user_id === args.p_user_id
+  ) {
+    Object.assign(row, {
+      provider: args.p_provider,
+      model: args.p_model,
+      prompt_version: args.p_prompt_version,
+      token: null,
+    });
+  }
+  if (
+    row &&
+    name === 'en_journal_release_generation' &&
+    row.user_id === args.p_user_id
+  ) {
+    generationLog.splice(generationLog.indexOf(row), 1);
+  }
+  return { data: !!row, error: null };
+}
+
+vi.mock('@supabase/supabase-js', () => ({
+  createClient: vi.fn((url, key) => ({
+    auth: { getUser: mockGetUser },
+    from: () => mockQuery(),
+    rpc: (name, args) => mockRpc(name, args, key),
+  })),
+}));
+
+import { onRequestPost } from '../functions/api/grade.js';
+import {
+  suggestQuality,
+  summarizeGrade,
+  validateGrade,
+} from '../functions/_lib/grading.js';
+import { PROMPT_TEMPLATES } from '../functions/_lib/prompt-templates.js';
+
+const BASE_ENV = {
+  MOCK_LLM: 'true',
+  VITE_SUPABASE_URL: 'http://127.0.0.1:54321',
+  VITE_SUPABASE_ANON_KEY: 'anon',
+  SUPABASE_API_KEY: 'service',
+};
+
+const NARRATIVE = {
+  narrative_en: 'I read a book at a cafe. The coffee was delicious.',
+  recall_test: {
+    prompt_ja: 'カフェで読書した話をしてみましょう',
+    expected_points_en: ['read a book at a cafe', 'the coffee was delicious'],
+  },
+};
+
+function makeRequest(body, headers = { Authorization: 'Bearer token' }) {
+  return new Request('http://localhost/api/grade', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+}
+
+describe('/api/grade', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    generationLog.length = 0;
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    mockGetUser.mockResolvedValue({
+      data: { user: { id: 'user-1' } },
+      error: null,
+    });
+  });
+
+  describe('onRequestPost', () => {
+    it('should grade every expected point and suggest a quality', async () => {
+      const response = await onRequestPost({
+        request: makeRequest({
+          narrative: NARRATIVE,
+          answer: 'I read a book at a cafe. The coffee was delicious.',
+        }),
+        env: BASE_ENV,
+      });
+
+      expect(response.status).toBe(200);
+      const data = await response.json();
+      expect(data.points).toEqual([
+        expect.objectContaining({
+          point: 'read a book at a cafe',
+          status: 'covered',
+        }),
+        expect.objectContaining({
+          point: 'the coffee was delicious',
+          status: 'covered',
+        }),
+      ]);
+      expect(data.coverage).toBe(1);
+      expect(data.suggested_quality).toBe(3);
+      expect(data.generation_meta.prompt_version).toBe(
+        PROMPT_TEMPLATES.grade.default
+      );
+      expect(generationLog.at(-1).kind).toBe('grade');
+    });
+
+    it('should lower the suggestion for missed points', async () => {
+      const response = await onRequestPost({
+        request: makeRequest({
+          narrative: NARRATIVE,
+          answer: 'i went to a cafe.',
+        }),
+        env: BASE_ENV,
+      });
+
+      const data = await response.json();
+      expect(data.points.map((p) => p.status)).toEqual(['partial', 'missed']);
+      expect(data.grammar_issues).toHaveLength(1);
+      expect(data.suggested_quality).toBe(0);
+    });
+
+    it('should reject an empty answer', async () => {
+      const response = await onRequestPost({
+        request: makeRequest({ narrative: NARRATIVE, answer: '  ' }),
+        env: BASE_ENV,
+      });
+      expect(response.status).toBe(400);
+    });
+
+    it('should reject a narrative without expected points', async () => {
+      const response = await onRequestPost({
+        request: makeRequest({
+          narrative: { ...NARRATIVE, recall_test: { prompt_ja: 'x' } },
+          answer: 'Hello.',
+        }),
+        env: BASE_ENV,
+      });
+      expect(response.status).toBe(400);
+    });
+
+    it('should require authentication', async () => {
+      const response = await onRequestPost({
+        request: makeRequest({ narrative: NARRATIVE, answer: 'Hello.' }, {}),
+        env: BASE_ENV,
+      });
+      expect(response.status).toBe(401);
+    });
+
+    it('should fall back when the grading output is incomplete', async () => {
+      const response = await onRequestPost({
+        request: makeRequest({ narrative: NARRATIVE, answer: 'Hello.' }),
+        env: {
+          ...BASE_ENV,
+          LLM_MAX_REPAIR_ATTEMPTS: '0',
+          MOCK_LLM_FAILURES: 'sentence_count',
+        },
+      });
+
+      expect(response.status).toBe(200);
+      const { generation_meta: meta } = await response.json();
+      expect(meta.attempts[0].errors).toContain('Expected 2 points but got 0');
+      expect(meta.attempts.map((a) => a.status)).toEqual(['invalid', 'ok']);
+    });
+
+    it('should enforce the grading quota', async () => {
+      const env = { ...BASE_ENV, GRADE_DAILY_LIMIT: '1' };
+      const body = { narrative: NARRATIVE, answer: 'Hello.' };
+
+      const first = await onRequestPost({ request: makeRequest(body), env });
+      expect(first.status).toBe(200);
+
+      const second = await onRequestPost({ request: makeRequest(body), env });
+      expect(second.status).toBe(429);
+    });
+  });
+
+  describe('grading helpers', () => {
+    const valid = {
+      points: [
+        { index: 1, status: 'covered', comment_ja: 'OK' },
+        { index: 2, status: 'partial', comment_ja: '一部' },
+      ],
+      grammar_issues: [],
+      feedback_ja: 'いいですね。',
+    };
+
+    it('should accept well-formed output', () => {
+      expect(validateGrade(valid, 2)).toEqual({ isValid: true, errors: [] });
+    });
+
+    it('should reject unknown statuses and misnumbered points', () => {
+      const { errors } = validateGrade(
+        {
+          ...valid,
+          points: [
+            { index: 2, status: 'covered' },
+            { index: 2, status: 'maybe' },
+          ],
+        },
+        2
+      );
+      expect(errors).toEqual([
+        'points[0].index must be 1',
+        'points[1].status must be one of covered, partial, missed',
+      ]);
+    });
+
+    it.each([
+      [1, 0, 3],
+      [1, 1, 2],
+      [0.8, 0, 2],
+      [0.75, 0, 1],
+      [0.5, 2, 1],
+      [0.25, 0, 0],
+    ])(
+      'coverage %s with %s grammar issues suggests quality %s',
+      (coverage, issues, expected) => {
+        expect(suggestQuality(coverage, issues)).toBe(expected);
+      }
+    );
+
+    it('should pair the judgement with the expected points', () => {
+      const summary = summarizeGrade(valid, ['point one', 'point two']);
+      expect(summary.points[1]).toEqual({
+        point: 'point two',
+        status: 'partial',
+        comment_ja: '一部',
+      });
+      expect(summary.coverage).toBe(0.75);
+      expect(summary.suggested_quality).toBe(1);
+    });
+  });
+});
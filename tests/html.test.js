@@ -0,0 +1,16 @@
+import { describe, it, expect } from 'vitest';
+import { escapeHtml } from '../src/html.js';
+
+describe('escapeHtml', () => {
+  it('should escape markup and quotes', () => {
+    expect(escapeHtml(`<img src="x" onerror='alert(1)'> & co`)).toBe(
+      '&lt;img src=&quot;x&quot; onerror=&#39;alert(1)&#39;&gt; &amp; co'
+    );
+  });
+
+  it('should turn missing values into an empty string', () => {
+    expect(escapeHtml(undefined)).toBe('');
+    expect(escapeHtml(null)).toBe('');
+    expect(escapeHtml(3)).toBe('3');
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'vitest';
+import { contentHash, planImport, validateImportRow } from '../src/importer.js';
+
+const ID_1 = '11111111-1111-4111-8111-111111111111';
+const ID_2 = '22222222-2222-4222-8222-222222222222';
+
+const stored = {
+  id: ID_1,
+  narrative_en: 'I went to the park.',
+  created_at: '2026-01-01T09:00:00+00:00',
+};
+
+describe('Narrative import', () => {
+  it('should report each invalid row on its own', () => {
+    expect(validateImportRow(stored)).toEqual([]);
+    expect(
+      validateImportRow({ narrative_en: 'Hi', key_phrases: null })
+    ).toEqual([]);
+    expect(validateImportRow('text')).toEqual(['must be an object']);
+    expect(
+      validateImportRow({
+        id: 'abc',
+        narrative_en: ' ',
+        created_at: 'yesterday',
+        key_phrases: [{ meaning_ja: '意味' }],
+        srs: [],
+      })
+    ).toEqual([
+      'narrative_en: missing',
+      'id: not a UUID',
+      'created_at: not a date',
+      'key_phrases[0].phrase_en: missing',
+      'srs: must be an object',
+    ]);
+  });
+
+  it('should hash content regardless of spacing', () => {
+    expect(contentHash({ narrative_en: 'I went  to\nthe park. ' })).toBe(
+      contentHash(stored)
+    );
+    expect(contentHash({ narrative_en: 'I went to the zoo.' })).not.toBe(
+      contentHash(stored)
+    );
+  });
+
+  it('should find duplicates by id or by content and created_at', () => {
+    const rows = [
+      { ...stored, narrative_en: 'Edited later.' },
+      { ...stored, id: ID_2, created_at: '2026-01-01T09:00:00.000Z' },
+      { narrative_en: stored.narrative_en, created_at: '2026-02-01T00:00:00Z' },
+      { narrative_en: '' },
+    ];
+
+    const plan = planImport(rows, [stored], 'skip');
+
+    expect(plan.items.map((item) => [item.action, item.matchedBy])).toEqual([
+      ['skip', 'id'],
+      ['skip', 'content'],
+      ['insert', null],
+      ['invalid', null],
+    ]);
+    expect(plan.items[0].duplicateOf).toBe(stored);
+    expect(plan.counts).toEqual({
+      insert: 1,
+      restore: 0,
+      overwrite: 0,
+      skip: 2,
+      invalid: 1,
+    });
+  });
+
+  it('should apply the duplicate strategy', () => {
+    const rows = [{ ...stored }, { ...stored }];
+
+    expect(
+      planImport(rows, [stored], 'overwrite').items.map((i) => i.action)
+    ).toEqual(['overwrite', 'skip']);
+    expect(
+      planImport(rows, [stored], 'keep_both').items.map((i) => i.action)
+    ).toEqual(['insert', 'insert']);
+    // A row repeated in the file is only imported once
+    expect(
+      planImport(rows, [], 'overwrite').items.map((i) => i.action)
+    ).toEqual(['insert', 'skip']);
+    expect(() => planImport(rows, [], 'merge')).toThrow(
+      'Unknown import strategy'
+    );
+  });
+
+  it('should restore narratives found in the trash', () => {
+    const rows = [{ ...stored }, { ...stored }];
+    const trashed = { ...stored, deleted_at: '2026-01-05T00:00:00Z' };
+
+    const plan = planImport(rows, [], 'skip', [trashed]);
+    expect(plan.items.map((i) => i.action)).toEqual(['restore', 'skip']);
+    expect(plan.items[0]).toMatchObject({
+      duplicateOf: trashed,
+      matchedBy: 'id',
+      inTrash: true,
+    });
+    expect(
+      planImport(rows, [], 'overwrite', [trashed]).items.map((i) => i.action)
+    ).toEqual(['restore', 'skip']);
+    // keep_both inserts a copy (with a new id) and leaves the trash alone
+    expect(
+      planImport(rows, [], 'keep_both', [trashed]).items.map((i) => i.action)
+    ).toEqual(['insert', 'insert']);
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import {
+  filterDue,
+  filterNarrativeList,
+  filterReviewLogs,
+  filterUpcoming,
+  newestFirst,
+  pageAfter,
+  summarizeNarratives,
+} from '../src/local-queries.js';
+
+const narratives = [
+  {
+    id: '1',
+    created_at: '2026-01-03T00:00:00Z',
+    category: 'today',
+    narrative_en: 'I caught up on sleep.',
+    user_answers: ['よく寝た'],
+    srs: { status: 'learning', next_review_date: '2026-01-09' },
+  },
+  {
+    id: '2',
+    created_at: '2026-01-02T00:00:00Z',
+    category: 'thoughts',
+    narrative_en: 'Banana',
+    srs: { status: 'mastered', next_review_date: '2026-01-01' }, // ladder
+  },
+  {
+    id: '3',
+    created_at: '2026-01-01T00:00:00Z',
+    category: 'today',
+    narrative_en: 'Carrot',
+    key_phrases: [{ phrase_en: 'run into', meaning_ja: '偶然会う' }],
+    srs: { status: 'learning', next_review_date: '2026-01-12' },
+  },
+];
+
+describe('Local queries', () => {
+  it('should find reviewable items due today, soonest first', () => {
+    expect(filterDue(narratives, '2026-01-10').map((n) => n.id)).toEqual(['1']);
+  });
+
+  it('should find upcoming items after today', () => {
+    expect(
+      filterUpcoming(narratives, '2026-01-10', '2026-01-17').map((n) => n.id)
+    ).toEqual(['3']);
+  });
+
+  it('should search answers and phrases as substrings', () => {
+    const ids = (filters) =>
+      filterNarrativeList(narratives, filters).map((n) => n.id);
+
+    expect(ids({ searchQuery: 'よく' })).toEqual(['1']);
+    expect(ids({ searchQuery: '偶然' })).toEqual(['3']);
+    expect(ids({ searchQuery: 'CAUGHT' })).toEqual(['1']);
+    expect(ids({ category: 'today', status: 'learning' })).toEqual(['1', '3']);
+    expect(
+      ids({ from: '2026-01-02T00:00:00Z', to: '2026-01-03T00:00:00Z' })
+    ).toEqual(['2']);
+  });
+
+  it('should page after a keyset cursor', () => {
+    const sorted = [...narratives].sort(newestFirst);
+
+    expect(pageAfter(sorted, null, 2).map((n) => n.id)).toEqual(['1', '2']);
+    expect(pageAfter(sorted, sorted[1], 2).map((n) => n.id)).toEqual(['3']);
+    expect(pageAfter(sorted, sorted[2], 2)).toEqual([]);
+  });
+
+  it('should filter review logs by period and narrative', () => {
+    const logs = [
+      { id: 'b', narrative_id: '1', reviewed_at: '2026-01-05T00:00:00Z' },
+      { id: 'a', narrative_id: '1', reviewed_at: '2026-01-01T00:00:00Z' },
+      { id: 'c', narrative_id: '2', reviewed_at: '2026-01-06T00:00:00Z' },
+    ];
+
+    expect(filterReviewLogs(logs).map((l) => l.id)).toEqual(['a', 'b', 'c']);
+    expect(
+      filterReviewLogs(logs, {
+        since: '2026-01-02T00:00:00Z',
+        narrativeId: '1',
+      }).map((l) => l.id)
+    ).toEqual(['b']);
+  });
+
+  it('should count narratives by status', () => {
+    expect(summarizeNarratives(narratives)).toMatchObject({
+      total_narratives: 3,
+      new_count: 0,
+      learning_count: 2,
+      mastered_count: 1,
+    });
+  });
+});
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import {
+  TONE_PRESETS,
+  LENGTH_PRESETS,
+  DIFFICULTY_PRESETS,
+  getPreset,
+  getValidationRules,
+  resolvePresets,
+} from '../src/presets.js';
+
+describe('Output presets', () => {
+  it('should give every preset a unique id, label and guidance', () => {
+    [TONE_PRESETS, LENGTH_PRESETS, DIFFICULTY_PRESETS].forEach((presets) => {
+      const ids = presets.map((p) => p.id);
+      expect(new Set(ids).size).toBe(ids.length);
+      presets.forEach((p) => {
+        expect(p.label).toBeTruthy();
+        expect(p.guidance).toBeTruthy();
+      });
+    });
+  });
+
+  it('should resolve Formal to the Academic preset', () => {
+    expect(getPreset('tone', 'Formal').id).toBe('Academic');
+    expect(getPreset('tone', 'academic').id).toBe('Academic');
+  });
+
+  it('should fall back to defaults for unknown or missing values', () => {
+    const presets = resolvePresets({ tone: 'Pirate' });
+    expect(presets.tone.id).toBe('Business');
+    expect(presets.length.id).toBe('Normal');
+    expect(presets.difficulty.id).toBe('Normal');
+  });
+
+  it('should merge validation rules, keeping the strictest limit', () => {
+    expect(
+      getValidationRules({
+        length: 'Short',
+        tone: 'SmallTalk',
+        difficulty: 'Easy',
+      })
+    ).toEqual({
+      sentences: [3, 4],
+      maxAvgWords: 14,
+      forbidContractions: false,
+    });
+
+    expect(
+      getValidationRules({
+        length: 'Long',
+        tone: 'Academic',
+        difficulty: 'Hard',
+      })
+    ).toEqual({
+      sentences: [10, Infinity],
+      maxAvgWords: Infinity,
+      forbidContractions: true,
+    });
+  });
+});
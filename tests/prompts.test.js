@@ -0,0 +1,143 @@
+import { describe, it, expect, vi } from 'vitest';
+import { mkdtempSync, readFileSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+  OUTPUT_FILE,
+  collectPromptTemplates,
+  parseTemplateFile,
+  renderTemplatesModule,
+} from '../scripts/build-prompts.js';
+import { PROMPT_TEMPLATES } from '../functions/_lib/prompt-templates.js';
+import {
+  buildPrompt,
+  renderTemplate,
+  selectPromptVersion,
+} from '../functions/_lib/prompts.js';
+
+const NARRATIVE_VALUES = {
+  category: 'today',
+  tone: 'Business',
+  tone_guidance: 'Polite and clear.',
+  length: 'Normal',
+  length_guidance: '5-8 sentences.',
+  difficulty: 'Normal',
+  target_level: 'TOEIC 600-800, CEFR B1-B2',
+  level_description: 'Standard conversational.',
+  answers: '  Question 1: test',
+};
+
+const AB_TEMPLATES = {
+  narrative: {
+    default: 'narrative-v1',
+    versions: { 'narrative-v1': 'one', 'narrative-v2': 'two' },
+  },
+};
+
+describe('Prompt templates', () => {
+  it('should keep the generated module in sync with prompts/', () => {
+    // Fails when a template was edited without `npm run build:prompts`
+    // (`npm test` runs it first; this catches a stale module under vitest)
+    expect(PROMPT_TEMPLATES).toEqual(collectPromptTemplates());
+    expect(readFileSync(OUTPUT_FILE, 'utf8')).toBe(
+      renderTemplatesModule(collectPromptTemplates())
+    );
+  });
+
+  it('should fill every placeholder of the narrative template', () => {
+    const { prompt, version } = buildPrompt(
+      'narrative',
+      {},
+      'user-1',
+      NARRATIVE_VALUES
+    );
+
+    expect(version).toBe(PROMPT_TEMPLATES.narrative.default);
+    expect(prompt).not.toMatch(/\{\{/);
+    expect(prompt).toContain('TOEIC 600-800, CEFR B1-B2');
+    expect(prompt).toContain('<input_data>\n  Question 1: test\n</input_data>');
+  });
+
+  it('should reject a template with a missing value', () => {
+    expect(() => renderTemplate('Hi {{ name }}', {})).toThrow(
+      'Missing value for prompt placeholder {{name}}'
+    );
+    expect(renderTemplate('Hi {{ name }}', { name: 'Ken' })).toBe('Hi Ken');
+  });
+
+  it('should require a version in the front matter', () => {
+    expect(() => parseTemplateFile('# No front matter', 'x.md')).toThrow(
+      'missing front matter'
+    );
+    expect(parseTemplateFile('---\nversion: v3\n---\nBody\n', 'x.md')).toEqual({
+      meta: { version: 'v3' },
+      body: 'Body',
+    });
+  });
+
+  it('should register tagged files as extra versions', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'prompts-'));
+    writeFileSync(
+      join(dir, 'narrative.md'),
+      '---\nversion: narrative-v1\n---\nA'
+    );
+    writeFileSync(
+      join(dir, 'narrative.short.md'),
+      '---\nversion: narrative-v2\n---\nB'
+    );
+
+    expect(collectPromptTemplates(dir)).toEqual({
+      narrative: {
+        default: 'narrative-v1',
+        versions: { 'narrative-v1': 'A', 'narrative-v2': 'B' },
+      },
+    });
+  });
+
+  it('should require versions named after the template', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'prompts-'));
+    writeFileSync(join(dir, 'grade.md'), '---\nversion: v1\n---\nA');
+
+    expect(() => collectPromptTemplates(dir)).toThrow(
+      'grade.md: version must start with "grade-"'
+    );
+  });
+
+  it('should name every version after its template', () => {
+    for (const [name, { versions }] of Object.entries(PROMPT_TEMPLATES)) {
+      Object.keys(versions).forEach((version) =>
+        expect(version).toMatch(new RegExp(`^${name}-v\\d+$`))
+      );
+    }
+  });
+
+  describe('A/B selection', () => {
+    it('should use the default version when none is configured', () => {
+      expect(selectPromptVersion('narrative', {}, 'u', AB_TEMPLATES)).toBe(
+        'narrative-v1'
+      );
+    });
+
+    it('should give each user a stable version and use both', () => {
+      const env = { NARRATIVE_PROMPT_VERSIONS: 'narrative-v1,narrative-v2' };
+      const pick = (id) =>
+        selectPromptVersion('narrative', env, id, AB_TEMPLATES);
+
+      expect(pick('user-1')).toBe(pick('user-1'));
+      const seen = new Set(
+        Array.from({ length: 20 }, (_, i) => pick(`user-${i}`))
+      );
+      expect([...seen].sort()).toEqual(['narrative-v1', 'narrative-v2']);
+    });
+
+    it('should ignore unknown versions', () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const env = { NARRATIVE_PROMPT_VERSIONS: 'narrative-v9' };
+
+      expect(selectPromptVersion('narrative', env, 'u', AB_TEMPLATES)).toBe(
+        'narrative-v1'
+      );
+      expect(console.warn).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,232 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  computeQuota,
+  getDaySettings,
+  getQuotaConfig,
+  localDayBounds,
+  reserveGeneration,
+} from '../functions/_lib/quota.js';
+import { DEFAULT_DAY_START_HOUR } from '../src/dates.js';
+
+const NOW = new Date('2025-12-28T03:00:00Z'); // 12:00 in Tokyo
+const JST = { timeZone: 'Asia/Tokyo', dayStartHour: 0 };
+
+// Supabase client whose profile query and rpc calls resolve to fixed results
+function mockSupabase({ profile = null, rpc = null } = {}) {
+  const query = {
+    select: () => query,
+    eq: () => query,
+    maybeSingle: async () => ({ data: profile, error: null }),
+  };
+  return {
+    from: () => query,
+    rpc: vi.fn(async () => ({ data: rpc, error: null })),
+  };
+}
+
+describe('Generation quota', () => {
+  describe('getQuotaConfig', () => {
+    it('should default to one generation per day with no window', () => {
+      expect(getQuotaConfig({})).toEqual({
+        kind: 'narrative',
+        dailyLimit: 1,
+        windowLimit: 0,
+        windowHours: 24,
+      });
+    });
+
+    it('should read limits from the environment', () => {
+      expect(
+        getQuotaConfig({
+          GENERATION_DAILY_LIMIT: '3',
+          GENERATION_WINDOW_LIMIT: '5',
+          GENERATION_WINDOW_HOURS: '6',
+        })
+      ).toEqual({
+        kind: 'narrative',
+        dailyLimit: 3,
+        windowLimit: 5,
+        windowHours: 6,
+      });
+    });
+
+    it('should ignore invalid values', () => {
+      expect(
+        getQuotaConfig({
+          GENERATION_DAILY_LIMIT: 'many',
+          GENERATION_WINDOW_HOURS: '0',
+        })
+      ).toEqual({
+        kind: 'narrative',
+        dailyLimit: 1,
+        windowLimit: 0,
+        windowHours: 24,
+      });
+    });
+
+    it('should give section regeneration its own limits', () => {
+      expect(getQuotaConfig({}, 'section')).toMatchObject({
+        kind: 'section',
+        dailyLimit: 10,
+      });
+      expect(
+        getQuotaConfig(
+          { GENERATION_DAILY_LIMIT: '2', SECTION_GENERATION_DAILY_LIMIT: '3' },
+          'section'
+        ).dailyLimit
+      ).toBe(3);
+    });
+  });
+
+  describe('localDayBounds', () => {
+    it('should use the profile timezone', () => {
+      expect(localDayBounds(NOW, JST)).toEqual({
+        start: new Date('2025-12-27T15:00:00.000Z'),
+        end: new Date('2025-12-28T15:00:00.000Z'),
+      });
+      // UTC with the app's default day start (04:00)
+      expect(localDayBounds(NOW).start.toISOString()).toBe(
+        '2025-12-27T04:00:00.000Z'
+      );
+    });
+
+    it('should start the day at the user day start hour', () => {
+      // 2025-12-28 04:00 JST
+      expect(
+        localDayBounds(NOW, { ...JST, dayStartHour: 4 }).start.toISOString()
+      ).toBe('2025-12-27T19:00:00.000Z');
+    });
+  });
+
+  describe('getDaySettings', () => {
+    it('should read the timezone and day start from the profile', async () => {
+      const supabase = mockSupabase({
+        profile: { timezone: 'Asia/Tokyo', day_start_hour: 4 },
+      });
+
+      expect(await getDaySettings(supabase, 'user-1')).toEqual({
+        timeZone: 'Asia/Tokyo',
+        dayStartHour: 4,
+      });
+    });
+
+    it('should count in UTC without a valid profile timezone', async () => {
+      expect(await getDaySettings(mockSupabase(), 'user-1')).toEqual({
+        timeZone: 'UTC',
+        dayStartHour: DEFAULT_DAY_START_HOUR,
+      });
+      expect(
+        await getDaySettings(
+          mockSupabase({ profile: { timezone: null, day_start_hour: 5 } }),
+          'user-1'
+        )
+      ).toEqual({ timeZone: 'UTC', dayStartHour: 5 });
+    });
+  });
+
+  describe('reserveGeneration', () => {
+    const config = {
+      kind: 'narrative',
+      dailyLimit: 1,
+      windowLimit: 0,
+      windowHours: 24,
+    };
+
+    it('should pass the user, the limits and where they start to the database', async () => {
+      const admin = mockSupabase({ rpc: { id: 'g1', created_at: [] } });
+
+      const { quota, reservation } = await reserveGeneration(
+        admin,
+        'user-1',
+        config,
+        { now: NOW, daySettings: JST }
+      );
+
+      expect(admin.rpc).toHaveBeenCalledWith('en_journal_reserve_generation', {
+        p_user_id: 'user-1',
+        p_kind: 'narrative',
+        p_token: reservation.token,
+        p_daily_limit: 1,
+        p_day_start: '2025-12-27T15:00:00.000Z',
+        p_window_limit: 0,
+        p_window_start: null,
+      });
+      expect(reservation).toMatchObject({ id: 'g1', userId: 'user-1' });
+      expect(quota.allowed).toBe(true);
+    });
+
+    it('should report the quota when no slot was reserved', async () => {
+      const admin = mockSupabase({
+        rpc: { id: null, created_at: ['2025-12-28T01:00:00+00:00'] },
+      });
+
+      const { quota, reservation } = await reserveGeneration(
+        admin,
+        'user-1',
+        config,
+        { now: NOW, daySettings: JST }
+      );
+
+      expect(reservation).toBeNull();
+      expect(quota.allowed).toBe(false);
+      expect(quota.reset_at).toBe('2025-12-28T15:00:00.000Z');
+    });
+  });
+
+  describe('computeQuota', () => {
+    const config = { dailyLimit: 1, windowLimit: 0, windowHours: 24 };
+
+    it('should allow the first generation of the day', () => {
+      const quota = computeQuota(
+        [new Date('2025-12-27T14:00:00Z')], // 23:00 yesterday in Tokyo
+        config,
+        NOW,
+        JST
+      );
+
+      expect(quota.allowed).toBe(true);
+      expect(quota.reset_at).toBeNull();
+      expect(quota.daily.remaining).toBe(1);
+    });
+
+    it('should block until local midnight once the daily limit is used', () => {
+      const quota = computeQuota(
+        [new Date('2025-12-27T16:00:00Z')],
+        config,
+        NOW,
+        JST
+      );
+
+      expect(quota.allowed).toBe(false);
+      expect(quota.reset_at).toBe('2025-12-28T15:00:00.000Z');
+    });
+
+    it('should reset the window when the oldest counted entry ages out', () => {
+      const quota = computeQuota(
+        [
+          new Date('2025-12-28T00:30:00Z'),
+          new Date('2025-12-28T01:00:00Z'),
+          new Date('2025-12-28T02:00:00Z'),
+        ],
+        { dailyLimit: 0, windowLimit: 2, windowHours: 3 },
+        NOW
+      );
+
+      expect(quota.daily).toBeNull();
+      expect(quota.window).toMatchObject({ used: 3, remaining: 0 });
+      expect(quota.reset_at).toBe('2025-12-28T04:00:00.000Z');
+    });
+
+    it('should report the later reset when both limits block', () => {
+      const quota = computeQuota(
+        [new Date('2025-12-28T02:30:00Z')],
+        { dailyLimit: 1, windowLimit: 1, windowHours: 1 },
+        NOW
+      );
+
+      expect(quota.daily.reset_at).toBe('2025-12-28T04:00:00.000Z');
+      expect(quota.window.reset_at).toBe('2025-12-28T03:30:00.000Z');
+      expect(quota.reset_at).toBe('2025-12-28T04:00:00.000Z');
+    });
+  });
+});
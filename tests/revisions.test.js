@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import {
+  changedFields,
+  changeRatio,
+  diffRevisions,
+  diffWords,
+  shouldResetSRS,
+} from '../src/revisions.js';
+
+describe('Narrative revisions', () => {
+  it('should diff texts word by word', () => {
+    expect(diffWords('I read a book today', 'I read a novel today')).toEqual([
+      { type: 'same', text: 'I read a' },
+      { type: 'removed', text: 'book' },
+      { type: 'added', text: 'novel' },
+      { type: 'same', text: 'today' },
+    ]);
+    expect(diffWords('', 'Hello there')).toEqual([
+      { type: 'added', text: 'Hello there' },
+    ]);
+  });
+
+  it('should measure the share of changed words', () => {
+    expect(changeRatio('a b c d', 'a b c d')).toBe(0);
+    expect(changeRatio('a b c d', 'a b c e')).toBe(0.25);
+    expect(changeRatio('a b', 'c d')).toBe(1);
+    expect(changeRatio('', '')).toBe(0);
+  });
+
+  it('should reset SRS according to the policy', () => {
+    const before = { narrative_en: 'I went to the park and read a book.' };
+    const small = { narrative_en: 'I went to the park and read a novel.' };
+    const rewrite = { narrative_en: 'It rained, so I stayed home all day.' };
+
+    expect(shouldResetSRS('substantial', before, small)).toBe(false);
+    expect(shouldResetSRS('substantial', before, rewrite)).toBe(true);
+    expect(shouldResetSRS('always', before, small)).toBe(true);
+    expect(shouldResetSRS('never', before, rewrite)).toBe(false);
+  });
+
+  it('should report only fields that changed', () => {
+    const narrative = {
+      narrative_en: 'Hi.',
+      key_phrases: [{ phrase_en: 'hi' }],
+      recall_test: null,
+    };
+
+    expect(
+      changedFields(narrative, {
+        narrative_en: 'Hi.',
+        key_phrases: [{ phrase_en: 'hello' }],
+        recall_test: undefined,
+      })
+    ).toEqual(['key_phrases']);
+  });
+
+  it('should diff phrase lists item by item', () => {
+    const diff = diffRevisions(
+      {
+        key_phrases: [
+          { phrase_en: 'run into', meaning_ja: '偶然会う' },
+          { phrase_en: 'catch up', meaning_ja: '近況を話す' },
+        ],
+      },
+      {
+        key_phrases: [
+          { phrase_en: 'run into', meaning_ja: '偶然会う' },
+          { phrase_en: 'hang out', meaning_ja: '遊ぶ' },
+        ],
+      }
+    );
+
+    expect(diff.key_phrases).toEqual([
+      { type: 'same', text: 'run into — 偶然会う' },
+      { type: 'added', text: 'hang out — 遊ぶ' },
+      { type: 'removed', text: 'catch up — 近況を話す' },
+    ]);
+  });
+});
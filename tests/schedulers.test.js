@@ -0,0 +1,215 @@
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_SCHEDULER,
+  SCHEDULERS,
+  daysUntilMastered,
+  getIntervalDays,
+  getScheduler,
+  isReviewable,
+  previewReviews,
+  scheduleReview,
+} from '../src/schedulers.js';
+
+const NOW = new Date('2026-01-10T09:00:00Z');
+
+const daysOf = (srs, schedulerId) =>
+  previewReviews(srs, schedulerId, NOW).map((p) => p.daysUntilReview);
+
+describe('Review schedulers', () => {
+  it('should describe every scheduler and fall back to the default', () => {
+    Object.values(SCHEDULERS).forEach((scheduler) => {
+      expect(scheduler.label).toBeTruthy();
+      expect(scheduler.description).toBeTruthy();
+    });
+    expect(getScheduler('unknown').id).toBe(DEFAULT_SCHEDULER);
+  });
+
+  describe('scheduleReview', () => {
+    it('should keep history, counters and unrelated fields', () => {
+      const srs = {
+        review_count: 10,
+        quality_history: [0, 1, 2, 3, 2, 2, 2, 2, 2, 2],
+        interval_days: 10,
+        stability: 12,
+        difficulty: 6,
+        custom: 'kept',
+      };
+      const next = scheduleReview(srs, 2, 'sm2', NOW);
+
+      expect(next.quality_history).toEqual([1, 2, 3, 2, 2, 2, 2, 2, 2, 2]);
+      expect(next.review_count).toBe(11);
+      expect(next.last_reviewed).toBe(NOW.toISOString());
+      expect(next.scheduler).toBe('sm2');
+      expect(next.stability).toBe(12);
+      expect(next.custom).toBe('kept');
+    });
+
+    it('should set the next review date from the interval', () => {
+      const next = scheduleReview({}, 2, 'ladder', NOW);
+      expect(next.interval_days).toBe(3);
+      expect(next.next_review_date).toBe('2026-01-13');
+    });
+  });
+
+  describe('ladder', () => {
+    it('should follow the fixed 1/3/7/30 steps', () => {
+      expect(daysOf({ interval_index: 1 }, 'ladder')).toEqual([1, 3, 7, 30]);
+      expect(daysOf({}, 'ladder')).toEqual([1, 1, 3, 7]);
+    });
+
+    it('should master narratives at the last step', () => {
+      const next = scheduleReview({ interval_index: 3 }, 2, 'ladder', NOW);
+      expect(next.status).toBe('mastered');
+      expect(isReviewable(next)).toBe(false);
+    });
+  });
+
+  describe('sm2', () => {
+    it('should start with 1 and 6 day intervals', () => {
+      const first = scheduleReview({}, 2, 'sm2', NOW);
+      expect(first.interval_days).toBe(1);
+      expect(first.repetitions).toBe(1);
+
+      const second = scheduleReview(first, 2, 'sm2', NOW);
+      expect(second.interval_days).toBe(6);
+      expect(second.repetitions).toBe(2);
+    });
+
+    it('should grow the interval by the ease factor', () => {
+      const srs = { interval_days: 10, repetitions: 3, ease_factor: 2.5 };
+      expect(scheduleReview(srs, 2, 'sm2', NOW).interval_days).toBe(25);
+      expect(scheduleReview(srs, 3, 'sm2', NOW).ease_factor).toBe(2.6);
+      expect(scheduleReview(srs, 1, 'sm2', NOW).ease_factor).toBe(2.36);
+    });
+
+    it('should reset repetitions and count a lapse when forgotten', () => {
+      const srs = {
+        interval_days: 40,
+        repetitions: 5,
+        lapses: 1,
+        ease_factor: 2.0,
+      };
+      const next = scheduleReview(srs, 0, 'sm2', NOW);
+
+      expect(next.interval_days).toBe(1);
+      expect(next.repetitions).toBe(0);
+      expect(next.lapses).toBe(2);
+      expect(next.ease_factor).toBe(1.46);
+      expect(next.status).toBe('learning');
+    });
+
+    it('should never drop the ease factor below 1.3', () => {
+      const next = scheduleReview({ ease_factor: 1.3 }, 0, 'sm2', NOW);
+      expect(next.ease_factor).toBe(1.3);
+    });
+
+    it('should derive repetitions and lapses from quality history', () => {
+      const srs = {
+        interval_index: 2,
+        quality_history: [2, 0, 2, 3],
+        ease_factor: 2.5,
+      };
+      const next = scheduleReview(srs, 2, 'sm2', NOW);
+
+      expect(next.repetitions).toBe(3);
+      expect(next.lapses).toBe(1);
+      expect(next.interval_days).toBe(18); // 7 days (ladder step) x 2.5
+    });
+
+    it('should keep mastered narratives in review', () => {
+      const srs = { interval_days: 30, repetitions: 4, ease_factor: 2.5 };
+      const next = scheduleReview(srs, 2, 'sm2', NOW);
+
+      expect(next.status).toBe('mastered');
+      expect(isReviewable(next)).toBe(true);
+    });
+  });
+
+  describe('fsrs', () => {
+    it('should initialise stability and difficulty from the first rating', () => {
+      const days = daysOf({}, 'fsrs');
+      expect(days).toEqual([1, 1, 4, 14]);
+
+      const next = scheduleReview({}, 0, 'fsrs', NOW);
+      expect(next.stability).toBe(0.4872);
+      expect(next.difficulty).toBeCloseTo(7.62, 2);
+      expect(next.lapses).toBe(1);
+    });
+
+    it('should order intervals by rating for a reviewed narrative', () => {
+      const srs = {
+        stability: 10,
+        difficulty: 5,
+        last_reviewed: '2025-12-31T09:00:00Z',
+      };
+      const [forgot, hard, good, easy] = daysOf(srs, 'fsrs');
+
+      expect(forgot).toBeLessThan(hard);
+      expect(hard).toBeLessThan(good);
+      expect(good).toBeLessThan(easy);
+      expect(good).toBeGreaterThan(10);
+    });
+
+    it('should lower stability and raise difficulty on a lapse', () => {
+      const srs = {
+        stability: 20,
+        difficulty: 5,
+        lapses: 0,
+        last_reviewed: '2025-12-21T09:00:00Z',
+      };
+      const next = scheduleReview(srs, 0, 'fsrs', NOW);
+
+      expect(next.stability).toBeLessThan(20);
+      expect(next.difficulty).toBeGreaterThan(5);
+      expect(next.lapses).toBe(1);
+    });
+
+    it('should convert SM-2 state using the current interval', () => {
+      const srs = {
+        scheduler: 'sm2',
+        interval_days: 30,
+        ease_factor: 1.5,
+        last_reviewed: '2025-12-11T09:00:00Z',
+        quality_history: [2, 0, 2],
+      };
+      const next = scheduleReview(srs, 2, 'fsrs', NOW);
+
+      expect(next.scheduler).toBe('fsrs');
+      expect(next.interval_days).toBeGreaterThan(30);
+      expect(next.difficulty).toBeGreaterThan(5);
+      expect(next.lapses).toBe(1);
+    });
+  });
+
+  describe('helpers', () => {
+    it('should read the interval from the ladder for legacy data', () => {
+      expect(getIntervalDays({ interval_index: 2 })).toBe(7);
+      expect(getIntervalDays({ interval_index: 2, interval_days: 12 })).toBe(
+        12
+      );
+    });
+
+    it('should count the days until mastered with each scheduler', () => {
+      // Ladder: 1 -> 3 -> 7 -> 30 days, mastered at the last step
+      expect(daysUntilMastered({ interval_index: 0 }, 'ladder', NOW)).toBe(40);
+      // SM-2: 1, 6, 15, 38 days; mastered from 21 days
+      expect(daysUntilMastered({}, 'sm2', NOW)).toBe(60);
+      expect(daysUntilMastered({}, 'fsrs', NOW)).toBeGreaterThan(0);
+      expect(daysUntilMastered({ status: 'mastered' }, 'sm2', NOW)).toBe(0);
+      // Always forgetting never gets there
+      expect(daysUntilMastered({}, 'sm2', NOW, 0)).toBeNull();
+    });
+
+    it('should exclude suspended and ladder-mastered narratives', () => {
+      expect(isReviewable({ status: 'learning' })).toBe(true);
+      expect(isReviewable({ status: 'suspended', scheduler: 'sm2' })).toBe(
+        false
+      );
+      expect(isReviewable({ status: 'mastered' })).toBe(false);
+      expect(isReviewable({ status: 'mastered', scheduler: 'fsrs' })).toBe(
+        true
+      );
+      expect(isReviewable(null)).toBe(false);
+    });
+  });
+});
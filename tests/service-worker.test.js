@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import { existsSync, readFileSync } from 'node:fs';
+import {
+  PUBLIC_PRECACHE,
+  buildPrecacheManifest,
+  toPrecacheUrl,
+} from '../scripts/vite-plugin-service-worker.js';
+
+const publicFile = (name) => new URL(`../public/${name}`, import.meta.url);
+
+// Width and height from the IHDR chunk of a PNG file (null if not a PNG)
+const pngSize = (buffer) =>
+  buffer.subarray(0, 8).equals(Buffer.from('\x89PNG\r\n\x1a\n', 'latin1'))
+    ? `${buffer.readUInt32BE(16)}x${buffer.readUInt32BE(20)}`
+    : null;
+
+const bundle = {
+  'index.html': { type: 'asset', fileName: 'index.html', source: '<html>' },
+  'terms.html': { type: 'asset', fileName: 'terms.html', source: '<terms>' },
+  'assets/main-abc.js': {
+    type: 'chunk',
+    fileName: 'assets/main-abc.js',
+    code: 'init();',
+  },
+  'assets/main-abc.js.map': {
+    type: 'asset',
+    fileName: 'assets/main-abc.js.map',
+    source: '{}',
+  },
+};
+
+describe('Service worker precache', () => {
+  it('should precache pages under their clean URLs', () => {
+    expect(toPrecacheUrl('index.html')).toBe('/');
+    expect(toPrecacheUrl('terms.html')).toBe('/terms');
+    expect(toPrecacheUrl('offline.html')).toBe('/offline');
+    expect(toPrecacheUrl('assets/style-x.css')).toBe('/assets/style-x.css');
+  });
+
+  it('should list the build output and public files, without source maps', () => {
+    const { urls } = buildPrecacheManifest(bundle, { 'favicon.png': 'icon' });
+
+    expect(urls).toEqual([
+      '/assets/main-abc.js',
+      '/favicon.png',
+      '/',
+      '/terms',
+    ]);
+  });
+
+  it('should change the version only when a file changes', () => {
+    const { version } = buildPrecacheManifest(bundle);
+    const changed = {
+      ...bundle,
+      'assets/main-abc.js': { ...bundle['assets/main-abc.js'], code: 'v2();' },
+    };
+
+    expect(buildPrecacheManifest(bundle).version).toBe(version);
+    expect(buildPrecacheManifest(changed).version).not.toBe(version);
+  });
+
+  it('should only list public files that exist', () => {
+    PUBLIC_PRECACHE.forEach((name) => {
+      expect(existsSync(publicFile(name))).toBe(true);
+    });
+  });
+});
+
+describe('Web app manifest', () => {
+  const manifest = JSON.parse(
+    readFileSync(publicFile('manifest.webmanifest'), 'utf8')
+  );
+
+  it('should declare PNG icons at 192 and 512 px', () => {
+    expect(manifest.icons.map((icon) => icon.sizes)).toEqual(
+      expect.arrayContaining(['192x192', '512x512'])
+    );
+  });
+
+  it('should match each icon file to its declared type and size', () => {
+    manifest.icons.forEach((icon) => {
+      expect(icon.type).toBe('image/png');
+      expect(icon.purpose).toBeTruthy();
+      expect(pngSize(readFileSync(publicFile(icon.src.slice(1))))).toBe(
+        icon.sizes
+      );
+    });
+  });
+
+  it('should serve the favicon as a real PNG', () => {
+    expect(pngSize(readFileSync(publicFile('favicon.png')))).not.toBeNull();
+  });
+});
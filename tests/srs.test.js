@@ -2,12 +2,13 @@
  * @vitest-environment happy-dom
  */
 import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { addDays, daysBetween, today as currentDay } from '../src/dates.js';
 
 // Mock window.storage before importing the module
 window.storage = {
   getNarrativeById: vi.fn(),
   updateNarrativeSRS: vi.fn(),
-  updateSRSStats: vi.fn(),
+  saveReview: vi.fn(),
   getAllNarratives: vi.fn(),
 };
 
@@ -66,13 +67,43 @@ describe('SRS (Spaced Repetition System) Module', () => {
     });
   });
 
+  describe('previewNextReviews', () => {
+    it('should preview the interval of every rating', () => {
+      const preview = srs.previewNextReviews({ interval_index: 1 }, 'ladder');
+
+      expect(preview.map(p => p.quality)).toEqual([0, 1, 2, 3]);
+      expect(preview.map(p => p.daysUntilReview)).toEqual([1, 3, 7, 30]);
+      expect(preview[0].label).toBe(srs.REVIEW_QUALITY_LABELS[0]);
+    });
+
+    it('should treat missing SRS data as a new narrative', () => {
+      const preview = srs.previewNextReviews(undefined, 'ladder');
+      expect(preview.map(p => p.daysUntilReview)).toEqual([1, 1, 3, 7]);
+    });
+
+    it('should preview with the active scheduler by default', () => {
+      srs.setActiveScheduler('sm2');
+      const preview = srs.previewNextReviews({ interval_days: 6, ease_factor: 2.5, repetitions: 2 });
+      expect(preview.map(p => p.daysUntilReview)).toEqual([1, 7, 15, 21]);
+    });
+
+    it('should format intervals for buttons', () => {
+      expect(srs.formatIntervalShort(1)).toBe('1日');
+      expect(srs.formatIntervalShort(3)).toBe('3日');
+      expect(srs.formatIntervalShort(7)).toBe('1週間');
+      expect(srs.formatIntervalShort(30)).toBe('1ヶ月');
+    });
+  });
+
   describe('recordReview', () => {
     beforeEach(() => {
       vi.clearAllMocks();
+      srs.setActiveScheduler('sm2');
     });
 
     // 4. Normal Case with Mocked Dependencies
     it('should correctly update narrative SRS data', async () => {
+      srs.setActiveScheduler('ladder');
       const mockNarrative = {
         id: '123',
         srs: {
@@ -84,24 +115,97 @@ describe('SRS (Spaced Repetition System) Module', () => {
       };
 
       window.storage.getNarrativeById.mockResolvedValue(mockNarrative);
-      window.storage.updateNarrativeSRS.mockResolvedValue(true);
+      window.storage.saveReview.mockResolvedValue(true);
 
       const quality = srs.REVIEW_QUALITY.GOOD;
-      await srs.recordReview('123', quality);
+      await srs.recordReview('123', quality, { elapsedMs: 4200 });
 
       expect(window.storage.getNarrativeById).toHaveBeenCalledWith('123');
       
-      expect(window.storage.updateNarrativeSRS).toHaveBeenCalledWith(
+      expect(window.storage.saveReview).toHaveBeenCalledTimes(1);
+      expect(window.storage.saveReview).toHaveBeenCalledWith(
+        'narratives',
         '123',
         expect.objectContaining({
           interval_index: 2,
           review_count: 6,
           quality_history: [2, 2, 2],
           status: 'learning'
+        }),
+        expect.objectContaining({
+          quality: 2,
+          elapsed_ms: 4200,
+          interval_before: 3,
+          interval_after: 7,
+          scheduler: 'ladder',
+          scheduler_version: 'ladder-v1'
         })
       );
-      
-      expect(window.storage.updateSRSStats).toHaveBeenCalled();
+    });
+
+    it('should schedule with SM-2 and keep quality history', async () => {
+      window.storage.getNarrativeById.mockResolvedValue({
+        id: '123',
+        srs: { interval_index: 3, interval_days: 30, review_count: 4, quality_history: [2, 2, 2, 2], ease_factor: 2.5, status: 'mastered' }
+      });
+
+      await srs.recordReview('123', srs.REVIEW_QUALITY.GOOD);
+
+      expect(window.storage.saveReview).toHaveBeenCalledWith(
+        'narratives',
+        '123',
+        expect.objectContaining({
+          scheduler: 'sm2',
+          interval_days: 75,
+          ease_factor: 2.5,
+          repetitions: 5,
+          quality_history: [2, 2, 2, 2, 2],
+          status: 'mastered'
+        }),
+        expect.any(Object)
+      );
+    });
+
+    it('should use the scheduler from the user profile', async () => {
+      window.storage.getProfile = vi.fn().mockResolvedValue({ scheduler: 'fsrs' });
+      await expect(srs.loadSchedulerPreference()).resolves.toBe('fsrs');
+      window.storage.getNarrativeById.mockResolvedValue({
+        id: '123',
+        srs: { review_count: 0, quality_history: [], status: 'new' }
+      });
+
+      await srs.recordReview('123', srs.REVIEW_QUALITY.GOOD);
+
+      expect(window.storage.saveReview).toHaveBeenCalledWith(
+        'narratives',
+        '123',
+        expect.objectContaining({ scheduler: 'fsrs', stability: 3.7145, interval_days: 4 }),
+        expect.any(Object)
+      );
+      delete window.storage.getProfile;
+    });
+
+    it('should fall back to the default scheduler without a profile', async () => {
+      srs.setActiveScheduler('ladder');
+      await expect(srs.loadSchedulerPreference()).resolves.toBe('sm2');
+      expect(() => srs.setActiveScheduler('unknown')).toThrow('Unknown scheduler');
+    });
+
+    it('should record phrase card reviews with the active scheduler', async () => {
+      window.storage.getCardById = vi.fn().mockResolvedValue({ id: 'c1', narrative_id: 'n1', srs: { status: 'new', quality_history: [] } });
+      window.storage.saveReview.mockResolvedValue({ id: 'c1' });
+
+      await expect(srs.recordCardReview('c1', srs.REVIEW_QUALITY.GOOD)).resolves.toEqual({ id: 'c1' });
+
+      expect(window.storage.saveReview).toHaveBeenCalledWith(
+        'cards',
+        'c1',
+        expect.objectContaining({ scheduler: 'sm2', interval_days: 1, quality_history: [2] }),
+        expect.objectContaining({ interval_before: 0, interval_after: 1, elapsed_ms: null })
+      );
+
+      window.storage.getCardById.mockResolvedValue(null);
+      await expect(srs.recordCardReview('c9', 2)).rejects.toThrow('Card not found');
     });
 
     // 5. Exception Handling: Invalid Input
@@ -117,30 +221,54 @@ describe('SRS (Spaced Repetition System) Module', () => {
     });
   });
 
+  describe('getRetentionByPeriod', () => {
+    const logs = [
+      { reviewed_at: '2026-01-05T10:00:00Z', quality: 2 },
+      { reviewed_at: '2026-01-20T10:00:00Z', quality: 0 },
+      { reviewed_at: '2026-02-01T10:00:00Z', quality: 3 },
+      { reviewed_at: '2026-04-02T10:00:00Z', quality: 1 }
+    ];
+
+    it('should group retention by month', () => {
+      expect(srs.getRetentionByPeriod(logs)).toEqual([
+        { period: '2026-01', reviews: 2, recalled: 1, retention: 0.5 },
+        { period: '2026-02', reviews: 1, recalled: 1, retention: 1 },
+        { period: '2026-04', reviews: 1, recalled: 1, retention: 1 }
+      ]);
+    });
+
+    it('should group retention by quarter', () => {
+      expect(srs.getRetentionByPeriod(logs, 'quarter').map(p => [p.period, p.retention])).toEqual([
+        ['2026-Q1', 0.67],
+        ['2026-Q2', 1]
+      ]);
+    });
+  });
+
   describe('getReviewStatistics', () => {
     // 7. Logic & Boundary Checks for Statistics
     it('should calculate correct stats based on narratives', () => {
-      const today = new Date().toISOString().split('T')[0];
-      const tomorrowDate = new Date();
-      tomorrowDate.setDate(tomorrowDate.getDate() + 1);
-      const tomorrow = tomorrowDate.toISOString().split('T')[0];
+      const today = currentDay();
+      const tomorrow = addDays(today, 1);
 
       const narratives = [
         { srs: { status: 'new', next_review_date: today } },
         { srs: { status: 'learning', next_review_date: today } },
         { srs: { status: 'mastered', next_review_date: today } }, // Mastered shouldn't count as due
+        { srs: { status: 'mastered', scheduler: 'sm2', next_review_date: tomorrow } }, // Still reviewed, but not today
         { srs: { status: 'learning', next_review_date: tomorrow } }
       ];
 
       const stats = srs.getReviewStatistics(narratives);
 
-      expect(stats.total).toBe(4);
+      expect(stats.total).toBe(5);
       expect(stats.new).toBe(1);
       expect(stats.learning).toBe(2);
-      expect(stats.mastered).toBe(1);
+      expect(stats.mastered).toBe(2);
       
       expect(stats.due_today).toBe(2); 
-      expect(stats.due_tomorrow).toBe(1);
+      expect(stats.due_tomorrow).toBe(2);
+      expect(stats.due_this_week).toBe(4);
     });
     
     // 8. Edge Case: Empty List
@@ -154,27 +282,14 @@ describe('SRS (Spaced Repetition System) Module', () => {
   describe('Utility Functions', () => {
      // 9. Date Helpers
     it('should correctly calculate days until review', () => {
-       const today = new Date();
-       const future = new Date(today);
-       future.setDate(today.getDate() + 3);
-       const futureStr = future.toISOString().split('T')[0];
-
-       // Note: implementation uses Math.ceil, might depend on time of day if not careful,
-       // but input is YYYY-MM-DD so it treats it as UTC or local start of day usually.
-       // The implementation `new Date(string)` parses as UTC if ISO, but local if YYYY-MM-DD in some browsers.
-       // Let's verify the logic in `daysUntilReview` uses `new Date(nextReviewDate)`.
-       
-       const days = srs.daysUntilReview(futureStr);
-       expect(days).toBeGreaterThanOrEqual(2); // Allow slight time diff tolerance or fix mock date
-       expect(days).toBeLessThanOrEqual(4);
+       // Counted in the user's days (see dates.js), so independent of the time of day
+       expect(srs.daysUntilReview(addDays(currentDay(), 3))).toBe(3);
+       expect(srs.daysUntilReview(currentDay())).toBe(0);
     });
 
     it('should identify overdue items', () => {
-        const yesterday = new Date();
-        yesterday.setDate(yesterday.getDate() - 1);
-        const yesterdayStr = yesterday.toISOString().split('T')[0];
-        
-        expect(srs.isOverdue(yesterdayStr)).toBe(true);
+        expect(srs.isOverdue(addDays(currentDay(), -1))).toBe(true);
+        expect(srs.isOverdue(currentDay())).toBe(false);
     });
   });
 
@@ -288,10 +403,9 @@ describe('SRS (Spaced Repetition System) Module', () => {
     });
 
     it('should return today if already mastered', () => {
-       const narrative = { srs: { interval_index: srs.SRS_INTERVALS.length - 1 } };
-       const date = srs.estimateMasteryDate(narrative);
-       const today = new Date().toISOString().split('T')[0];
-       expect(date).toBe(today);
+       const narrative = { srs: { interval_index: srs.SRS_INTERVALS.length - 1, status: 'mastered' } };
+       const date = srs.estimateMasteryDate(narrative, 'ladder');
+       expect(date).toBe(currentDay());
     });
 
     it('should estimate future date for learning items', () => {
@@ -314,18 +428,27 @@ describe('SRS (Spaced Repetition System) Module', () => {
         }
       };
 
-      const resultDateStr = srs.estimateMasteryDate(narrative);
-      const resultDate = new Date(resultDateStr);
-      const today = new Date();
-
-      const diffTime = resultDate - today;
-      const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+      const resultDateStr = srs.estimateMasteryDate(narrative, 'ladder');
 
       // New 4-stage intervals: [1, 3, 7, 30]
       // From index 0 to mastery: 3 + 7 + 30 = 40 days
-      // Allow +/- 1 day for timezone/execution time diffs
-      expect(diffDays).toBeGreaterThanOrEqual(39);
-      expect(diffDays).toBeLessThanOrEqual(41);
+      expect(daysBetween(currentDay(), resultDateStr)).toBe(40);
+    });
+
+    it('should estimate with the scheduler that will schedule the reviews', () => {
+      const narrative = { srs: { status: 'new', quality_history: [] } };
+
+      // SM-2 with GOOD ratings: 1, 6, 15, then 38 days (mastered from 21)
+      srs.setActiveScheduler('sm2');
+      expect(daysBetween(currentDay(), srs.estimateMasteryDate(narrative))).toBe(60);
+      // Poor recent ratings take longer
+      const struggling = { srs: { ...narrative.srs, quality_history: [0, 1, 1] } };
+      expect(daysBetween(currentDay(), srs.estimateMasteryDate(struggling))).toBeGreaterThan(60);
+    });
+
+    it('should name the interval of any scheduler', () => {
+      expect(srs.getIntervalName({ interval_index: 2 })).toBe('1週間');
+      expect(srs.getIntervalName({ scheduler: 'sm2', interval_days: 12 })).toBe('12日');
     });
   });
 });
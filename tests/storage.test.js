@@ -1,16 +1,19 @@
 /**
  * @vitest-environment happy-dom
  */
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { addDays, configureDates, dayOf, getDateSettings, today as currentDay } from '../src/dates.js';
 
 // Mock Supabase client
 const mockSelect = vi.fn();
 const mockInsert = vi.fn();
 const mockUpdate = vi.fn();
 const mockDelete = vi.fn();
+const mockUpsert = vi.fn();
 const mockEq = vi.fn();
 const mockSingle = vi.fn();
 const mockOrder = vi.fn();
+const mockRpc = vi.fn();
 
 // Mock the module import
 vi.mock('../src/supabase.js', () => {
@@ -20,7 +23,9 @@ vi.mock('../src/supabase.js', () => {
       insert: mockInsert,
       update: mockUpdate,
       delete: mockDelete,
+      upsert: mockUpsert,
     })),
+    rpc: (...args) => mockRpc(...args),
     auth: {
       getSession: vi.fn(),
     }
@@ -34,7 +39,7 @@ import '../src/storage.js';
 describe('Storage Module', () => {
   const { storage } = window;
 
-  beforeEach(() => {
+  beforeEach(async () => {
     vi.clearAllMocks();
     
     // Setup chainable mocks
@@ -45,9 +50,11 @@ describe('Storage Module', () => {
     mockDelete.mockReturnValue({ eq: mockEq });
     mockEq.mockReturnValue({ single: mockSingle, data: [], error: null });
     mockSingle.mockReturnValue({ data: {}, error: null });
+    mockRpc.mockResolvedValue({ data: [], error: null });
 
     // Reset window.auth if needed, but storage checks window.auth directly or via helper
     window.auth = { getUserId: () => 'test-user-id' };
+    await storage.clearLocalCache();
   });
 
   describe('Data Transformation', () => {
@@ -77,57 +84,632 @@ describe('Storage Module', () => {
     });
   });
 
-  describe('Filtering Logic (In-Memory)', () => {
-    const today = new Date().toISOString().split('T')[0];
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    const tomorrowStr = tomorrow.toISOString().split('T')[0];
-    const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
-    const yesterdayStr = yesterday.toISOString().split('T')[0];
-
-    const mockNarratives = [
-      { id: '1', narrative_en: 'Apple', category: 'Fruit', srs_data: { status: 'learning', next_review_date: yesterdayStr } }, // Due
-      { id: '2', narrative_en: 'Banana', category: 'Fruit', srs_data: { status: 'mastered', next_review_date: yesterdayStr } }, // Mastered (not due)
-      { id: '3', narrative_en: 'Carrot', category: 'Veggie', srs_data: { status: 'learning', next_review_date: tomorrowStr } }, // Future
-      { id: '4', narrative_en: 'Dog', category: 'Animal', srs_data: { status: 'new', next_review_date: today } }, // Due today
+  describe('Narrative Queries (RPC)', () => {
+    const today = currentDay();
+    const rows = [
+      { id: '1', narrative_en: 'Apple', created_at: '2026-01-02T00:00:00Z', srs_data: { status: 'learning' } },
+      { id: '2', narrative_en: 'Banana', created_at: '2026-01-01T00:00:00Z', srs_data: { status: 'new' } }
     ];
 
-    beforeEach(() => {
-       mockSelect.mockReturnValue({ 
-        order: vi.fn().mockResolvedValue({ data: mockNarratives, error: null }) 
+    it('getNarrativesDueToday should query by today and transform rows', async () => {
+      mockRpc.mockResolvedValue({ data: rows, error: null });
+
+      const result = await storage.getNarrativesDueToday();
+
+      expect(mockRpc).toHaveBeenCalledWith('en_journal_narratives_due', { p_today: today });
+      expect(result.map(n => n.id)).toEqual(['1', '2']);
+      expect(result[0].srs).toEqual({ status: 'learning' });
+    });
+
+    it('countNarrativesDueToday should return the count', async () => {
+      mockRpc.mockResolvedValue({ data: 3, error: null });
+
+      expect(await storage.countNarrativesDueToday()).toBe(3);
+      expect(mockRpc).toHaveBeenCalledWith('en_journal_narratives_due_count', { p_today: today });
+    });
+
+    it('getNarrativesUpcoming should query the window after today', async () => {
+      await storage.getNarrativesUpcoming(7);
+
+      expect(mockRpc).toHaveBeenCalledWith('en_journal_narratives_upcoming', {
+        p_after: today,
+        p_until: addDays(today, 7)
       });
     });
 
-    it('getNarrativesDueToday should return only due items', async () => {
-      const result = await storage.getNarrativesDueToday();
-      
-      // Should include ID 1 (yesterday) and 4 (today)
-      // Should exclude 2 (mastered) and 3 (tomorrow)
+    it('searchNarratives should call the search function with filters', async () => {
+      mockRpc.mockResolvedValue({
+        data: [{ narrative: rows[0], rank: 0.5, snippet: '<mark>Apple</mark>' }],
+        error: null
+      });
+
+      const result = await storage.searchNarratives(' 会議 ', {
+        from: '2026-01-01T00:00:00.000Z',
+        category: 'today',
+        limit: 10
+      });
+
+      expect(mockRpc).toHaveBeenCalledWith('en_journal_search_narratives', {
+        p_query: '会議',
+        p_from: '2026-01-01T00:00:00.000Z',
+        p_to: null,
+        p_category: 'today',
+        p_status: null,
+        p_limit: 10,
+        p_offset: 0
+      });
+      expect(result[0]).toMatchObject({
+        id: '1',
+        srs: { status: 'learning' },
+        search: { rank: 0.5, snippet: '<mark>Apple</mark>' }
+      });
+    });
+
+    it('searchNarratives should list everything for an empty query', async () => {
+      mockSelect.mockReturnValue({ order: vi.fn().mockResolvedValue({ data: rows, error: null }) });
+
+      const result = await storage.searchNarratives('  ');
+
+      expect(mockRpc).not.toHaveBeenCalled();
       expect(result).toHaveLength(2);
-      expect(result.map(n => n.id).sort()).toEqual(['1', '4']);
     });
 
-    it('getNarrativesUpcoming should return future items', async () => {
-      const result = await storage.getNarrativesUpcoming(7);
-      
-      // Should include ID 3 (tomorrow)
-      expect(result).toHaveLength(1);
-      expect(result[0].id).toBe('3');
+    it('filterNarratives should search when given a query', async () => {
+      await storage.filterNarratives({ searchQuery: 'App', status: 'new' });
+
+      expect(mockRpc).toHaveBeenCalledWith('en_journal_search_narratives', expect.objectContaining({
+        p_query: 'App',
+        p_status: 'new'
+      }));
     });
 
-    it('searchNarratives should filter by text', async () => {
-      const result = await storage.searchNarratives('App');
-      expect(result).toHaveLength(1);
-      expect(result[0].narrative_en).toBe('Apple');
+    it('filterNarratives should pass category and status', async () => {
+      await storage.filterNarratives({ category: 'Fruit', status: 'mastered' });
+
+      expect(mockRpc).toHaveBeenCalledWith('en_journal_narratives_filter', {
+        p_query: null,
+        p_category: 'Fruit',
+        p_status: 'mastered'
+      });
     });
-    
-    it('filterNarratives should filter by category and status', async () => {
-      const result = await storage.filterNarratives({ category: 'Fruit' });
-      expect(result).toHaveLength(2); // Apple, Banana
-      
-      const result2 = await storage.filterNarratives({ status: 'mastered' });
-      expect(result2).toHaveLength(1); // Banana
+
+    it('getNarrativesPage should return a cursor only for full pages', async () => {
+      mockRpc.mockResolvedValue({ data: rows, error: null });
+
+      const page = await storage.getNarrativesPage({ limit: 2 });
+      expect(page.nextCursor).toEqual({ created_at: '2026-01-01T00:00:00Z', id: '2' });
+
+      mockRpc.mockResolvedValue({ data: [], error: null });
+      const next = await storage.getNarrativesPage({ limit: 2, cursor: page.nextCursor, status: 'new' });
+
+      expect(mockRpc).toHaveBeenLastCalledWith('en_journal_narratives_filter', {
+        p_query: null,
+        p_category: null,
+        p_status: 'new',
+        p_before_created_at: '2026-01-01T00:00:00Z',
+        p_before_id: '2',
+        p_limit: 2
+      });
+      expect(next).toEqual({ narratives: [], nextCursor: null });
+    });
+
+    it('should return empty results when a query fails', async () => {
+      const spy = vi.spyOn(console, 'error').mockImplementation(() => {});
+      mockRpc.mockResolvedValue({ data: null, error: new Error('boom') });
+
+      expect(await storage.getNarrativesDueToday()).toEqual([]);
+      expect(await storage.countNarrativesDueToday()).toBe(0);
+      spy.mockRestore();
+    });
+
+    it('getStorageStats should read counts from the stats function', async () => {
+      mockRpc.mockResolvedValue({
+        data: [{ total_narratives: 2, total_storage_bytes: 2048, new_count: 1, learning_count: 1, mastered_count: 0 }],
+        error: null
+      });
+
+      const stats = await storage.getStorageStats();
+
+      expect(mockRpc).toHaveBeenCalledWith('en_journal_storage_stats');
+      expect(stats).toMatchObject({ total_en_journal_narratives: 2, total_storage_kb: '2.00', new_count: 1, learning_count: 1 });
+    });
+  });
+
+  describe('Phrase Cards', () => {
+    const narrative = {
+      id: 'n1',
+      narrative_en: 'Hello.',
+      key_phrases: [
+        { phrase_en: 'run into', meaning_ja: '偶然会う', usage_hint_ja: 'hint' },
+        { phrase_en: 'hang out', meaning_ja: '遊ぶ', usage_hint_ja: '' }
+      ],
+      alternatives: []
+    };
+    const card = (fields) => ({ narrative_id: 'n1', source: 'key_phrase', source_index: 0, ...fields });
+
+    it('syncNarrativeCards should insert new, update changed and delete removed cards', async () => {
+      const existing = [
+        card({ id: 'c1', card_type: 'meaning', front: 'run into', back: '偶然会う', hint: 'hint', context: null }),
+        card({ id: 'c2', card_type: 'production', front: '古い', back: 'old phrase', hint: 'hint', context: null }),
+        card({ id: 'c3', card_type: 'cloze', front: '_____.', back: 'old phrase', hint: '', context: 'Old.' })
+      ];
+      const mockUpdateEq = vi.fn().mockResolvedValue({ error: null });
+      const mockIn = vi.fn().mockResolvedValue({ error: null });
+      mockSelect.mockReturnValue({ eq: vi.fn().mockResolvedValue({ data: existing, error: null }) });
+      mockInsert.mockResolvedValue({ error: null });
+      mockUpdate.mockReturnValue({ eq: mockUpdateEq });
+      mockDelete.mockReturnValue({ in: mockIn });
+
+      const result = await storage.syncNarrativeCards(narrative);
+
+      expect(result).toEqual({ inserted: 2, updated: 1, deleted: 1 });
+      const inserted = mockInsert.mock.calls[0][0];
+      expect(inserted.map(c => `${c.source_index}:${c.card_type}`)).toEqual(['1:meaning', '1:production']);
+      expect(inserted[0]).toMatchObject({ user_id: 'test-user-id', narrative_id: 'n1', front: 'hang out' });
+      expect(inserted[0].srs_data.status).toBe('new');
+
+      expect(mockUpdate).toHaveBeenCalledWith(expect.objectContaining({
+        front: '偶然会う',
+        back: 'run into',
+        srs_data: expect.objectContaining({ status: 'new', review_count: 0 })
+      }));
+      expect(mockUpdateEq).toHaveBeenCalledWith('id', 'c2');
+      expect(mockIn).toHaveBeenCalledWith('id', ['c3']);
+    });
+
+    it('syncNarrativeCards should keep unchanged cards as they are', async () => {
+      const existing = [
+        card({ id: 'c1', card_type: 'meaning', front: 'hang out', back: '遊ぶ', hint: '', context: null })
+      ];
+      mockSelect.mockReturnValue({ eq: vi.fn().mockResolvedValue({ data: existing, error: null }) });
+
+      const result = await storage.syncNarrativeCards({ ...narrative, key_phrases: [{ phrase_en: 'hang out', meaning_ja: '遊ぶ' }] });
+
+      // The production card is new; the meaning card is unchanged
+      expect(result).toEqual({ inserted: 1, updated: 0, deleted: 0 });
+      expect(mockUpdate).not.toHaveBeenCalled();
+      expect(mockDelete).not.toHaveBeenCalled();
+    });
+
+    it('getCardsDueToday should return only due, reviewable cards', async () => {
+      const today = currentDay();
+      mockSelect.mockReturnValue({
+        order: vi.fn().mockResolvedValue({
+          data: [
+            { id: 'c1', srs_data: { status: 'new', next_review_date: today } },
+            { id: 'c2', srs_data: { status: 'learning', next_review_date: '2999-01-01' } },
+            { id: 'c3', srs_data: { status: 'suspended', next_review_date: today } }
+          ],
+          error: null
+        })
+      });
+
+      const cards = await storage.getCardsDueToday();
+      expect(cards.map(c => c.id)).toEqual(['c1']);
+      expect(cards[0].srs.status).toBe('new');
+    });
+  });
+
+  describe('Review Logs', () => {
+    const isoDaysAgo = (days) => {
+      const d = new Date();
+      d.setDate(d.getDate() - days);
+      return d.toISOString();
+    };
+
+    it('getReviewLogs should apply period and narrative filters', async () => {
+      const query = {};
+      query.gte = vi.fn(() => query);
+      query.lt = vi.fn(() => query);
+      query.eq = vi.fn(() => query);
+      query.order = vi.fn().mockResolvedValue({ data: [{ id: 'l1' }], error: null });
+      mockSelect.mockReturnValue(query);
+
+      const logs = await storage.getReviewLogs({ since: '2026-01-01', until: '2026-04-01', narrativeId: 'n1' });
+
+      expect(logs).toEqual([{ id: 'l1' }]);
+      expect(query.gte).toHaveBeenCalledWith('reviewed_at', '2026-01-01');
+      expect(query.lt).toHaveBeenCalledWith('reviewed_at', '2026-04-01');
+      expect(query.eq).toHaveBeenCalledWith('narrative_id', 'n1');
+      expect(query.order).toHaveBeenCalledWith('reviewed_at', { ascending: true });
+    });
+
+    // en_journal_review_day_counts rows for logs, grouped like dayOf()
+    const dayCounts = logs => {
+      const counts = {};
+      logs.forEach(log => {
+        const day = dayOf(log.reviewed_at);
+        counts[day] = (counts[day] || 0) + 1;
+      });
+      return Object.entries(counts).map(([day, reviews]) => ({ day, reviews }));
+    };
+
+    const mockLegacyStats = data => {
+      mockSelect.mockReturnValue({
+        eq: () => ({ maybeSingle: vi.fn().mockResolvedValue({ data, error: null }) })
+      });
+    };
+
+    it('getSRSStats should add review counts to the legacy totals', async () => {
+      const legacy = {
+        total_reviews: 10,
+        current_streak: 4,
+        longest_streak: 6,
+        last_review_date: '2025-12-01',
+        reviews_by_date: { '2025-12-01': 3 }
+      };
+      const logs = [
+        { reviewed_at: isoDaysAgo(2), quality: 2 },
+        { reviewed_at: isoDaysAgo(1), quality: 0 },
+        { reviewed_at: isoDaysAgo(1), quality: 3 },
+        { reviewed_at: isoDaysAgo(0), quality: 2 }
+      ];
+      mockLegacyStats(legacy);
+      mockRpc.mockResolvedValue({ data: dayCounts(logs), error: null });
+
+      const stats = await storage.getSRSStats();
+
+      const { timeZone, dayStartHour } = getDateSettings();
+      expect(mockRpc).toHaveBeenCalledWith('en_journal_review_day_counts', {
+        p_time_zone: timeZone,
+        p_day_start_hour: dayStartHour
+      });
+      // Only the legacy totals are selected, not the review log itself
+      expect(mockSelect).toHaveBeenCalledTimes(1);
+      expect(stats.total_reviews).toBe(14);
+      expect(stats.current_streak).toBe(3);
+      expect(stats.longest_streak).toBe(6);
+      expect(stats.last_review_date).toBe(dayOf(logs[3].reviewed_at));
+      expect(stats.reviews_by_date['2025-12-01']).toBe(3);
+      expect(stats.reviews_by_date[dayOf(logs[1].reviewed_at)]).toBe(2);
+    });
+
+    it('getSRSStats should break the streak after a missed day', async () => {
+      mockLegacyStats(null);
+      mockRpc.mockResolvedValue({
+        data: dayCounts([{ reviewed_at: isoDaysAgo(4) }, { reviewed_at: isoDaysAgo(3) }, { reviewed_at: isoDaysAgo(2) }]),
+        error: null
+      });
+
+      const stats = await storage.getSRSStats();
+
+      expect(stats.total_reviews).toBe(3);
+      expect(stats.current_streak).toBe(0);
+      expect(stats.longest_streak).toBe(3);
+    });
+
+    it('getSRSStats should count reviews made offline on top of the last counts', async () => {
+      mockLegacyStats(null);
+      mockRpc.mockResolvedValue({ data: dayCounts([{ reviewed_at: isoDaysAgo(1) }]), error: null });
+      await storage.getSRSStats();
+
+      // Queued review while it cannot be sent
+      const single = vi.fn().mockResolvedValue({
+        data: { id: 'n1', updated_at: '2026-01-01T00:00:00Z', srs_data: { status: 'learning' } },
+        error: null
+      });
+      mockSelect.mockReturnValueOnce({ eq: vi.fn(() => ({ single })) });
+      mockRpc.mockResolvedValue({ data: null, error: { message: 'TypeError: Failed to fetch', code: '' } });
+      await storage.saveReview('narratives', 'n1', { status: 'learning' }, { quality: 2 });
+      expect((await storage.getSyncStatus()).pending).toBe(1);
+      mockRpc.mockClear();
+
+      const stats = await storage.getSRSStats();
+
+      expect(mockRpc).not.toHaveBeenCalled();
+      expect(stats.total_reviews).toBe(2);
+      expect(stats.current_streak).toBe(2);
+    });
+  });
+
+  describe('Profile', () => {
+    it('getProfile should read the current user profile', async () => {
+      const maybeSingle = vi.fn().mockResolvedValue({ data: { user_id: 'test-user-id', scheduler: 'fsrs' }, error: null });
+      mockSelect.mockReturnValue({ eq: vi.fn(() => ({ maybeSingle })) });
+
+      const profile = await storage.getProfile();
+      expect(profile.scheduler).toBe('fsrs');
+    });
+
+    it('getProfile should apply the date settings', async () => {
+      const maybeSingle = vi.fn().mockResolvedValue({
+        data: { user_id: 'test-user-id', timezone: 'Asia/Tokyo', day_start_hour: 5 },
+        error: null
+      });
+      mockSelect.mockReturnValue({ eq: vi.fn(() => ({ maybeSingle })) });
+
+      await storage.getProfile();
+      expect(getDateSettings()).toEqual({ timeZone: 'Asia/Tokyo', dayStartHour: 5 });
+      configureDates(null);
+    });
+
+    it('getProfile should return null when signed out', async () => {
+      window.auth = { getUserId: () => null };
+      expect(await storage.getProfile()).toBeNull();
+      expect(mockSelect).not.toHaveBeenCalled();
+    });
+
+    it('updateProfile should upsert for the current user', async () => {
+      mockUpsert.mockReturnValue({
+        select: () => ({ single: vi.fn().mockResolvedValue({ data: { scheduler: 'ladder' }, error: null }) })
+      });
+
+      const profile = await storage.updateProfile({ scheduler: 'ladder' });
+
+      expect(profile.scheduler).toBe('ladder');
+      expect(mockUpsert).toHaveBeenCalledWith(expect.objectContaining({
+        user_id: 'test-user-id',
+        scheduler: 'ladder'
+      }));
+    });
+
+    it('updateProfile should surface errors', async () => {
+      mockUpsert.mockReturnValue({
+        select: () => ({ single: vi.fn().mockResolvedValue({ data: null, error: { message: 'violates check constraint' } }) })
+      });
+
+      await expect(storage.updateProfile({ scheduler: 'nope' })).rejects.toThrow('Failed to update profile');
+    });
+  });
+
+  describe('Offline Cache', () => {
+    const today = currentDay();
+    const row = {
+      id: 'n1',
+      narrative_en: 'Apple',
+      created_at: '2026-01-01T00:00:00Z',
+      updated_at: '2026-01-01T00:00:00Z',
+      srs_data: { status: 'learning', scheduler: 'sm2', next_review_date: today }
+    };
+    let online;
+
+    const fillCache = async () => {
+      mockSelect.mockReturnValueOnce({ order: vi.fn().mockResolvedValue({ data: [row], error: null }) });
+      await storage.getAllNarratives();
+    };
+
+    beforeEach(() => {
+      online = true;
+      vi.spyOn(navigator, 'onLine', 'get').mockImplementation(() => online);
+    });
+
+    afterEach(() => {
+      vi.restoreAllMocks();
+    });
+
+    it('should serve reads from the cache when offline', async () => {
+      await fillCache();
+      online = false;
+
+      const due = await storage.getNarrativesDueToday();
+
+      expect(due.map(n => n.id)).toEqual(['n1']);
+      expect(due[0].srs.status).toBe('learning');
+      expect(await storage.countNarrativesDueToday()).toBe(1);
+      expect(await storage.searchNarratives('app')).toHaveLength(1);
+      expect(mockRpc).not.toHaveBeenCalled();
+    });
+
+    it('should queue reviews offline and send them when back online', async () => {
+      await fillCache();
+      online = false;
+
+      const updated = await storage.updateNarrativeSRS('n1', { next_review_date: '2999-01-01' });
+
+      expect(updated.srs).toMatchObject({ status: 'learning', next_review_date: '2999-01-01' });
+      expect(mockUpdate).not.toHaveBeenCalled();
+      expect(await storage.getNarrativesDueToday()).toEqual([]);
+      expect((await storage.getSyncStatus()).pending).toBe(1);
+
+      online = true;
+      const lt = vi.fn(() => ({ select: vi.fn().mockResolvedValue({ data: [{ id: 'n1' }], error: null }) }));
+      mockUpdate.mockReturnValue({ eq: vi.fn(() => ({ lt })) });
+
+      const status = await storage.syncNow();
+
+      expect(status.pending).toBe(0);
+      expect(mockUpdate).toHaveBeenCalledWith({ srs_data: updated.srs, updated_at: updated.updated_at });
+      expect(lt).toHaveBeenCalledWith('updated_at', updated.updated_at);
+    });
+
+    it('should queue a review and its log as one write', async () => {
+      await fillCache();
+      online = false;
+      const reviewedAt = '2026-01-02T09:00:00.000Z';
+
+      const updated = await storage.saveReview('narratives', 'n1', { next_review_date: '2999-01-01' }, { quality: 2, reviewed_at: reviewedAt });
+
+      expect(updated.updated_at).toBe(reviewedAt);
+      expect((await storage.getSyncStatus()).pending).toBe(1);
+      const [log] = await storage.getReviewLogs();
+      expect(log).toMatchObject({ narrative_id: 'n1', card_id: null, quality: 2, reviewed_at: reviewedAt });
+
+      online = true;
+      mockRpc.mockResolvedValue({ data: true, error: null });
+
+      await storage.syncNow();
+
+      expect(mockRpc).toHaveBeenCalledWith('en_journal_record_review', {
+        p_narrative_id: 'n1',
+        p_srs_data: updated.srs,
+        p_log: log,
+        // The state the new schedule was computed from
+        p_based_on: row.updated_at,
+        p_card_id: null
+      });
+      expect(mockInsert).not.toHaveBeenCalled();
+      expect(mockUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should keep the newer server row on conflict', async () => {
+      const server = { ...row, updated_at: '2999-01-01T00:00:00Z', srs_data: { ...row.srs_data, status: 'suspended' } };
+      await fillCache();
+
+      mockSelect.mockReturnValue({
+        eq: vi.fn(() => ({
+          single: vi.fn().mockResolvedValue({ data: row, error: null }),
+          maybeSingle: vi.fn().mockResolvedValue({ data: server, error: null })
+        }))
+      });
+      // No row matched "updated_at < local edit": the server changed later
+      mockUpdate.mockReturnValue({
+        eq: vi.fn(() => ({ lt: vi.fn(() => ({ select: vi.fn().mockResolvedValue({ data: [], error: null }) })) }))
+      });
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      await storage.updateNarrativeSRS('n1', { next_review_date: '2999-01-01' });
+      online = false;
+
+      expect(warn).toHaveBeenCalled();
+      expect((await storage.getNarrativeById('n1')).srs.status).toBe('suspended');
+      expect((await storage.getSyncStatus()).pending).toBe(0);
+    });
+  });
+
+  describe('JSON Import', () => {
+    const stored = {
+      id: '11111111-1111-4111-8111-111111111111',
+      narrative_en: 'I went to the park.',
+      key_phrases: [],
+      alternatives: [],
+      recall_test: { prompt_ja: '公園', expected_points_en: [] },
+      created_at: '2026-01-01T09:00:00+00:00',
+      srs_data: { status: 'learning' }
+    };
+    const newRow = { id: '22222222-2222-4222-8222-222222222222', narrative_en: 'New entry.', srs: { status: 'new' } };
+    const backup = JSON.stringify([
+      { ...stored, srs: stored.srs_data, srs_data: undefined, recall_test: { prompt_ja: '公園で', expected_points_en: [] } },
+      newRow,
+      { narrative_en: '' }
+    ]);
+
+    beforeEach(() => {
+      mockOrder.mockResolvedValue({ data: [stored], error: null });
+    });
+
+    it('should report the plan without writing on a dry run', async () => {
+      const report = await storage.importNarrativesJSON(backup, { dryRun: true });
+
+      expect(report.strategy).toBe('skip');
+      expect(report.counts).toEqual({ insert: 1, restore: 0, overwrite: 0, skip: 1, invalid: 1 });
+      expect(report.items[2].errors).toEqual(['narrative_en: missing']);
+      expect(mockInsert).not.toHaveBeenCalled();
+    });
+
+    it('should insert only new rows, keeping their ids', async () => {
+      const select = vi.fn().mockResolvedValue({ data: [{ ...newRow, srs_data: newRow.srs }], error: null });
+      mockInsert.mockReturnValue({ select });
+
+      const report = await storage.importNarrativesJSON(backup);
+
+      expect(mockInsert).toHaveBeenCalledTimes(1);
+      expect(mockInsert).toHaveBeenCalledWith([expect.objectContaining({ id: newRow.id, narrative_en: 'New entry.', srs_data: { status: 'new' } })]);
+      expect(report.imported.map(n => n.id)).toEqual([newRow.id]);
+      expect(report.failed).toEqual([]);
+    });
+
+    it('should overwrite duplicates as a revision', async () => {
+      mockInsert.mockReturnValue({ select: vi.fn().mockResolvedValue({ data: [], error: null }) });
+      mockRpc.mockImplementation(async (name) => name === 'en_journal_trashed_narratives'
+        ? { data: [], error: null }
+        : { data: { ...stored, recall_test: { prompt_ja: '公園で', expected_points_en: [] } }, error: null });
+
+      const report = await storage.importNarrativesJSON(backup, { strategy: 'overwrite' });
+
+      expect(mockRpc).toHaveBeenCalledWith('en_journal_edit_narrative', {
+        p_narrative_id: stored.id,
+        p_changes: { recall_test: { prompt_ja: '公園で', expected_points_en: [] } },
+        p_source: 'restore',
+        p_srs_data: null
+      });
+      expect(report.overwritten[0].recall_test.prompt_ja).toBe('公園で');
+    });
+
+    describe('after the narratives were trashed', () => {
+      const trashedRow = { ...stored, deleted_at: '2026-01-05T00:00:00Z' };
+
+      beforeEach(() => {
+        mockOrder.mockResolvedValue({ data: [], error: null });
+        mockRpc.mockImplementation(async (name) => {
+          if (name === 'en_journal_trashed_narratives') {
+            return { data: [{ narrative: trashedRow, purge_at: '2026-02-04T00:00:00Z' }], error: null };
+          }
+          if (name === 'en_journal_restore_narrative') return { data: [stored], error: null };
+          return { data: [], error: null };
+        });
+        mockInsert.mockReturnValue({
+          select: vi.fn().mockResolvedValue({ data: [{ ...newRow, srs_data: newRow.srs }], error: null })
+        });
+      });
+
+      it('should plan to restore them on a dry run', async () => {
+        const report = await storage.importNarrativesJSON(backup, { dryRun: true });
+
+        expect(report.counts).toEqual({ insert: 1, restore: 1, overwrite: 0, skip: 0, invalid: 1 });
+        expect(report.items[0]).toMatchObject({ action: 'restore', inTrash: true, matchedBy: 'id' });
+      });
+
+      it('should take them out of the trash instead of inserting them again', async () => {
+        const report = await storage.importNarrativesJSON(backup);
+
+        expect(mockInsert).toHaveBeenCalledTimes(1);
+        expect(mockInsert).toHaveBeenCalledWith([expect.objectContaining({ id: newRow.id })]);
+        expect(mockRpc).toHaveBeenCalledWith('en_journal_restore_narrative', { p_narrative_id: stored.id });
+        expect(report.untrashed.map(n => n.id)).toEqual([stored.id]);
+        expect(report.failed).toEqual([]);
+      });
+
+      it('should keep both under a new id with keep_both', async () => {
+        const report = await storage.importNarrativesJSON(backup, { strategy: 'keep_both' });
+
+        const [rows] = mockInsert.mock.calls[0];
+        expect(rows).toHaveLength(2);
+        expect(rows[0].id).not.toBe(stored.id);
+        expect(mockRpc).not.toHaveBeenCalledWith('en_journal_restore_narrative', expect.anything());
+        expect(report.untrashed).toEqual([]);
+      });
+    });
+
+    it('should reject files that are not a backup', async () => {
+      await expect(storage.importNarrativesJSON('{oops')).rejects.toThrow('Invalid JSON format');
+      await expect(storage.importNarrativesJSON('{}')).rejects.toThrow('not a kaku backup');
+    });
+
+    it('should restore dates, history and settings from a versioned backup', async () => {
+      const created = { ...newRow, created_at: '2024-03-01T09:00:00+00:00' };
+      const v2 = JSON.stringify({
+        format: 'kaku-backup',
+        format_version: 2,
+        narratives: [created],
+        cards: [{ id: 'c1', narrative_id: newRow.id, srs: { status: 'learning' } }],
+        review_logs: [
+          { id: 'l1', narrative_id: newRow.id, card_id: 'c1', quality: 2, reviewed_at: '2024-03-02T09:00:00Z' },
+          { id: 'l2', narrative_id: stored.id, quality: 1, reviewed_at: '2024-03-02T09:00:00Z' }
+        ],
+        profile: { scheduler: 'fsrs' }
+      });
+      mockInsert.mockReturnValue({
+        select: vi.fn().mockResolvedValue({ data: [{ ...created, srs_data: created.srs }], error: null })
+      });
+      mockUpsert.mockImplementation(rows => Array.isArray(rows)
+        ? Promise.resolve({ error: null })
+        : { select: () => ({ single: vi.fn().mockResolvedValue({ data: rows, error: null }) }) });
+
+      const preview = await storage.importNarrativesJSON(v2, { dryRun: true });
+      expect(preview.formatVersion).toBe(2);
+      expect(preview.backup).toEqual({ cards: 1, review_logs: 2, stats: false, settings: true });
+
+      const report = await storage.importNarrativesJSON(v2);
+
+      expect(mockInsert).toHaveBeenCalledWith([expect.objectContaining({ id: newRow.id, created_at: created.created_at })]);
+      expect(report.imported[0].created_at).toBe(created.created_at);
+      // Only the history of the new narrative
+      expect(mockUpsert).toHaveBeenCalledWith(
+        [{ id: 'l1', narrative_id: newRow.id, card_id: 'c1', quality: 2, reviewed_at: '2024-03-02T09:00:00Z', user_id: 'test-user-id' }],
+        { onConflict: 'id', ignoreDuplicates: true }
+      );
+      expect(mockUpsert).toHaveBeenCalledWith(expect.objectContaining({ scheduler: 'fsrs', user_id: 'test-user-id' }));
+      expect(report.restored).toEqual({ cards: 1, review_logs: 1, stats: false, settings: true });
     });
   });
 
@@ -167,22 +749,211 @@ describe('Storage Module', () => {
               }) 
           });
 
-          await storage.saveNarrative({ narrative_en: 'New' });
+          await storage.saveNarrative({
+              narrative_en: 'New',
+              generation_meta: { provider: 'mock-1', prompt_version: 'v1' }
+          });
           
           expect(mockInsert).toHaveBeenCalled();
           const insertCall = mockInsert.mock.calls[0][0];
           expect(insertCall.narrative_en).toBe('New');
+          expect(insertCall.prompt_version).toBe('v1');
+          expect(insertCall.generation_meta).toBeUndefined();
           expect(insertCall.user_id).toBe('test-user-id');
           expect(insertCall.srs_data).toBeDefined(); // initialized
       });
 
-      it('deleteNarrative should delete data', async () => {
-          mockDelete.mockReturnValue({ 
-              eq: vi.fn().mockResolvedValue({ error: null })
+      it('updateNarrativeSection should store only that section as a revision', async () => {
+          mockSingle.mockResolvedValue({ data: { id: '123', alternatives: [{ original_en: 'a' }], srs_data: {} }, error: null });
+          mockRpc.mockResolvedValue({ data: { id: '123', alternatives: [], srs_data: {} }, error: null });
+
+          await storage.updateNarrativeSection('123', 'alternatives', []);
+
+          expect(mockRpc).toHaveBeenCalledWith('en_journal_edit_narrative', {
+              p_narrative_id: '123',
+              p_changes: { alternatives: [] },
+              p_source: 'regenerate',
+              p_srs_data: null
+          });
+          expect(mockUpdate).not.toHaveBeenCalled();
+      });
+
+      it('updateNarrativeSection should reject unknown sections', async () => {
+          await expect(storage.updateNarrativeSection('123', 'narrative_en', 'x'))
+              .rejects.toThrow('Unknown narrative section');
+          expect(mockUpdate).not.toHaveBeenCalled();
+      });
+
+      describe('Editing', () => {
+          const current = {
+              id: '123',
+              narrative_en: 'I went to the park and read a book.',
+              srs_data: { status: 'learning', review_count: 4 }
+          };
+
+          beforeEach(() => {
+              mockSingle.mockResolvedValue({ data: current, error: null });
+              mockEq.mockReturnValue({ single: mockSingle, maybeSingle: vi.fn().mockResolvedValue({ data: null, error: null }) });
+              mockRpc.mockImplementation(async (fn, params) => ({
+                  data: { ...current, ...params.p_changes, srs_data: params.p_srs_data || current.srs_data },
+                  error: null
+              }));
+          });
+
+          afterEach(() => {
+              vi.restoreAllMocks();
+          });
+
+          it('editNarrative should keep the SRS state for a small edit', async () => {
+              const { narrative, srsReset } = await storage.editNarrative('123', {
+                  narrative_en: 'I went to the park and read a novel.'
+              });
+
+              expect(srsReset).toBe(false);
+              expect(narrative.srs.review_count).toBe(4);
+              expect(mockRpc).toHaveBeenCalledWith('en_journal_edit_narrative', expect.objectContaining({
+                  p_changes: { narrative_en: 'I went to the park and read a novel.' },
+                  p_source: 'edit',
+                  p_srs_data: null
+              }));
+          });
+
+          it('editNarrative should reset SRS after a substantial rewrite', async () => {
+              const { narrative, srsReset } = await storage.editNarrative('123', {
+                  narrative_en: 'Yesterday it rained all day, so I stayed home.'
+              });
+
+              expect(srsReset).toBe(true);
+              expect(narrative.srs).toMatchObject({ status: 'new', review_count: 0 });
+          });
+
+          it('editNarrative should follow the profile policy', async () => {
+              mockEq.mockReturnValue({
+                  single: mockSingle,
+                  maybeSingle: vi.fn().mockResolvedValue({ data: { edit_srs_reset: 'never' }, error: null })
+              });
+
+              const { srsReset } = await storage.editNarrative('123', {
+                  narrative_en: 'Yesterday it rained all day, so I stayed home.'
+              });
+
+              expect(srsReset).toBe(false);
+          });
+
+          it('editNarrative should skip unchanged content', async () => {
+              const { narrative } = await storage.editNarrative('123', { narrative_en: current.narrative_en });
+
+              expect(narrative.id).toBe('123');
+              expect(mockRpc).not.toHaveBeenCalled();
+          });
+
+          it('editNarrative should refuse to edit offline', async () => {
+              vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+
+              await expect(storage.editNarrative('123', { narrative_en: 'x' })).rejects.toThrow('needs a connection');
+          });
+
+          it('restoreNarrativeRevision should store the old content as a new revision', async () => {
+              await storage.restoreNarrativeRevision({
+                  narrative_id: '123',
+                  content: { narrative_en: 'I went to the park.', key_phrases: [] }
+              });
+
+              expect(mockRpc).toHaveBeenCalledWith('en_journal_edit_narrative', expect.objectContaining({
+                  p_narrative_id: '123',
+                  p_changes: { narrative_en: 'I went to the park.', key_phrases: [] },
+                  p_source: 'restore'
+              }));
+          });
+
+          it('getNarrativeRevisions should list versions newest first', async () => {
+              const order = vi.fn().mockResolvedValue({ data: [{ id: 'r2' }, { id: 'r1' }], error: null });
+              mockSelect.mockReturnValue({ eq: vi.fn(() => ({ order })) });
+
+              expect(await storage.getNarrativeRevisions('123')).toEqual([{ id: 'r2' }, { id: 'r1' }]);
+              expect(order).toHaveBeenCalledWith('created_at', { ascending: false });
+          });
+      });
+
+      describe('Trash', () => {
+          it('deleteNarrative should move the narrative to the trash', async () => {
+              mockRpc.mockResolvedValue({ data: true, error: null });
+
+              expect(await storage.deleteNarrative('123')).toBe(true);
+              expect(mockRpc).toHaveBeenCalledWith('en_journal_trash_narrative', {
+                  p_narrative_id: '123',
+                  p_deleted_at: expect.any(String)
+              });
+              expect(mockDelete).not.toHaveBeenCalled();
           });
 
-          await storage.deleteNarrative('123');
-          expect(mockDelete).toHaveBeenCalled();
+          it('deleteNarrative should drop the cached review logs of the narrative', async () => {
+              mockOrder.mockResolvedValueOnce({
+                  data: [{ id: 'l1', narrative_id: '123', quality: 2 }, { id: 'l2', narrative_id: '456', quality: 3 }],
+                  error: null
+              });
+              await storage.getReviewLogs();
+              mockRpc.mockResolvedValue({ data: true, error: null });
+
+              await storage.deleteNarrative('123');
+
+              const offline = vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+              expect((await storage.getReviewLogs()).map(log => log.id)).toEqual(['l2']);
+              offline.mockRestore();
+          });
+
+          it('getTrashedNarratives should keep the deletion and purge times', async () => {
+              mockRpc.mockResolvedValue({
+                  data: [{
+                      narrative: { id: '123', deleted_at: '2026-01-08T00:00:00Z', srs_data: { status: 'new' } },
+                      purge_at: '2026-02-07T00:00:00Z'
+                  }],
+                  error: null
+              });
+
+              const [narrative] = await storage.getTrashedNarratives();
+
+              expect(mockRpc).toHaveBeenCalledWith('en_journal_trashed_narratives');
+              expect(narrative).toMatchObject({
+                  id: '123',
+                  deleted_at: '2026-01-08T00:00:00Z',
+                  purge_at: '2026-02-07T00:00:00Z',
+                  srs: { status: 'new' }
+              });
+          });
+
+          it('restoreNarrative should bring the narrative back with its review logs', async () => {
+              mockRpc.mockResolvedValue({ data: [{ id: '123', srs_data: { status: 'new' } }], error: null });
+              const order = vi.fn().mockResolvedValue({ data: [], error: null });
+              mockSelect.mockReturnValue({ order, eq: vi.fn(() => ({ order })) });
+
+              const narrative = await storage.restoreNarrative('123');
+
+              expect(mockRpc).toHaveBeenCalledWith('en_journal_restore_narrative', { p_narrative_id: '123' });
+              expect(narrative.id).toBe('123');
+              expect(order).toHaveBeenCalledWith('reviewed_at', { ascending: true });
+          });
+
+          it('restoreNarrative should fail for narratives not in the trash', async () => {
+              mockRpc.mockResolvedValue({ data: [], error: null });
+
+              await expect(storage.restoreNarrative('123')).rejects.toThrow('not in the trash');
+          });
+
+          it('purgeNarratives should empty the whole trash by default', async () => {
+              mockRpc.mockResolvedValue({ data: 2, error: null });
+
+              expect(await storage.purgeNarratives()).toBe(2);
+              expect(mockRpc).toHaveBeenCalledWith('en_journal_purge_narratives', { p_narrative_ids: null });
+          });
+
+          it('clearAllData should move everything to the trash', async () => {
+              mockRpc.mockResolvedValue({ data: 5, error: null });
+
+              expect(await storage.clearAllData()).toBe(5);
+              expect(mockRpc).toHaveBeenCalledWith('en_journal_trash_all_narratives');
+              expect(mockDelete).not.toHaveBeenCalled();
+          });
       });
   });
 });
@@ -0,0 +1,266 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { openLocalDB } from '../src/local-db.js';
+import { isRetryable, replayOutbox } from '../src/sync.js';
+
+// Supabase query builder whose result is set per call
+function mockSupabase(results) {
+  const calls = [];
+  const supabase = {
+    from: vi.fn((table) => {
+      const call = { table, steps: [] };
+      calls.push(call);
+      const builder = new Proxy(
+        {},
+        {
+          get(_, method) {
+            if (method === 'then') {
+              const result = results.shift() || { data: null, error: null };
+              return (resolve) => resolve(result);
+            }
+            return (...args) => {
+              call.steps.push([method, ...args]);
+              return builder;
+            };
+          },
+        }
+      );
+      return builder;
+    }),
+  };
+  return { supabase, calls };
+}
+
+describe('Outbox sync', () => {
+  let db;
+
+  beforeEach(async () => {
+    db = await openLocalDB('test');
+  });
+
+  const queueUpdate = (id, updatedAt) =>
+    db.add('outbox', {
+      store: 'narratives',
+      op: 'update',
+      id,
+      changes: { srs_data: { status: 'learning' } },
+      updated_at: updatedAt,
+    });
+
+  it('should replay updates in order, only over older server rows', async () => {
+    await queueUpdate('n1', '2026-01-01T10:00:00Z');
+    await queueUpdate('n2', '2026-01-01T11:00:00Z');
+    const { supabase, calls } = mockSupabase([
+      { data: [{ id: 'n1' }], error: null },
+      { data: [{ id: 'n2' }], error: null },
+    ]);
+
+    const result = await replayOutbox(db, supabase);
+
+    expect(result).toMatchObject({ applied: 2, remaining: 0 });
+    expect(calls.map((c) => c.table)).toEqual([
+      'en_journal_narratives',
+      'en_journal_narratives',
+    ]);
+    expect(calls[0].steps).toEqual([
+      [
+        'update',
+        {
+          srs_data: { status: 'learning' },
+          updated_at: '2026-01-01T10:00:00Z',
+        },
+      ],
+      ['eq', 'id', 'n1'],
+      ['lt', 'updated_at', '2026-01-01T10:00:00Z'],
+      ['select', 'id'],
+    ]);
+    expect(await db.count('outbox')).toBe(0);
+  });
+
+  it('should let a newer server row win and cache it', async () => {
+    await queueUpdate('n1', '2026-01-01T10:00:00Z');
+    const server = { id: 'n1', updated_at: '2026-01-02T00:00:00Z' };
+    const { supabase } = mockSupabase([
+      { data: [], error: null },
+      { data: server, error: null },
+    ]);
+
+    const result = await replayOutbox(db, supabase);
+
+    expect(result.conflicts).toHaveLength(1);
+    expect(await db.get('narratives', 'n1')).toEqual(server);
+    expect(await db.count('outbox')).toBe(0);
+  });
+
+  it('should drop the cached row when it was deleted on the server', async () => {
+    await db.put('narratives', [{ id: 'n1' }]);
+    await queueUpdate('n1', '2026-01-01T10:00:00Z');
+    const { supabase } = mockSupabase([
+      { data: [], error: null },
+      { data: null, error: null },
+    ]);
+
+    await replayOutbox(db, supabase);
+
+    expect(await db.get('narratives', 'n1')).toBeNull();
+  });
+
+  it('should stop at a network error and keep the rest queued', async () => {
+    await queueUpdate('n1', '2026-01-01T10:00:00Z');
+    await queueUpdate('n2', '2026-01-01T11:00:00Z');
+    const { supabase } = mockSupabase([
+      { data: [{ id: 'n1' }], error: null },
+      { data: null, error: { message: 'Failed to fetch', code: '' } },
+    ]);
+
+    const result = await replayOutbox(db, supabase);
+
+    expect(result).toMatchObject({ applied: 1, remaining: 1 });
+    const [left] = await db.getAll('outbox');
+    expect(left.id).toBe('n2');
+  });
+
+  it('should drop writes the database rejects', async () => {
+    await queueUpdate('n1', '2026-01-01T10:00:00Z');
+    const { supabase } = mockSupabase([
+      { data: null, error: { message: 'violates check', code: '23514' } },
+    ]);
+
+    const result = await replayOutbox(db, supabase);
+
+    expect(result.dropped).toHaveLength(1);
+    expect(await db.count('outbox')).toBe(0);
+  });
+
+  it('should treat a duplicate insert as already sent', async () => {
+    const row = { id: 'l1', narrative_id: 'n1', quality: 2 };
+    await db.add('outbox', {
+      store: 'review_logs',
+      op: 'insert',
+      id: 'l1',
+      row,
+    });
+    const { supabase, calls } = mockSupabase([
+      { data: null, error: { message: 'duplicate key', code: '23505' } },
+    ]);
+
+    const result = await replayOutbox(db, supabase);
+
+    expect(result.applied).toBe(1);
+    expect(calls[0].steps).toEqual([['insert', row]]);
+  });
+
+  it('should only delete rows not changed after the local delete', async () => {
+    await db.add('outbox', {
+      store: 'narratives',
+      op: 'delete',
+      id: 'n1',
+      updated_at: '2026-01-01T10:00:00Z',
+    });
+    const { supabase, calls } = mockSupabase([
+      { data: [{ id: 'n1' }], error: null },
+    ]);
+
+    await replayOutbox(db, supabase);
+
+    expect(calls[0].steps).toContainEqual([
+      'lte',
+      'updated_at',
+      '2026-01-01T10:00:00Z',
+    ]);
+  });
+
+  it('should trash narratives through the trash function', async () => {
+    await db.add('outbox', {
+      store: 'narratives',
+      op: 'trash',
+      id: 'n1',
+      updated_at: '2026-01-01T10:00:00Z',
+    });
+    const { supabase } = mockSupabase([]);
+    supabase.rpc = vi.fn().mockResolvedValue({ data: true, error: null });
+
+    const result = await replayOutbox(db, supabase);
+
+    expect(result.applied).toBe(1);
+    expect(supabase.rpc).toHaveBeenCalledWith('en_journal_trash_narrative', {
+      p_narrative_id: 'n1',
+      p_deleted_at: '2026-01-01T10:00:00Z',
+    });
+    expect(supabase.from).not.toHaveBeenCalled();
+  });
+
+  it('should keep a narrative changed after it was trashed locally', async () => {
+    await db.add('outbox', {
+      store: 'narratives',
+      op: 'trash',
+      id: 'n1',
+      updated_at: '2026-01-01T10:00:00Z',
+    });
+    const server = { id: 'n1', updated_at: '2026-01-02T00:00:00Z' };
+    const { supabase } = mockSupabase([{ data: server, error: null }]);
+    supabase.rpc = vi.fn().mockResolvedValue({ data: false, error: null });
+
+    const result = await replayOutbox(db, supabase);
+
+    expect(result.conflicts).toHaveLength(1);
+    expect(await db.get('narratives', 'n1')).toEqual(server);
+  });
+
+  it('should store a review with its log through the review function', async () => {
+    const log = { id: 'l1', narrative_id: 'n1', card_id: 'c1', quality: 2 };
+    await db.add('outbox', {
+      store: 'cards',
+      op: 'review',
+      id: 'c1',
+      changes: {
+        srs_data: { status: 'learning' },
+        log,
+        based_on: '2026-01-01T00:00:00Z',
+      },
+      updated_at: '2026-01-01T10:00:00Z',
+    });
+    const server = { id: 'c1', updated_at: '2026-01-02T00:00:00Z' };
+    const { supabase } = mockSupabase([{ data: server, error: null }]);
+    supabase.rpc = vi.fn().mockResolvedValue({ data: false, error: null });
+
+    const result = await replayOutbox(db, supabase);
+
+    expect(supabase.rpc).toHaveBeenCalledWith('en_journal_record_review', {
+      p_narrative_id: 'n1',
+      p_srs_data: { status: 'learning' },
+      p_log: log,
+      p_based_on: '2026-01-01T00:00:00Z',
+      p_card_id: 'c1',
+    });
+    // The log is stored, but a card changed since the review was scheduled
+    // wins
+    expect(result.conflicts).toHaveLength(1);
+    expect(await db.get('cards', 'c1')).toEqual(server);
+  });
+
+  it('should send reviews queued without a base so the server row wins', async () => {
+    const log = { id: 'l1', narrative_id: 'n1', card_id: null, quality: 2 };
+    await db.add('outbox', {
+      store: 'narratives',
+      op: 'review',
+      id: 'n1',
+      changes: { srs_data: { status: 'learning' }, log },
+      updated_at: '2026-01-01T10:00:00Z',
+    });
+    const { supabase } = mockSupabase([{ data: null, error: null }]);
+    supabase.rpc = vi.fn().mockResolvedValue({ data: false, error: null });
+
+    await replayOutbox(db, supabase);
+
+    expect(supabase.rpc).toHaveBeenCalledWith(
+      'en_journal_record_review',
+      expect.objectContaining({ p_based_on: null })
+    );
+  });
+
+  it('should retry network failures and expired sessions only', () => {
+    expect(isRetryable({ message: 'Failed to fetch', code: '' })).toBe(true);
+    expect(isRetryable({ code: 'PGRST301' })).toBe(true);
+    expect(isRetryable({ code: '42501' })).toBe(false);
+  });
+});
@@ -1,9 +1,11 @@
 import { defineConfig } from 'vite';
 import { resolve } from 'path';
+import serviceWorker from './scripts/vite-plugin-service-worker.js';
 
 export default defineConfig({
   root: 'src',
   publicDir: '../public',
+  plugins: [serviceWorker()],
   build: {
     outDir: '../dist',
     emptyOutDir: true,